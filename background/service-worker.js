@@ -8,16 +8,84 @@
 
 import { logger } from '../utils/logger.js';
 import { userDetails } from '../utils/user-details.js';
+import { customActions } from '../utils/custom-actions.js';
+import { templateEngine } from '../utils/template-engine.js';
+import { settings } from '../utils/settings.js';
+import { promptHistory } from '../utils/prompt-history.js';
+import { pageContent } from '../utils/page-content.js';
+import { regionCapture } from '../utils/region-capture.js';
+import { replaceSelection } from '../utils/replace-selection.js';
+import { validation } from '../utils/validation.js';
 import {
-  ARENA_HOST_PATTERNS,
   CONFIG,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   CONTEXT_MENU_IDS,
+  COMMAND_IDS,
   PROMPT_TEMPLATES,
-  ACTION_STORAGE_KEYS
+  ACTION_LABELS,
+  ACTION_STORAGE_KEYS,
+  ARENA_HOST_PATTERNS,
+  INJECTION_TARGETS,
+  SEND_MODES,
+  HISTORY_STATUS,
+  PORT_NAMES,
+  SELECTOR_OVERRIDE_ROLES,
+  ARENA_TOOLS_ACTIONS,
+  PANEL_MODES
 } from '../utils/constants.js';
 
+const ACTION_ID_PATTERN = /^[a-z0-9-]{8,128}$/i;
+const FRAME_TOKEN_PATTERN = /^[a-z0-9-]{8,128}$/i;
+
+// Built-in actions that work on the readable page text instead of the selection
+const PAGE_ACTIONS = new Set(['summarizePage', 'askAboutPage']);
+
+// Built-in actions whose answer can be applied back over the text they were run on
+const REPLACEABLE_ACTIONS = new Set(['rewrite', 'proofread']);
+
+// Images handed to the Arena composer, as read by readPageImage
+const IMAGE_DATA_URL_PATTERN = /^data:image\/[\w.+-]+;base64,[A-Za-z0-9+/=]+$/;
+
+// Side panel page, as declared under side_panel in the manifest
+const SIDE_PANEL_PATH = 'sidepanel/sidepanel.html';
+
+// Identity tokens of side panel frames, keyed by window ID (mirrored in chrome.storage.session)
+const panelFrameTokens = new Map();
+
+// Ports of side panel frames that announced ARENA_READY, keyed by window ID
+const readyFrames = new Map();
+
+// Ports of top-level Arena tab frames that announced ARENA_READY, keyed by tab ID
+const tabFrames = new Map();
+
+// Unanswered "ask each time" questions shown in the side panel, keyed by window ID
+const targetChoices = new Map();
+
+// Actions waiting for a ready frame, in FIFO order, keyed by window ID (mirrored in chrome.storage.local)
+const actionQueues = new Map();
+
+// The action currently delivered to each window's frame and awaiting its result
+const inFlightActions = new Map();
+
+// Windows whose frame is still answering the last injected prompt, with that action and the release timer
+const busyWindows = new Map();
+
+// Timers that reset a tab's toolbar badge after a shortcut notice, keyed by tab ID
+const badgeTimers = new Map();
+
+// Editable selections that Rewrite and Proofread answers can replace, oldest first, keyed by action ID
+const replaceTargets = new Map();
+
+// Selector tests from the options page waiting for their frame's report, keyed by request ID
+const selectorTests = new Map();
+
+// Arena URL of each tab's own side panel in PANEL_MODES.TAB, null until its frame reports one (mirrored in chrome.storage.session)
+const panelTabUrls = new Map();
+
+// Side panel mode from settings, cached so opening the panel never waits on storage
+let panelMode = PANEL_MODES.WINDOW;
+
 /**
  * Generates a UUID for action tracking
  * @returns {string} UUID string
@@ -120,360 +188,1794 @@ const sanitizeDownloadFilename = (filename) => {
 };
 
 /**
- * Creates a prompt based on the action type
- * @param {string} action - Action type (summarize, explain, rewrite)
+ * Truncates page metadata (title, URL) before it reaches a template
+ * @param {*} value - Raw value from the tab or context menu info
+ * @param {number} maxLength - Maximum allowed length
+ * @returns {string} Bounded string, or an empty string if missing
+ */
+const boundPageValue = (value, maxLength) =>
+  typeof value === 'string' ? value.substring(0, maxLength) : '';
+
+/**
+ * Resolves the human-readable name of the browser UI language
+ * @returns {string} Language name such as "German", or the raw tag if unknown
+ */
+const getBrowserLanguage = () => {
+  const tag = chrome.i18n?.getUILanguage?.() || navigator.language || '';
+  if (!tag) {
+    return '';
+  }
+
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(tag.split('-')[0]) || tag;
+  } catch {
+    return tag;
+  }
+};
+
+/**
+ * Collects the values available to {{placeholders}} in prompt templates
+ * @param {string} selection - Sanitized selection text
+ * @param {Object} [pageContext] - Source page details with url and title
+ * @returns {Promise<Object<string, string>>} Template variables
+ */
+const buildTemplateVariables = async (selection, pageContext = {}) => {
+  const details = await userDetails.get();
+
+  let date = '';
+  try {
+    date = new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+  } catch {
+    date = new Date().toISOString().slice(0, 10);
+  }
+
+  return {
+    selection,
+    url: boundPageValue(pageContext.url, CONFIG.VALIDATION.MAX_PAGE_URL_LENGTH),
+    title: boundPageValue(pageContext.title, CONFIG.VALIDATION.MAX_PAGE_TITLE_LENGTH),
+    name: details.name,
+    date,
+    language: getBrowserLanguage()
+  };
+};
+
+/**
+ * Resolves the template for a built-in action type or custom action ID
+ * @param {string} action - Action type or custom action ID
+ * @returns {Promise<string|null>} Template text, or null if the action is unknown
+ */
+const resolveTemplate = async (action) => {
+  if (Object.hasOwn(PROMPT_TEMPLATES, action)) {
+    return settings.getPromptTemplate(action);
+  }
+
+  const customAction = await customActions.get(action);
+  return customAction ? customAction.template : null;
+};
+
+/**
+ * Creates a prompt based on the action type. A template may use {{selection}} more than
+ * once, so the selection is shortened until the rendered prompt fits MAX_PROMPT_LENGTH.
+ * @param {string} action - Built-in action type (summarize, explain, rewrite) or custom action ID
  * @param {string} selectedText - User's selected text
- * @returns {string} Formatted prompt
+ * @param {Object} [pageContext] - Source page details with url and title
+ * @returns {Promise<string>} Formatted prompt
+ * @throws {Error} If the template alone leaves no room for the selection
  */
-const createPrompt = (action, selectedText) => {
+const createPrompt = async (action, selectedText, pageContext) => {
   const sanitized = sanitizeSelection(selectedText);
   if (!sanitized) {
     return '';
   }
 
-  const template = PROMPT_TEMPLATES[action];
+  let template = await resolveTemplate(action);
   if (!template) {
     logger.warn('Unknown action type:', action);
-    return sanitized;
+    template = '{{selection}}';
+  }
+
+  const prepared = templateEngine.withSelection(template);
+  const variables = await buildTemplateVariables(sanitized, pageContext);
+
+  // Everything but the selection, measured with a one-character stand-in for each use
+  const uses = templateEngine.countPlaceholder(prepared, 'selection');
+  const overhead = templateEngine.render(prepared, { ...variables, selection: 'x' }).length - uses;
+  const budget = Math.floor((CONFIG.VALIDATION.MAX_PROMPT_LENGTH - overhead) / uses);
+  if (variables.selection.length > budget) {
+    // The shortened selection ends with the truncation marker, which must fit as well
+    if (budget <= pageContent.TRUNCATION_MARKER.length * 2) {
+      throw new Error(ERROR_MESSAGES.PROMPT_TOO_LONG);
+    }
+    logger.info('Selection shortened to fit the prompt', { length: variables.selection.length, budget });
+    variables.selection = pageContent.truncate(variables.selection, budget);
   }
 
-  return template + sanitized;
+  return templateEngine.render(prepared, variables);
 };
 
 /**
- * Stores a pending action in chrome.storage.local
- * @param {string} prompt - The formatted prompt to store
- * @returns {Promise<string>} The action ID
+ * Checks whether a persisted queue item is well-formed
+ * @param {*} item - Raw queue item from storage
+ * @returns {boolean} Validation result
  */
-const storePendingAction = async (prompt) => {
-  const action = {
-    prompt,
-    timestamp: Date.now(),
-    id: generateUUID()
-  };
+const isValidQueueItem = (item) =>
+  Boolean(item) &&
+  typeof item === 'object' &&
+  typeof item.id === 'string' &&
+  ACTION_ID_PATTERN.test(item.id) &&
+  typeof item.prompt === 'string' &&
+  item.prompt.length > 0 &&
+  item.prompt.length <= CONFIG.VALIDATION.MAX_PROMPT_LENGTH &&
+  Object.values(SEND_MODES).includes(item.sendMode) &&
+  isValidWindowId(item.windowId) &&
+  (item.tabId === null || isValidTabId(item.tabId)) &&
+  Number.isFinite(item.timestamp);
 
-  await chrome.storage.local.set({
-    [ACTION_STORAGE_KEYS.PENDING_ACTION]: action
-  });
+/**
+ * Converts a delivery entry into the record kept in storage
+ * @param {Object} entry - Delivery entry
+ * @returns {Object} Serializable queue item
+ */
+const toQueueItem = (entry) => ({
+  id: entry.id,
+  prompt: entry.prompt,
+  sendMode: entry.sendMode,
+  label: entry.label,
+  windowId: entry.windowId,
+  tabId: entry.tabId,
+  timestamp: entry.timestamp,
+  deliveredAt: entry.deliveredAt
+});
+
+let queueWrite = Promise.resolve();
+
+/**
+ * Mirrors every in-flight and queued action to chrome.storage.local, in FIFO order per window.
+ * Writes are chained so an earlier snapshot never lands after a newer one.
+ * @returns {Promise<void>}
+ */
+const persistActionQueue = () => {
+  const items = [];
+  for (const windowId of new Set([...inFlightActions.keys(), ...actionQueues.keys()])) {
+    const inFlight = inFlightActions.get(windowId);
+    if (inFlight) {
+      items.push(toQueueItem(inFlight));
+    }
+    items.push(...(actionQueues.get(windowId) || []).map(toQueueItem));
+  }
+
+  queueWrite = queueWrite
+    .then(() => (items.length
+      ? chrome.storage.local.set({ [ACTION_STORAGE_KEYS.ACTION_QUEUE]: items })
+      : chrome.storage.local.remove(ACTION_STORAGE_KEYS.ACTION_QUEUE)))
+    .catch((error) => logger.error(ERROR_MESSAGES.STORAGE_WRITE, error));
 
-  logger.debug(SUCCESS_MESSAGES.ACTION_STORED, { id: action.id });
-  return action.id;
+  return queueWrite;
 };
 
 /**
- * Delivers a message to Arena contexts in the active window and the extension runtime
- * @param {Object} message - Message to broadcast
- * @param {number} [windowId] - Optional window ID to target
+ * Records the identity token of the side panel frame for a window
+ * @param {*} windowId - Window hosting the side panel
+ * @param {*} token - Token generated by the side panel page
  * @returns {Promise<void>}
+ * @throws {Error} If the window ID or token is malformed
  */
-const broadcastMessage = async (message, windowId) => {
-  try {
-    const tabs = await chrome.tabs.query(
-      isValidWindowId(windowId)
-        ? { windowId, url: ARENA_HOST_PATTERNS }
-        : { currentWindow: true, url: ARENA_HOST_PATTERNS }
-    );
-    const promises = tabs.map(async (tab) => {
-      try {
-        if (isValidTabId(tab.id)) {
-          await chrome.tabs.sendMessage(tab.id, message);
-        }
-      } catch (error) {
-        // Tab might not have content script - log at debug level
-        logger.debug('Failed to send message to tab', { tabId: tab.id, error: error.message });
+const registerPanelFrame = async (windowId, token) => {
+  if (!isValidWindowId(windowId) || typeof token !== 'string' || !FRAME_TOKEN_PATTERN.test(token)) {
+    throw new Error(ERROR_MESSAGES.INVALID_DATA);
+  }
+
+  panelFrameTokens.set(windowId, token);
+  await chrome.storage.session.set({
+    [CONFIG.STORAGE_KEYS.PANEL_FRAMES]: Object.fromEntries(panelFrameTokens)
+  });
+  logger.debug('Side panel frame registered', { windowId });
+};
+
+/**
+ * Checks a frame's token against the side panel registered for its window
+ * @param {*} windowId - Window ID reported by the frame
+ * @param {*} token - Token reported by the frame
+ * @returns {Promise<boolean>} Whether the frame is that window's side panel frame
+ */
+const isPanelFrameToken = async (windowId, token) => {
+  if (!isValidWindowId(windowId) || typeof token !== 'string' || !token) {
+    return false;
+  }
+
+  // After a service worker restart the in-memory map is empty; session storage still has it
+  if (!panelFrameTokens.has(windowId)) {
+    try {
+      const result = await chrome.storage.session.get(CONFIG.STORAGE_KEYS.PANEL_FRAMES);
+      for (const [id, storedToken] of Object.entries(result[CONFIG.STORAGE_KEYS.PANEL_FRAMES] || {})) {
+        panelFrameTokens.set(Number(id), storedToken);
       }
-    });
+    } catch (error) {
+      logger.debug('Failed to restore side panel frame tokens', error);
+    }
+  }
 
-    const runtimeBroadcast = chrome.runtime.sendMessage(message).catch((error) => {
-      logger.debug('Runtime broadcast skipped', error);
-    });
+  return panelFrameTokens.get(windowId) === token;
+};
+
+/**
+ * Returns the side panel page for a tab. In PANEL_MODES.TAB every tab gets its own page,
+ * which learns its tab ID from the query string.
+ * @param {number} tabId - Tab ID
+ * @returns {string} Extension-relative page path
+ */
+const getPanelPath = (tabId) =>
+  (panelMode === PANEL_MODES.TAB ? `${SIDE_PANEL_PATH}?tabId=${tabId}` : SIDE_PANEL_PATH);
 
-    await Promise.allSettled([...promises, runtimeBroadcast]);
-    logger.debug('Broadcast complete', { tabCount: tabs.length, windowId });
+/**
+ * Mirrors panelTabUrls to session storage so it survives a service worker restart
+ * @returns {Promise<void>}
+ */
+const persistPanelTabs = async () => {
+  try {
+    await chrome.storage.session.set({
+      [CONFIG.STORAGE_KEYS.PANEL_TABS]: Object.fromEntries(panelTabUrls)
+    });
   } catch (error) {
-    logger.error('Broadcast failed', error);
+    logger.debug('Failed to persist tab side panels', error);
   }
 };
 
 /**
- * Opens the side panel using tabId (most reliable method)
- * @param {number} tabId - Chrome tab ID
- * @param {number} retryCount - Current retry attempt
- * @returns {Promise<boolean>} Success status
+ * Gives a tab its own side panel page in PANEL_MODES.TAB. Nothing is awaited before
+ * chrome.sidePanel.setOptions is called, so panel opening keeps its user gesture.
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
  */
-const openSidePanelByTab = async (tabId, retryCount = 0) => {
-  try {
-    if (!isValidTabId(tabId)) {
-      throw new Error('Invalid tab ID');
-    }
+const preparePanelTab = (tabId) => {
+  if (panelMode !== PANEL_MODES.TAB || !isValidTabId(tabId)) {
+    return Promise.resolve();
+  }
 
-    await chrome.sidePanel.open({ tabId });
+  const prepared = chrome.sidePanel.setOptions({ tabId, path: getPanelPath(tabId), enabled: true });
+  if (!panelTabUrls.has(tabId)) {
+    panelTabUrls.set(tabId, null);
+    void persistPanelTabs();
+  }
+  return prepared.catch((error) => {
+    logger.debug('Failed to set the side panel of a tab', { tabId, error: error.message });
+  });
+};
 
-    logger.info(SUCCESS_MESSAGES.PANEL_OPENED, { method: 'tabId', tabId });
-    return true;
-  } catch (error) {
-    logger.debug(ERROR_MESSAGES.PANEL_OPEN_RETRY, { attempt: retryCount + 1, error: error.message });
+/**
+ * Switches between one side panel per window and one per tab. The shared panel is
+ * disabled in PANEL_MODES.TAB, so tabs that never opened their own show none. Going back
+ * to PANEL_MODES.WINDOW points every tab at the shared panel again and forgets their URLs.
+ * @param {string} mode - One of PANEL_MODES
+ * @returns {Promise<void>}
+ */
+const applyPanelMode = async (mode) => {
+  panelMode = mode;
+  await chrome.sidePanel.setOptions({ path: SIDE_PANEL_PATH, enabled: mode === PANEL_MODES.WINDOW });
+
+  if (mode === PANEL_MODES.WINDOW && panelTabUrls.size > 0) {
+    await Promise.all(Array.from(panelTabUrls.keys(), (tabId) =>
+      chrome.sidePanel.setOptions({ tabId, path: SIDE_PANEL_PATH, enabled: true }).catch(() => {
+        // The tab is gone
+      })
+    ));
+    panelTabUrls.clear();
+    await persistPanelTabs();
+  }
 
-    if (retryCount < CONFIG.TIMEOUTS.MAX_RETRY_ATTEMPTS) {
-      await new Promise((resolve) =>
-        setTimeout(resolve, CONFIG.TIMEOUTS.RETRY_DELAY)
-      );
-      return openSidePanelByTab(tabId, retryCount + 1);
-    }
+  logger.debug('Side panel mode applied', { mode });
+};
 
-    logger.error(ERROR_MESSAGES.PANEL_OPEN, error);
-    return false;
+/**
+ * Records the conversation a tab's own side panel shows
+ * @param {*} tabId - Tab whose side panel reported the URL
+ * @param {*} url - Arena URL of the conversation
+ * @returns {Promise<void>}
+ * @throws {Error} If the tab ID or URL is malformed
+ */
+const savePanelTabUrl = async (tabId, url) => {
+  if (!isValidTabId(tabId) || !validation.isArenaUrl(url)) {
+    throw new Error(ERROR_MESSAGES.INVALID_DATA);
+  }
+
+  if (panelMode === PANEL_MODES.TAB && panelTabUrls.get(tabId) !== url) {
+    panelTabUrls.set(tabId, url);
+    await persistPanelTabs();
   }
 };
 
 /**
- * Opens the side panel using windowId (fallback method)
- * @param {number} windowId - Chrome window ID
- * @param {number} retryCount - Current retry attempt
- * @returns {Promise<boolean>} Success status
+ * Restores the side panel mode and the tabs' side panel URLs after a service worker restart
+ * @returns {Promise<void>}
  */
-const openSidePanelByWindow = async (windowId, retryCount = 0) => {
+const restorePanelState = async () => {
   try {
-    if (!isValidWindowId(windowId)) {
-      throw new Error(ERROR_MESSAGES.INVALID_TAB);
+    const result = await chrome.storage.session.get(CONFIG.STORAGE_KEYS.PANEL_TABS);
+    for (const [id, url] of Object.entries(result[CONFIG.STORAGE_KEYS.PANEL_TABS] || {})) {
+      if (isValidTabId(Number(id))) {
+        panelTabUrls.set(Number(id), validation.isArenaUrl(url) ? url : null);
+      }
     }
 
-    await chrome.sidePanel.open({ windowId });
-
-    logger.info(SUCCESS_MESSAGES.PANEL_OPENED, { method: 'windowId', windowId });
-    return true;
+    await applyPanelMode((await settings.get()).panelMode);
   } catch (error) {
-    logger.debug(ERROR_MESSAGES.PANEL_OPEN_RETRY, { attempt: retryCount + 1 });
+    logger.error('Failed to restore the side panel mode', error);
+  }
+};
 
-    if (retryCount < CONFIG.TIMEOUTS.MAX_RETRY_ATTEMPTS) {
-      await new Promise((resolve) =>
-        setTimeout(resolve, CONFIG.TIMEOUTS.RETRY_DELAY)
-      );
-      return openSidePanelByWindow(windowId, retryCount + 1);
+/**
+ * Finds the queued or in-flight delivery entry for an action
+ * @param {string} actionId - Action ID
+ * @returns {Object|null} Delivery entry, or null if it has already settled
+ */
+const findDelivery = (actionId) => {
+  for (const entry of inFlightActions.values()) {
+    if (entry.id === actionId) {
+      return entry;
+    }
+  }
+  for (const queue of actionQueues.values()) {
+    const entry = queue.find((queued) => queued.id === actionId);
+    if (entry) {
+      return entry;
     }
-
-    logger.error(ERROR_MESSAGES.PANEL_OPEN, error);
-    return false;
   }
+  return null;
 };
 
 /**
- * Opens side panel with multiple fallback methods
- * @param {Object} options - Options containing tabId and/or windowId
- * @returns {Promise<boolean>} Success status
+ * Looks up the ready port for an action's target frame
+ * @param {Object} entry - Delivery entry
+ * @returns {chrome.runtime.Port|undefined} Port of the side panel frame or the target tab
  */
-const openSidePanel = async ({ tabId, windowId }) => {
-  // Method 1: Try using tabId first (most reliable from context menu)
-  if (isValidTabId(tabId)) {
-    const success = await openSidePanelByTab(tabId);
-    if (success) return true;
+const getTargetPort = (entry) =>
+  entry.tabId === null ? readyFrames.get(entry.windowId) : tabFrames.get(entry.tabId);
+
+/**
+ * Asks the target frame to announce ARENA_READY, once per action
+ * @param {Object} entry - Delivery entry whose target has no ready port
+ */
+const requestReady = (entry) => {
+  if (entry.readyRequested) {
+    return;
   }
+  entry.readyRequested = true;
 
-  // Method 2: Try using windowId
-  if (isValidWindowId(windowId)) {
-    const success = await openSidePanelByWindow(windowId);
-    if (success) return true;
+  if (entry.tabId === null) {
+    // Ask an already-open side panel to re-introduce its frame (e.g. after a service worker restart)
+    chrome.runtime.sendMessage({ type: 'REQUEST_ARENA_READY', windowId: entry.windowId }).catch(() => {
+      // No side panel page is listening yet; its iframe announces itself once loaded
+    });
+  } else {
+    chrome.tabs.sendMessage(entry.tabId, { type: 'REQUEST_ARENA_READY' }, { frameId: 0 }).catch((error) => {
+      logger.debug('Arena tab did not answer ready request', { tabId: entry.tabId, error: error.message });
+    });
   }
+};
 
-  // Method 3: Get active tab and try with that
-  try {
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (isValidTabId(tabs[0]?.id)) {
-      const success = await openSidePanelByTab(tabs[0].id);
-      if (success) return true;
-    }
-  } catch (error) {
-    logger.error('Active tab fallback failed', error);
+/**
+ * Fails an action that was not accepted in time
+ * @param {Object} entry - Delivery entry
+ */
+const timeOutEntry = (entry) => {
+  logger.warn(ERROR_MESSAGES.ACTION_TIMEOUT, { actionId: entry.id, windowId: entry.windowId });
+  entry.settle({ success: false, error: ERROR_MESSAGES.ACTION_TIMEOUT });
+};
+
+/**
+ * Lets a window's queue advance again after its frame finished responding
+ * @param {number} windowId - Window to release
+ */
+const releaseWindow = (windowId) => {
+  const busy = busyWindows.get(windowId);
+  if (!busy) {
+    return;
   }
 
-  return false;
+  clearTimeout(busy.timeoutId);
+  busyWindows.delete(windowId);
+  void deliverNext(windowId);
 };
 
 /**
- * Handles text selection actions (summarize, explain, rewrite)
- * @param {string} action - Action type
- * @param {string} selectedText - Selected text from the page
- * @param {Object} tabInfo - Tab information with tabId and windowId
- * @returns {Promise<void>}
+ * Holds a window's queue while Arena answers the prompt its frame just injected.
+ * The frame reports FRAME_IDLE once the response has finished; RESPONSE_WAIT bounds the wait.
+ * @param {number} windowId - Window whose queue waits
+ * @param {chrome.runtime.Port} port - Frame that injected the prompt
+ * @param {string} actionId - Action whose prompt Arena is answering
  */
-const handleTextAction = async (action, selectedText, tabInfo) => {
-  const broadcastTimeouts = [];
-  let injectionListener = null;
-  
-  try {
-    logger.info('Handling text action', { action, tabInfo });
+const markWindowBusy = (windowId, port, actionId) => {
+  clearTimeout(busyWindows.get(windowId)?.timeoutId);
 
-    // 1. OPEN SIDE PANEL FIRST (Critical order) - Use tabId for reliability
-    const panelOpened = await openSidePanel(tabInfo);
-    if (!panelOpened) {
-      throw new Error(ERROR_MESSAGES.PANEL_OPEN);
+  const timeoutId = setTimeout(() => {
+    logger.warn('Arena response did not finish in time, advancing the queue', { windowId });
+    releaseWindow(windowId);
+  }, CONFIG.TIMEOUTS.RESPONSE_WAIT);
+
+  busyWindows.set(windowId, { port, actionId, timeoutId });
+};
+
+/**
+ * Creates the delivery entry for a queued action
+ * @param {Object} item - Queue item with id, prompt, sendMode, label, windowId, tabId and timestamp
+ * @param {Function} resolve - Receives the action's result once it settles
+ * @returns {Object} Delivery entry
+ */
+const createEntry = (item, resolve) => {
+  const entry = { ...item, deliveredAt: null, port: null, readyRequested: false, timeoutId: null, settle: null };
+  const { windowId } = entry;
+
+  entry.settle = (result) => {
+    clearTimeout(entry.timeoutId);
+
+    if (inFlightActions.get(windowId) === entry) {
+      inFlightActions.delete(windowId);
+    } else {
+      const queue = actionQueues.get(windowId);
+      const index = queue ? queue.indexOf(entry) : -1;
+      if (index !== -1) {
+        queue.splice(index, 1);
+      }
+      if (queue?.length === 0) {
+        actionQueues.delete(windowId);
+      }
     }
 
-    // 2. Create and validate prompt
-    const prompt = createPrompt(action, selectedText);
-    if (!prompt) {
-      logger.warn(ERROR_MESSAGES.INVALID_SELECTION);
-      return;
+    // The next action waits until Arena has answered this one
+    if (result.success && entry.port) {
+      markWindowBusy(windowId, entry.port, entry.id);
     }
 
-    // 3. Store pending action with UUID and timestamp IMMEDIATELY
-    // The content script will poll storage and find this
-    const actionId = await storePendingAction(prompt);
-    logger.info('Action stored in storage:', actionId);
+    entry.settle = () => {};
+    void persistActionQueue();
+    resolve({ actionId: entry.id, ...result });
+    void deliverNext(windowId);
+  };
 
-    // 4. Wait for side panel iframe to start loading
-    await new Promise((resolve) => setTimeout(resolve, 1000));
+  // Actions that never reach a ready frame expire instead of waiting forever
+  entry.timeoutId = setTimeout(
+    () => timeOutEntry(entry),
+    Math.max(0, entry.timestamp + CONFIG.TIMEOUTS.QUEUE_EXPIRY - Date.now())
+  );
 
-    // 5. Broadcast message to content scripts
-    const message = {
-      type: 'INJECT_PROMPT',
-      prompt,
-      actionId,
-      timestamp: Date.now()
-    };
+  return entry;
+};
 
-    // 6. Optimized broadcast with Promise.allSettled for better performance
-    await broadcastMessage(message, tabInfo.windowId);
-    logger.info('Initial broadcast sent', { action, actionId });
+/**
+ * Posts the next queued action to its ready target frame, one action per window at a time
+ * @param {number} windowId - Window whose queue should advance
+ * @returns {Promise<void>}
+ */
+const deliverNext = async (windowId) => {
+  const queue = actionQueues.get(windowId);
 
-    // Track if action was processed to cancel delayed broadcasts
-    let actionProcessed = false;
+  if (!queue?.length || inFlightActions.has(windowId) || busyWindows.has(windowId)) {
+    return;
+  }
 
-    // Listen for successful injection to cancel delayed broadcasts
-    injectionListener = (msg) => {
-      if (msg.type === 'PROMPT_INJECTED' && msg.actionId === actionId) {
-        actionProcessed = true;
-        broadcastTimeouts.forEach(clearTimeout);
-        broadcastTimeouts.length = 0;
-      }
-    };
-    chrome.runtime.onMessage.addListener(injectionListener);
-
-    // Schedule delayed broadcasts with cancellation support
-    const broadcastDelays = [1000, 2000, 3000, 5000];
-    broadcastDelays.forEach((delay) => {
-      const timeoutId = setTimeout(() => {
-        if (!actionProcessed) {
-          broadcastMessage(message, tabInfo.windowId).then(() => {
-            logger.debug(`Delayed broadcast sent at ${delay}ms`);
-          }).catch((err) => {
-            logger.debug('Delayed broadcast failed', err);
-          });
-        }
-      }, delay);
-      broadcastTimeouts.push(timeoutId);
-    });
+  const port = getTargetPort(queue[0]);
+  if (!port) {
+    requestReady(queue[0]);
+    return;
+  }
 
-    // Cleanup listener and timeouts after max delay
-    const cleanupTimeoutId = setTimeout(() => {
-      if (injectionListener) {
-        chrome.runtime.onMessage.removeListener(injectionListener);
-        injectionListener = null;
-      }
-      // Clear any remaining timeouts
-      broadcastTimeouts.forEach(clearTimeout);
-      broadcastTimeouts.length = 0;
-    }, 6000);
-    broadcastTimeouts.push(cleanupTimeoutId);
+  const entry = queue.shift();
+  if (queue.length === 0) {
+    actionQueues.delete(windowId);
+  }
 
-    await userDetails.updateLastVisit().catch((err) =>
-      logger.debug('Failed to update last visit', err)
-    );
+  // Persist the delivery first so a restarted service worker never sends the prompt twice
+  entry.port = port;
+  entry.deliveredAt = Date.now();
+  inFlightActions.set(windowId, entry);
+  await persistActionQueue();
+
+  if (inFlightActions.get(windowId) !== entry) {
+    // Settled (expired or disconnected) while the queue was being written
+    return;
+  }
+
+  try {
+    port.postMessage({
+      type: 'DELIVER_ACTION',
+      actionId: entry.id,
+      prompt: entry.prompt,
+      sendMode: entry.sendMode,
+      attachment: entry.attachment || null,
+      timestamp: entry.deliveredAt
+    });
+    clearTimeout(entry.timeoutId);
+    entry.timeoutId = setTimeout(() => timeOutEntry(entry), CONFIG.TIMEOUTS.ACTION_ACK);
+    logger.debug('Action delivered to ready frame', { actionId: entry.id, windowId });
   } catch (error) {
-    logger.error('Text action failed', error);
-    // Clear any pending broadcasts on error
-    broadcastTimeouts.forEach(clearTimeout);
-    broadcastTimeouts.length = 0;
-    
-    // Remove listener if it was added
-    if (injectionListener) {
-      chrome.runtime.onMessage.removeListener(injectionListener);
-    }
-    
-    // Try to at least open the panel as recovery
-    try {
-      await openSidePanel(tabInfo);
-    } catch (recoveryError) {
-      logger.error('Recovery failed', recoveryError);
+    // The port closed without a disconnect event reaching us yet; wait for the next ARENA_READY
+    logger.debug('Ready frame unreachable, keeping action queued', error);
+    if (entry.tabId === null) {
+      readyFrames.delete(windowId);
+    } else {
+      tabFrames.delete(entry.tabId);
     }
+    inFlightActions.delete(windowId);
+    entry.port = null;
+    entry.deliveredAt = null;
+    entry.readyRequested = false;
+    actionQueues.set(windowId, [entry, ...(actionQueues.get(windowId) || [])]);
+    void persistActionQueue();
+  }
+};
+
+/**
+ * Queues an action for a window's side panel frame or one of its Arena tabs and waits for its result
+ * @param {number} windowId - Window the action belongs to
+ * @param {number|null} tabId - Target Arena tab, or null for the side panel frame
+ * @param {Object} action - Action with id, prompt, sendMode and label
+ * @returns {Promise<{success: boolean, actionId: string, error?: string}>} Acknowledged result or timeout
+ */
+const deliverAction = async (windowId, tabId, action) => {
+  await queueRestored;
+
+  const waiting = (actionQueues.get(windowId)?.length || 0) + (inFlightActions.has(windowId) ? 1 : 0);
+  if (waiting >= CONFIG.VALIDATION.MAX_QUEUED_ACTIONS) {
+    logger.warn(ERROR_MESSAGES.ACTION_QUEUE_FULL, { windowId });
+    return { success: false, actionId: action.id, error: ERROR_MESSAGES.ACTION_QUEUE_FULL };
+  }
+
+  return new Promise((resolve) => {
+    const entry = createEntry({ ...action, windowId, tabId, timestamp: Date.now() }, resolve);
+    const queue = actionQueues.get(windowId) || [];
+    queue.push(entry);
+    actionQueues.set(windowId, queue);
+    logger.debug(SUCCESS_MESSAGES.ACTION_QUEUED, { actionId: entry.id, windowId, position: queue.length });
+    void persistActionQueue();
+    void deliverNext(windowId);
+  });
+};
+
+/**
+ * Cancels an action that is still waiting in its queue; delivered actions cannot be recalled
+ * @param {*} actionId - ID of the queued action
+ * @throws {Error} If the action is not waiting in any queue
+ */
+const cancelQueuedAction = (actionId) => {
+  const entry = typeof actionId === 'string' ? findDelivery(actionId) : null;
+  if (!entry || entry.deliveredAt !== null) {
+    throw new Error(ERROR_MESSAGES.ACTION_NOT_QUEUED);
   }
+
+  logger.info('Queued action cancelled', { actionId });
+  entry.settle({ success: false, error: ERROR_MESSAGES.ACTION_CANCELLED });
 };
 
-/**
- * Creates all context menus for the extension
- */
-const createContextMenus = () => {
-  try {
-    chrome.contextMenus.removeAll(() => {
-      const createMenuItem = (properties) => {
-        try {
-          const result = chrome.contextMenus.create(properties);
-          if (result && typeof result.catch === 'function') {
-            result.catch((error) => {
-              logger.error('Failed to create context menu item', { id: properties.id, error: error.message });
-            });
-          }
-        } catch (error) {
-          logger.error('Failed to create context menu item', { id: properties.id, error: error.message });
-        }
-      };
+/**
+ * Rebuilds the queues persisted before the service worker stopped. Actions that had
+ * already been delivered are dropped: their outcome is unknown and resending could
+ * submit the prompt twice.
+ * @returns {Promise<void>}
+ */
+const restoreActionQueue = async () => {
+  try {
+    const result = await chrome.storage.local.get(ACTION_STORAGE_KEYS.ACTION_QUEUE);
+    const items = result[ACTION_STORAGE_KEYS.ACTION_QUEUE];
+    if (!Array.isArray(items)) {
+      return;
+    }
+
+    // Window IDs do not survive a browser restart
+    const openWindowIds = new Set((await chrome.windows.getAll()).map((window) => window.id));
+    const now = Date.now();
+    for (const item of items) {
+      if (
+        !isValidQueueItem(item) ||
+        Number.isFinite(item.deliveredAt) ||
+        now - item.timestamp > CONFIG.TIMEOUTS.QUEUE_EXPIRY ||
+        !openWindowIds.has(item.windowId)
+      ) {
+        continue;
+      }
+
+      // Nobody awaits a restored action; settling only removes it from the queue
+      const entry = createEntry(item, () => {});
+      const queue = actionQueues.get(entry.windowId) || [];
+      queue.push(entry);
+      actionQueues.set(entry.windowId, queue);
+    }
+
+    const restored = [...actionQueues.values()].reduce((count, queue) => count + queue.length, 0);
+    logger.info('Action queue restored', { restored, dropped: items.length - restored });
+
+    await persistActionQueue();
+    for (const windowId of [...actionQueues.keys()]) {
+      void deliverNext(windowId);
+    }
+  } catch (error) {
+    logger.error('Failed to restore action queue', error);
+  }
+};
+
+/**
+ * Reads the site adapter a frame reported in ARENA_READY, e.g. "arena@2", for the log
+ * @param {*} adapter - Reported adapter and selector set version
+ * @returns {string} Adapter name, or 'unknown' for older or malformed reports
+ */
+const toAdapterName = (adapter) =>
+  typeof adapter === 'string' && /^[a-z0-9-]{1,32}@\d{1,4}$/.test(adapter) ? adapter : 'unknown';
+
+/**
+ * Registers a frame that can accept actions: the side panel frame of a window when it
+ * presents that panel's token, otherwise the top-level frame of an Arena tab
+ * @param {chrome.runtime.Port} port - Port opened by the frame's content script
+ * @param {Object} message - ARENA_READY message with optional windowId, token and adapter
+ * @returns {Promise<void>}
+ */
+const handleArenaReady = async (port, { windowId, token, adapter }) => {
+  if (token !== undefined) {
+    if (!(await isPanelFrameToken(windowId, token))) {
+      logger.warn('Ignoring ARENA_READY with an unknown side panel token');
+      return;
+    }
+
+    readyFrames.set(windowId, port);
+    logger.info('Side panel frame ready', { windowId, adapter: toAdapterName(adapter) });
+    void deliverNext(windowId);
+    return;
+  }
+
+  const tab = port.sender?.tab;
+  if (port.sender?.frameId !== 0 || !isValidTabId(tab?.id) || !isValidWindowId(tab.windowId)) {
+    logger.warn('Ignoring ARENA_READY from a frame that is neither the side panel nor a tab');
+    return;
+  }
+
+  tabFrames.set(tab.id, port);
+  logger.info('Arena tab ready', { tabId: tab.id, adapter: toAdapterName(adapter) });
+  void deliverNext(tab.windowId);
+};
+
+/**
+ * Settles the in-flight action a frame reported a result for. Only the port the action was
+ * delivered to may report it, so another frame cannot settle it and advance the queue early.
+ * @param {chrome.runtime.Port} port - Frame that reported the result
+ * @param {string} actionId - Action ID
+ * @param {boolean} success - Whether the prompt was injected
+ * @param {string} [error] - Failure reason
+ */
+const settleDelivery = (port, actionId, success, error) => {
+  const entry = findDelivery(actionId);
+  if (!entry) {
+    return;
+  }
+  if (entry.port === null || entry.port !== port) {
+    logger.warn('Ignoring ACTION_RESULT from a frame the action was not delivered to');
+    return;
+  }
+
+  entry.settle(success
+    ? { success: true }
+    : { success: false, error: error || ERROR_MESSAGES.PROMPT_INJECTION_FAILED });
+};
+
+/**
+ * Stores the answer a frame captured for the prompt it last injected. Only the frame the
+ * window is still waiting on may report it, so a page cannot attach answers to other actions.
+ * @param {chrome.runtime.Port} port - Frame that captured the response
+ * @param {Object} message - RESPONSE_CAPTURED message with actionId and responses
+ * @returns {Promise<void>}
+ */
+const handleResponseCaptured = async (port, { actionId, responses }) => {
+  const isAwaited = [...busyWindows.values()].some((busy) => busy.port === port && busy.actionId === actionId);
+  if (!isAwaited) {
+    logger.warn('Ignoring RESPONSE_CAPTURED for an action the frame is not answering');
+    return;
+  }
+
+  const items = Array.isArray(responses)
+    ? responses
+      .filter((response) => typeof response === 'string' && response.trim().length > 0)
+      .slice(0, CONFIG.VALIDATION.MAX_CAPTURED_RESPONSES)
+      .map((response) => response.slice(0, CONFIG.VALIDATION.MAX_RESPONSE_LENGTH))
+    : [];
+
+  if (items.length === 0) {
+    logger.warn(ERROR_MESSAGES.INVALID_DATA, { actionId });
+    return;
+  }
+
+  if (await promptHistory.recordResponses(actionId, items)) {
+    logger.info(SUCCESS_MESSAGES.RESPONSE_CAPTURED, { actionId, responses: items.length });
+  }
+  offerReplacement(actionId, items);
+};
+
+/**
+ * Advances the queues a frame was holding while Arena answered its last prompt
+ * @param {chrome.runtime.Port} port - Frame that reported FRAME_IDLE or disconnected
+ */
+const releaseFrame = (port) => {
+  for (const [windowId, busy] of [...busyWindows]) {
+    if (busy.port === port) {
+      releaseWindow(windowId);
+    }
+  }
+};
+
+/**
+ * Forgets a frame whose port closed and fails the action it was handling
+ * @param {chrome.runtime.Port} port - Disconnected port
+ */
+const handleFramePortDisconnect = (port) => {
+  for (const [windowId, readyPort] of readyFrames) {
+    if (readyPort === port) {
+      readyFrames.delete(windowId);
+      logger.debug('Side panel frame disconnected', { windowId });
+    }
+  }
+
+  for (const [tabId, readyPort] of tabFrames) {
+    if (readyPort === port) {
+      tabFrames.delete(tabId);
+      logger.debug('Arena tab frame disconnected', { tabId });
+    }
+  }
+
+  for (const entry of [...inFlightActions.values()]) {
+    if (entry.port === port) {
+      entry.settle({ success: false, error: ERROR_MESSAGES.FRAME_DISCONNECTED });
+    }
+  }
+
+  releaseFrame(port);
+};
+
+/**
+ * Resolves the window a text action targets
+ * @param {Object} tabInfo - Tab information with tabId and/or windowId
+ * @returns {Promise<number|null>} Window ID, or null if it cannot be determined
+ */
+const resolveWindowId = async ({ tabId, windowId }) => {
+  if (isValidWindowId(windowId)) {
+    return windowId;
+  }
+
+  try {
+    const resolved = isValidTabId(tabId)
+      ? (await chrome.tabs.get(tabId)).windowId
+      : (await chrome.windows.getLastFocused()).id;
+    return isValidWindowId(resolved) ? resolved : null;
+  } catch (error) {
+    logger.debug('Could not resolve window for text action', error);
+    return null;
+  }
+};
+
+/**
+ * Opens the side panel using tabId (most reliable method)
+ * @param {number} tabId - Chrome tab ID
+ * @param {number} retryCount - Current retry attempt
+ * @returns {Promise<boolean>} Success status
+ */
+const openSidePanelByTab = async (tabId, retryCount = 0) => {
+  try {
+    if (!isValidTabId(tabId)) {
+      throw new Error('Invalid tab ID');
+    }
+
+    // Not awaited: the tab's own page only has to be set before the panel loads
+    void preparePanelTab(tabId);
+    await chrome.sidePanel.open({ tabId });
+
+    logger.info(SUCCESS_MESSAGES.PANEL_OPENED, { method: 'tabId', tabId });
+    return true;
+  } catch (error) {
+    logger.debug(ERROR_MESSAGES.PANEL_OPEN_RETRY, { attempt: retryCount + 1, error: error.message });
+
+    // Timing is read only after the first attempt so the user gesture is not spent on storage
+    const { MAX_RETRY_ATTEMPTS, RETRY_DELAY } = await settings.getTimeouts();
+    if (retryCount < MAX_RETRY_ATTEMPTS) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, RETRY_DELAY)
+      );
+      return openSidePanelByTab(tabId, retryCount + 1);
+    }
+
+    logger.error(ERROR_MESSAGES.PANEL_OPEN, error);
+    return false;
+  }
+};
+
+/**
+ * Opens the side panel using windowId (fallback method)
+ * @param {number} windowId - Chrome window ID
+ * @param {number} retryCount - Current retry attempt
+ * @returns {Promise<boolean>} Success status
+ */
+const openSidePanelByWindow = async (windowId, retryCount = 0) => {
+  try {
+    if (!isValidWindowId(windowId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_TAB);
+    }
+
+    await chrome.sidePanel.open({ windowId });
+
+    logger.info(SUCCESS_MESSAGES.PANEL_OPENED, { method: 'windowId', windowId });
+    return true;
+  } catch (error) {
+    logger.debug(ERROR_MESSAGES.PANEL_OPEN_RETRY, { attempt: retryCount + 1 });
+
+    const { MAX_RETRY_ATTEMPTS, RETRY_DELAY } = await settings.getTimeouts();
+    if (retryCount < MAX_RETRY_ATTEMPTS) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, RETRY_DELAY)
+      );
+      return openSidePanelByWindow(windowId, retryCount + 1);
+    }
+
+    logger.error(ERROR_MESSAGES.PANEL_OPEN, error);
+    return false;
+  }
+};
+
+/**
+ * Opens side panel with multiple fallback methods
+ * @param {Object} options - Options containing tabId and/or windowId
+ * @returns {Promise<boolean>} Success status
+ */
+const openSidePanel = async ({ tabId, windowId }) => {
+  // Method 1: Try using tabId first (most reliable from context menu)
+  if (isValidTabId(tabId)) {
+    const success = await openSidePanelByTab(tabId);
+    if (success) return true;
+  }
+
+  // Method 2: Try using windowId, which opens the shared panel only
+  if (panelMode === PANEL_MODES.WINDOW && isValidWindowId(windowId)) {
+    const success = await openSidePanelByWindow(windowId);
+    if (success) return true;
+  }
+
+  // Method 3: Get active tab and try with that
+  try {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (isValidTabId(tabs[0]?.id)) {
+      const success = await openSidePanelByTab(tabs[0].id);
+      if (success) return true;
+    }
+  } catch (error) {
+    logger.error('Active tab fallback failed', error);
+  }
+
+  return false;
+};
+
+/**
+ * Finds the Arena tab an action should go to: the active tab if it is Arena,
+ * otherwise the most recently used Arena tab in the window
+ * @param {number} windowId - Window to search
+ * @returns {Promise<chrome.tabs.Tab|null>} Arena tab, or null if none is open
+ */
+const findArenaTab = async (windowId) => {
+  try {
+    const tabs = await chrome.tabs.query({ windowId, url: ARENA_HOST_PATTERNS });
+    const usable = tabs.filter((tab) => isValidTabId(tab.id));
+    usable.sort((a, b) => Number(b.active) - Number(a.active) || (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    return usable[0] || null;
+  } catch (error) {
+    logger.debug('Failed to query Arena tabs', error);
+    return null;
+  }
+};
+
+/**
+ * Shows the "ask each time" question in the window's side panel and waits for the answer.
+ * A newer question for the same window replaces an unanswered one.
+ * @param {number} windowId - Window whose side panel asks
+ * @param {Object} choice - Question details with actionId, actionLabel and tabTitle
+ * @returns {Promise<string|null>} Chosen INJECTION_TARGETS value, or null if cancelled or unanswered
+ */
+const askForTarget = (windowId, choice) => new Promise((resolve) => {
+  targetChoices.get(windowId)?.finish(null);
+
+  let timeoutId = null;
+  const finish = (target) => {
+    clearTimeout(timeoutId);
+    if (targetChoices.get(windowId)?.finish === finish) {
+      targetChoices.delete(windowId);
+    }
+    resolve(target);
+  };
+
+  timeoutId = setTimeout(() => finish(null), CONFIG.TIMEOUTS.ACTION_ACK);
+  targetChoices.set(windowId, { ...choice, finish });
+
+  chrome.runtime.sendMessage({ type: 'CHOOSE_INJECTION_TARGET', windowId, ...choice }).catch(() => {
+    // The side panel is still loading; it asks for GET_TARGET_CHOICE once ready
+  });
+});
+
+/**
+ * Resolves which frame receives an action according to the injectionTarget setting
+ * @param {string} injectionTarget - INJECTION_TARGETS value from settings
+ * @param {number} windowId - Window the action belongs to
+ * @param {Object} choice - Question details used when the setting is "ask"
+ * @returns {Promise<{tabId: number|null}>} Target tab, or null for the side panel frame
+ * @throws {Error} If no Arena tab is open or the user cancels
+ */
+const resolveInjectionTarget = async (injectionTarget, windowId, choice) => {
+  if (injectionTarget === INJECTION_TARGETS.SIDE_PANEL) {
+    return { tabId: null };
+  }
+
+  const tab = await findArenaTab(windowId);
+  if (injectionTarget === INJECTION_TARGETS.ARENA_TAB && !tab) {
+    throw new Error(ERROR_MESSAGES.NO_ARENA_TAB);
+  }
+
+  let target = injectionTarget;
+  if (injectionTarget === INJECTION_TARGETS.ASK) {
+    // Nothing to choose between without an Arena tab
+    target = tab
+      ? await askForTarget(windowId, { ...choice, tabTitle: tab.title || '' })
+      : INJECTION_TARGETS.SIDE_PANEL;
+  }
+
+  if (target === INJECTION_TARGETS.SIDE_PANEL) {
+    return { tabId: null };
+  }
+  if (target !== INJECTION_TARGETS.ARENA_TAB) {
+    throw new Error(ERROR_MESSAGES.ACTION_CANCELLED);
+  }
+
+  await chrome.tabs.update(tab.id, { active: true });
+  return { tabId: tab.id };
+};
+
+/**
+ * Resolves the display name of a built-in or custom action
+ * @param {string} action - Action type or custom action ID
+ * @returns {Promise<string>} Action label
+ */
+const getActionLabel = async (action) => {
+  if (Object.hasOwn(ACTION_LABELS, action)) {
+    return ACTION_LABELS[action];
+  }
+
+  const customAction = await customActions.get(action);
+  return customAction ? customAction.title : action;
+};
+
+/**
+ * Records a prompt in the history, queues it for its target frame and records a failed delivery
+ * @param {number} windowId - Window the prompt belongs to
+ * @param {number|null} tabId - Target Arena tab, or null for the side panel frame
+ * @param {Object} details - Prompt with id, prompt, sendMode, action, actionLabel, source url/title
+ *   and an optional image attachment (kept in memory only, never in the history)
+ * @returns {Promise<{success: boolean, actionId: string, error?: string}>} Acknowledged result or timeout
+ */
+const sendPrompt = async (windowId, tabId, { id, prompt, sendMode, action, actionLabel, url, title, attachment }) => {
+  // History is best-effort; a failed write is logged and must not hold the prompt back
+  await promptHistory.record({ id, prompt, action, actionLabel, url, title }).catch(() => {});
+
+  const result = await deliverAction(windowId, tabId, { id, prompt, sendMode, label: actionLabel, attachment });
+  if (!result.success) {
+    await promptHistory.updateStatus(id, HISTORY_STATUS.FAILED, result.error);
+  }
+
+  return result;
+};
+
+/**
+ * Sends a prompt from the history to a window's side panel frame again, as a new action
+ * @param {*} entryId - History entry to resend
+ * @param {*} windowId - Window of the side panel that asked
+ * @returns {Promise<string>} ID of the new action
+ * @throws {Error} If the window is invalid or the entry no longer exists
+ */
+const resendHistoryEntry = async (entryId, windowId) => {
+  if (!isValidWindowId(windowId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_DATA);
+  }
+
+  const entry = await promptHistory.get(entryId);
+  if (!entry) {
+    throw new Error(ERROR_MESSAGES.HISTORY_ENTRY_NOT_FOUND);
+  }
+
+  const { prompt, action, actionLabel, url, title } = entry;
+  const sendMode = await settings.getSendMode(action);
+  const actionId = generateUUID();
+
+  // The side panel follows the outcome through the history list instead of waiting here
+  void sendPrompt(windowId, null, { id: actionId, prompt, sendMode, action, actionLabel, url, title });
+  logger.info('Resending prompt from history', { entryId, actionId });
+  return actionId;
+};
+
+/**
+ * Handles text selection actions (summarize, explain, rewrite)
+ * @param {string} action - Action type
+ * @param {string} selectedText - Selected text from the page
+ * @param {Object} tabInfo - Tab information with tabId, windowId and the source page url/title
+ * @param {Object} [options] - Extra inputs from callers that read the page first
+ * @param {Promise<boolean>} [options.panelOpening] - Side panel opening already started by the caller
+ * @param {Object|null} [options.attachment] - Image to attach in the Arena composer
+ * @returns {Promise<{success: boolean, actionId?: string, error?: string}>} Acknowledged result or timeout
+ */
+const handleTextAction = async (
+  action,
+  selectedText,
+  tabInfo,
+  { panelOpening = openSidePanel(tabInfo), attachment = null } = {}
+) => {
+  let actionId = null;
+  try {
+    logger.info('Handling text action', { action, tabInfo });
+
+    // 1. OPEN SIDE PANEL FIRST (Critical order) - Use tabId for reliability
+    const panelOpened = await panelOpening;
+    if (!panelOpened) {
+      throw new Error(ERROR_MESSAGES.PANEL_OPEN);
+    }
+
+    // 2. Create and validate prompt
+    const prompt = await createPrompt(action, selectedText, tabInfo);
+    if (!prompt) {
+      logger.warn(ERROR_MESSAGES.INVALID_SELECTION);
+      return { success: false, error: ERROR_MESSAGES.INVALID_SELECTION };
+    }
+
+    const windowId = await resolveWindowId(tabInfo);
+    if (windowId === null) {
+      throw new Error(ERROR_MESSAGES.INVALID_TAB);
+    }
+
+    // 3. Pick the target frame: the side panel, an Arena tab, or ask the user
+    const { injectionTarget } = await settings.get();
+    const sendMode = await settings.getSendMode(action);
+    actionId = generateUUID();
+    const actionLabel = await getActionLabel(action);
+    if (REPLACEABLE_ACTIONS.has(action)) {
+      await rememberReplaceTarget(actionId, windowId, tabInfo, actionLabel);
+    }
+    const { tabId } = await resolveInjectionTarget(injectionTarget, windowId, { actionId, actionLabel });
+
+    // 4. Queue the action; the target frame gets it once it reports ARENA_READY and the
+    //    window's previous action has finished answering
+    const result = await sendPrompt(windowId, tabId, {
+      id: actionId,
+      prompt,
+      sendMode,
+      action,
+      actionLabel,
+      url: tabInfo.url,
+      title: tabInfo.title,
+      attachment
+    });
+    if (result.success) {
+      logger.info('Text action acknowledged', { action, actionId });
+    } else {
+      replaceTargets.delete(actionId);
+      logger.warn('Text action not acknowledged', result);
+    }
+
+    await userDetails.updateLastVisit().catch((err) =>
+      logger.debug('Failed to update last visit', err)
+    );
+
+    return result;
+  } catch (error) {
+    // A cancelled or failed action must not leave its selection to be matched later
+    replaceTargets.delete(actionId);
+
+    if (error.message === ERROR_MESSAGES.ACTION_CANCELLED) {
+      logger.info('Text action cancelled', { action });
+      return { success: false, error: error.message };
+    }
+
+    logger.error('Text action failed', error);
+
+    // Try to at least open the panel as recovery
+    try {
+      await openSidePanel(tabInfo);
+    } catch (recoveryError) {
+      logger.error('Recovery failed', recoveryError);
+    }
+
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Reads the selected text in the page, including text selected inside text fields.
+ * Runs in the page through chrome.scripting, so it must not reference anything outside itself.
+ * @returns {string|null} Selected text, or null for the PDF viewer, whose text is not in the DOM
+ */
+const readPageSelection = () => {
+  if (document.contentType === 'application/pdf') {
+    return null;
+  }
+
+  const field = document.activeElement;
+  const isTextField = field instanceof HTMLTextAreaElement ||
+    (field instanceof HTMLInputElement && field.type !== 'password');
+  // selectionStart is null for input types without a text selection
+  if (isTextField && field.selectionEnd > field.selectionStart) {
+    return field.value.slice(field.selectionStart, field.selectionEnd);
+  }
+
+  return window.getSelection()?.toString() ?? '';
+};
+
+/**
+ * Reads text from a tab's top frame with a self-contained page function
+ * @param {number} tabId - Tab to read
+ * @param {Function} reader - readPageSelection or pageContent.extractReadableText
+ * @returns {Promise<string|null>} Text, or null if the page cannot be read
+ */
+const readTabText = async (tabId, reader) => {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: reader
+    });
+    return typeof injection?.result === 'string' ? injection.result : null;
+  } catch (error) {
+    // chrome:// pages, the Web Store and other extensions refuse script injection
+    logger.debug('Could not read page text', { tabId, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Flags a problem on a tab's toolbar icon, the only place a shortcut can report it.
+ * The badge and tooltip reset after CONFIG.TIMEOUTS.BADGE_NOTICE.
+ * @param {number} tabId - Tab whose icon shows the notice
+ * @param {string} message - Reason shown in the icon's tooltip
+ * @returns {Promise<void>}
+ */
+const showBadgeNotice = async (tabId, message) => {
+  const defaultTitle = chrome.runtime.getManifest().action.default_title;
+  clearTimeout(badgeTimers.get(tabId));
+
+  try {
+    await chrome.action.setBadgeBackgroundColor({ tabId, color: '#d93025' });
+    await chrome.action.setBadgeText({ tabId, text: '!' });
+    await chrome.action.setTitle({ tabId, title: `${defaultTitle}: ${message}` });
+  } catch (error) {
+    logger.debug('Failed to show badge notice', error);
+    return;
+  }
+
+  badgeTimers.set(tabId, setTimeout(() => {
+    badgeTimers.delete(tabId);
+    // The tab may have closed in the meantime
+    chrome.action.setBadgeText({ tabId, text: '' }).catch(() => {});
+    chrome.action.setTitle({ tabId, title: defaultTitle }).catch(() => {});
+  }, CONFIG.TIMEOUTS.BADGE_NOTICE));
+};
+
+/**
+ * Runs a text action on what a tab shows, for keyboard commands, page-level menu entries and
+ * site rule icon clicks: the readable page text for PAGE_ACTIONS (truncated to
+ * MAX_SELECTION_LENGTH), otherwise the selection
+ * @param {string} action - Action type
+ * @param {Object} tabInfo - Tab information with tabId, windowId and the page url/title
+ * @param {Object} [options] - Options
+ * @param {Promise<boolean>} [options.panelOpening] - Side panel opening the caller already started
+ * @returns {Promise<void>}
+ */
+const handleTabAction = async (action, tabInfo, { panelOpening = openSidePanel(tabInfo) } = {}) => {
+  // panelOpening starts in the parameter list, before the first await, or Chrome no longer
+  // treats the shortcut as a user gesture
+  const isPageAction = PAGE_ACTIONS.has(action);
+
+  const text = isValidTabId(tabInfo.tabId)
+    ? await readTabText(tabInfo.tabId, isPageAction ? pageContent.extractReadableText : readPageSelection)
+    : null;
+  if (text === null || !text.trim()) {
+    const emptyMessage = isPageAction ? ERROR_MESSAGES.NO_PAGE_TEXT : ERROR_MESSAGES.NO_SELECTION;
+    const message = text === null ? ERROR_MESSAGES.SELECTION_UNAVAILABLE : emptyMessage;
+    logger.warn(message, { action, url: tabInfo.url });
+    await panelOpening;
+    if (isValidTabId(tabInfo.tabId)) {
+      await showBadgeNotice(tabInfo.tabId, message);
+    }
+    return;
+  }
+
+  // Normalized first so sanitizeSelection cannot cut the truncation marker off again
+  const input = isPageAction
+    ? pageContent.truncate(text.normalize('NFKC'), CONFIG.VALIDATION.MAX_SELECTION_LENGTH)
+    : text;
+  const result = await handleTextAction(action, input, tabInfo, { panelOpening });
+  if (result.error === ERROR_MESSAGES.INVALID_SELECTION) {
+    await showBadgeNotice(tabInfo.tabId, result.error);
+  }
+};
+
+/**
+ * Loads an image as a data URL from inside its page, with the page's own access to it,
+ * so same-origin and CORS-enabled images can be read.
+ * Runs in the page through chrome.scripting, so it must not reference anything outside itself.
+ * @param {string} url - Image source URL
+ * @param {number} maxBytes - Largest image accepted
+ * @returns {Promise<{dataUrl: string, type: string}|null>} Image, or null if it cannot be read
+ */
+const readPageImage = async (url, maxBytes) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      return null;
+    }
+
+    const blob = await response.blob();
+    if (!blob.type.startsWith('image/') || blob.size > maxBytes) {
+      return null;
+    }
+
+    return await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve({ dataUrl: reader.result, type: blob.type });
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(blob);
+    });
+  } catch {
+    // Cross-origin images without CORS headers cannot be read
+    return null;
+  }
+};
+
+/**
+ * Derives a file name for an attached image from its URL, falling back to a generic one
+ * @param {string} srcUrl - Image source URL
+ * @param {string} type - Image MIME type
+ * @returns {string} File name
+ */
+const getImageFileName = (srcUrl, type) => {
+  try {
+    const segment = decodeURIComponent(new URL(srcUrl).pathname.split('/').pop() || '');
+    if (/^[\w.-]{1,100}\.[a-z0-9]{2,5}$/i.test(segment)) {
+      return segment;
+    }
+  } catch {
+    // data:, blob: and malformed URLs have no usable name
+  }
+
+  const extension = type.split('/')[1]?.split('+')[0].replace(/[^a-z0-9]/gi, '') || 'png';
+  return `image.${extension}`;
+};
+
+/**
+ * Reads a context-menu image so it can be attached in the Arena composer
+ * @param {string} srcUrl - Image source URL from the context menu
+ * @param {number} tabId - Tab showing the image
+ * @param {number} [frameId] - Frame showing the image
+ * @returns {Promise<{name: string, type: string, dataUrl: string}|null>} Attachment, or null if the image cannot be read
+ */
+const loadImageAttachment = async (srcUrl, tabId, frameId) => {
+  if (typeof srcUrl !== 'string' || !srcUrl || !isValidTabId(tabId)) {
+    return null;
+  }
+
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: Number.isInteger(frameId) ? { tabId, frameIds: [frameId] } : { tabId },
+      func: readPageImage,
+      args: [srcUrl, CONFIG.VALIDATION.MAX_ATTACHMENT_BYTES]
+    });
+
+    const image = injection?.result;
+    if (typeof image?.dataUrl !== 'string' || !IMAGE_DATA_URL_PATTERN.test(image.dataUrl)) {
+      logger.info('Image could not be read, sending its address only');
+      return null;
+    }
+
+    return { name: getImageFileName(srcUrl, image.type), type: image.type, dataUrl: image.dataUrl };
+  } catch (error) {
+    logger.debug('Could not read image', { tabId, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Runs the image action: the prompt names the image, and the image itself is attached where it can be read
+ * @param {Object} info - Context menu click info with srcUrl and frameId
+ * @param {Object} tabInfo - Tab information with tabId, windowId and the page url/title
+ * @returns {Promise<void>}
+ */
+const handleImageAction = async ({ srcUrl, frameId }, tabInfo) => {
+  // Opening must start before anything is awaited, or the click no longer counts as a user gesture
+  const panelOpening = openSidePanel(tabInfo);
+  const attachment = await loadImageAttachment(srcUrl, tabInfo.tabId, frameId);
+
+  // Inline image data is far too long for a prompt; it only ever travels as the attachment
+  const source = /^https?:/i.test(srcUrl || '') ? srcUrl : 'Embedded image (see attachment)';
+  await handleTextAction('describeImage', source, tabInfo, { panelOpening, attachment });
+};
+
+/**
+ * Lets the user pick a region of the tab, then sends a cropped screenshot of it to Arena
+ * as a required attachment: the action fails if the composer does not take the image
+ * @param {Object} tabInfo - Tab information with tabId, windowId and the page url/title
+ * @returns {Promise<void>}
+ */
+const handleCaptureRegion = async (tabInfo) => {
+  // The panel opens first, so the page is already at its final width when the region is picked
+  const panelOpening = openSidePanel(tabInfo);
+  await panelOpening;
+
+  if (!isValidTabId(tabInfo.tabId)) {
+    logger.warn(ERROR_MESSAGES.CAPTURE_UNAVAILABLE);
+    return;
+  }
+
+  let region;
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tabInfo.tabId },
+      func: regionCapture.selectRegion,
+      args: [CONFIG.TIMEOUTS.REGION_SELECT]
+    });
+    region = injection?.result ?? null;
+  } catch (error) {
+    logger.warn(ERROR_MESSAGES.CAPTURE_UNAVAILABLE, { url: tabInfo.url, error: error.message });
+    await showBadgeNotice(tabInfo.tabId, ERROR_MESSAGES.CAPTURE_UNAVAILABLE);
+    return;
+  }
+
+  if (!region) {
+    logger.info('Region capture cancelled');
+    return;
+  }
+
+  let attachment;
+  try {
+    const screenshot = await chrome.tabs.captureVisibleTab(
+      isValidWindowId(tabInfo.windowId) ? tabInfo.windowId : undefined,
+      { format: 'png' }
+    );
+    const dataUrl = await regionCapture.crop(screenshot, region);
+    if (!IMAGE_DATA_URL_PATTERN.test(dataUrl) || dataUrl.length * 0.75 > CONFIG.VALIDATION.MAX_ATTACHMENT_BYTES) {
+      throw new Error('Captured region is too large to attach');
+    }
+    attachment = { name: `capture-${Date.now()}.png`, type: 'image/png', dataUrl, required: true };
+  } catch (error) {
+    logger.error(ERROR_MESSAGES.CAPTURE_FAILED, error);
+    await showBadgeNotice(tabInfo.tabId, ERROR_MESSAGES.CAPTURE_FAILED);
+    return;
+  }
+
+  await handleTextAction('captureRegion', 'Screenshot of part of the page (see attachment)', tabInfo, {
+    panelOpening,
+    attachment
+  });
+};
+
+/**
+ * Opens the side panel, or closes it if it was already open in the window
+ * @param {Object} tabInfo - Tab information with tabId and/or windowId
+ * @returns {Promise<void>}
+ */
+const toggleSidePanel = async (tabInfo) => {
+  const requestedAt = Date.now();
+
+  // Opening an open panel does nothing; it runs first to keep the user gesture
+  await openSidePanel(tabInfo);
+
+  const windowId = await resolveWindowId(tabInfo);
+  if (windowId === null) {
+    return;
+  }
+
+  // Only a panel that was already open before the shortcut closes itself
+  chrome.runtime.sendMessage({
+    type: 'CLOSE_SIDE_PANEL',
+    windowId,
+    tabId: tabInfo.tabId,
+    openedBefore: requestedAt
+  }).catch(() => {
+    // No side panel page is open
+  });
+};
+
+/**
+ * Remembers the editable selection a Rewrite or Proofread action runs on, so its answer
+ * can be applied back to the page. Selections outside text fields are not remembered.
+ * @param {string} actionId - Action the selection belongs to
+ * @param {number} windowId - Window whose side panel offers the answer
+ * @param {Object} tabInfo - Tab information with tabId and, for context menu clicks, frameId
+ * @param {string} actionLabel - Action name shown with the offer
+ * @returns {Promise<void>}
+ */
+const rememberReplaceTarget = async (actionId, windowId, tabInfo, actionLabel) => {
+  if (!isValidTabId(tabInfo.tabId)) {
+    return;
+  }
+
+  const frameId = Number.isInteger(tabInfo.frameId) ? tabInfo.frameId : 0;
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tabInfo.tabId, frameIds: [frameId] },
+      func: replaceSelection.rememberSelection,
+      args: [actionId, CONFIG.VALIDATION.MAX_REPLACE_TARGETS]
+    });
+    if (injection?.result !== true) {
+      return;
+    }
+  } catch (error) {
+    logger.debug('Could not remember the selection', { tabId: tabInfo.tabId, error: error.message });
+    return;
+  }
+
+  replaceTargets.set(actionId, { tabId: tabInfo.tabId, frameId, windowId, actionLabel, responses: null, applied: false });
+  for (const key of replaceTargets.keys()) {
+    if (replaceTargets.size <= CONFIG.VALIDATION.MAX_REPLACE_TARGETS) {
+      break;
+    }
+    replaceTargets.delete(key);
+  }
+};
+
+/**
+ * Describes a replacement offer for the side panel
+ * @param {string} actionId - Action the answer belongs to
+ * @param {Object} target - Entry from replaceTargets with captured responses
+ * @returns {{actionId: string, actionLabel: string, responseCount: number, applied: boolean}} Offer
+ */
+const toReplacementOffer = (actionId, target) => ({
+  actionId,
+  actionLabel: target.actionLabel,
+  responseCount: target.responses.length,
+  applied: target.applied
+});
+
+/**
+ * Offers a captured answer in the side panel of the window its selection came from
+ * @param {string} actionId - Action the answer belongs to
+ * @param {string[]} responses - Captured Markdown answers
+ */
+const offerReplacement = (actionId, responses) => {
+  const target = replaceTargets.get(actionId);
+  if (!target) {
+    return;
+  }
+
+  target.responses = responses;
+  target.applied = false;
+  chrome.runtime.sendMessage({
+    type: 'REPLACEMENT_READY',
+    windowId: target.windowId,
+    ...toReplacementOffer(actionId, target)
+  }).catch(() => {
+    // The side panel is closed; it asks for GET_REPLACEMENT once it opens
+  });
+};
+
+/**
+ * Finds the newest answer a window's side panel can offer to apply
+ * @param {*} windowId - Window of the side panel that asked
+ * @returns {Object|null} Offer, or null if there is none
+ */
+const findReplacementOffer = (windowId) => {
+  const offers = [...replaceTargets].filter(([, target]) => target.windowId === windowId && target.responses);
+  const [actionId, target] = offers.at(-1) || [];
+  return target ? toReplacementOffer(actionId, target) : null;
+};
+
+/**
+ * Swaps a captured answer in for the selection it was asked about, or puts the original back
+ * @param {*} actionId - Action the answer belongs to
+ * @param {number|null} responseIndex - Answer to apply, or null to undo
+ * @returns {Promise<void>}
+ * @throws {Error} If the offer is gone or the text on the page no longer matches
+ */
+const replaceOnPage = async (actionId, responseIndex) => {
+  const target = typeof actionId === 'string' ? replaceTargets.get(actionId) : null;
+  const text = responseIndex === null ? null : target?.responses?.[responseIndex];
+  if (!target?.responses || typeof text === 'undefined') {
+    throw new Error(ERROR_MESSAGES.REPLACEMENT_NOT_FOUND);
+  }
+
+  let outcome = null;
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: target.tabId, frameIds: [target.frameId] },
+      func: replaceSelection.applyReplacement,
+      args: [actionId, text]
+    });
+    outcome = injection?.result;
+  } catch (error) {
+    // The tab closed or navigated away, which also ends its activeTab grant
+    logger.debug('Could not reach the page to replace text', { actionId, error: error.message });
+  }
+
+  if (outcome === 'changed') {
+    throw new Error(ERROR_MESSAGES.REPLACE_TARGET_CHANGED);
+  }
+  if (outcome !== 'applied') {
+    replaceTargets.delete(actionId);
+    throw new Error(ERROR_MESSAGES.REPLACE_TARGET_MISSING);
+  }
+
+  target.applied = text !== null;
+  logger.info(target.applied ? 'Answer applied to the page' : 'Applied answer undone', { actionId });
+};
+
+/**
+ * Finds the Arena frame a selector test runs in: the window's side panel frame,
+ * otherwise the Arena tab an action would go to
+ * @param {number} windowId - Window of the options page
+ * @returns {Promise<{port: chrome.runtime.Port, frame: string}|null>} Frame port and its
+ *   INJECTION_TARGETS kind, or null if no Arena frame is ready
+ */
+const findTestFrame = async (windowId) => {
+  if (readyFrames.has(windowId)) {
+    return { port: readyFrames.get(windowId), frame: INJECTION_TARGETS.SIDE_PANEL };
+  }
+
+  const tab = await findArenaTab(windowId);
+  const port = tab ? tabFrames.get(tab.id) : null;
+  return port ? { port, frame: INJECTION_TARGETS.ARENA_TAB } : null;
+};
+
+/**
+ * Tries selector overrides in the window's Arena frame without saving them
+ * @param {number} windowId - Window of the options page
+ * @param {*} selectorOverrides - Overrides as entered on the options page
+ * @returns {Promise<{frame: string, adapter: string, results: Object[]}>} Frame kind, the
+ *   site adapter it matched and one result per selector
+ * @throws {Error} If the overrides are invalid, no frame is ready or it does not answer in time
+ */
+const testSelectors = async (windowId, selectorOverrides) => {
+  const overrides = settings.validateSelectorOverrides(selectorOverrides);
+  const target = isValidWindowId(windowId) ? await findTestFrame(windowId) : null;
+  if (!target) {
+    throw new Error(ERROR_MESSAGES.NO_ARENA_FRAME);
+  }
+
+  const requestId = generateUUID();
+  const report = await new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      selectorTests.delete(requestId);
+      reject(new Error(ERROR_MESSAGES.SELECTOR_TEST_TIMEOUT));
+    }, CONFIG.TIMEOUTS.SELECTOR_TEST);
+
+    selectorTests.set(requestId, {
+      port: target.port,
+      finish: (result) => {
+        clearTimeout(timeoutId);
+        selectorTests.delete(requestId);
+        resolve(result);
+      }
+    });
+
+    try {
+      target.port.postMessage({ type: 'TEST_SELECTORS', requestId, selectorOverrides: overrides });
+    } catch {
+      selectorTests.get(requestId)?.finish(null);
+    }
+  });
+
+  if (!report) {
+    throw new Error(ERROR_MESSAGES.NO_ARENA_FRAME);
+  }
+  return { frame: target.frame, ...report };
+};
+
+/**
+ * Settles a selector test with the report its frame sent back
+ * @param {chrome.runtime.Port} port - Port the report arrived on
+ * @param {Object} message - SELECTOR_REPORT message with requestId, adapter and results
+ */
+const handleSelectorReport = (port, { requestId, adapter, results }) => {
+  const test = selectorTests.get(requestId);
+  if (test?.port !== port || !Array.isArray(results)) {
+    return;
+  }
+
+  const roles = Object.values(SELECTOR_OVERRIDE_ROLES);
+  const count = (value) => (Number.isInteger(value) && value >= 0 ? value : 0);
+  test.finish({
+    adapter: toAdapterName(adapter),
+    results: results
+      .filter((result) => roles.includes(result?.role) && typeof result.selector === 'string')
+      .slice(0, roles.length * CONFIG.VALIDATION.MAX_SELECTOR_OVERRIDES)
+      .map(({ role, selector, valid, matches, usable }) => ({
+        role,
+        selector: selector.slice(0, CONFIG.VALIDATION.MAX_SELECTOR_LENGTH),
+        valid: valid === true,
+        matches: count(matches),
+        usable: count(usable)
+      }))
+  });
+};
+
+/**
+ * Creates a single context menu item, logging sync and async failures
+ * @param {Object} properties - chrome.contextMenus.create properties
+ */
+const createMenuItem = (properties) => {
+  try {
+    const result = chrome.contextMenus.create(properties);
+    if (result && typeof result.catch === 'function') {
+      result.catch((error) => {
+        logger.error('Failed to create context menu item', { id: properties.id, error: error.message });
+      });
+    }
+  } catch (error) {
+    logger.error('Failed to create context menu item', { id: properties.id, error: error.message });
+  }
+};
+
+/**
+ * Removes and recreates every context menu item, including custom actions
+ * @returns {Promise<void>}
+ */
+const buildContextMenus = async () => {
+  await new Promise((resolve) => chrome.contextMenus.removeAll(resolve));
+
+  createMenuItem({
+    id: CONTEXT_MENU_IDS.OPEN_COMPANION,
+    title: 'Open Arena Companion',
+    contexts: ['all']
+  });
+
+  createMenuItem({
+    id: CONTEXT_MENU_IDS.ARENA_TOOLS,
+    title: 'Arena Tools',
+    contexts: ['selection']
+  });
+
+  createMenuItem({
+    id: CONTEXT_MENU_IDS.SUMMARIZE,
+    parentId: CONTEXT_MENU_IDS.ARENA_TOOLS,
+    title: ACTION_LABELS.summarize,
+    contexts: ['selection']
+  });
+
+  createMenuItem({
+    id: CONTEXT_MENU_IDS.EXPLAIN,
+    parentId: CONTEXT_MENU_IDS.ARENA_TOOLS,
+    title: ACTION_LABELS.explain,
+    contexts: ['selection']
+  });
+
+  createMenuItem({
+    id: CONTEXT_MENU_IDS.REWRITE,
+    parentId: CONTEXT_MENU_IDS.ARENA_TOOLS,
+    title: ACTION_LABELS.rewrite,
+    contexts: ['selection']
+  });
 
-      createMenuItem({
-        id: CONTEXT_MENU_IDS.OPEN_COMPANION,
-        title: 'Open Arena Companion',
-        contexts: ['all']
-      });
+  createMenuItem({
+    id: CONTEXT_MENU_IDS.QUIZ_ME,
+    parentId: CONTEXT_MENU_IDS.ARENA_TOOLS,
+    title: ACTION_LABELS.quizMe,
+    contexts: ['selection']
+  });
 
-      createMenuItem({
-        id: CONTEXT_MENU_IDS.ARENA_TOOLS,
-        title: 'Arena Tools',
-        contexts: ['selection']
-      });
+  createMenuItem({
+    id: CONTEXT_MENU_IDS.PROOFREAD,
+    parentId: CONTEXT_MENU_IDS.ARENA_TOOLS,
+    title: ACTION_LABELS.proofread,
+    contexts: ['selection']
+  });
 
-      createMenuItem({
-        id: CONTEXT_MENU_IDS.SUMMARIZE,
-        parentId: CONTEXT_MENU_IDS.ARENA_TOOLS,
-        title: 'Summarize',
-        contexts: ['selection']
-      });
+  createMenuItem({
+    id: CONTEXT_MENU_IDS.SUMMARIZE_PAGE,
+    title: 'Summarize This Page',
+    contexts: ['page']
+  });
 
-      createMenuItem({
-        id: CONTEXT_MENU_IDS.EXPLAIN,
-        parentId: CONTEXT_MENU_IDS.ARENA_TOOLS,
-        title: 'Explain',
-        contexts: ['selection']
-      });
+  createMenuItem({
+    id: CONTEXT_MENU_IDS.ASK_ABOUT_PAGE,
+    title: 'Ask About This Page',
+    contexts: ['page']
+  });
 
-      createMenuItem({
-        id: CONTEXT_MENU_IDS.REWRITE,
-        parentId: CONTEXT_MENU_IDS.ARENA_TOOLS,
-        title: 'Rewrite',
-        contexts: ['selection']
-      });
+  createMenuItem({
+    id: CONTEXT_MENU_IDS.EXPLAIN_LINK,
+    title: 'Explain This Link',
+    contexts: ['link']
+  });
 
+  createMenuItem({
+    id: CONTEXT_MENU_IDS.DESCRIBE_IMAGE,
+    title: 'Describe This Image',
+    contexts: ['image']
+  });
+
+  const actions = await customActions.list();
+  if (actions.length > 0) {
+    createMenuItem({
+      id: CONTEXT_MENU_IDS.CUSTOM_ACTIONS_SEPARATOR,
+      parentId: CONTEXT_MENU_IDS.ARENA_TOOLS,
+      type: 'separator',
+      contexts: ['selection']
+    });
+
+    for (const action of actions) {
       createMenuItem({
-        id: CONTEXT_MENU_IDS.QUIZ_ME,
+        id: `${CONTEXT_MENU_IDS.CUSTOM_ACTION_PREFIX}${action.id}`,
         parentId: CONTEXT_MENU_IDS.ARENA_TOOLS,
-        title: 'Quiz Me',
+        title: action.title,
         contexts: ['selection']
       });
+    }
+  }
 
-      createMenuItem({
-        id: CONTEXT_MENU_IDS.PROOFREAD,
-        parentId: CONTEXT_MENU_IDS.ARENA_TOOLS,
-        title: 'Proofread',
-        contexts: ['selection']
+  logger.info('Context menus created successfully', { customActions: actions.length });
+};
+
+// Serializes rebuilds so overlapping removeAll/create sequences cannot collide on IDs
+let contextMenuBuild = Promise.resolve();
+
+/**
+ * Shows or hides the Arena Tools entries as the site rule for a page says
+ * @param {string|undefined} url - Page URL
+ * @returns {Promise<void>}
+ */
+const applySiteMenuRule = async (url) => {
+  const rule = await settings.getSiteRule(url);
+  const hidden = new Set(rule?.hiddenActions ?? []);
+  const actions = await customActions.list();
+
+  // Built-in entries use the action as their menu item ID
+  const entries = [
+    ...ARENA_TOOLS_ACTIONS.map((action) => [action, action]),
+    ...actions.map((action) => [`${CONTEXT_MENU_IDS.CUSTOM_ACTION_PREFIX}${action.id}`, action.id])
+  ];
+  await Promise.all(entries.map(([menuItemId, action]) =>
+    new Promise((resolve) => {
+      chrome.contextMenus.update(menuItemId, { visible: !hidden.has(action) }, () => {
+        void chrome.runtime.lastError;
+        resolve();
       });
+    })
+  ));
+};
 
-      logger.info('Context menus created successfully');
+/**
+ * Applies the site rule of the focused window's active tab to the Arena Tools entries.
+ * Context menus are shared by every tab, so they follow the tab in front.
+ * @returns {Promise<void>}
+ */
+const refreshSiteMenuRule = () => {
+  contextMenuBuild = contextMenuBuild
+    .then(async () => {
+      const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      await applySiteMenuRule(tab?.url);
+    })
+    .catch((error) => {
+      logger.error('Failed to apply site rule to context menus', error);
     });
-  } catch (error) {
-    logger.error('Failed to create context menus', error);
-  }
+  return contextMenuBuild;
+};
+
+/**
+ * Creates all context menus for the extension
+ * @returns {Promise<void>}
+ */
+const createContextMenus = () => {
+  contextMenuBuild = contextMenuBuild
+    .then(buildContextMenus)
+    .catch((error) => {
+      logger.error('Failed to create context menus', error);
+    });
+  return refreshSiteMenuRule();
 };
 
 /**
- * Handles extension icon click
+ * Checks whether a message came from one of the extension's own pages
+ * @param {chrome.runtime.MessageSender} sender - Message sender
+ * @returns {boolean} Whether the sender is an extension page
+ */
+const isExtensionPageSender = (sender) =>
+  sender?.id === chrome.runtime.id &&
+  typeof sender.url === 'string' &&
+  sender.url.startsWith(chrome.runtime.getURL(''));
+
+/**
+ * Handles extension icon click: opens the side panel, and runs the click action of the
+ * page's site rule if it has one
  */
 chrome.action.onClicked.addListener(async (tab) => {
   try {
@@ -481,7 +1983,18 @@ chrome.action.onClicked.addListener(async (tab) => {
       logger.error(ERROR_MESSAGES.INVALID_TAB);
       return;
     }
-    await openSidePanel({ tabId: tab.id, windowId: tab.windowId });
+
+    // Opening must start before the first await, or Chrome no longer treats the click as a user gesture
+    const tabInfo = { tabId: tab.id, windowId: tab.windowId, url: tab.url, title: tab.title };
+    const panelOpening = openSidePanel(tabInfo);
+
+    const rule = await settings.getSiteRule(tab.url);
+    if (rule?.clickAction) {
+      logger.debug('Running site rule click action', { action: rule.clickAction, pattern: rule.pattern });
+      await handleTabAction(rule.clickAction, tabInfo, { panelOpening });
+      return;
+    }
+    await panelOpening;
   } catch (error) {
     logger.error('Failed to handle action click', error);
   }
@@ -511,10 +2024,13 @@ chrome.runtime.onInstalled.addListener(async (details) => {
  */
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   try {
-    // Extract both tabId and windowId for maximum reliability
+    // Extract both tabId and windowId for maximum reliability, plus page details for templates
     const tabInfo = {
       tabId: tab?.id,
-      windowId: tab?.windowId
+      windowId: tab?.windowId,
+      frameId: info.frameId,
+      url: info.pageUrl || tab?.url,
+      title: tab?.title
     };
 
     if (!isValidTabId(tabInfo.tabId) && !isValidWindowId(tabInfo.windowId)) {
@@ -552,7 +2068,31 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
         await handleTextAction('proofread', selectionText, tabInfo);
         break;
 
+      case CONTEXT_MENU_IDS.SUMMARIZE_PAGE:
+        await handleTabAction('summarizePage', tabInfo);
+        break;
+
+      case CONTEXT_MENU_IDS.ASK_ABOUT_PAGE:
+        await handleTabAction('askAboutPage', tabInfo);
+        break;
+
+      case CONTEXT_MENU_IDS.EXPLAIN_LINK:
+        await handleTextAction('explainLink', info.linkUrl, tabInfo);
+        break;
+
+      case CONTEXT_MENU_IDS.DESCRIBE_IMAGE:
+        await handleImageAction(info, tabInfo);
+        break;
+
       default:
+        if (
+          typeof menuItemId === 'string' &&
+          menuItemId.startsWith(CONTEXT_MENU_IDS.CUSTOM_ACTION_PREFIX)
+        ) {
+          const customActionId = menuItemId.slice(CONTEXT_MENU_IDS.CUSTOM_ACTION_PREFIX.length);
+          await handleTextAction(customActionId, selectionText, tabInfo);
+          break;
+        }
         logger.debug('Unknown menu item clicked', menuItemId);
     }
   } catch (error) {
@@ -560,6 +2100,66 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   }
 });
 
+/**
+ * Handle keyboard shortcuts declared under "commands" in the manifest
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    const tabInfo = {
+      tabId: tab?.id,
+      windowId: tab?.windowId,
+      url: tab?.url,
+      title: tab?.title
+    };
+
+    if (!isValidTabId(tabInfo.tabId) && !isValidWindowId(tabInfo.windowId)) {
+      logger.error(ERROR_MESSAGES.INVALID_TAB);
+      return;
+    }
+
+    logger.debug('Command received', { command, tabInfo });
+
+    switch (command) {
+      case COMMAND_IDS.TOGGLE_SIDE_PANEL:
+        await toggleSidePanel(tabInfo);
+        break;
+
+      case COMMAND_IDS.SUMMARIZE:
+        await handleTabAction('summarize', tabInfo);
+        break;
+
+      case COMMAND_IDS.EXPLAIN:
+        await handleTabAction('explain', tabInfo);
+        break;
+
+      case COMMAND_IDS.REWRITE:
+        await handleTabAction('rewrite', tabInfo);
+        break;
+
+      case COMMAND_IDS.QUIZ_ME:
+        await handleTabAction('quizMe', tabInfo);
+        break;
+
+      case COMMAND_IDS.PROOFREAD:
+        await handleTabAction('proofread', tabInfo);
+        break;
+
+      case COMMAND_IDS.SUMMARIZE_PAGE:
+        await handleTabAction('summarizePage', tabInfo);
+        break;
+
+      case COMMAND_IDS.CAPTURE_REGION:
+        await handleCaptureRegion(tabInfo);
+        break;
+
+      default:
+        logger.debug('Unknown command', command);
+    }
+  } catch (error) {
+    logger.error('Command handler error', error);
+  }
+});
+
 /**
  * Service worker activation
  */
@@ -591,7 +2191,7 @@ self.addEventListener('unhandledrejection', (event) => {
 /**
  * Handle messages from content scripts or popup
  */
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   logger.debug('Message received', message);
 
   (async () => {
@@ -609,6 +2209,128 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
           break;
         }
 
+        case 'GET_SETTINGS': {
+          const data = await settings.get();
+          sendResponse({ success: true, data });
+          break;
+        }
+
+        case 'SAVE_SETTINGS': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          const data = await settings.save(message.data);
+          sendResponse({ success: true, data });
+          break;
+        }
+
+        case 'TEST_SELECTORS': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          const data = await testSelectors(sender.tab?.windowId, message.selectorOverrides);
+          sendResponse({ success: true, data });
+          break;
+        }
+
+        case 'GET_CUSTOM_ACTIONS': {
+          const actions = await customActions.list();
+          sendResponse({ success: true, data: actions });
+          break;
+        }
+
+        case 'SAVE_CUSTOM_ACTION': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          const action = await customActions.save(message.data);
+          sendResponse({ success: true, data: action });
+          break;
+        }
+
+        case 'DELETE_CUSTOM_ACTION': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          await customActions.remove(message.id);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'REORDER_CUSTOM_ACTIONS': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          await customActions.reorder(message.ids);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'REGISTER_PANEL_FRAME': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          await registerPanelFrame(message.windowId, message.token);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'GET_TARGET_CHOICE': {
+          const { finish, ...choice } = targetChoices.get(message.windowId) || {};
+          sendResponse({ success: true, data: finish ? choice : null });
+          break;
+        }
+
+        case 'INJECTION_TARGET_CHOSEN': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          const pendingChoice = targetChoices.get(message.windowId);
+          if (pendingChoice?.actionId === message.actionId) {
+            pendingChoice.finish(message.target);
+          }
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'GET_REPLACEMENT': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          sendResponse({ success: true, data: findReplacementOffer(message.windowId) });
+          break;
+        }
+
+        case 'APPLY_REPLACEMENT': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          if (!Number.isInteger(message.responseIndex)) {
+            throw new Error(ERROR_MESSAGES.INVALID_DATA);
+          }
+          await replaceOnPage(message.actionId, message.responseIndex);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'UNDO_REPLACEMENT': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          await replaceOnPage(message.actionId, null);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'DISMISS_REPLACEMENT': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          replaceTargets.delete(message.actionId);
+          sendResponse({ success: true });
+          break;
+        }
+
         case 'DOWNLOAD_FILE': {
           try {
             // Validate URL to prevent arbitrary downloads
@@ -641,10 +2363,71 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
           break;
         }
 
+        case 'GET_PROMPT_HISTORY': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          const entries = await promptHistory.list();
+          sendResponse({ success: true, data: entries });
+          break;
+        }
+
+        case 'DELETE_PROMPT_HISTORY_ENTRY': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          await promptHistory.remove(message.id);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'RESEND_PROMPT': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          const actionId = await resendHistoryEntry(message.id, message.windowId);
+          sendResponse({ success: true, actionId });
+          break;
+        }
+
+        case 'GET_PANEL_TAB': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          await panelStateRestored;
+          sendResponse({
+            success: true,
+            data: { mode: panelMode, url: panelTabUrls.get(message.tabId) ?? null }
+          });
+          break;
+        }
+
+        case 'SAVE_PANEL_TAB_URL': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          await panelStateRestored;
+          await savePanelTabUrl(message.tabId, message.url);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'CANCEL_QUEUED_ACTION': {
+          if (!isExtensionPageSender(sender)) {
+            throw new Error(ERROR_MESSAGES.UNAUTHORIZED_SENDER);
+          }
+          await queueRestored;
+          cancelQueuedAction(message.actionId);
+          sendResponse({ success: true });
+          break;
+        }
+
+        // History only: a delivery settles on the ACTION_RESULT from the port it went to
         case 'PROMPT_INJECTED': {
           logger.info(SUCCESS_MESSAGES.PROMPT_INJECTED, {
             actionId: message.actionId
           });
+          await promptHistory.updateStatus(message.actionId, HISTORY_STATUS.INJECTED);
           sendResponse({ success: true });
           break;
         }
@@ -654,6 +2437,7 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
             actionId: message.actionId,
             error: message.error
           });
+          await promptHistory.updateStatus(message.actionId, HISTORY_STATUS.FAILED, message.error);
           sendResponse({ success: true });
           break;
         }
@@ -670,7 +2454,109 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   return true;
 });
 
+/**
+ * Ready handshake and action delivery channel for Arena content scripts
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== PORT_NAMES.ARENA_FRAME || port.sender?.id !== chrome.runtime.id) {
+    return;
+  }
+
+  port.onMessage.addListener((message) => {
+    switch (message?.type) {
+
+      case 'ARENA_READY':
+        void handleArenaReady(port, message);
+        break;
+
+      case 'ACTION_RESULT':
+        settleDelivery(port, message.actionId, message.success === true, message.error);
+        break;
+
+      case 'RESPONSE_CAPTURED':
+        void handleResponseCaptured(port, message);
+        break;
+
+      case 'SELECTOR_REPORT':
+        handleSelectorReport(port, message);
+        break;
+
+      case 'FRAME_IDLE':
+        releaseFrame(port);
+        break;
+
+      default:
+        logger.debug('Unknown frame port message', message?.type);
+    }
+  });
+
+  port.onDisconnect.addListener(handleFramePortDisconnect);
+});
+
+/**
+ * Rebuild context menus whenever the custom action list changes, and re-apply site rules
+ * when settings change
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') {
+    return;
+  }
+
+  if (changes[CONFIG.STORAGE_KEYS.CUSTOM_ACTIONS]) {
+    logger.debug('Custom actions changed - rebuilding context menus');
+    createContextMenus();
+  }
+
+  // Not an else: one write can change custom actions and settings together
+  if (changes[CONFIG.STORAGE_KEYS.SETTINGS]) {
+    refreshSiteMenuRule();
+
+    const mode = changes[CONFIG.STORAGE_KEYS.SETTINGS].newValue?.panelMode;
+    if (Object.values(PANEL_MODES).includes(mode) && mode !== panelMode) {
+      void applyPanelMode(mode);
+    }
+  }
+});
+
+/**
+ * Apply site rules to pages as they load
+ */
+chrome.tabs.onUpdated.addListener((_tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete') {
+    return;
+  }
+
+  if (tab.active) {
+    refreshSiteMenuRule();
+  }
+});
+
+/**
+ * Menu entries follow the site rule of the tab in front
+ */
+chrome.tabs.onActivated.addListener(() => {
+  refreshSiteMenuRule();
+});
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+    refreshSiteMenuRule();
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  if (panelTabUrls.delete(tabId)) {
+    void persistPanelTabs();
+  }
+});
+
 // Recreate context menus on startup
 createContextMenus();
 
+// Resume actions queued before the service worker stopped
+const queueRestored = restoreActionQueue();
+
+// Apply the side panel mode from settings
+const panelStateRestored = restorePanelState();
+
 logger.info('Service worker initialized v1.7.0');
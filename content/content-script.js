@@ -14,60 +14,92 @@
   // ============================================================================
 
   const STYLE_ID = 'arena-companion-cleanup';
-  // Must stay in sync with ACTION_STORAGE_KEYS.PENDING_ACTION in utils/constants.js
-  const STORAGE_KEY = 'arena_companion_pending_action';
-  const POLL_INTERVAL = 300; // 300ms - Balance between responsiveness and CPU usage
-  const INITIAL_POLL_INTERVAL = 100; // 100ms - Aggressive initial polling for fast injection
-  const INITIAL_POLL_DURATION = 10000; // 10s - Duration of fast polling window
+  const COMPACT_STYLE_ID = 'arena-companion-compact';
+  // Must stay in sync with ACTION_STORAGE_KEYS.ACTION_QUEUE in utils/constants.js
+  const STORAGE_KEY = 'arena_companion_action_queue';
+  // Must stay in sync with CONFIG.STORAGE_KEYS.SETTINGS in utils/constants.js
+  const SETTINGS_KEY = 'arena_companion_settings';
+  // Must stay in sync with PORT_NAMES.ARENA_FRAME in utils/constants.js
+  const FRAME_PORT_NAME = 'arena-companion-frame';
+  // Must stay in sync with CONFIG.TIMEOUTS.POLL_INTERVAL in utils/constants.js
+  const POLL_INTERVAL = 300; // 300ms - Fallback polling and response tracking interval
+  const MIN_POLL_INTERVAL = 100; // 100ms - Lower bound for the user-configured interval
+  const FALLBACK_POLL_DURATION = 10000; // 10s - Fallback polling stops after this window
   const MAX_TEXTAREA_ATTEMPTS = 15; // Retry attempts for finding textarea
-  const ACTION_EXPIRY_MS = 60000; // 60s - Actions older than this are discarded
+  // Must stay in sync with CONFIG.TIMEOUTS.ACTION_EXPIRY in utils/constants.js
+  const ACTION_EXPIRY_MS = 60000; // 60s - Deliveries older than this are discarded
+  // Must stay in sync with CONFIG.TIMEOUTS.RESPONSE_WAIT in utils/constants.js
+  const RESPONSE_WAIT_MS = 180000; // 3min - Longest wait for Arena to finish answering
+  const RESPONSE_START_GRACE = 1500; // 1.5s - Time for a sent prompt to start streaming
   const TEXTAREA_SEARCH_DELAY = 300; // 300ms - Delay between textarea search retries
   const ID_CLEANUP_INTERVAL = 60000; // 60s - Interval for cleaning up processed action IDs
-  const MAX_PROMPT_LENGTH = 60000; // Prompt template plus sanitized selection
+  // Must stay in sync with CONFIG.VALIDATION.MAX_PROMPT_LENGTH in utils/constants.js
+  const MAX_PROMPT_LENGTH = 60000; // Rendered prompt template
+  // Must stay in sync with CONFIG.VALIDATION.MAX_ATTACHMENT_BYTES in utils/constants.js
+  const MAX_ATTACHMENT_BYTES = 5242880; // 5MB - Largest image attached to the composer
+  const ATTACHMENT_SEND_WAIT = 10000; // 10s - Longest wait for an attached image to upload before sending
+  // Must stay in sync with CONFIG.VALIDATION.MAX_RESPONSE_LENGTH in utils/constants.js
+  const MAX_RESPONSE_LENGTH = 100000; // Captured answer, per response
+  const RESPONSE_SETTLE_WAIT = 10000; // 10s - Longest wait for a finished answer to show up in the DOM
+  const RESPONSE_SETTLE_INTERVAL = 1000; // 1s - An answer is complete once unchanged for this long
+
+  // Composer, send button, stop button and response selectors per Arena layout,
+  // from content/site-adapters.js which the manifest loads before this file
+  const siteAdapters = globalThis.arenaCompanionSiteAdapters;
 
   /**
-   * Textarea selectors ordered by specificity
+   * Attachment file input selectors, image-specific first
    */
-  const TEXTAREA_SELECTORS = [
-    'textarea[placeholder*="message" i]',
-    'textarea[placeholder*="chat" i]',
-    'textarea[placeholder*="type" i]',
-    'textarea[placeholder*="ask" i]',
-    'textarea[aria-label*="message" i]',
-    'textarea[aria-label*="chat" i]',
-    'textarea[aria-label*="input" i]',
-    'textarea.svelte-1ed2p3z',
-    'textarea[data-testid*="input"]',
-    'textarea[role="textbox"]',
-    'div[contenteditable="true"][role="textbox"]',
-    'div[contenteditable="true"]',
-    'textarea'
-  ];
-
-  /**
-   * Send button selectors
-   */
-  const BUTTON_SELECTORS = [
-    'button[aria-label*="send" i]',
-    'button[aria-label*="submit" i]',
-    'button[title*="send" i]',
-    'button[title*="submit" i]',
-    'button:has(svg[data-testid="send"])',
-    'button:has(svg):not([aria-label*="stop" i]):not([aria-label*="cancel" i])',
-    'button.primary',
-    'button[type="submit"]',
-    'form button:last-of-type'
+  const FILE_INPUT_SELECTORS = [
+    'input[type="file"][accept*="image"]',
+    'input[type="file"]:not([accept])'
   ];
 
   // Track processed action IDs to prevent duplicates
   const processedActionIds = new Set();
   const inFlightActionIds = new Set();
 
-  // Track if we're in initial fast-polling mode
-  let isInitialPolling = true;
-  let initStartTime = Date.now();
   let isCheckingPendingActions = false;
 
+  // Must stay in sync with SEND_MODES in utils/constants.js
+  const SEND_MODES = Object.freeze({
+    AUTO_SEND: 'autoSend',
+    FILL: 'fill',
+    FILL_AND_FOCUS: 'fillAndFocus'
+  });
+
+  // Used until settings are saved; must stay in sync with CLEANUP_RULES in utils/constants.js
+  const DEFAULT_CLEANUP_RULES = [
+    { label: 'Floating announcement banner', selector: 'div.bg-surface-floating:has(p)', enabled: true },
+    { label: 'Floating banner with icon', selector: 'div[class*="bg-surface-floating"]:has(svg)', enabled: true },
+    { label: 'LMArena promotion', selector: 'div.pointer-events-auto:has(a[href*="lmarena"])', enabled: true },
+    { label: 'Floating overlay', selector: 'div[class*="surface-floating"][class*="pointer-events"]', enabled: true }
+  ];
+
+  // Must stay in sync with SELECTOR_OVERRIDE_ROLES in utils/constants.js
+  const SELECTOR_OVERRIDE_ROLES = Object.freeze({
+    COMPOSER: 'composer',
+    SEND_BUTTON: 'sendButton',
+    HIDDEN: 'hidden'
+  });
+
+  // Outcomes of checkPendingActions; only PENDING keeps fallback polling alive
+  const CHECK_RESULT = Object.freeze({
+    NONE: 'none',
+    READY: 'ready',
+    PENDING: 'pending'
+  });
+
+  // User settings mirrored from storage (see utils/settings.js)
+  const contentSettings = {
+    sendMode: SEND_MODES.AUTO_SEND,
+    logLevel: 'default',
+    pollInterval: POLL_INTERVAL,
+    selectorOverrides: { composer: [], sendButton: [], hidden: [] },
+    cleanupRules: DEFAULT_CLEANUP_RULES,
+    compactMode: false
+  };
+
   // ============================================================================
   // LOGGING (must be defined before any code that uses `log`)
   // ============================================================================
@@ -81,20 +113,30 @@
     }
   })();
 
+  // Mirrors LOG_LEVELS in utils/constants.js, least to most verbose
+  const LOG_LEVEL_RANK = { error: 0, warn: 1, info: 2, debug: 3 };
+
+  const shouldLog = (level) => {
+    if (!Object.hasOwn(LOG_LEVEL_RANK, contentSettings.logLevel)) {
+      return level === 'error' || !IS_PRODUCTION;
+    }
+    return LOG_LEVEL_RANK[level] <= LOG_LEVEL_RANK[contentSettings.logLevel];
+  };
+
   const log = {
     info: (...args) => {
-      if (!IS_PRODUCTION) {
+      if (shouldLog('info')) {
         console.log('[Arena Companion]', ...args);
       }
     },
     debug: (...args) => {
-      if (!IS_PRODUCTION) {
+      if (shouldLog('debug')) {
         console.debug('[Arena Companion]', ...args);
       }
     },
     error: (...args) => console.error('[Arena Companion]', ...args),
     warn: (...args) => {
-      if (!IS_PRODUCTION) {
+      if (shouldLog('warn')) {
         console.warn('[Arena Companion]', ...args);
       }
     }
@@ -113,6 +155,31 @@
   // CSS INJECTION (Original functionality)
   // ============================================================================
 
+  // Settings check selectors when they are saved, but their syntax can only be tried against a DOM
+  const isValidSelector = (selector) => {
+    if (typeof selector !== 'string' || /[{}]/.test(selector)) {
+      return false;
+    }
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const HIDING_DECLARATIONS =
+    '{ display: none !important; visibility: hidden !important; height: 0 !important; overflow: hidden !important; }';
+
+  // Every selector gets a rule of its own, so one that Chrome rejects cannot void the others
+  const buildHidingCSS = () =>
+    [
+      ...contentSettings.cleanupRules.filter((rule) => rule.enabled).map((rule) => rule.selector),
+      ...contentSettings.selectorOverrides.hidden
+    ]
+      .map((selector) => `${selector} ${HIDING_DECLARATIONS}`)
+      .join('\n');
+
   const injectHidingCSS = () => {
     if (document.getElementById(STYLE_ID)) {
       return;
@@ -120,17 +187,50 @@
 
     const style = document.createElement('style');
     style.id = STYLE_ID;
-    style.textContent = `
-      div.bg-surface-floating:has(p),
-      div[class*="bg-surface-floating"]:has(svg),
-      div.pointer-events-auto:has(a[href*="lmarena"]),
-      div[class*="surface-floating"][class*="pointer-events"] {
-        display: none !important;
-        visibility: hidden !important;
-        height: 0 !important;
-        overflow: hidden !important;
-      }
-    `;
+    style.textContent = buildHidingCSS();
+
+    const head = document.head || document.documentElement;
+    if (head) {
+      head.appendChild(style);
+    }
+  };
+
+  const updateHidingCSS = () => {
+    const style = document.getElementById(STYLE_ID);
+    if (style) {
+      style.textContent = buildHidingCSS();
+    } else {
+      injectHidingCSS();
+    }
+  };
+
+  // Compact layout for the narrow side panel: navigation collapsed, tighter spacing and
+  // the composer pinned to the bottom. Regular Arena tabs keep the full desktop layout.
+  const COMPACT_CSS = [
+    'nav, aside, [data-sidebar], [aria-label*="sidebar" i] { display: none !important; }',
+    'header { min-height: 0 !important; padding-block: 4px !important; }',
+    'main, [role="main"] { padding-inline: 8px !important; max-width: 100% !important; }',
+    '.prose, .markdown { max-width: none !important; }',
+    'form:has(textarea), form:has([contenteditable="true"]) { position: sticky !important; bottom: 0; z-index: 10; margin: 0 !important; padding: 4px !important; background: inherit; }'
+  ].join('\n');
+
+  const isCompactLayoutWanted = () => isPanelFrame() && contentSettings.compactMode;
+
+  // Adds or removes the compact style to match the setting; called once the side panel
+  // has introduced itself and whenever the setting changes
+  const updateCompactCSS = () => {
+    const existing = document.getElementById(COMPACT_STYLE_ID);
+    if (!isCompactLayoutWanted()) {
+      existing?.remove();
+      return;
+    }
+    if (existing) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = COMPACT_STYLE_ID;
+    style.textContent = COMPACT_CSS;
 
     const head = document.head || document.documentElement;
     if (head) {
@@ -145,7 +245,8 @@
           for (const node of mutation.removedNodes) {
             if (node.id === STYLE_ID) {
               injectHidingCSS();
-              break;
+            } else if (node.id === COMPACT_STYLE_ID) {
+              updateCompactCSS();
             }
           }
         }
@@ -174,13 +275,12 @@
     return isVisible && isNotHidden && isEditable;
   };
 
-  const findTextarea = async (attempt = 0) => {
-    for (const selector of TEXTAREA_SELECTORS) {
+  const queryUsableElement = (selectors, root = document) => {
+    for (const selector of selectors) {
       try {
-        const elements = document.querySelectorAll(selector);
+        const elements = root.querySelectorAll(selector);
         for (const element of elements) {
           if (isElementUsable(element)) {
-            log.debug('Found textarea with selector:', selector);
             return element;
           }
         }
@@ -188,6 +288,56 @@
         // Invalid selector, continue
       }
     }
+    return null;
+  };
+
+  // ============================================================================
+  // SITE ADAPTER
+  // ============================================================================
+
+  // Selector set of the adapter that best matches the page. Detection runs again whenever
+  // the composer cannot be found, which is what an Arena redesign looks like from here.
+  let activeAdapter = null;
+
+  const getAdapter = () => {
+    if (activeAdapter) {
+      return activeAdapter;
+    }
+
+    // Nothing is cached until a composer shows up, so a page that is still loading gets another look
+    const match = siteAdapters.detect(isElementUsable);
+    if (match.score === 0) {
+      return match;
+    }
+
+    activeAdapter = match;
+    log.info(`Site adapter matched: ${siteAdapters.describe(match)} (score ${match.score})`, match.ranking);
+    return match;
+  };
+
+  const resetAdapter = () => {
+    activeAdapter = null;
+  };
+
+  // Selector overrides from settings are tried before the adapter's own
+  const getSelectors = () => {
+    const { selectors } = getAdapter();
+    const { composer, sendButton } = contentSettings.selectorOverrides;
+    return {
+      ...selectors,
+      composer: [...composer, ...selectors.composer],
+      sendButton: [...sendButton, ...selectors.sendButton],
+      sendButtonOverrides: sendButton
+    };
+  };
+
+  const findTextarea = async (attempt = 0) => {
+    const textarea = queryUsableElement(getSelectors().composer);
+    if (textarea) {
+      return textarea;
+    }
+
+    resetAdapter();
 
     if (attempt < MAX_TEXTAREA_ATTEMPTS) {
       log.debug(`Textarea not found, retrying... (${attempt + 1}/${MAX_TEXTAREA_ATTEMPTS})`);
@@ -195,7 +345,7 @@
       return findTextarea(attempt + 1);
     }
 
-    log.error('Could not find textarea after maximum attempts');
+    log.error('Could not find textarea after maximum attempts', getAdapter().ranking);
     return null;
   };
 
@@ -265,24 +415,37 @@
     log.info('Textarea value set successfully');
   };
 
+  // Review mode: the caret goes after the prompt so the user can add context before sending
+  const focusAtEnd = (textarea) => {
+    textarea.focus();
+
+    if (textarea.contentEditable === 'true') {
+      const selection = window.getSelection();
+      selection?.selectAllChildren(textarea);
+      selection?.collapseToEnd();
+    } else {
+      const end = textarea.value.length;
+      textarea.setSelectionRange(end, end);
+    }
+
+    textarea.scrollTop = textarea.scrollHeight;
+  };
+
   // ============================================================================
   // SEND BUTTON
   // ============================================================================
 
-  const findSendButton = () => {
-    for (const selector of BUTTON_SELECTORS) {
-      try {
-        const elements = document.querySelectorAll(selector);
-        for (const element of elements) {
-          if (isElementUsable(element)) {
-            log.debug('Found send button with selector:', selector);
-            return element;
-          }
-        }
-      } catch {
-        // Invalid selector, continue
-      }
+  // Buttons next to the composer come first, so a matching control elsewhere on the page
+  // is never clicked while the composer has its own
+  const findSendButton = (textarea) => {
+    const { sendButton, sendButtonOverrides, scopedSend } = getSelectors();
+    const button = queryUsableElement(sendButton, siteAdapters.getComposerScope(textarea)) ||
+      queryUsableElement(scopedSend ? sendButtonOverrides : sendButton);
+    if (button) {
+      log.debug('Found send button for adapter', siteAdapters.describe(getAdapter()));
+      return button;
     }
+
     log.warn('Could not find send button');
     return null;
   };
@@ -307,11 +470,334 @@
     log.debug('Send button clicked');
   };
 
+  // ============================================================================
+  // ATTACHMENTS
+  // ============================================================================
+
+  const isValidAttachment = (attachment) =>
+    Boolean(attachment) &&
+    typeof attachment === 'object' &&
+    typeof attachment.name === 'string' &&
+    typeof attachment.type === 'string' &&
+    attachment.type.startsWith('image/') &&
+    typeof attachment.dataUrl === 'string' &&
+    attachment.dataUrl.startsWith(`data:${attachment.type};base64,`);
+
+  // Attachment inputs usually sit hidden behind an upload button, so visibility is not required
+  const findFileInput = () => {
+    for (const selector of FILE_INPUT_SELECTORS) {
+      const input = Array.from(document.querySelectorAll(selector)).find((element) => !element.disabled);
+      if (input) {
+        return input;
+      }
+    }
+    return null;
+  };
+
+  const toFile = (attachment) => {
+    const binary = atob(attachment.dataUrl.slice(attachment.dataUrl.indexOf(',') + 1));
+    if (binary.length > MAX_ATTACHMENT_BYTES) {
+      log.warn('Attachment too large, skipping');
+      return null;
+    }
+
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return new File([bytes], attachment.name, { type: attachment.type });
+  };
+
+  const createTransfer = (file) => {
+    const transfer = new DataTransfer();
+    transfer.items.add(file);
+    return transfer;
+  };
+
+  // A composer that takes the file cancels the synthetic event; that is the only success signal it gives
+  const simulateFileDrop = (composer, file) => {
+    const transfer = createTransfer(file);
+    for (const type of ['dragenter', 'dragover']) {
+      composer.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, dataTransfer: transfer }));
+    }
+    return !composer.dispatchEvent(new DragEvent('drop', { bubbles: true, cancelable: true, dataTransfer: transfer }));
+  };
+
+  const simulateFilePaste = (composer, file) => {
+    composer.focus();
+    return !composer.dispatchEvent(new ClipboardEvent('paste', {
+      bubbles: true,
+      cancelable: true,
+      clipboardData: createTransfer(file)
+    }));
+  };
+
+  const setFileInput = (file) => {
+    const input = findFileInput();
+    if (!input) {
+      return false;
+    }
+
+    input.files = createTransfer(file).files;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
+  };
+
+  // Hands the image to the composer as a pasted file, a dropped file or through its attachment input.
+  // Composers that take none of these only get the prompt text.
+  const attachImage = (attachment, composer) => {
+    try {
+      const file = toFile(attachment);
+      if (!file) {
+        return false;
+      }
+
+      if (simulateFilePaste(composer, file) || simulateFileDrop(composer, file) || setFileInput(file)) {
+        log.info('Image attached to the composer');
+        return true;
+      }
+
+      log.info('Composer does not accept attachments');
+      return false;
+    } catch (error) {
+      log.warn('Could not attach image:', error);
+      return false;
+    }
+  };
+
+  // The send button stays disabled while an attached image uploads
+  const waitForSendButton = async (textarea) => {
+    const deadline = Date.now() + ATTACHMENT_SEND_WAIT;
+    const scope = siteAdapters.getComposerScope(textarea);
+    while (!queryUsableElement(getSelectors().sendButton, scope) && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, contentSettings.pollInterval));
+    }
+    return findSendButton(textarea);
+  };
+
+  // ============================================================================
+  // RESPONSE TRACKING
+  // ============================================================================
+
+  const getComposerText = (textarea) =>
+    (textarea.contentEditable === 'true' ? textarea.textContent : textarea.value) || '';
+
+  // Arena is busy while it streams an answer or our prompt still sits unsent in the composer
+  const isArenaBusy = (prompt) => {
+    const { stopButton, composer } = getSelectors();
+    if (queryUsableElement(stopButton)) {
+      return true;
+    }
+
+    const textarea = queryUsableElement(composer);
+    return Boolean(textarea) && getComposerText(textarea).trim() === prompt.trim();
+  };
+
+  // Resolves true once the answer to an injected prompt has finished, false if RESPONSE_WAIT_MS ran out
+  const waitForResponseIdle = async (prompt) => {
+    await new Promise((resolve) => setTimeout(resolve, RESPONSE_START_GRACE));
+
+    const deadline = Date.now() + RESPONSE_WAIT_MS;
+    while (isArenaBusy(prompt)) {
+      if (Date.now() > deadline) {
+        log.warn('Arena is still answering - releasing the action queue');
+        return false;
+      }
+      await new Promise((resolve) => setTimeout(resolve, contentSettings.pollInterval));
+    }
+
+    log.debug('Arena finished answering');
+    return true;
+  };
+
+  // ============================================================================
+  // RESPONSE CAPTURE
+  // ============================================================================
+
+  const normalizeText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+  // Outermost assistant messages; the composer is excluded in case a loose selector matches its wrapper
+  const findResponses = () => {
+    for (const selector of getSelectors().responses) {
+      const elements = Array.from(document.querySelectorAll(selector)).filter((element) =>
+        !element.parentElement?.closest(selector) &&
+        !element.querySelector('textarea, [contenteditable="true"]'));
+      if (elements.length > 0) {
+        return elements;
+      }
+    }
+    return [];
+  };
+
+  // Responses that appeared after the baseline was taken. Loose selectors can also match the
+  // echoed user message, which is recognised by its text.
+  const findNewResponses = (baseline, prompt) => {
+    const promptText = normalizeText(prompt);
+    return findResponses().filter((element) =>
+      !baseline.has(element) && normalizeText(element.textContent) !== promptText);
+  };
+
+  // Arena can render the last tokens after the stop button disappears, so the answer
+  // counts as finished only once its text stops changing
+  const waitForSettledResponses = async (baseline, prompt) => {
+    const deadline = Date.now() + RESPONSE_SETTLE_WAIT;
+    let previousText = null;
+
+    while (Date.now() < deadline) {
+      const responses = findNewResponses(baseline, prompt);
+      const text = responses.map((element) => element.textContent).join('\n');
+      if (responses.length > 0 && text === previousText && !queryUsableElement(getSelectors().stopButton)) {
+        return responses;
+      }
+
+      previousText = text;
+      await new Promise((resolve) => setTimeout(resolve, RESPONSE_SETTLE_INTERVAL));
+    }
+
+    return [];
+  };
+
+  const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'button', 'svg', 'textarea', 'input']);
+
+  const renderInlineCode = (text) => {
+    const fence = text.includes('`') ? '``' : '`';
+    return `${fence}${text}${fence}`;
+  };
+
+  const renderCodeBlock = (pre) => {
+    const code = pre.querySelector('code') || pre;
+    const language = (code.className.match(/(?:language|lang)-([\w+#.-]+)/) || [])[1] || '';
+    const text = code.textContent.replace(/\n$/, '');
+    const fence = text.includes('```') ? '~~~' : '```';
+    return `\n\n${fence}${language}\n${text}\n${fence}\n\n`;
+  };
+
+  const renderList = (list) => {
+    const ordered = list.tagName === 'OL';
+    let number = Number(list.getAttribute('start')) || 1;
+
+    const items = Array.from(list.children)
+      .filter((child) => child.tagName === 'LI')
+      .map((item) => {
+        const marker = ordered ? `${number++}. ` : '- ';
+        const lines = renderChildren(item).trim().replace(/\n{2,}/g, '\n').split('\n');
+        // Continuation lines, nested lists included, are indented under the marker
+        return lines.map((line, index) => (index === 0 ? marker : ' '.repeat(marker.length)) + line).join('\n');
+      });
+
+    return `\n\n${items.join('\n')}\n\n`;
+  };
+
+  const renderTable = (table) => {
+    const rows = Array.from(table.querySelectorAll('tr')).map((row) =>
+      Array.from(row.children).map((cell) => normalizeText(renderChildren(cell)).replace(/\|/g, '\\|')));
+    if (rows.length === 0) {
+      return '';
+    }
+
+    const width = Math.max(...rows.map((cells) => cells.length));
+    const renderRow = (cells) => `| ${Array.from({ length: width }, (_, index) => cells[index] || '').join(' | ')} |`;
+    const divider = renderRow(Array(width).fill('---'));
+    return `\n\n${[renderRow(rows[0]), divider, ...rows.slice(1).map(renderRow)].join('\n')}\n\n`;
+  };
+
+  const renderChildren = (node) => Array.from(node.childNodes).map(renderNode).join('');
+
+  const renderNode = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (SKIPPED_TAGS.has(tag) || node.getAttribute('aria-hidden') === 'true') {
+      return '';
+    }
+
+    if (/^h[1-6]$/.test(tag)) {
+      return `\n\n${'#'.repeat(Number(tag[1]))} ${normalizeText(renderChildren(node))}\n\n`;
+    }
+
+    switch (tag) {
+      case 'p':
+      case 'div':
+      case 'section':
+        return `\n\n${renderChildren(node).trim()}\n\n`;
+      case 'br':
+        return '\n';
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'strong':
+      case 'b': {
+        const text = renderChildren(node).trim();
+        return text ? `**${text}**` : '';
+      }
+      case 'em':
+      case 'i': {
+        const text = renderChildren(node).trim();
+        return text ? `*${text}*` : '';
+      }
+      case 'del':
+      case 's': {
+        const text = renderChildren(node).trim();
+        return text ? `~~${text}~~` : '';
+      }
+      case 'code':
+        return renderInlineCode(node.textContent);
+      case 'pre':
+        return renderCodeBlock(node);
+      case 'a': {
+        const text = renderChildren(node).trim();
+        return /^https?:/i.test(node.href) && text ? `[${text}](${node.href})` : text;
+      }
+      case 'img':
+        return /^https?:/i.test(node.src) ? `![${node.alt || ''}](${node.src})` : node.alt || '';
+      case 'ul':
+      case 'ol':
+        return renderList(node);
+      case 'blockquote': {
+        const lines = renderChildren(node).trim().replace(/\n{3,}/g, '\n\n').split('\n');
+        return `\n\n${lines.map((line) => (line ? `> ${line}` : '>')).join('\n')}\n\n`;
+      }
+      case 'table':
+        return renderTable(node);
+      default:
+        return renderChildren(node);
+    }
+  };
+
+  // Converts a rendered answer back to the Markdown the model most likely wrote
+  const toMarkdown = (element) =>
+    renderNode(element)
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+  // Sends the finished answer to an injected prompt to the service worker.
+  // Battle mode answers with two models at once, so every new response is captured.
+  const captureResponse = async (actionId, baseline, prompt) => {
+    try {
+      const responses = (await waitForSettledResponses(baseline, prompt))
+        .map((element) => toMarkdown(element).slice(0, MAX_RESPONSE_LENGTH))
+        .filter(Boolean);
+
+      if (responses.length === 0) {
+        log.debug('No response found to capture for:', actionId);
+        return;
+      }
+
+      postToFramePort({ type: 'RESPONSE_CAPTURED', actionId, responses, timestamp: Date.now() });
+      log.info('Captured response for:', actionId);
+    } catch (error) {
+      log.warn('Response capture failed:', error);
+    }
+  };
+
   // ============================================================================
   // PROMPT INJECTION
   // ============================================================================
 
-  const injectPrompt = async (prompt, actionId) => {
+  const injectPrompt = async (prompt, actionId, sendMode, attachment) => {
     try {
       log.info('Starting prompt injection for:', actionId);
 
@@ -323,14 +809,37 @@
         return false;
       }
 
+      // Attach the image first so the prompt lands in the composer next to it
+      const attached = isValidAttachment(attachment) && attachImage(attachment, textarea);
+      if (attachment?.required === true && !attached) {
+        log.error('Required attachment could not be added');
+        notifyBackground('PROMPT_INJECTION_FAILED', actionId, 'Could not attach the image');
+        return false;
+      }
+
       // Set textarea value
       setTextareaValue(textarea, prompt);
 
       // Wait a bit for React to process
       await new Promise((resolve) => setTimeout(resolve, 200));
 
+      if (sendMode === SEND_MODES.FILL_AND_FOCUS) {
+        focusAtEnd(textarea);
+        log.info('Prompt injected (review mode - cursor at the end)');
+        notifyBackground('PROMPT_INJECTED', actionId);
+        return true;
+      }
+
+      if (sendMode === SEND_MODES.FILL) {
+        // Filling focused the composer for the page's input handlers; the user picks it up from here
+        textarea.blur();
+        log.info('Prompt injected (fill only - waiting for user)');
+        notifyBackground('PROMPT_INJECTED', actionId);
+        return true;
+      }
+
       // Find and click send button
-      const sendButton = findSendButton();
+      const sendButton = attached ? await waitForSendButton(textarea) : findSendButton(textarea);
       if (sendButton) {
         clickSendButton(sendButton);
         log.info('Prompt injected and sent successfully');
@@ -355,12 +864,15 @@
     prompt.trim().length > 0 &&
     prompt.length <= MAX_PROMPT_LENGTH;
 
-  const isValidStoredAction = (action) =>
-    action &&
-    typeof action === 'object' &&
-    isValidPrompt(action.prompt) &&
-    isValidActionId(action.id) &&
-    Number.isFinite(action.timestamp);
+  // Queued actions this frame should take: the side panel ones for its own window, if the
+  // panel picked this frame's tab to receive them
+  const isQueuedForThisFrame = (item) =>
+    Boolean(item) &&
+    typeof item === 'object' &&
+    panelContext.receivesActions &&
+    isValidActionId(item.id) &&
+    item.windowId === panelContext.windowId &&
+    item.tabId === null;
 
   const waitForDocumentReady = async () => {
     if (document.readyState === 'complete') {
@@ -376,7 +888,12 @@
     });
   };
 
-  const runActionWithLock = async (prompt, actionId) => {
+  // Actions carry their own send mode; older payloads fall back to the user's default
+  const resolveSendMode = (sendMode) =>
+    Object.values(SEND_MODES).includes(sendMode) ? sendMode : contentSettings.sendMode;
+
+  // Actions arrive over the frame port, one per window at a time; the locks guard against redelivery
+  const runActionWithLock = async (prompt, actionId, sendMode, attachment) => {
     if (!isValidPrompt(prompt) || !isValidActionId(actionId)) {
       log.warn('Ignoring malformed action payload');
       return false;
@@ -396,7 +913,8 @@
 
     try {
       await waitForDocumentReady();
-      const success = await injectPrompt(prompt, actionId);
+
+      const success = await injectPrompt(prompt, actionId, resolveSendMode(sendMode), attachment);
 
       if (success) {
         processedActionIds.add(actionId);
@@ -416,7 +934,7 @@
         error,
         timestamp: Date.now()
       }).catch(() => {
-        // Non-critical; storage polling handles retries
+        // Non-critical; only the frame port acknowledgement settles the action
       });
     } catch {
       log.debug('Could not notify background script');
@@ -427,146 +945,451 @@
   // PENDING ACTIONS - THE CORE FIX
   // ============================================================================
 
+  // The service worker delivers queued actions over the frame port. The stored queue only
+  // matters when that port is gone (e.g. after a service worker restart): announcing
+  // ARENA_READY again reconnects it and lets the queue resume.
   const checkPendingActions = async () => {
     if (isCheckingPendingActions) {
-      return false;
+      return CHECK_RESULT.PENDING;
     }
 
     isCheckingPendingActions = true;
 
     try {
+      if (framePort && isReadyAnnounced) {
+        return CHECK_RESULT.NONE;
+      }
+
       const result = await chrome.storage.local.get(STORAGE_KEY);
-      const action = result[STORAGE_KEY];
+      const queue = result[STORAGE_KEY];
 
-      if (!action) {
-        return false;
+      if (!Array.isArray(queue) || !queue.some(isQueuedForThisFrame)) {
+        return CHECK_RESULT.NONE;
       }
 
-      if (!isValidStoredAction(action)) {
-        log.warn('Discarding malformed pending action');
-        await chrome.storage.local.remove(STORAGE_KEY);
-        return false;
-      }
+      log.info('Queued actions waiting for this frame - announcing ARENA_READY');
+      return (await announceReady()) ? CHECK_RESULT.READY : CHECK_RESULT.PENDING;
+    } catch (error) {
+      log.error('Failed to check pending actions:', error);
+      return CHECK_RESULT.PENDING;
+    } finally {
+      isCheckingPendingActions = false;
+    }
+  };
 
-      // Check if action is expired
-      const age = Date.now() - action.timestamp;
-      if (age > ACTION_EXPIRY_MS) {
-        log.debug('Action expired, discarding:', action.id);
-        await chrome.storage.local.remove(STORAGE_KEY);
-        return false;
-      }
+  // ============================================================================
+  // MESSAGE HANDLING
+  // ============================================================================
 
-      // Check if already processed
-      if (processedActionIds.has(action.id)) {
-        log.debug('Action already processed:', action.id);
-        await chrome.storage.local.remove(STORAGE_KEY);
-        return false;
-      }
+  // Identity of the side panel hosting this frame; windowId and token stay null in regular
+  // Arena tabs. Of the panel's Arena tabs, only the one receiving prompts takes actions.
+  const panelContext = {
+    windowId: null,
+    token: null,
+    receivesActions: false
+  };
 
-      log.info('Processing pending action:', action.id, 'age:', age + 'ms');
+  const isPanelFrame = () => panelContext.token !== null;
 
-      // Wait for page to be ready
-      if (document.readyState !== 'complete') {
-        log.debug('Waiting for page to complete loading...');
-        await waitForDocumentReady();
-      }
+  const handleWindowMessage = (event) => {
+    if (!EXTENSION_ORIGIN || event.origin !== EXTENSION_ORIGIN || event.source !== window.parent) {
+      return;
+    }
 
-      // Additional wait for React/dynamic content
-      await new Promise((resolve) => setTimeout(resolve, 500));
+    if (event.data?.type === 'ARENA_COMPANION_NAVIGATE') {
+      handleNavigateCommand(event.data);
+      return;
+    }
 
-      // Inject prompt
-      const success = await runActionWithLock(action.prompt, action.id);
+    if (!event.data || event.data.type !== 'ARENA_COMPANION_PANEL_CONTEXT') {
+      return;
+    }
 
-      if (success) {
-        await chrome.storage.local.remove(STORAGE_KEY);
-      }
+    if (!Number.isInteger(event.data.windowId) || typeof event.data.token !== 'string' || !event.data.token) {
+      log.warn('Ignoring malformed side panel context');
+      return;
+    }
 
-      return success;
-    } catch (error) {
-      log.error('Failed to check pending actions:', error);
+    const receivesActions = event.data.receivesActions === true;
+    if (panelContext.receivesActions && !receivesActions) {
+      // Another tab of the panel takes the actions now; closing the port makes the
+      // service worker forget this frame
+      releaseFramePort();
+    }
+
+    panelContext.windowId = event.data.windowId;
+    panelContext.token = event.data.token;
+    panelContext.receivesActions = receivesActions;
+    updateCompactCSS();
+    reportLocation();
+    void announceReady();
+  };
+
+  // Top-level Arena tabs only take part when the injection target setting points at them
+  const handleRuntimeMessage = (message, _sender, sendResponse) => {
+    if (message?.type !== 'REQUEST_ARENA_READY' || window !== window.top) {
       return false;
-    } finally {
-      isCheckingPendingActions = false;
     }
+
+    void announceReady();
+    sendResponse({ success: true });
+    return false;
   };
 
   // ============================================================================
-  // MESSAGE HANDLING
+  // SIDE PANEL TOOLBAR
   // ============================================================================
 
-  const handleMessage = (message, sender, sendResponse) => {
-    if (message.type === 'INJECT_PROMPT') {
-      log.info('Received INJECT_PROMPT message:', message.actionId);
-
-      (async () => {
-        try {
-          const success = await runActionWithLock(message.prompt, message.actionId);
-          sendResponse({ success });
-        } catch (error) {
-          log.error('Failed to handle runtime action:', error);
-          sendResponse({ success: false, error: error.message });
-        }
-      })();
+  // Must stay in sync with the keys of TOOLBAR_SHORTCUTS in utils/constants.js
+  const TOOLBAR_SHORTCUT_CODES = ['ArrowLeft', 'ArrowRight', 'KeyN', 'KeyR', 'KeyO', 'KeyL'];
 
-      return true;
+  // Only the extension page that introduced itself as this frame's side panel is told anything
+  const postToPanel = (data) => {
+    if (isPanelFrame() && EXTENSION_ORIGIN) {
+      window.parent.postMessage(data, EXTENSION_ORIGIN);
     }
+  };
 
-    return false;
+  // The panel cannot read a cross-origin frame's URL or history, so the frame reports both
+  // for the toolbar's back, forward, reload, open in tab and copy link buttons
+  const reportLocation = () => {
+    postToPanel({
+      type: 'ARENA_COMPANION_FRAME_LOCATION',
+      url: window.location.href,
+      canGoBack: window.navigation?.canGoBack === true,
+      canGoForward: window.navigation?.canGoForward === true
+    });
   };
 
-  const handleWindowMessage = (event) => {
-    if (!EXTENSION_ORIGIN || event.origin !== EXTENSION_ORIGIN) {
+  const handleNavigateCommand = (data) => {
+    if (!isPanelFrame() || data.token !== panelContext.token) {
       return;
     }
 
-    if (!event.data || event.data.type !== 'ARENA_COMPANION_INJECT_PROMPT') {
+    if (data.command === 'back') {
+      window.history.back();
+    } else if (data.command === 'forward') {
+      window.history.forward();
+    }
+  };
+
+  const isTextEntry = (target) =>
+    target instanceof HTMLElement &&
+    (target.isContentEditable || target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement);
+
+  // Toolbar shortcuts pressed while Arena has focus never reach the panel, so they are
+  // forwarded. Alt+arrows in the composer keep moving the caret by word.
+  const handleShortcutKeydown = (event) => {
+    if (
+      !isPanelFrame() ||
+      !event.altKey || event.ctrlKey || event.metaKey || event.shiftKey ||
+      !TOOLBAR_SHORTCUT_CODES.includes(event.code) ||
+      (event.code.startsWith('Arrow') && isTextEntry(event.target))
+    ) {
       return;
     }
 
-    void runActionWithLock(event.data.prompt, event.data.actionId);
+    event.preventDefault();
+    event.stopPropagation();
+    postToPanel({ type: 'ARENA_COMPANION_SHORTCUT', code: event.code });
   };
 
   // ============================================================================
-  // POLLING SYSTEM - AGGRESSIVE INITIAL POLLING
+  // EVENT-DRIVEN HANDOFF
   // ============================================================================
 
-  let pollIntervalId = null;
-  let fastPollIntervalId = null;
+  let fallbackPollId = null;
+  let fallbackDeadline = 0;
+  let framePort = null;
+  let isAnnouncingReady = false;
+  let isReadyAnnounced = false;
+
+  const stopFallbackPolling = () => {
+    if (fallbackPollId) {
+      clearInterval(fallbackPollId);
+      fallbackPollId = null;
+      log.debug('Fallback polling stopped');
+    }
+  };
+
+  const startFallbackInterval = () => {
+    if (fallbackPollId) clearInterval(fallbackPollId);
+
+    fallbackPollId = setInterval(async () => {
+      const outcome = await checkPendingActions();
+
+      if (outcome !== CHECK_RESULT.PENDING || Date.now() > fallbackDeadline) {
+        stopFallbackPolling();
+      }
+    }, contentSettings.pollInterval);
+  };
+
+  // Polls only while an action is known to be pending, and never past the deadline
+  const armFallbackPolling = () => {
+    fallbackDeadline = Date.now() + FALLBACK_POLL_DURATION;
+
+    if (!fallbackPollId) {
+      log.debug('Action still pending - fallback polling for', FALLBACK_POLL_DURATION + 'ms');
+      startFallbackInterval();
+    }
+  };
+
+  const handlePendingActionSignal = async () => {
+    // Only the side panel frame watches the stored queue; Arena tabs are asked directly
+    if (!isPanelFrame()) {
+      return;
+    }
+
+    const outcome = await checkPendingActions();
+
+    if (outcome === CHECK_RESULT.PENDING) {
+      armFallbackPolling();
+    } else {
+      stopFallbackPolling();
+    }
+  };
+
+  const handlePendingActionChange = (change) => {
+    if (Array.isArray(change.newValue) && change.newValue.length > 0) {
+      log.debug('Action queue changed - checking');
+      void handlePendingActionSignal();
+    } else {
+      stopFallbackPolling();
+    }
+  };
+
+  const postToFramePort = (message) => {
+    try {
+      framePort?.postMessage(message);
+    } catch {
+      log.debug('Could not post to service worker:', message.type);
+    }
+  };
+
+  const handleDeliveredAction = async (message) => {
+    log.info('Received delivered action:', message.actionId);
+
+    // A frame frozen in the background may process a delivery long after it was sent
+    if (!Number.isFinite(message.timestamp) || Date.now() - message.timestamp > ACTION_EXPIRY_MS) {
+      log.debug('Delivered action expired, discarding:', message.actionId);
+      postToFramePort({ type: 'ACTION_RESULT', actionId: message.actionId, success: false, error: 'Action expired' });
+      return;
+    }
+
+    // Answers already on the page are not part of this action's response
+    const baseline = new Set(findResponses());
+
+    let success = false;
+    let error = null;
+    try {
+      success = await runActionWithLock(message.prompt, message.actionId, message.sendMode, message.attachment);
+    } catch (deliveryError) {
+      log.error('Failed to handle delivered action:', deliveryError);
+      error = deliveryError.message;
+    }
+
+    postToFramePort({ type: 'ACTION_RESULT', actionId: message.actionId, success, error });
+
+    // The service worker holds the next queued action until Arena has answered this one
+    if (success) {
+      if (await waitForResponseIdle(message.prompt)) {
+        await captureResponse(message.actionId, baseline, message.prompt);
+      }
+      postToFramePort({ type: 'FRAME_IDLE' });
+    }
+  };
+
+  // Answers the selector test from the options page with how each proposed override fares in this frame
+  const reportSelectors = ({ requestId, selectorOverrides }) => {
+    const results = [];
+    for (const role of Object.values(SELECTOR_OVERRIDE_ROLES)) {
+      const selectors = Array.isArray(selectorOverrides?.[role]) ? selectorOverrides[role] : [];
+      for (const selector of selectors) {
+        if (!isValidSelector(selector)) {
+          results.push({ role, selector: String(selector), valid: false, matches: 0, usable: 0 });
+          continue;
+        }
+        const elements = Array.from(document.querySelectorAll(selector));
+        results.push({
+          role,
+          selector,
+          valid: true,
+          matches: elements.length,
+          usable: elements.filter(isElementUsable).length
+        });
+      }
+    }
+
+    postToFramePort({
+      type: 'SELECTOR_REPORT',
+      requestId,
+      adapter: siteAdapters.describe(getAdapter()),
+      results
+    });
+  };
+
+  const handlePortMessage = (message) => {
+    switch (message?.type) {
+      case 'DELIVER_ACTION':
+        void handleDeliveredAction(message);
+        break;
+
+      case 'TEST_SELECTORS':
+        reportSelectors(message);
+        break;
+
+      default:
+        log.debug('Unknown port message:', message?.type);
+    }
+  };
+
+  // Long-lived channel for ARENA_READY, delivered actions and their results
+  const connectFramePort = () => {
+    if (framePort) {
+      return;
+    }
+
+    try {
+      framePort = chrome.runtime.connect({ name: FRAME_PORT_NAME });
+    } catch (error) {
+      log.debug('Could not connect to service worker', error);
+      return;
+    }
+
+    framePort.onMessage.addListener(handlePortMessage);
+    framePort.onDisconnect.addListener(() => {
+      // Reading lastError marks it as handled; storage events keep working without the port
+      void chrome.runtime.lastError;
+      framePort = null;
+      isReadyAnnounced = false;
+      log.debug('Service worker port disconnected');
+    });
+  };
+
+  const releaseFramePort = () => {
+    framePort?.disconnect();
+    framePort = null;
+    isReadyAnnounced = false;
+  };
+
+  // Frames tell the service worker they can take actions once the composer is usable.
+  // The side panel frame proves its identity with the token from sidepanel/scripts/main.js.
+  const announceReady = async () => {
+    if ((!isPanelFrame() && window !== window.top) || isAnnouncingReady) {
+      return false;
+    }
+    if (isPanelFrame() && !panelContext.receivesActions) {
+      return false;
+    }
 
-  const startPolling = () => {
-    // Clear any existing intervals
-    if (pollIntervalId) clearInterval(pollIntervalId);
-    if (fastPollIntervalId) clearInterval(fastPollIntervalId);
+    isAnnouncingReady = true;
 
-    // FAST initial polling for first 10 seconds
-    log.info('Starting fast initial polling (100ms) for 10 seconds...');
-    fastPollIntervalId = setInterval(async () => {
-      const found = await checkPendingActions();
+    try {
+      await waitForDocumentReady();
 
-      // Check if we should switch to normal polling
-      if (Date.now() - initStartTime > INITIAL_POLL_DURATION) {
-        log.debug('Switching to normal polling interval');
-        clearInterval(fastPollIntervalId);
-        fastPollIntervalId = null;
-        isInitialPolling = false;
+      const textarea = await findTextarea();
+      if (!textarea) {
+        log.warn('Composer not found - ARENA_READY not announced');
+        return false;
+      }
+      // The panel may have switched the receiving tab while the composer was awaited
+      if (isPanelFrame() && !panelContext.receivesActions) {
+        return false;
       }
 
-      // If we found and processed an action, we can slow down
-      if (found) {
-        clearInterval(fastPollIntervalId);
-        fastPollIntervalId = null;
-        isInitialPolling = false;
+      connectFramePort();
+      if (!framePort) {
+        return false;
       }
-    }, INITIAL_POLL_INTERVAL);
 
-    // Regular polling as backup
-    pollIntervalId = setInterval(async () => {
-      if (!isInitialPolling) {
-        await checkPendingActions();
+      // The adapter travels along so the service worker log shows which layout was recognised
+      const adapter = siteAdapters.describe(getAdapter());
+      if (isPanelFrame()) {
+        framePort.postMessage({
+          type: 'ARENA_READY',
+          windowId: panelContext.windowId,
+          token: panelContext.token,
+          adapter
+        });
+      } else {
+        framePort.postMessage({ type: 'ARENA_READY', adapter });
       }
-    }, POLL_INTERVAL);
+      isReadyAnnounced = true;
+      log.info('Announced ARENA_READY', isPanelFrame() ? 'for side panel' : 'for tab', adapter);
+      return true;
+    } catch (error) {
+      log.debug('Could not announce ARENA_READY', error);
+      return false;
+    } finally {
+      isAnnouncingReady = false;
+    }
+  };
+
+  // ============================================================================
+  // SETTINGS
+  // ============================================================================
+
+  const applySettings = (stored) => {
+    const previousPollInterval = contentSettings.pollInterval;
+
+    if (Object.values(SEND_MODES).includes(stored?.sendMode)) {
+      contentSettings.sendMode = stored.sendMode;
+    } else {
+      // Settings saved before send modes had an auto-send checkbox
+      contentSettings.sendMode = stored?.autoSend === false ? SEND_MODES.FILL_AND_FOCUS : SEND_MODES.AUTO_SEND;
+    }
+    contentSettings.logLevel = typeof stored?.logLevel === 'string' ? stored.logLevel : 'default';
+
+    const previousHidingCSS = buildHidingCSS();
+    contentSettings.selectorOverrides = Object.fromEntries(
+      Object.values(SELECTOR_OVERRIDE_ROLES).map((role) => {
+        const selectors = stored?.selectorOverrides?.[role];
+        return [role, Array.isArray(selectors) ? selectors.filter(isValidSelector) : []];
+      })
+    );
+    contentSettings.cleanupRules = Array.isArray(stored?.cleanupRules)
+      ? stored.cleanupRules.filter((rule) => typeof rule?.enabled === 'boolean' && isValidSelector(rule.selector))
+      : DEFAULT_CLEANUP_RULES;
+    // Saved rules reach open frames through storage.onChanged, so switching one off shows the element again
+    if (buildHidingCSS() !== previousHidingCSS) {
+      updateHidingCSS();
+    }
+
+    contentSettings.compactMode = stored?.compactMode === true;
+    updateCompactCSS();
+
+    const pollInterval = stored?.timeouts?.POLL_INTERVAL;
+    contentSettings.pollInterval = Number.isInteger(pollInterval) && pollInterval >= MIN_POLL_INTERVAL
+      ? pollInterval
+      : POLL_INTERVAL;
+
+    if (fallbackPollId && contentSettings.pollInterval !== previousPollInterval) {
+      log.debug('Poll interval changed to', contentSettings.pollInterval);
+      startFallbackInterval();
+    }
+  };
 
-    log.debug('Polling started');
+  const loadSettings = async () => {
+    try {
+      const result = await chrome.storage.local.get(SETTINGS_KEY);
+      applySettings(result[SETTINGS_KEY]);
+    } catch (error) {
+      log.debug('Could not load settings, using defaults', error);
+    }
+  };
+
+  const handleStorageChange = (changes, areaName) => {
+    if (areaName !== 'local') {
+      return;
+    }
+
+    if (changes[SETTINGS_KEY]) {
+      applySettings(changes[SETTINGS_KEY].newValue);
+    }
+
+    if (changes[STORAGE_KEY]) {
+      handlePendingActionChange(changes[STORAGE_KEY]);
+    }
   };
 
   // ============================================================================
@@ -576,41 +1399,31 @@
   const initialize = () => {
     log.info('Content script initializing v1.7.0 on:', window.location.href);
 
-    // Store init time
-    initStartTime = Date.now();
-    isInitialPolling = true;
-
     // Inject CSS for UI cleanup
     injectHidingCSS();
     observeStyleRemoval();
 
-    // Set up message listener
-    chrome.runtime.onMessage.addListener(handleMessage);
+    // Side panel context arrives from the extension page embedding this frame and
+    // triggers the ready handshake; the stored queue wakes it up after a restart
     window.addEventListener('message', handleWindowMessage, false);
-
-    // Start aggressive polling immediately
-    startPolling();
-
-    // Check immediately on initialization
-    checkPendingActions();
+    window.addEventListener('keydown', handleShortcutKeydown, true);
+    // Arena navigates without reloading, so the side panel hears about each history entry
+    window.navigation?.addEventListener('currententrychange', reportLocation);
+    chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    void loadSettings();
 
     log.info('Content script initialized');
   };
 
   // Initialize based on document state
   if (document.readyState === 'loading') {
-    // Defer to initialize() which starts polling - avoid duplicate intervals
+    // Defer to initialize() which registers listeners - avoid duplicate handlers
     document.addEventListener('DOMContentLoaded', initialize, { once: true });
   } else {
     initialize();
   }
 
-  // Also listen for load event as fallback
-  window.addEventListener('load', () => {
-    log.debug('Window load event - checking pending actions');
-    checkPendingActions();
-  }, { once: true });
-
   const MAX_IDS = 100;
   const KEEP_IDS = 50;
 
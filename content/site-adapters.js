@@ -0,0 +1,247 @@
+/**
+ * Site Adapters - Arena Companion
+ * Declares how to find the composer, send button, stop button and responses on each Arena layout
+ * @module site-adapters
+ * @author Mohammad Faiz
+ * @version 1.7.0
+ */
+
+(() => {
+  'use strict';
+
+  // ============================================================================
+  // ADAPTERS
+  // ============================================================================
+
+  // Each adapter lists its selector sets newest layout first. Give a set a new version
+  // whenever Arena ships a redesign instead of editing the old one in place, so the
+  // diagnostic tells which layout the page was recognised as.
+  //   composer    - prompt textarea or contenteditable, first usable match wins
+  //   sendButton  - button that submits the composer
+  //   stopButton  - button shown while Arena is answering
+  //   responses   - assistant messages; the first selector that matches anything decides
+  //   scopedSend  - only accept a send button inside the composer's form or container
+  const ADAPTERS = [
+    {
+      id: 'arena',
+      label: 'Arena',
+      selectorSets: [
+        {
+          version: 2,
+          composer: [
+            'textarea[placeholder*="message" i]',
+            'textarea[placeholder*="ask" i]',
+            'textarea[aria-label*="message" i]',
+            'div[contenteditable="true"][role="textbox"][aria-label*="message" i]'
+          ],
+          sendButton: [
+            'button[aria-label*="send" i]',
+            'button[title*="send" i]',
+            'button[type="submit"]'
+          ],
+          stopButton: [
+            'button[aria-label*="stop" i]',
+            'button[title*="stop" i]'
+          ],
+          responses: [
+            '[data-message-author-role="assistant"]',
+            '[data-role="assistant"]',
+            '[data-testid*="assistant-message" i]',
+            '.prose'
+          ],
+          scopedSend: false
+        },
+        {
+          version: 1,
+          composer: [
+            'textarea[placeholder*="chat" i]',
+            'textarea[placeholder*="type" i]',
+            'textarea[aria-label*="chat" i]',
+            'textarea[aria-label*="input" i]',
+            'textarea[data-testid*="input"]'
+          ],
+          sendButton: [
+            'button[aria-label*="submit" i]',
+            'button[title*="submit" i]',
+            'button:has(svg[data-testid="send"])',
+            'button.primary'
+          ],
+          stopButton: [
+            'button[aria-label*="stop" i]',
+            'button[title*="stop" i]'
+          ],
+          responses: [
+            '[class*="assistant-message" i]',
+            '.markdown'
+          ],
+          scopedSend: false
+        }
+      ]
+    },
+    {
+      // Last resort for layouts no adapter knows yet. Its send button must sit next to the
+      // composer, because a document-wide "last button" can be any control on the page.
+      id: 'generic',
+      label: 'Generic chat page',
+      selectorSets: [
+        {
+          version: 1,
+          composer: [
+            'textarea[role="textbox"]',
+            'div[contenteditable="true"][role="textbox"]',
+            'textarea',
+            'div[contenteditable="true"]'
+          ],
+          sendButton: [
+            'button[type="submit"]',
+            'button:last-of-type'
+          ],
+          stopButton: [
+            'button[aria-label*="stop" i]',
+            'button[title*="stop" i]'
+          ],
+          responses: [
+            '[data-message-author-role="assistant"]',
+            '[data-role="assistant"]',
+            '.prose',
+            '.markdown'
+          ],
+          scopedSend: true
+        }
+      ]
+    }
+  ];
+
+  // Points each role adds to a selector set's score. The composer and the send button
+  // decide whether a prompt can be injected at all, so they outweigh the rest.
+  const ROLE_WEIGHTS = Object.freeze({
+    composer: 8,
+    sendButton: 4,
+    responses: 2,
+    stopButton: 1
+  });
+
+  // A send button outside the composer's form or container is only worth half
+  const DETACHED_SEND_FACTOR = 0.5;
+
+  // Ancestors searched for the send button when the composer has no form
+  const COMPOSER_SCOPE_DEPTH = 4;
+
+  // ============================================================================
+  // MATCHING
+  // ============================================================================
+
+  // Broken selectors match nothing instead of throwing
+  const queryAll = (selector, root = document) => {
+    try {
+      return Array.from(root.querySelectorAll(selector));
+    } catch {
+      return [];
+    }
+  };
+
+  // Disabled buttons still count: send buttons stay disabled while the composer is empty
+  const isRendered = (element) => element.getClientRects().length > 0;
+
+  // The element the composer's own controls live in
+  const getComposerScope = (composer) => {
+    const form = composer.closest('form');
+    if (form) {
+      return form;
+    }
+
+    let scope = composer;
+    for (let depth = 0; depth < COMPOSER_SCOPE_DEPTH && scope.parentElement; depth++) {
+      scope = scope.parentElement;
+    }
+    return scope;
+  };
+
+  const findFirst = (selectors, predicate, root = document) => {
+    for (const selector of selectors) {
+      const element = queryAll(selector, root).find(predicate);
+      if (element) {
+        return element;
+      }
+    }
+    return null;
+  };
+
+  // Scores one selector set against the page. Without a usable composer the set scores
+  // nothing, since none of the other roles matter if no prompt can be typed.
+  const scoreSelectorSet = (selectors, isUsable) => {
+    const roles = { composer: false, sendButton: false, responses: false, stopButton: false };
+    const composer = findFirst(selectors.composer, isUsable);
+    if (!composer) {
+      return { score: 0, roles };
+    }
+
+    roles.composer = true;
+    let score = ROLE_WEIGHTS.composer;
+
+    if (findFirst(selectors.sendButton, isRendered, getComposerScope(composer))) {
+      roles.sendButton = true;
+      score += ROLE_WEIGHTS.sendButton;
+    } else if (!selectors.scopedSend && findFirst(selectors.sendButton, isRendered)) {
+      roles.sendButton = true;
+      score += ROLE_WEIGHTS.sendButton * DETACHED_SEND_FACTOR;
+    }
+
+    if (selectors.responses.some((selector) => queryAll(selector).length > 0)) {
+      roles.responses = true;
+      score += ROLE_WEIGHTS.responses;
+    }
+
+    if (findFirst(selectors.stopButton, isRendered)) {
+      roles.stopButton = true;
+      score += ROLE_WEIGHTS.stopButton;
+    }
+
+    return { score, roles };
+  };
+
+  // Scores every selector set and picks the best one. Ties go to the adapter and version
+  // listed first. When nothing scores, the newest set of the first adapter is returned
+  // with a score of 0 so callers can still try it.
+  const detect = (isUsable) => {
+    const ranking = [];
+    for (const adapter of ADAPTERS) {
+      for (const selectors of adapter.selectorSets) {
+        const { score, roles } = scoreSelectorSet(selectors, isUsable);
+        ranking.push({ adapter, selectors, score, roles });
+      }
+    }
+
+    const best = ranking.reduce((top, entry) => (entry.score > top.score ? entry : top), ranking[0]);
+    return {
+      id: best.adapter.id,
+      label: best.adapter.label,
+      version: best.selectors.version,
+      score: best.score,
+      selectors: best.selectors,
+      ranking: ranking.map(({ adapter, selectors, score, roles }) =>
+        ({ id: adapter.id, version: selectors.version, score, roles }))
+    };
+  };
+
+  // Short name of a detected selector set, e.g. "arena@2"
+  const describe = (match) => `${match.id}@${match.version}`;
+
+  const deepFreeze = (value) => {
+    if (value && typeof value === 'object') {
+      Object.values(value).forEach(deepFreeze);
+      Object.freeze(value);
+    }
+    return value;
+  };
+
+  // Content scripts of the same extension share this isolated world, which page scripts
+  // cannot reach. content-script.js is listed after this file in the manifest.
+  globalThis.arenaCompanionSiteAdapters = Object.freeze({
+    ADAPTERS: deepFreeze(ADAPTERS),
+    ROLE_WEIGHTS,
+    getComposerScope,
+    detect,
+    describe
+  });
+})();
@@ -0,0 +1,1030 @@
+/**
+ * Options Page Script
+ * Edits profile, prompt templates, behaviour, site rule, page cleanup, page selector, timing and
+ * logging settings
+ * @module options
+ * @author Mohammad Faiz
+ * @version 1.7.0
+ */
+
+import { logger } from '../../utils/logger.js';
+import { validation } from '../../utils/validation.js';
+import {
+  ACTION_LABELS,
+  ARENA_TOOLS_ACTIONS,
+  CLEANUP_RULES,
+  CONFIG,
+  ERROR_MESSAGES,
+  INJECTION_TARGETS,
+  LOG_LEVELS,
+  PROMPT_TEMPLATES,
+  SELECTOR_OVERRIDE_ROLES,
+  SITE_CLICK_ACTIONS
+} from '../../utils/constants.js';
+
+// ============================================================================
+// MESSAGING
+// ============================================================================
+
+/**
+ * Sends a message to the service worker and unwraps the response
+ * @param {Object} message - Message with a type field
+ * @returns {Promise<*>} The response data
+ * @throws {Error} If the service worker reports a failure
+ */
+const sendMessage = async (message) => {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response?.success) {
+    throw new Error(response?.error || ERROR_MESSAGES.INVALID_DATA);
+  }
+  return response.data;
+};
+
+// ============================================================================
+// FORM HELPERS
+// ============================================================================
+
+/**
+ * Looks up a required element by ID
+ * @param {string} id - Element ID
+ * @returns {HTMLElement} The element
+ * @throws {Error} If the element is missing
+ */
+const getElement = (id) => {
+  const element = document.getElementById(id);
+  if (!element) {
+    throw new Error(ERROR_MESSAGES.MISSING_DOM_ELEMENTS);
+  }
+  return element;
+};
+
+/**
+ * Shows a status message next to a form's submit button
+ * @param {HTMLElement} statusElement - Status paragraph
+ * @param {string} text - Message to show
+ * @param {boolean} [isError=false] - Whether the message reports a failure
+ */
+const setStatus = (statusElement, text, isError = false) => {
+  statusElement.textContent = text;
+  statusElement.classList.toggle('form-status--error', isError);
+};
+
+/**
+ * Marks a field as invalid or valid for assistive technology and styling
+ * @param {HTMLElement} field - Input element
+ * @param {boolean} invalid - Whether the value failed validation
+ */
+const markInvalid = (field, invalid) => {
+  if (invalid) {
+    field.setAttribute('aria-invalid', 'true');
+  } else {
+    field.removeAttribute('aria-invalid');
+  }
+};
+
+/**
+ * Checks a selector the way the Arena frame will use it. This page parses selectors
+ * with the same engine, so syntax errors show up here before anything is saved.
+ * @param {*} selector - Selector to check
+ * @returns {boolean} Whether the selector is safe and parses
+ */
+const isUsableSelector = (selector) => {
+  if (!validation.isSafeSelector(selector, CONFIG.VALIDATION.MAX_SELECTOR_LENGTH)) {
+    return false;
+  }
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Creates a button element
+ * @param {string} label - Visible text
+ * @param {string} ariaLabel - Accessible name
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
+ */
+const createButton = (label, ariaLabel, onClick) => {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn--small';
+  button.textContent = label;
+  button.setAttribute('aria-label', ariaLabel);
+  button.addEventListener('click', onClick);
+  return button;
+};
+
+// ============================================================================
+// PROFILE
+// ============================================================================
+
+/**
+ * Loads the profile form from GET_USER_DETAILS
+ * @returns {Promise<void>}
+ */
+const loadProfile = async () => {
+  const details = await sendMessage({ type: 'GET_USER_DETAILS' });
+  getElement('profileName').value = details.name || '';
+  getElement('profileEmail').value = details.email || '';
+};
+
+/**
+ * Validates and saves the profile through SAVE_USER_DETAILS
+ * @param {SubmitEvent} event - Form submit event
+ * @returns {Promise<void>}
+ */
+const handleProfileSubmit = async (event) => {
+  event.preventDefault();
+  const nameInput = getElement('profileName');
+  const emailInput = getElement('profileEmail');
+  const status = getElement('profileStatus');
+
+  const name = validation.sanitizeInput(nameInput.value, CONFIG.VALIDATION.MAX_NAME_LENGTH);
+  const email = validation.sanitizeInput(emailInput.value, CONFIG.VALIDATION.MAX_EMAIL_LENGTH);
+  const nameInvalid = nameInput.value.trim().length > CONFIG.VALIDATION.MAX_NAME_LENGTH;
+  const emailInvalid = emailInput.value.trim().length > CONFIG.VALIDATION.MAX_EMAIL_LENGTH ||
+                       !validation.validateEmail(email);
+
+  markInvalid(nameInput, nameInvalid);
+  markInvalid(emailInput, emailInvalid);
+  if (nameInvalid || emailInvalid) {
+    setStatus(status, emailInvalid ? ERROR_MESSAGES.INVALID_EMAIL : ERROR_MESSAGES.INVALID_USER_DETAILS, true);
+    return;
+  }
+
+  try {
+    await sendMessage({ type: 'SAVE_USER_DETAILS', data: { name, email } });
+    nameInput.value = name;
+    emailInput.value = email;
+    setStatus(status, 'Profile saved');
+  } catch (error) {
+    logger.error('Failed to save profile', error);
+    setStatus(status, error.message, true);
+  }
+};
+
+// ============================================================================
+// BUILT-IN PROMPT TEMPLATES
+// ============================================================================
+
+/**
+ * Renders one editor per built-in action, prefilled with any saved override
+ * @param {Object<string, string>} overrides - Saved template overrides
+ */
+const renderBuiltInTemplates = (overrides) => {
+  const container = getElement('builtInTemplates');
+  const items = Object.keys(PROMPT_TEMPLATES).map((action) => {
+    const item = document.createElement('div');
+    item.className = 'field';
+
+    const header = document.createElement('div');
+    header.className = 'template-item__header';
+
+    const label = document.createElement('label');
+    label.className = 'field__label';
+    label.htmlFor = `template-${action}`;
+    label.textContent = ACTION_LABELS[action] || action;
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'field__input field__input--multiline';
+    textarea.id = `template-${action}`;
+    textarea.rows = 4;
+    textarea.dataset.action = action;
+    textarea.value = overrides[action] || PROMPT_TEMPLATES[action];
+
+    const resetButton = createButton('Reset', `Reset ${label.textContent} template to default`, () => {
+      textarea.value = PROMPT_TEMPLATES[action];
+      markInvalid(textarea, false);
+    });
+
+    header.append(label, resetButton);
+    item.append(header, textarea);
+    return item;
+  });
+
+  container.replaceChildren(...items);
+};
+
+/**
+ * Validates and saves built-in template overrides through SAVE_SETTINGS
+ * @param {SubmitEvent} event - Form submit event
+ * @returns {Promise<void>}
+ */
+const handleBuiltInTemplatesSubmit = async (event) => {
+  event.preventDefault();
+  const status = getElement('builtInTemplatesStatus');
+  const textareas = getElement('builtInTemplates').querySelectorAll('textarea[data-action]');
+  const promptTemplates = {};
+  let hasInvalid = false;
+
+  for (const textarea of textareas) {
+    const value = validation.sanitizeTemplate(textarea.value);
+    const invalid = textarea.value.trim().length > CONFIG.VALIDATION.MAX_TEMPLATE_LENGTH;
+    markInvalid(textarea, invalid);
+    hasInvalid = hasInvalid || invalid;
+    // An empty or unchanged template clears the override
+    promptTemplates[textarea.dataset.action] = value === PROMPT_TEMPLATES[textarea.dataset.action] ? '' : value;
+  }
+
+  if (hasInvalid) {
+    setStatus(status, `Templates are limited to ${CONFIG.VALIDATION.MAX_TEMPLATE_LENGTH} characters`, true);
+    return;
+  }
+
+  try {
+    const saved = await sendMessage({ type: 'SAVE_SETTINGS', data: { promptTemplates } });
+    renderBuiltInTemplates(saved.promptTemplates);
+    setStatus(status, 'Templates saved');
+  } catch (error) {
+    logger.error('Failed to save prompt templates', error);
+    setStatus(status, error.message, true);
+  }
+};
+
+// ============================================================================
+// CUSTOM ACTIONS
+// ============================================================================
+
+let customActionList = [];
+
+// Saved per-action send modes, kept so the list can be redrawn when custom actions change
+let savedSendModes = {};
+
+/**
+ * Resets the custom action form to "add" mode
+ */
+const resetCustomActionForm = () => {
+  getElement('customActionId').value = '';
+  getElement('customActionTitle').value = '';
+  getElement('customActionTemplate').value = '';
+  getElement('customActionSubmit').textContent = 'Add action';
+  getElement('customActionCancel').hidden = true;
+  markInvalid(getElement('customActionTitle'), false);
+  markInvalid(getElement('customActionTemplate'), false);
+};
+
+/**
+ * Loads a custom action into the form for editing
+ * @param {Object} action - Custom action
+ */
+const editCustomAction = (action) => {
+  getElement('customActionId').value = action.id;
+  getElement('customActionTitle').value = action.title;
+  getElement('customActionTemplate').value = action.template;
+  getElement('customActionSubmit').textContent = 'Update action';
+  getElement('customActionCancel').hidden = false;
+  getElement('customActionTitle').focus();
+};
+
+/**
+ * Moves a custom action up or down and saves the new order
+ * @param {number} index - Current position
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Promise<void>}
+ */
+const moveCustomAction = async (index, offset) => {
+  const status = getElement('customActionStatus');
+  const ids = customActionList.map((action) => action.id);
+  const target = index + offset;
+  if (target < 0 || target >= ids.length) {
+    return;
+  }
+  [ids[index], ids[target]] = [ids[target], ids[index]];
+
+  try {
+    await sendMessage({ type: 'REORDER_CUSTOM_ACTIONS', ids });
+    await loadCustomActions();
+    setStatus(status, 'Order saved');
+  } catch (error) {
+    logger.error('Failed to reorder custom actions', error);
+    setStatus(status, error.message, true);
+  }
+};
+
+/**
+ * Deletes a custom action after confirmation
+ * @param {Object} action - Custom action
+ * @returns {Promise<void>}
+ */
+const deleteCustomAction = async (action) => {
+  const status = getElement('customActionStatus');
+  if (!window.confirm(`Delete "${action.title}"?`)) {
+    return;
+  }
+
+  try {
+    await sendMessage({ type: 'DELETE_CUSTOM_ACTION', id: action.id });
+    if (getElement('customActionId').value === action.id) {
+      resetCustomActionForm();
+    }
+    await loadCustomActions();
+    setStatus(status, 'Action deleted');
+  } catch (error) {
+    logger.error('Failed to delete custom action', error);
+    setStatus(status, error.message, true);
+  }
+};
+
+/**
+ * Renders the custom action list with edit, reorder and delete controls
+ */
+const renderCustomActions = () => {
+  const list = getElement('customActionList');
+
+  if (customActionList.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'action-list__empty';
+    empty.textContent = 'No custom actions yet.';
+    list.replaceChildren(empty);
+    return;
+  }
+
+  const items = customActionList.map((action, index) => {
+    const item = document.createElement('li');
+    item.className = 'action-list__item';
+
+    const title = document.createElement('span');
+    title.className = 'action-list__title';
+    title.textContent = action.title;
+    title.title = action.template;
+
+    const upButton = createButton('Up', `Move ${action.title} up`, () => moveCustomAction(index, -1));
+    upButton.disabled = index === 0;
+    const downButton = createButton('Down', `Move ${action.title} down`, () => moveCustomAction(index, 1));
+    downButton.disabled = index === customActionList.length - 1;
+
+    item.append(
+      title,
+      upButton,
+      downButton,
+      createButton('Edit', `Edit ${action.title}`, () => editCustomAction(action)),
+      createButton('Delete', `Delete ${action.title}`, () => deleteCustomAction(action))
+    );
+    return item;
+  });
+
+  list.replaceChildren(...items);
+};
+
+/**
+ * Loads custom actions from GET_CUSTOM_ACTIONS and renders them
+ * @returns {Promise<void>}
+ */
+const loadCustomActions = async () => {
+  customActionList = await sendMessage({ type: 'GET_CUSTOM_ACTIONS' });
+  renderCustomActions();
+  renderSendModes();
+  // Unsaved rules survive the redraw that lists the changed custom actions
+  renderSiteRules(readSiteRuleRows());
+};
+
+/**
+ * Validates and saves the custom action form through SAVE_CUSTOM_ACTION
+ * @param {SubmitEvent} event - Form submit event
+ * @returns {Promise<void>}
+ */
+const handleCustomActionSubmit = async (event) => {
+  event.preventDefault();
+  const titleInput = getElement('customActionTitle');
+  const templateInput = getElement('customActionTemplate');
+  const status = getElement('customActionStatus');
+
+  const title = validation.sanitizeInput(titleInput.value, CONFIG.VALIDATION.MAX_ACTION_TITLE_LENGTH);
+  const template = validation.sanitizeTemplate(templateInput.value);
+  const titleInvalid = !title || titleInput.value.trim().length > CONFIG.VALIDATION.MAX_ACTION_TITLE_LENGTH;
+  const templateInvalid = !template || templateInput.value.trim().length > CONFIG.VALIDATION.MAX_TEMPLATE_LENGTH;
+
+  markInvalid(titleInput, titleInvalid);
+  markInvalid(templateInput, templateInvalid);
+  if (titleInvalid || templateInvalid) {
+    setStatus(status, ERROR_MESSAGES.INVALID_CUSTOM_ACTION, true);
+    return;
+  }
+
+  const id = getElement('customActionId').value || undefined;
+
+  try {
+    await sendMessage({ type: 'SAVE_CUSTOM_ACTION', data: { id, title, template } });
+    resetCustomActionForm();
+    await loadCustomActions();
+    setStatus(status, id ? 'Action updated' : 'Action added');
+  } catch (error) {
+    logger.error('Failed to save custom action', error);
+    setStatus(status, error.message, true);
+  }
+};
+
+// ============================================================================
+// BEHAVIOUR, TIMING AND LOGGING
+// ============================================================================
+
+/**
+ * Renders a send mode choice for every built-in and custom action. The choices are copied
+ * from the default send mode select, with an extra entry that follows the default.
+ */
+const renderSendModes = () => {
+  const list = getElement('sendModeList');
+  // Unsaved choices survive a redraw caused by adding or deleting a custom action
+  const pending = Object.fromEntries(
+    Array.from(list.querySelectorAll('select[data-action]'), (select) => [select.dataset.action, select.value])
+  );
+  const defaultOptions = Array.from(getElement('sendMode').options);
+  const actions = [
+    ...Object.keys(PROMPT_TEMPLATES).map((action) => ({ id: action, title: ACTION_LABELS[action] || action })),
+    ...customActionList.map(({ id, title }) => ({ id, title }))
+  ];
+
+  const rows = actions.flatMap(({ id, title }) => {
+    const label = document.createElement('label');
+    label.className = 'field__label';
+    label.htmlFor = `sendMode-${id}`;
+    label.textContent = title;
+
+    const select = document.createElement('select');
+    select.className = 'field__input';
+    select.id = `sendMode-${id}`;
+    select.dataset.action = id;
+    select.append(new Option('Default', ''), ...defaultOptions.map((option) => new Option(option.text, option.value)));
+    select.value = pending[id] ?? savedSendModes[id] ?? '';
+
+    return [label, select];
+  });
+
+  list.replaceChildren(...rows);
+};
+
+/**
+ * Fills the behaviour, timing and logging forms from saved settings
+ * @param {Object} current - Settings object from GET_SETTINGS
+ */
+const renderSettings = (current) => {
+  getElement('sendMode').value = current.sendMode;
+  savedSendModes = current.sendModes;
+  getElement('sendModeList').replaceChildren();
+  renderSendModes();
+  getElement('injectionTarget').value = current.injectionTarget;
+  getElement('panelMode').value = current.panelMode;
+  getElement('restoreConversation').checked = current.restoreConversation;
+  getElement('logLevel').value = current.logLevel;
+
+  for (const input of getElement('timingForm').querySelectorAll('input[data-timeout]')) {
+    const range = CONFIG.VALIDATION.TIMEOUT_RANGES[input.dataset.timeout];
+    input.min = String(range.min);
+    input.max = String(range.max);
+    input.value = String(current.timeouts[input.dataset.timeout]);
+  }
+};
+
+/**
+ * Saves a settings update and reports the result in a form status element
+ * @param {Object} updates - Partial settings
+ * @param {string} statusId - ID of the status element
+ * @param {string} successText - Message shown on success
+ * @returns {Promise<void>}
+ */
+const saveSettings = async (updates, statusId, successText) => {
+  const status = getElement(statusId);
+  try {
+    const saved = await sendMessage({ type: 'SAVE_SETTINGS', data: updates });
+    renderSettings(saved);
+    setStatus(status, successText);
+  } catch (error) {
+    logger.error('Failed to save settings', error);
+    setStatus(status, error.message, true);
+  }
+};
+
+/**
+ * Saves the send modes and injection target preferences
+ * @param {SubmitEvent} event - Form submit event
+ * @returns {Promise<void>}
+ */
+const handleBehaviourSubmit = async (event) => {
+  event.preventDefault();
+  const sendModes = {};
+  for (const select of getElement('sendModeList').querySelectorAll('select[data-action]')) {
+    // "Default" clears the action's own mode
+    sendModes[select.dataset.action] = select.value || null;
+  }
+
+  await saveSettings(
+    {
+      sendMode: getElement('sendMode').value,
+      sendModes,
+      injectionTarget: getElement('injectionTarget').value,
+      panelMode: getElement('panelMode').value,
+      restoreConversation: getElement('restoreConversation').checked
+    },
+    'behaviourStatus',
+    'Behaviour saved'
+  );
+};
+
+/**
+ * Validates and saves CONFIG.TIMEOUTS overrides
+ * @param {SubmitEvent} event - Form submit event
+ * @returns {Promise<void>}
+ */
+const handleTimingSubmit = async (event) => {
+  event.preventDefault();
+  const timeouts = {};
+  let hasInvalid = false;
+
+  for (const input of getElement('timingForm').querySelectorAll('input[data-timeout]')) {
+    const key = input.dataset.timeout;
+    const value = Number(input.value);
+    const invalid = !validation.isIntegerInRange(value, CONFIG.VALIDATION.TIMEOUT_RANGES[key]);
+    markInvalid(input, invalid);
+    hasInvalid = hasInvalid || invalid;
+    timeouts[key] = value;
+  }
+
+  if (hasInvalid) {
+    setStatus(getElement('timingStatus'), 'Enter whole numbers within the allowed range', true);
+    return;
+  }
+
+  await saveSettings({ timeouts }, 'timingStatus', 'Timing saved');
+};
+
+/**
+ * Saves the log level
+ * @param {SubmitEvent} event - Form submit event
+ * @returns {Promise<void>}
+ */
+const handleLoggingSubmit = async (event) => {
+  event.preventDefault();
+  const logLevel = getElement('logLevel').value;
+  if (!Object.values(LOG_LEVELS).includes(logLevel)) {
+    setStatus(getElement('loggingStatus'), ERROR_MESSAGES.INVALID_SETTINGS, true);
+    return;
+  }
+  await saveSettings({ logLevel }, 'loggingStatus', 'Logging saved');
+};
+
+// ============================================================================
+// SITE RULES
+// ============================================================================
+
+/**
+ * Creates a checkbox wrapped in its label
+ * @param {string} text - Label text
+ * @param {boolean} checked - Initial state
+ * @returns {{label: HTMLLabelElement, input: HTMLInputElement}} Label and checkbox
+ */
+const createCheckbox = (text, checked) => {
+  const label = document.createElement('label');
+  label.className = 'site-rule__option';
+
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = checked;
+
+  label.append(input, text);
+  return { label, input };
+};
+
+/**
+ * Creates the editable row of one site rule
+ * @param {{pattern: string, hiddenActions: string[], clickAction: string|null}} rule - Site rule
+ * @returns {HTMLLIElement} The row
+ */
+const createSiteRuleRow = (rule) => {
+  const item = document.createElement('li');
+  item.className = 'action-list__item site-rule';
+
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'field__input site-rule__pattern';
+  pattern.value = rule.pattern;
+  pattern.maxLength = CONFIG.VALIDATION.MAX_URL_PATTERN_LENGTH;
+  pattern.placeholder = 'https://docs.example.com/*';
+  pattern.spellcheck = false;
+  pattern.dataset.field = 'pattern';
+  pattern.setAttribute('aria-label', 'Site pattern');
+
+  const clickAction = document.createElement('select');
+  clickAction.className = 'field__input';
+  clickAction.dataset.field = 'clickAction';
+  clickAction.setAttribute('aria-label', 'Toolbar icon click');
+  clickAction.append(
+    new Option('Icon opens the side panel', ''),
+    ...SITE_CLICK_ACTIONS.map((action) => new Option(`Icon runs ${ACTION_LABELS[action]}`, action)),
+    ...customActionList.map(({ id, title }) => new Option(`Icon runs ${title}`, id))
+  );
+  clickAction.value = rule.clickAction ?? '';
+  if (clickAction.selectedIndex === -1) {
+    // The custom action was deleted
+    clickAction.value = '';
+  }
+
+  const hidden = document.createElement('fieldset');
+  hidden.className = 'site-rule__hidden';
+  const legend = document.createElement('legend');
+  legend.textContent = 'Hide in Arena Tools:';
+  const entries = [
+    ...ARENA_TOOLS_ACTIONS.map((action) => ({ id: action, title: ACTION_LABELS[action] })),
+    ...customActionList.map(({ id, title }) => ({ id, title }))
+  ];
+  hidden.append(legend, ...entries.map(({ id, title }) => {
+    const option = createCheckbox(title, rule.hiddenActions.includes(id));
+    option.input.dataset.hiddenAction = id;
+    return option.label;
+  }));
+
+  const removeButton = createButton('Remove', `Remove the rule for ${rule.pattern || 'this site'}`, () => {
+    item.remove();
+    getElement('siteRuleAdd').disabled = false;
+  });
+
+  item.append(pattern, clickAction, removeButton, hidden);
+  return item;
+};
+
+/**
+ * Renders the site rule editor
+ * @param {Object[]} rules - Rules in the order they are tried
+ */
+const renderSiteRules = (rules) => {
+  getElement('siteRuleList').replaceChildren(...rules.map(createSiteRuleRow));
+  getElement('siteRuleAdd').disabled = rules.length >= CONFIG.VALIDATION.MAX_SITE_RULES;
+};
+
+/**
+ * Reads the site rules as currently edited, without validating them
+ * @returns {Object[]} Rules in display order
+ */
+const readSiteRuleRows = () =>
+  Array.from(getElement('siteRuleList').children, (row) => ({
+    pattern: row.querySelector('[data-field="pattern"]').value.trim(),
+    hiddenActions: Array.from(row.querySelectorAll('[data-hidden-action]:checked'), (input) => input.dataset.hiddenAction),
+    clickAction: row.querySelector('[data-field="clickAction"]').value || null
+  }));
+
+/**
+ * Appends an empty rule and focuses its pattern
+ */
+const addSiteRule = () => {
+  const list = getElement('siteRuleList');
+  const row = createSiteRuleRow({ pattern: '', hiddenActions: [], clickAction: null });
+  list.append(row);
+  getElement('siteRuleAdd').disabled = list.children.length >= CONFIG.VALIDATION.MAX_SITE_RULES;
+  row.querySelector('[data-field="pattern"]').focus();
+};
+
+/**
+ * Validates and saves the site rules through SAVE_SETTINGS
+ * @param {SubmitEvent} event - Form submit event
+ * @returns {Promise<void>}
+ */
+const handleSiteRulesSubmit = async (event) => {
+  event.preventDefault();
+  const status = getElement('siteRulesStatus');
+  const siteRules = readSiteRuleRows();
+  let hasInvalid = false;
+
+  siteRules.forEach((rule, index) => {
+    const invalid = !validation.isUrlPattern(rule.pattern, CONFIG.VALIDATION.MAX_URL_PATTERN_LENGTH);
+    markInvalid(getElement('siteRuleList').children[index].querySelector('[data-field="pattern"]'), invalid);
+    hasInvalid = hasInvalid || invalid;
+  });
+
+  if (hasInvalid) {
+    setStatus(status, ERROR_MESSAGES.INVALID_SITE_RULES, true);
+    return;
+  }
+
+  try {
+    const saved = await sendMessage({ type: 'SAVE_SETTINGS', data: { siteRules } });
+    renderSiteRules(saved.siteRules);
+    setStatus(status, 'Site rules saved');
+  } catch (error) {
+    logger.error('Failed to save site rules', error);
+    setStatus(status, error.message, true);
+  }
+};
+
+// ============================================================================
+// PAGE CLEANUP
+// ============================================================================
+
+/**
+ * Creates the editable row of one cleanup rule
+ * @param {{label: string, selector: string, enabled: boolean}} rule - Cleanup rule
+ * @returns {HTMLLIElement} The row
+ */
+const createCleanupRuleRow = (rule) => {
+  const item = document.createElement('li');
+  item.className = 'action-list__item';
+
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.checked = rule.enabled;
+  enabled.dataset.field = 'enabled';
+  enabled.setAttribute('aria-label', `Hide ${rule.label || 'matching elements'}`);
+
+  const label = document.createElement('input');
+  label.type = 'text';
+  label.className = 'field__input cleanup-rule__label';
+  label.value = rule.label;
+  label.maxLength = CONFIG.VALIDATION.MAX_CLEANUP_LABEL_LENGTH;
+  label.placeholder = 'Label';
+  label.dataset.field = 'label';
+  label.setAttribute('aria-label', 'Rule label');
+
+  const selector = document.createElement('input');
+  selector.type = 'text';
+  selector.className = 'field__input cleanup-rule__selector';
+  selector.value = rule.selector;
+  selector.maxLength = CONFIG.VALIDATION.MAX_SELECTOR_LENGTH;
+  selector.placeholder = 'CSS selector';
+  selector.spellcheck = false;
+  selector.dataset.field = 'selector';
+  selector.setAttribute('aria-label', 'CSS selector');
+
+  const removeButton = createButton('Remove', `Remove ${rule.label || 'this rule'}`, () => {
+    item.remove();
+    getElement('cleanupRuleAdd').disabled = false;
+  });
+
+  item.append(enabled, label, selector, removeButton);
+  return item;
+};
+
+/**
+ * Renders the cleanup rule editor
+ * @param {Array<{label: string, selector: string, enabled: boolean}>} rules - Rules in display order
+ */
+const renderCleanupRules = (rules) => {
+  getElement('cleanupRuleList').replaceChildren(...rules.map(createCleanupRuleRow));
+  getElement('cleanupRuleAdd').disabled = rules.length >= CONFIG.VALIDATION.MAX_CLEANUP_RULES;
+};
+
+/**
+ * Appends an empty rule and focuses its label
+ */
+const addCleanupRule = () => {
+  const list = getElement('cleanupRuleList');
+  const row = createCleanupRuleRow({ label: '', selector: '', enabled: true });
+  list.append(row);
+  getElement('cleanupRuleAdd').disabled = list.children.length >= CONFIG.VALIDATION.MAX_CLEANUP_RULES;
+  row.querySelector('[data-field="label"]').focus();
+};
+
+/**
+ * Puts the built-in rules back into the editor; they apply once saved
+ */
+const restoreCleanupRules = () => {
+  renderCleanupRules(CLEANUP_RULES);
+  setStatus(getElement('cleanupStatus'), 'Defaults restored - save to apply');
+};
+
+/**
+ * Validates and saves the cleanup rules through SAVE_SETTINGS
+ * @param {SubmitEvent} event - Form submit event
+ * @returns {Promise<void>}
+ */
+const handleCleanupSubmit = async (event) => {
+  event.preventDefault();
+  const status = getElement('cleanupStatus');
+  const cleanupRules = [];
+  let hasInvalid = false;
+
+  for (const row of getElement('cleanupRuleList').children) {
+    const labelInput = row.querySelector('[data-field="label"]');
+    const selectorInput = row.querySelector('[data-field="selector"]');
+    const label = validation.sanitizeInput(labelInput.value, CONFIG.VALIDATION.MAX_CLEANUP_LABEL_LENGTH);
+    const selector = selectorInput.value.trim();
+    const labelInvalid = !label;
+    const selectorInvalid = !isUsableSelector(selector);
+
+    markInvalid(labelInput, labelInvalid);
+    markInvalid(selectorInput, selectorInvalid);
+    hasInvalid = hasInvalid || labelInvalid || selectorInvalid;
+    cleanupRules.push({ label, selector, enabled: row.querySelector('[data-field="enabled"]').checked });
+  }
+
+  if (hasInvalid) {
+    setStatus(status, ERROR_MESSAGES.INVALID_CLEANUP_RULES, true);
+    return;
+  }
+
+  try {
+    const saved = await sendMessage({ type: 'SAVE_SETTINGS', data: { cleanupRules } });
+    renderCleanupRules(saved.cleanupRules);
+    setStatus(status, 'Cleanup rules saved');
+  } catch (error) {
+    logger.error('Failed to save cleanup rules', error);
+    setStatus(status, error.message, true);
+  }
+};
+
+// ============================================================================
+// PAGE SELECTORS
+// ============================================================================
+
+/**
+ * Fills the selector override editor; empty overrides leave it blank for the placeholder
+ * @param {Object<string, string[]>} overrides - Saved overrides
+ */
+const renderSelectorOverrides = (overrides) => {
+  const hasOverrides = Object.values(overrides).some((selectors) => selectors.length > 0);
+  getElement('selectorOverrides').value = hasOverrides ? JSON.stringify(overrides, null, 2) : '';
+  markInvalid(getElement('selectorOverrides'), false);
+};
+
+/**
+ * Parses and checks the selector override editor, reporting problems in its status
+ * @returns {Object<string, string[]>|null} Overrides for every role, or null if invalid
+ */
+const readSelectorOverrides = () => {
+  const input = getElement('selectorOverrides');
+  const status = getElement('selectorsStatus');
+  const roles = Object.values(SELECTOR_OVERRIDE_ROLES);
+  const fail = (text) => {
+    markInvalid(input, true);
+    setStatus(status, text, true);
+    return null;
+  };
+
+  let overrides;
+  try {
+    overrides = input.value.trim() ? JSON.parse(input.value) : {};
+  } catch (error) {
+    return fail(`Not valid JSON: ${error.message}`);
+  }
+
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return fail(ERROR_MESSAGES.INVALID_SELECTOR_OVERRIDES);
+  }
+
+  for (const [role, selectors] of Object.entries(overrides)) {
+    if (!roles.includes(role) || !Array.isArray(selectors)) {
+      return fail(ERROR_MESSAGES.INVALID_SELECTOR_OVERRIDES);
+    }
+    if (selectors.length > CONFIG.VALIDATION.MAX_SELECTOR_OVERRIDES) {
+      return fail(`At most ${CONFIG.VALIDATION.MAX_SELECTOR_OVERRIDES} selectors per list`);
+    }
+    const broken = selectors.find((selector) => !isUsableSelector(selector));
+    if (broken !== undefined) {
+      return fail(`Invalid selector in ${role}: ${String(broken)}`);
+    }
+  }
+
+  markInvalid(input, false);
+  // Lists left out are cleared, so what is saved is exactly what the editor shows
+  return Object.fromEntries(roles.map((role) => [role, overrides[role] || []]));
+};
+
+/**
+ * Lists how each override fared in the Arena frame
+ * @param {Object[]} results - Results from TEST_SELECTORS
+ */
+const renderSelectorTestResults = (results) => {
+  const list = getElement('selectorTestResults');
+  list.hidden = false;
+
+  if (results.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'action-list__empty';
+    empty.textContent = 'No overrides to test.';
+    list.replaceChildren(empty);
+    return;
+  }
+
+  const items = results.map(({ role, selector, valid, matches, usable }) => {
+    const item = document.createElement('li');
+    item.className = 'action-list__item';
+
+    const title = document.createElement('span');
+    title.className = 'action-list__title';
+    title.textContent = `${role}: ${selector}`;
+    title.title = selector;
+
+    // Hidden elements are invisible by design, so only their matches count
+    const found = role === SELECTOR_OVERRIDE_ROLES.HIDDEN ? matches : usable;
+    const detail = document.createElement('span');
+    detail.className = 'selector-result__detail';
+    detail.classList.toggle('selector-result__detail--error', !valid || found === 0);
+    if (!valid) {
+      detail.textContent = 'Invalid in this frame';
+    } else if (role === SELECTOR_OVERRIDE_ROLES.HIDDEN) {
+      detail.textContent = `${matches} ${matches === 1 ? 'match' : 'matches'}`;
+    } else {
+      detail.textContent = `${usable} usable of ${matches} ${matches === 1 ? 'match' : 'matches'}`;
+    }
+
+    item.append(title, detail);
+    return item;
+  });
+
+  list.replaceChildren(...items);
+};
+
+/**
+ * Saves the selector overrides
+ * @param {SubmitEvent} event - Form submit event
+ * @returns {Promise<void>}
+ */
+const handleSelectorsSubmit = async (event) => {
+  event.preventDefault();
+  const status = getElement('selectorsStatus');
+  const selectorOverrides = readSelectorOverrides();
+  if (!selectorOverrides) {
+    return;
+  }
+
+  try {
+    const saved = await sendMessage({ type: 'SAVE_SETTINGS', data: { selectorOverrides } });
+    renderSelectorOverrides(saved.selectorOverrides);
+    setStatus(status, 'Selectors saved');
+  } catch (error) {
+    logger.error('Failed to save selector overrides', error);
+    setStatus(status, error.message, true);
+  }
+};
+
+/**
+ * Tries the overrides in the editor, saved or not, in this window's Arena frame
+ * @returns {Promise<void>}
+ */
+const handleSelectorTest = async () => {
+  const status = getElement('selectorsStatus');
+  const button = getElement('selectorTest');
+  const selectorOverrides = readSelectorOverrides();
+  if (!selectorOverrides) {
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    const report = await sendMessage({ type: 'TEST_SELECTORS', selectorOverrides });
+    renderSelectorTestResults(report.results);
+    const frame = report.frame === INJECTION_TARGETS.SIDE_PANEL ? 'the side panel' : 'the Arena tab';
+    setStatus(status, `Tested in ${frame} (site adapter ${report.adapter})`);
+  } catch (error) {
+    logger.error('Failed to test selector overrides', error);
+    getElement('selectorTestResults').hidden = true;
+    setStatus(status, error.message, true);
+  } finally {
+    button.disabled = false;
+  }
+};
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initializes the options page
+ * @returns {Promise<void>}
+ */
+const initialize = async () => {
+  try {
+    logger.info('Initializing options page v1.7.0');
+
+    getElement('profileForm').addEventListener('submit', handleProfileSubmit);
+    getElement('builtInTemplatesForm').addEventListener('submit', handleBuiltInTemplatesSubmit);
+    getElement('customActionForm').addEventListener('submit', handleCustomActionSubmit);
+    getElement('customActionCancel').addEventListener('click', resetCustomActionForm);
+    getElement('behaviourForm').addEventListener('submit', handleBehaviourSubmit);
+    getElement('siteRulesForm').addEventListener('submit', handleSiteRulesSubmit);
+    getElement('siteRuleAdd').addEventListener('click', addSiteRule);
+    getElement('cleanupForm').addEventListener('submit', handleCleanupSubmit);
+    getElement('cleanupRuleAdd').addEventListener('click', addCleanupRule);
+    getElement('cleanupRuleReset').addEventListener('click', restoreCleanupRules);
+    getElement('selectorsForm').addEventListener('submit', handleSelectorsSubmit);
+    getElement('selectorTest').addEventListener('click', handleSelectorTest);
+    getElement('timingForm').addEventListener('submit', handleTimingSubmit);
+    getElement('loggingForm').addEventListener('submit', handleLoggingSubmit);
+
+    getElement('profileName').maxLength = CONFIG.VALIDATION.MAX_NAME_LENGTH;
+    getElement('profileEmail').maxLength = CONFIG.VALIDATION.MAX_EMAIL_LENGTH;
+    getElement('customActionTitle').maxLength = CONFIG.VALIDATION.MAX_ACTION_TITLE_LENGTH;
+    getElement('customActionTemplate').maxLength = CONFIG.VALIDATION.MAX_TEMPLATE_LENGTH;
+
+    const current = await sendMessage({ type: 'GET_SETTINGS' });
+    renderSettings(current);
+    renderBuiltInTemplates(current.promptTemplates);
+    renderCleanupRules(current.cleanupRules);
+    renderSelectorOverrides(current.selectorOverrides);
+
+    await Promise.all([loadProfile(), loadCustomActions()]);
+    // After the custom actions, which rules can hide or run
+    renderSiteRules(current.siteRules);
+
+    logger.info('Options page initialized successfully');
+  } catch (error) {
+    logger.error('Failed to initialize options page', error);
+  }
+};
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initialize, { once: true });
+} else {
+  initialize();
+}
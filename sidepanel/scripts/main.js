@@ -1,6 +1,6 @@
 /**
  * Side Panel Main Script
- * Handles iframe loading, refresh functionality, user interactions, and prompt forwarding
+ * Handles iframe loading, the toolbar, user interactions, and the frame ready handshake
  * @module main
  * @author Mohammad Faiz
  * @version 1.7.0
@@ -8,19 +8,98 @@
 
 import { logger } from '../../utils/logger.js';
 import { userDetails } from '../../utils/user-details.js';
-import { CONFIG, ERROR_MESSAGES } from '../../utils/constants.js';
+import { validation } from '../../utils/validation.js';
+import { panelSessions } from '../../utils/panel-sessions.js';
+import {
+  ACTION_STORAGE_KEYS,
+  CONFIG,
+  ERROR_MESSAGES,
+  HISTORY_STATUS,
+  INJECTION_TARGETS,
+  LOAD_FAILURES,
+  TOOLBAR_SHORTCUTS
+} from '../../utils/constants.js';
 
 // ============================================================================
 // DOM REFERENCES
 // ============================================================================
 
-let arenaFrame = null;
+let sessionFramesContainer = null;
+let frameTemplate = null;
+let sessionTabList = null;
+let sessionAddBtn = null;
 let loadingOverlay = null;
-let refreshBtn = null;
+let loadError = null;
+let loadErrorTitle = null;
+let loadErrorText = null;
+let loadErrorRetry = null;
+let loadErrorDiagnostics = null;
+let loadRetryBtn = null;
+let loadOpenTabBtn = null;
+let signInBanner = null;
+let signInOpenTabBtn = null;
+let toolbar = null;
+let backBtn = null;
+let forwardBtn = null;
+let copyLinkBtn = null;
+let toolbarStatus = null;
 let loadTimeout = null;
+let loadRetryTimer = null;
 let refreshDebounceTimer = null;
-let redirectResetTimer = null;
+let toolbarNoticeTimer = null;
 let eventController = null;
+let targetChooser = null;
+let targetChooserText = null;
+let panelWindowId = null;
+let pendingChoice = null;
+let queueIndicator = null;
+let queuePanel = null;
+let queueList = null;
+let historyBtn = null;
+let historyPanel = null;
+let historySearch = null;
+let historyFilter = null;
+let historyList = null;
+let historyEmpty = null;
+let historyEntries = [];
+let replaceOffer = null;
+let replaceOfferText = null;
+let replaceOfferActions = null;
+let replacementOffer = null;
+let compactBtn = null;
+
+// Identifies this panel's iframes to the service worker, so regular Arena tabs cannot pose as them
+const frameToken = crypto.randomUUID();
+
+// Tab this page is the side panel of in PANEL_MODES.TAB; null for the window's shared panel
+const panelTabId = (() => {
+  const value = new URLSearchParams(window.location.search).get('tabId');
+  return value !== null && /^\d+$/.test(value) ? Number(value) : null;
+})();
+
+// The single session of a tab's own panel, which has no tab strip and is not stored by panelSessions
+const TAB_SESSION_ID = 'tab-session';
+
+// Arena pages asking the user to sign in; a frame that lands on one shows the sign-in banner.
+// Not /auth, which OAuth callbacks pass through on the way back into Arena.
+const SIGN_IN_PATH_PATTERN = /\/(login|log-in|signin|sign-in)(\/|$)/i;
+
+// Error screen wording for the LOAD_FAILURES that leave no usable frame
+const LOAD_FAILURE_TEXT = Object.freeze({
+  [LOAD_FAILURES.OFFLINE]: Object.freeze({
+    title: 'You are offline',
+    text: 'Arena loads again as soon as the connection is back.'
+  }),
+  [LOAD_FAILURES.BLOCKED]: Object.freeze({
+    title: 'Arena could not be shown here',
+    text: 'The page loaded without Arena in it, usually because Arena refused to be framed. ' +
+      'Open it in a tab, or check the header rules under Diagnostics.'
+  }),
+  [LOAD_FAILURES.TIMEOUT]: Object.freeze({
+    title: 'Arena is taking too long',
+    text: 'Arena did not finish loading. Your connection or Arena may be slow.'
+  })
+});
 
 // ============================================================================
 // DOM INITIALIZATION
@@ -31,11 +110,51 @@ let eventController = null;
  * @throws {Error} If required DOM elements are not found
  */
 const initializeDOMReferences = () => {
-  arenaFrame = document.getElementById('arenaFrame');
+  sessionFramesContainer = document.getElementById('sessionFrames');
+  frameTemplate = document.getElementById('arenaFrameTemplate');
+  sessionTabList = document.getElementById('sessionTabList');
+  sessionAddBtn = document.getElementById('sessionAddBtn');
   loadingOverlay = document.getElementById('loadingOverlay');
-  refreshBtn = document.getElementById('refreshBtn');
-
-  if (!arenaFrame || !loadingOverlay || !refreshBtn) {
+  loadError = document.getElementById('loadError');
+  loadErrorTitle = document.getElementById('loadErrorTitle');
+  loadErrorText = document.getElementById('loadErrorText');
+  loadErrorRetry = document.getElementById('loadErrorRetry');
+  loadErrorDiagnostics = document.getElementById('loadErrorDiagnostics');
+  loadRetryBtn = document.getElementById('loadRetryBtn');
+  loadOpenTabBtn = document.getElementById('loadOpenTabBtn');
+  signInBanner = document.getElementById('signInBanner');
+  signInOpenTabBtn = document.getElementById('signInOpenTabBtn');
+  toolbar = document.getElementById('toolbar');
+  backBtn = document.getElementById('backBtn');
+  forwardBtn = document.getElementById('forwardBtn');
+  copyLinkBtn = document.getElementById('copyLinkBtn');
+  toolbarStatus = document.getElementById('toolbarStatus');
+  targetChooser = document.getElementById('targetChooser');
+  targetChooserText = document.getElementById('targetChooserText');
+  queueIndicator = document.getElementById('queueIndicator');
+  queuePanel = document.getElementById('queuePanel');
+  queueList = document.getElementById('queueList');
+  historyBtn = document.getElementById('historyBtn');
+  historyPanel = document.getElementById('historyPanel');
+  historySearch = document.getElementById('historySearch');
+  historyFilter = document.getElementById('historyFilter');
+  historyList = document.getElementById('historyList');
+  historyEmpty = document.getElementById('historyEmpty');
+  replaceOffer = document.getElementById('replaceOffer');
+  replaceOfferText = document.getElementById('replaceOfferText');
+  replaceOfferActions = document.getElementById('replaceOfferActions');
+  compactBtn = document.getElementById('compactBtn');
+
+  if (
+    !sessionFramesContainer || !frameTemplate || !sessionTabList || !sessionAddBtn ||
+    !loadingOverlay || !targetChooser || !targetChooserText ||
+    !loadError || !loadErrorTitle || !loadErrorText || !loadErrorRetry || !loadErrorDiagnostics ||
+    !loadRetryBtn || !loadOpenTabBtn || !signInBanner || !signInOpenTabBtn ||
+    !toolbar || !backBtn || !forwardBtn || !copyLinkBtn || !toolbarStatus ||
+    !queueIndicator || !queuePanel || !queueList ||
+    !historyBtn || !historyPanel || !historySearch || !historyFilter || !historyList || !historyEmpty ||
+    !replaceOffer || !replaceOfferText || !replaceOfferActions || !compactBtn
+  ) {
     throw new Error(ERROR_MESSAGES.MISSING_DOM_ELEMENTS);
   }
 };
@@ -57,21 +176,22 @@ const hideLoadingOverlay = () => {
 
   loadingOverlay.classList.add('hidden');
   setTimeout(() => {
-    if (loadingOverlay) {
+    // Unless another session started loading in the meantime
+    if (loadingOverlay?.classList.contains('hidden')) {
       loadingOverlay.style.display = 'none';
     }
   }, CONFIG.TIMEOUTS.OVERLAY_TRANSITION);
 };
 
 /**
- * Schedules a timeout to auto-hide the loading overlay
+ * Schedules the check that turns a frame still loading into a load failure
  */
 const scheduleLoadTimeout = () => {
   if (loadTimeout) {
     clearTimeout(loadTimeout);
   }
 
-  loadTimeout = setTimeout(hideLoadingOverlay, CONFIG.TIMEOUTS.LOADING_OVERLAY);
+  loadTimeout = setTimeout(checkActiveLoad, CONFIG.TIMEOUTS.LOADING_OVERLAY);
 };
 
 /**
@@ -85,30 +205,228 @@ const showLoadingOverlay = () => {
   loadingOverlay.classList.remove('hidden');
 };
 
+// ============================================================================
+// LOAD FAILURE
+// ============================================================================
+
+/**
+ * Works out why a frame has not shown Arena. The frame's content script reports its first
+ * location once it runs, so a page that fired load without reporting is not Arena, which
+ * usually means framing headers blocked it.
+ * @param {Object} entry - Session frame
+ * @returns {string|null} One of LOAD_FAILURES, or null if Arena is shown
+ */
+const diagnoseLoad = (entry) => {
+  if (entry.location) {
+    return SIGN_IN_PATH_PATTERN.test(new URL(entry.location.url).pathname) ? LOAD_FAILURES.SIGNED_OUT : null;
+  }
+  if (!navigator.onLine) {
+    return LOAD_FAILURES.OFFLINE;
+  }
+  return entry.loaded ? LOAD_FAILURES.BLOCKED : LOAD_FAILURES.TIMEOUT;
+};
+
+/**
+ * Stops the pending automatic reload
+ */
+const clearLoadRetry = () => {
+  if (loadRetryTimer) {
+    clearTimeout(loadRetryTimer);
+    loadRetryTimer = null;
+  }
+  loadErrorRetry.textContent = '';
+};
+
+/**
+ * Schedules an automatic reload, waiting twice as long after each failed one of the same
+ * frame. Offline frames wait for the connection instead.
+ * @param {Object} entry - Failed session frame
+ */
+const scheduleLoadRetry = (entry) => {
+  clearLoadRetry();
+  if (entry.failure === LOAD_FAILURES.OFFLINE || entry.retries >= CONFIG.TIMEOUTS.MAX_LOAD_RETRIES) {
+    return;
+  }
+
+  const delay = Math.min(CONFIG.TIMEOUTS.LOAD_RETRY_BASE * 2 ** entry.retries, CONFIG.TIMEOUTS.LOAD_RETRY_MAX);
+  entry.retries++;
+  loadErrorRetry.textContent = `Retrying in ${Math.ceil(delay / 1000)} seconds...`;
+  loadRetryTimer = setTimeout(retryLoad, delay);
+};
+
+/**
+ * Lists the facts behind a load failure, including whether the header rules that let
+ * Arena be framed are enabled
+ * @param {Object} entry - Failed session frame
+ * @returns {Promise<void>}
+ */
+const renderLoadDiagnostics = async (entry) => {
+  const rows = [
+    ['Problem', entry.failure],
+    ['Address', entry.frame.src],
+    ['Online', navigator.onLine ? 'yes' : 'no'],
+    ['Page loaded', entry.loaded ? 'yes' : 'no'],
+    ['Arena answered', entry.location ? 'yes' : 'no'],
+    ['Automatic retries', `${entry.retries} of ${CONFIG.TIMEOUTS.MAX_LOAD_RETRIES}`]
+  ];
+
+  const declared = chrome.runtime.getManifest().declarative_net_request?.rule_resources ?? [];
+  try {
+    const enabled = new Set(await chrome.declarativeNetRequest.getEnabledRulesets());
+    for (const { id } of declared) {
+      rows.push([`Ruleset ${id}`, enabled.has(id) ? 'enabled' : 'disabled']);
+    }
+  } catch (error) {
+    rows.push(['Header rules', `unknown (${error.message})`]);
+  }
+
+  loadErrorDiagnostics.replaceChildren(...rows.flatMap(([term, detail]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = detail;
+    return [dt, dd];
+  }));
+};
+
+/**
+ * Shows the error screen for the failed frame on show
+ * @param {Object} entry - Failed session frame
+ */
+const showLoadFailure = (entry) => {
+  const { title, text } = LOAD_FAILURE_TEXT[entry.failure];
+  hideLoadingOverlay();
+  loadErrorTitle.textContent = title;
+  loadErrorText.textContent = text;
+  loadError.hidden = false;
+  scheduleLoadRetry(entry);
+  void renderLoadDiagnostics(entry);
+  logger.warn('Arena frame failed to load', { reason: entry.failure });
+};
+
+/**
+ * Hides the error screen and stops its automatic reload
+ */
+const hideLoadFailure = () => {
+  clearLoadRetry();
+  loadError.hidden = true;
+};
+
+/**
+ * Shows the frame on show as loading, failed or ready. A signed-out frame counts as ready,
+ * with a banner above it, so the user can sign in right there.
+ * @param {Object} entry - Session frame on show
+ */
+const renderLoadState = (entry) => {
+  signInBanner.hidden = entry.failure !== LOAD_FAILURES.SIGNED_OUT;
+  if (entry.failure && entry.failure !== LOAD_FAILURES.SIGNED_OUT) {
+    showLoadFailure(entry);
+    return;
+  }
+
+  hideLoadFailure();
+  if (entry.location) {
+    hideLoadingOverlay();
+  } else {
+    showLoadingOverlay();
+    scheduleLoadTimeout();
+  }
+};
+
+/**
+ * Decides the outcome of the frame on show once it reported its first location
+ * @param {Object} entry - Session frame
+ */
+const settleLoad = (entry) => {
+  entry.failure = diagnoseLoad(entry);
+  if (!entry.failure) {
+    entry.retries = 0;
+  }
+  if (entry === getActiveEntry()) {
+    renderLoadState(entry);
+  }
+};
+
+/**
+ * Turns the frame on show into a load failure if it still has not reported
+ */
+const checkActiveLoad = () => {
+  loadTimeout = null;
+  const entry = getActiveEntry();
+  if (entry && !entry.location) {
+    settleLoad(entry);
+  }
+};
+
+/**
+ * Loads the failed frame on show again, at the conversation it was meant to show. Retries
+ * skip the refresh debounce, which is there for toolbar clicks.
+ */
+const retryLoad = () => {
+  loadRetryTimer = null;
+  const entry = getActiveEntry();
+  if (entry) {
+    refreshArenaFrame(getConversationUrl(), { immediate: true });
+  }
+};
+
+/**
+ * Reloads a frame that failed while offline as soon as the connection is back
+ */
+const handleOnline = () => {
+  if (getActiveEntry()?.failure === LOAD_FAILURES.OFFLINE) {
+    retryLoad();
+  }
+};
+
+/**
+ * Initializes the error screen's buttons
+ */
+const initializeLoadFailure = () => {
+  const { signal } = eventController;
+
+  loadRetryBtn.addEventListener('click', retryLoad, { signal });
+  loadOpenTabBtn.addEventListener('click', () => {
+    void openInNewTab();
+  }, { signal });
+  signInOpenTabBtn.addEventListener('click', () => {
+    void openInNewTab();
+  }, { signal });
+  window.addEventListener('online', handleOnline, { signal });
+};
+
 // ============================================================================
 // IFRAME MANAGEMENT
 // ============================================================================
 
 /**
- * Debounced refresh function to prevent rapid clicks
+ * Debounced frame reload to prevent rapid clicks
+ * @param {string} [url] - Arena URL to load, the home page by default
+ * @param {Object} [options] - Refresh options
+ * @param {boolean} [options.immediate=false] - Reload even within the debounce interval
  */
-const refreshArenaFrame = () => {
-  if (refreshDebounceTimer) {
+const refreshArenaFrame = (url = CONFIG.ARENA_URL, { immediate = false } = {}) => {
+  if (refreshDebounceTimer && !immediate) {
     logger.debug('Refresh debounced');
     return;
   }
 
   try {
-    if (!arenaFrame) {
+    const entry = getActiveEntry();
+    if (!entry) {
       logger.error('Arena frame not initialized');
       return;
     }
 
-    showLoadingOverlay();
-    scheduleLoadTimeout();
-    arenaFrame.src = CONFIG.ARENA_URL;
+    entry.location = null;
+    entry.loaded = false;
+    entry.failure = null;
+    renderLoadState(entry);
+    renderNavigationState();
+    entry.frame.src = url;
     logger.info('Arena frame refreshed');
 
+    clearTimeout(refreshDebounceTimer);
     refreshDebounceTimer = setTimeout(() => {
       refreshDebounceTimer = null;
     }, 1000);
@@ -119,11 +437,14 @@ const refreshArenaFrame = () => {
 };
 
 /**
- * Handles iframe load event
+ * Handles a session frame's load event
+ * @param {Object} entry - Session frame
  */
-const handleIframeLoad = () => {
-  hideLoadingOverlay();
+const handleIframeLoad = (entry) => {
+  // The overlay stays until the frame's content script reports, proving Arena is shown
+  entry.loaded = true;
   logger.info('Arena Companion loaded successfully');
+  void introduceFrame();
 
   userDetails.updateLastVisit().catch((err) =>
     logger.debug('Failed to update last visit', err)
@@ -132,297 +453,1587 @@ const handleIframeLoad = () => {
 
 /**
  * Handles iframe error event
+ * @param {Object} entry - Session frame
  * @param {Event} error - Error event
  */
-const handleIframeError = (error) => {
+const handleIframeError = (entry, error) => {
   logger.error('Failed to load Arena Companion', error);
-  hideLoadingOverlay();
+  entry.failure = navigator.onLine ? LOAD_FAILURES.BLOCKED : LOAD_FAILURES.OFFLINE;
+  if (entry === getActiveEntry()) {
+    renderLoadState(entry);
+  }
 };
 
+// ============================================================================
+// FRAME CONTEXT
+// ============================================================================
+
 /**
- * Initializes iframe event listeners
+ * Resolves the ID of the window hosting this side panel
+ * @returns {Promise<void>}
  */
-const initializeIframe = () => {
-  if (!arenaFrame) return;
+const resolvePanelWindowId = async () => {
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    panelWindowId = currentWindow.id;
+  } catch (error) {
+    logger.error('Failed to resolve side panel window', error);
+  }
+};
 
-  arenaFrame.addEventListener('load', handleIframeLoad);
-  arenaFrame.addEventListener('error', handleIframeError);
+/**
+ * Registers this panel's frame token with the service worker
+ * @returns {Promise<boolean>} Success status
+ */
+const registerFrameToken = async () => {
+  if (!Number.isInteger(panelWindowId)) {
+    return false;
+  }
 
-  scheduleLoadTimeout();
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'REGISTER_PANEL_FRAME',
+      windowId: panelWindowId,
+      token: frameToken
+    });
+    return response?.success === true;
+  } catch (error) {
+    logger.error('Failed to register side panel frame', error);
+    return false;
+  }
 };
 
-// ============================================================================
-// PROMPT FORWARDING
-// ============================================================================
-
 /**
- * Forwards a prompt to the Arena.AI iframe
- * @param {string} prompt - Prompt to forward
- * @param {string} actionId - Action ID for tracking
+ * Tells a session's Arena.AI iframe which window it belongs to and the token that proves it
+ * is a side panel frame. Only the frame receiving prompts may announce ARENA_READY.
+ * @param {Object} entry - Session frame
  * @returns {boolean} Success status
  */
-const forwardToIframe = (prompt, actionId) => {
-  if (!arenaFrame || !arenaFrame.contentWindow) {
-    logger.warn('Iframe not ready for message forwarding');
+const postPanelContext = (entry) => {
+  if (!entry.frame.contentWindow || !Number.isInteger(panelWindowId)) {
+    logger.debug('Iframe not ready for panel context');
     return false;
   }
 
   try {
-    const targetOrigin = new URL(arenaFrame.src || CONFIG.ARENA_URL).origin;
-    arenaFrame.contentWindow.postMessage(
+    entry.frame.contentWindow.postMessage(
       {
-        type: 'ARENA_COMPANION_INJECT_PROMPT',
-        prompt,
-        actionId,
-        timestamp: Date.now()
+        type: 'ARENA_COMPANION_PANEL_CONTEXT',
+        windowId: panelWindowId,
+        token: frameToken,
+        receivesActions: entry.id === getReceiverId()
       },
-      targetOrigin
+      getFrameOrigin(entry)
     );
 
-    logger.debug('Prompt forwarded to iframe', { actionId });
+    logger.debug('Panel context posted to iframe', { windowId: panelWindowId, session: entry.id });
     return true;
   } catch (error) {
-    logger.error('Failed to forward prompt to iframe', error);
+    logger.error('Failed to post panel context to iframe', error);
     return false;
   }
 };
 
-// ============================================================================
-// MESSAGE HANDLING
-// ============================================================================
-
 /**
- * Handles messages from the background script
+ * Registers the frame token, then hands every loaded session frame its panel context
+ * @returns {Promise<boolean>} Whether the frame receiving prompts was reached
  */
-const handleMessage = (message, _sender, sendResponse) => {
-  if (message.type === 'INJECT_PROMPT') {
-    logger.debug('Received INJECT_PROMPT in sidepanel');
+const introduceFrame = async () => {
+  if (!(await registerFrameToken())) {
+    return false;
+  }
 
-    if (
-      typeof message.prompt !== 'string' ||
-      !message.prompt.trim() ||
-      typeof message.actionId !== 'string'
-    ) {
-      sendResponse({ success: false, reason: 'Invalid payload' });
-      return true;
+  let receiverReached = false;
+  for (const entry of sessionFrames.values()) {
+    const posted = postPanelContext(entry);
+    if (entry.id === getReceiverId()) {
+      receiverReached = posted;
     }
-
-    const success = forwardToIframe(message.prompt, message.actionId);
-    sendResponse({ success });
-    return true;
   }
-
-  return false;
+  return receiverReached;
 };
 
 // ============================================================================
-// REFRESH BUTTON
+// ARENA SESSIONS
 // ============================================================================
 
-let hoverTimer = null;
-let isRedirectMode = false;
+// Arena tabs of the panel as stored by panelSessions; null until loaded
+let sessionState = null;
 
-const REFRESH_ICON_PATH = 'M13.65 2.35C12.2 0.9 10.21 0 8 0 3.58 0 0.01 3.58 0.01 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08c-.82 2.33-3.04 4-5.65 4-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L9 7h7V0l-2.35 2.35z';
-const EXTERNAL_LINK_ICON_PATH = 'M9 2L9 3L12.3 3L6 9.3L6.7 10L13 3.7L13 7L14 7L14 2L9 2ZM3 3C2.4 3 2 3.4 2 4L2 13C2 13.6 2.4 14 3 14L12 14C12.6 14 13 13.6 13 13L13 9L12 9L12 13L3 13L3 4L7 4L7 3L3 3Z';
+// Loaded frames by session ID: { id, frame, location, loaded, failure, lastShown }
+const sessionFrames = new Map();
 
-const setRefreshButtonContent = ({ ariaLabel, title, description, pathData }) => {
-  if (!refreshBtn) {
-    return;
-  }
+// Last conversation of each session, so an unloaded tab reloads where it was
+const sessionUrls = new Map();
 
-  const svgNamespace = 'http://www.w3.org/2000/svg';
-  const svg = document.createElementNS(svgNamespace, 'svg');
-  svg.setAttribute('width', '14');
-  svg.setAttribute('height', '14');
-  svg.setAttribute('viewBox', '0 0 16 16');
-  svg.setAttribute('fill', 'none');
-  svg.setAttribute('aria-hidden', 'true');
+let sessionUnloadTimer = null;
 
-  const path = document.createElementNS(svgNamespace, 'path');
-  path.setAttribute('d', pathData);
-  path.setAttribute('fill', 'currentColor');
-  svg.appendChild(path);
+// Session whose frame was last told it receives prompts
+let lastReceiverId = null;
 
-  const descriptionSpan = document.createElement('span');
-  descriptionSpan.id = 'refreshDescription';
-  descriptionSpan.className = 'sr-only';
-  descriptionSpan.textContent = description;
+/**
+ * Finds a session by ID
+ * @param {string} id - Session ID
+ * @returns {Object|null} Session
+ */
+const getSession = (id) => sessionState?.sessions.find((session) => session.id === id) ?? null;
 
-  refreshBtn.setAttribute('aria-label', ariaLabel);
-  refreshBtn.setAttribute('title', title);
-  refreshBtn.replaceChildren(svg, descriptionSpan);
-};
+/**
+ * Loaded frame of the session on show
+ * @returns {Object|null} Session frame
+ */
+const getActiveEntry = () => sessionFrames.get(sessionState?.activeId) ?? null;
 
 /**
- * Opens Arena.AI in a new tab
+ * Session that receives prompts: the pinned one, otherwise the one on show
+ * @returns {string|null} Session ID
  */
-const openInNewTab = async () => {
-  try {
-    await chrome.tabs.create({ url: CONFIG.ARENA_URL });
-    logger.info('Opened Arena.AI in new tab');
-  } catch (error) {
-    logger.error('Failed to open Arena.AI in new tab', error);
+const getReceiverId = () => sessionState?.targetId ?? sessionState?.activeId ?? null;
+
+/**
+ * Sessions whose frames must stay loaded
+ * @returns {Set<string>} Session IDs
+ */
+const getPinnedSessionIds = () => new Set([sessionState.activeId, getReceiverId()]);
+
+/**
+ * Number of Arena frames kept loaded, lower on devices that report little memory
+ * @returns {number} Frame limit
+ */
+const getLoadedSessionLimit = () =>
+  navigator.deviceMemory && navigator.deviceMemory <= CONFIG.SESSIONS.LOW_MEMORY_GB
+    ? CONFIG.SESSIONS.LOW_MEMORY_MAX_LOADED
+    : CONFIG.SESSIONS.MAX_LOADED;
+
+/**
+ * Creates a session's frame from the template, at its last conversation
+ * @param {string} id - Session ID
+ * @returns {Object} Session frame
+ */
+const loadSessionFrame = (id) => {
+  const existing = sessionFrames.get(id);
+  if (existing) {
+    return existing;
   }
+
+  const frame = frameTemplate.content.firstElementChild.cloneNode(true);
+  frame.id = `session-frame-${id}`;
+  frame.setAttribute('role', 'tabpanel');
+  frame.setAttribute('aria-labelledby', `session-tab-${id}`);
+  frame.inert = true;
+
+  const entry = { id, frame, location: null, loaded: false, failure: null, retries: 0, lastShown: Date.now() };
+  frame.addEventListener('load', () => handleIframeLoad(entry), { signal: eventController.signal });
+  frame.addEventListener('error', (error) => handleIframeError(entry, error), { signal: eventController.signal });
+  frame.src = sessionUrls.get(id) || CONFIG.ARENA_URL;
+
+  sessionFrames.set(id, entry);
+  sessionFramesContainer.append(frame);
+  logger.debug('Session frame loaded', { id });
+  return entry;
 };
 
 /**
- * Switches button to redirect mode
+ * Removes a session's frame, freeing the memory of its page
+ * @param {string} id - Session ID
  */
-const switchToRedirectMode = () => {
-  if (!refreshBtn || isRedirectMode) return;
-  
-  isRedirectMode = true;
-  refreshBtn.classList.add('redirect-mode');
-  setRefreshButtonContent({
-    ariaLabel: 'Open Arena.AI in new tab',
-    title: 'Open in new tab',
-    description: 'Click to open Arena.AI in new tab',
-    pathData: EXTERNAL_LINK_ICON_PATH
-  });
-  
-  logger.debug('Switched to redirect mode');
+const unloadSessionFrame = (id) => {
+  const entry = sessionFrames.get(id);
+  if (!entry) {
+    return;
+  }
+
+  entry.frame.remove();
+  sessionFrames.delete(id);
+  logger.debug('Session frame unloaded', { id });
 };
 
 /**
- * Switches button back to refresh mode
+ * Arms the timer that unloads the background frame hidden the longest
  */
-const switchToRefreshMode = () => {
-  if (!refreshBtn || !isRedirectMode) return;
-  
-  isRedirectMode = false;
-  refreshBtn.classList.remove('redirect-mode');
-  setRefreshButtonContent({
-    ariaLabel: 'Refresh Arena Companion',
-    title: 'Refresh',
-    description: 'Click to reload Arena AI interface',
-    pathData: REFRESH_ICON_PATH
-  });
-  
-  logger.debug('Switched to refresh mode');
+const scheduleSessionUnload = () => {
+  if (sessionUnloadTimer) {
+    clearTimeout(sessionUnloadTimer);
+    sessionUnloadTimer = null;
+  }
+
+  const pinned = getPinnedSessionIds();
+  const hiddenSince = Array.from(sessionFrames.values())
+    .filter((entry) => !pinned.has(entry.id))
+    .map((entry) => entry.lastShown);
+  if (hiddenSince.length === 0) {
+    return;
+  }
+
+  const delay = Math.min(...hiddenSince) + CONFIG.TIMEOUTS.SESSION_UNLOAD - Date.now();
+  sessionUnloadTimer = setTimeout(trimLoadedSessions, Math.max(0, delay));
 };
 
 /**
- * Handles button click based on current mode
+ * Unloads background frames beyond the memory limit, least recently shown first, and
+ * those out of view for longer than CONFIG.TIMEOUTS.SESSION_UNLOAD. The frame on show
+ * and the one receiving prompts are never unloaded.
  */
-const handleButtonClick = () => {
-  if (isRedirectMode) {
-    void openInNewTab();
-  } else {
-    refreshArenaFrame();
+const trimLoadedSessions = () => {
+  if (!sessionState) {
+    return;
   }
-};
 
-const handleRefreshButtonKeydown = (event) => {
-  if (event.key === 'Enter' || event.key === ' ') {
-    event.preventDefault();
-    handleButtonClick();
+  const pinned = getPinnedSessionIds();
+  const now = Date.now();
+  let excess = sessionFrames.size - getLoadedSessionLimit();
+  let unloaded = false;
+
+  const background = Array.from(sessionFrames.values())
+    .filter((entry) => !pinned.has(entry.id))
+    .sort((a, b) => a.lastShown - b.lastShown);
+  for (const entry of background) {
+    if (excess > 0 || now - entry.lastShown >= CONFIG.TIMEOUTS.SESSION_UNLOAD) {
+      unloadSessionFrame(entry.id);
+      excess--;
+      unloaded = true;
+    }
   }
-};
 
-const handleRefreshButtonMouseEnter = () => {
-  if (redirectResetTimer) {
-    clearTimeout(redirectResetTimer);
-    redirectResetTimer = null;
+  if (unloaded) {
+    renderSessionTabs();
   }
-  hoverTimer = setTimeout(() => {
-    switchToRedirectMode();
-  }, 1000);
+  scheduleSessionUnload();
 };
 
-const handleRefreshButtonMouseLeave = () => {
-  if (hoverTimer) {
-    clearTimeout(hoverTimer);
-    hoverTimer = null;
+/**
+ * Applies a session state: drops closed sessions, shows the active frame and keeps the
+ * others in the background, and tells the frames which one receives prompts
+ * @param {Object} state - State from panelSessions
+ */
+const applySessionState = (state) => {
+  sessionState = state;
+
+  for (const id of Array.from(sessionFrames.keys())) {
+    if (!getSession(id)) {
+      unloadSessionFrame(id);
+      sessionUrls.delete(id);
+    }
+  }
+
+  const active = loadSessionFrame(state.activeId);
+  loadSessionFrame(getReceiverId());
+
+  const now = Date.now();
+  for (const entry of sessionFrames.values()) {
+    const visible = entry === active;
+    if (entry.frame.inert === visible) {
+      entry.lastShown = now;
+    }
+    // Background frames stay laid out, since Arena's composer must be usable for prompts
+    entry.frame.inert = !visible;
+    entry.frame.title = `Arena - ${getSession(entry.id).name}`;
   }
 
-  if (redirectResetTimer) {
-    clearTimeout(redirectResetTimer);
+  renderLoadState(active);
+
+  if (getReceiverId() !== lastReceiverId) {
+    lastReceiverId = getReceiverId();
+    void introduceFrame();
   }
 
-  redirectResetTimer = setTimeout(() => {
-    switchToRefreshMode();
-    redirectResetTimer = null;
-  }, 300);
+  renderNavigationState();
+  renderSessionTabs();
+  trimLoadedSessions();
 };
 
 /**
- * Initializes refresh button with keyboard support and hover functionality
+ * Creates a tab button
+ * @param {string} text - Button text
+ * @param {string} command - Session command
+ * @param {string} label - Accessible name
+ * @returns {HTMLButtonElement} Button
  */
-const initializeRefreshButton = () => {
-  if (!refreshBtn) return;
+const createSessionButton = (text, command, label) => {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'session-tab__btn';
+  button.dataset.sessionCommand = command;
+  button.textContent = text;
+  button.setAttribute('aria-label', label);
+  button.title = label;
+  return button;
+};
 
-  if (!eventController) {
-    eventController = new AbortController();
+/**
+ * Creates the tab of a session, with its pin and close buttons
+ * @param {Object} session - Session
+ * @returns {HTMLElement} Tab
+ */
+const createSessionTab = (session) => {
+  const active = session.id === sessionState.activeId;
+  const pinned = session.id === sessionState.targetId;
+
+  const item = document.createElement('div');
+  item.className = 'session-tab';
+  item.dataset.sessionId = session.id;
+  item.setAttribute('role', 'presentation');
+  item.classList.toggle('session-tab--active', active);
+  item.classList.toggle('session-tab--receiver', session.id === getReceiverId());
+  item.classList.toggle('session-tab--unloaded', !sessionFrames.has(session.id));
+
+  const tab = document.createElement('button');
+  tab.type = 'button';
+  tab.className = 'session-tab__name';
+  tab.id = `session-tab-${session.id}`;
+  tab.dataset.sessionCommand = 'show';
+  tab.textContent = session.name;
+  tab.title = `${session.name} (F2 to rename)`;
+  tab.tabIndex = active ? 0 : -1;
+  tab.setAttribute('role', 'tab');
+  tab.setAttribute('aria-selected', String(active));
+  if (sessionFrames.has(session.id)) {
+    tab.setAttribute('aria-controls', `session-frame-${session.id}`);
   }
 
-  const { signal } = eventController;
-  switchToRefreshMode();
-
-  // Click handler
-  refreshBtn.addEventListener('click', handleButtonClick, { passive: true, signal });
+  const pin = createSessionButton('•', 'target', `Send prompts to ${session.name}`);
+  pin.tabIndex = -1;
+  pin.setAttribute('aria-pressed', String(pinned));
 
-  // Keyboard support
-  refreshBtn.addEventListener('keydown', handleRefreshButtonKeydown, { passive: false, signal });
+  item.append(tab, pin);
 
-  // Hover to switch to redirect mode (after 1 second)
-  refreshBtn.addEventListener('mouseenter', handleRefreshButtonMouseEnter, { signal });
+  if (sessionState.sessions.length > 1) {
+    const close = createSessionButton('×', 'close', `Close ${session.name}`);
+    close.tabIndex = -1;
+    item.append(close);
+  }
 
-  // Mouse leave - cancel timer or switch back
-  refreshBtn.addEventListener('mouseleave', handleRefreshButtonMouseLeave, { signal });
+  return item;
 };
 
-// ============================================================================
-// VISIBILITY HANDLING
-// ============================================================================
+/**
+ * Renders the tab strip. Skipped while a tab is being renamed; saving the name renders it.
+ */
+const renderSessionTabs = () => {
+  if (!sessionState || sessionTabList.querySelector('.session-tab__input')) {
+    return;
+  }
+
+  const focusedId = sessionTabList.contains(document.activeElement)
+    ? document.activeElement.closest('.session-tab')?.dataset.sessionId
+    : null;
+
+  sessionTabList.replaceChildren(...sessionState.sessions.map(createSessionTab));
+  sessionAddBtn.disabled = sessionState.sessions.length >= CONFIG.VALIDATION.MAX_PANEL_SESSIONS;
+
+  if (focusedId) {
+    document.getElementById(`session-tab-${focusedId}`)?.focus();
+  }
+};
 
 /**
- * Handles visibility change to optimize performance
+ * Runs a change through panelSessions and applies the resulting state
+ * @param {Function} update - Returns a promise of the new state
+ * @returns {Promise<void>}
  */
-const handleVisibilityChange = () => {
-  if (document.hidden) {
-    logger.debug('Side panel hidden');
-  } else {
-    logger.debug('Side panel visible');
+const updateSessions = async (update) => {
+  try {
+    applySessionState(await update());
+  } catch (error) {
+    logger.warn('Failed to update Arena tabs', error);
+    showToolbarNotice(null, error.message);
+  }
+};
 
-    userDetails.updateLastVisit().catch((err) =>
-      logger.debug('Failed to update last visit', err)
-    );
+/**
+ * Replaces a tab's name with a text field. Enter or leaving the field saves, Escape cancels.
+ * @param {string} id - Session ID
+ */
+const startRename = (id) => {
+  const tab = document.getElementById(`session-tab-${id}`);
+  const session = getSession(id);
+  if (!tab || !session) {
+    return;
   }
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'session-tab__input';
+  input.value = session.name;
+  input.maxLength = CONFIG.VALIDATION.MAX_SESSION_NAME_LENGTH;
+  input.setAttribute('aria-label', 'Tab name');
+
+  let done = false;
+  const finish = (save) => {
+    if (done) {
+      return;
+    }
+    done = true;
+    input.remove();
+
+    const name = input.value.trim();
+    if (save && name && name !== session.name) {
+      void updateSessions(() => panelSessions.rename(id, name));
+    } else {
+      renderSessionTabs();
+    }
+  };
+
+  input.addEventListener('keydown', (event) => {
+    event.stopPropagation();
+    if (event.key === 'Enter') {
+      finish(true);
+    } else if (event.key === 'Escape') {
+      finish(false);
+    }
+  });
+  input.addEventListener('blur', () => finish(true));
+
+  tab.replaceWith(input);
+  input.focus();
+  input.select();
 };
 
-// ============================================================================
-// CLEANUP
-// ============================================================================
+/**
+ * Runs a command from a tab's buttons
+ * @param {string} command - Session command
+ * @param {string} id - Session ID
+ */
+const runSessionCommand = (command, id) => {
+  switch (command) {
+    case 'show':
+      if (id !== sessionState.activeId) {
+        void updateSessions(() => panelSessions.activate(id));
+      }
+      break;
+    case 'target':
+      void updateSessions(() => panelSessions.setTarget(sessionState.targetId === id ? null : id));
+      break;
+    case 'close':
+      void updateSessions(() => panelSessions.remove(id));
+      break;
+    case 'rename':
+      startRename(id);
+      break;
+    default:
+      logger.warn('Unknown session command', command);
+  }
+};
 
 /**
- * Cleanup function for event listeners and timers
+ * Moves between tabs with the arrow, Home and End keys, renames with F2 and closes with Delete
+ * @param {KeyboardEvent} event - Keydown event
  */
-const cleanup = () => {
-  if (eventController) {
-    eventController.abort();
-    eventController = null;
+const handleSessionTabKeydown = (event) => {
+  if (event.target.getAttribute('role') !== 'tab' || event.altKey || event.ctrlKey || event.metaKey) {
+    return;
   }
-  if (arenaFrame) {
-    arenaFrame.removeEventListener('load', handleIframeLoad);
-    arenaFrame.removeEventListener('error', handleIframeError);
+
+  const id = event.target.closest('.session-tab').dataset.sessionId;
+  if (event.key === 'F2') {
+    event.preventDefault();
+    runSessionCommand('rename', id);
+    return;
   }
-  if (loadTimeout) {
-    clearTimeout(loadTimeout);
-    loadTimeout = null;
+  if (event.key === 'Delete') {
+    event.preventDefault();
+    runSessionCommand('close', id);
+    return;
   }
-  if (refreshDebounceTimer) {
-    clearTimeout(refreshDebounceTimer);
-    refreshDebounceTimer = null;
+
+  const tabs = Array.from(sessionTabList.querySelectorAll('[role="tab"]'));
+  const index = tabs.indexOf(event.target);
+  const target = { ArrowLeft: index - 1, ArrowRight: index + 1, Home: 0, End: tabs.length - 1 }[event.key];
+  if (target === undefined) {
+    return;
+  }
+
+  event.preventDefault();
+  const next = tabs[(target + tabs.length) % tabs.length];
+  next.focus();
+  runSessionCommand('show', next.closest('.session-tab').dataset.sessionId);
+};
+
+/**
+ * Remembers the conversation a session shows, so the panel reopens there. A tab's own
+ * panel hands it to the service worker, which keeps it per tab.
+ * @param {string} id - Session ID
+ * @param {string} url - Arena URL the frame reported
+ * @returns {Promise<void>} Settles once saved; failures are logged, never thrown
+ */
+const saveConversationUrl = async (id, url) => {
+  try {
+    if (panelTabId === null) {
+      await panelSessions.saveUrl(id, url);
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({ type: 'SAVE_PANEL_TAB_URL', tabId: panelTabId, url });
+    if (!response?.success) {
+      logger.warn('Conversation could not be saved', response?.error);
+    }
+  } catch (error) {
+    logger.error('Failed to save the conversation', error);
+  }
+};
+
+/**
+ * Reads the conversations the sessions showed when the panel was last open
+ * @returns {Promise<Object<string, string>>} URLs by session ID, not yet validated
+ */
+const readConversationUrls = async () => {
+  if (panelTabId === null) {
+    return panelSessions.getUrls();
+  }
+
+  const response = await chrome.runtime.sendMessage({ type: 'GET_PANEL_TAB', tabId: panelTabId });
+  return response?.data?.url ? { [TAB_SESSION_ID]: response.data.url } : {};
+};
+
+/**
+ * Reopens each session at its last conversation unless the user chose to start fresh.
+ * URLs that do not match ARENA_HOST_PATTERNS are never loaded.
+ * @returns {Promise<void>}
+ */
+const restoreConversations = async () => {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    if (response?.success && response.data.restoreConversation === false) {
+      return;
+    }
+
+    for (const [id, url] of Object.entries(await readConversationUrls())) {
+      if (validation.isArenaUrl(url)) {
+        sessionUrls.set(id, url);
+      }
+    }
+  } catch (error) {
+    logger.debug('Failed to restore the last conversations', error);
+  }
+};
+
+/**
+ * Shows the single session of a tab's own panel
+ */
+const showTabSession = () => {
+  sessionTabList.closest('.session-tabs').hidden = true;
+  applySessionState({
+    sessions: [{ id: TAB_SESSION_ID, name: 'Arena' }],
+    activeId: TAB_SESSION_ID,
+    targetId: null
+  });
+};
+
+/**
+ * Loads the stored sessions and shows the active one
+ * @returns {Promise<void>}
+ */
+const loadSessions = async () => {
+  if (panelTabId !== null) {
+    showTabSession();
+    return;
+  }
+
+  applySessionState(await panelSessions.get());
+};
+
+/**
+ * Initializes the tab strip
+ */
+const initializeSessions = () => {
+  if (!eventController) {
+    eventController = new AbortController();
+  }
+
+  const { signal } = eventController;
+
+  sessionTabList.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-session-command]');
+    if (button) {
+      runSessionCommand(button.dataset.sessionCommand, button.closest('.session-tab').dataset.sessionId);
+    }
+  }, { signal });
+
+  sessionTabList.addEventListener('dblclick', (event) => {
+    const tab = event.target.closest('[role="tab"]');
+    if (tab) {
+      startRename(tab.closest('.session-tab').dataset.sessionId);
+    }
+  }, { signal });
+
+  sessionTabList.addEventListener('keydown', handleSessionTabKeydown, { signal });
+  sessionAddBtn.addEventListener('click', () => {
+    void updateSessions(() => panelSessions.add());
+  }, { signal });
+};
+
+// ============================================================================
+// INJECTION TARGET CHOOSER
+// ============================================================================
+
+/**
+ * Shows the "ask each time" question for a pending action
+ * @param {Object} choice - Question details with actionId, actionLabel and tabTitle
+ */
+const showTargetChoice = (choice) => {
+  if (!targetChooser || !targetChooserText || typeof choice?.actionId !== 'string') {
+    return;
+  }
+
+  pendingChoice = choice;
+  targetChooserText.textContent = `Where should "${choice.actionLabel}" go?`;
+
+  const tabButton = document.getElementById('targetArenaTabBtn');
+  if (tabButton) {
+    tabButton.title = choice.tabTitle || 'Arena tab';
+  }
+
+  targetChooser.hidden = false;
+  document.getElementById('targetSidePanelBtn')?.focus();
+};
+
+/**
+ * Sends the user's answer to the service worker and hides the question
+ * @param {string|null} target - INJECTION_TARGETS value, or null to cancel
+ * @returns {Promise<void>}
+ */
+const answerTargetChoice = async (target) => {
+  if (!pendingChoice) {
+    return;
+  }
+
+  const { actionId } = pendingChoice;
+  pendingChoice = null;
+  targetChooser.hidden = true;
+
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'INJECTION_TARGET_CHOSEN',
+      windowId: panelWindowId,
+      actionId,
+      target
+    });
+  } catch (error) {
+    logger.error('Failed to send injection target choice', error);
+  }
+};
+
+/**
+ * Shows a question the service worker asked before this panel finished loading
+ * @returns {Promise<void>}
+ */
+const loadPendingTargetChoice = async () => {
+  if (!Number.isInteger(panelWindowId)) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_TARGET_CHOICE', windowId: panelWindowId });
+    if (response?.success && response.data) {
+      showTargetChoice(response.data);
+    }
+  } catch (error) {
+    logger.debug('Failed to load pending target choice', error);
+  }
+};
+
+/**
+ * Initializes the chooser buttons
+ */
+const initializeTargetChooser = () => {
+  const { signal } = eventController;
+
+  document.getElementById('targetSidePanelBtn')?.addEventListener('click', () => {
+    void answerTargetChoice(INJECTION_TARGETS.SIDE_PANEL);
+  }, { signal });
+
+  document.getElementById('targetArenaTabBtn')?.addEventListener('click', () => {
+    void answerTargetChoice(INJECTION_TARGETS.ARENA_TAB);
+  }, { signal });
+
+  document.getElementById('targetCancelBtn')?.addEventListener('click', () => {
+    void answerTargetChoice(null);
+  }, { signal });
+
+  targetChooser.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      void answerTargetChoice(null);
+    }
+  }, { signal });
+};
+
+// ============================================================================
+// APPLY TO PAGE
+// ============================================================================
+
+/**
+ * Creates a button for the apply-to-page offer
+ * @param {string} label - Button text
+ * @param {string} command - apply, undo or dismiss
+ * @param {number} [responseIndex] - Answer the apply button applies
+ * @returns {HTMLButtonElement} Button
+ */
+const createOfferButton = (label, command, responseIndex) => {
+  const button = document.createElement('button');
+  button.className = command === 'dismiss' ? 'replace-offer__btn' : 'replace-offer__btn replace-offer__btn--primary';
+  button.type = 'button';
+  button.dataset.replaceCommand = command;
+  if (Number.isInteger(responseIndex)) {
+    button.dataset.responseIndex = String(responseIndex);
+  }
+  button.textContent = label;
+  return button;
+};
+
+/**
+ * Shows the offer to apply a Rewrite or Proofread answer over the text it was run on.
+ * Battle mode answers twice, so there is one apply button per answer.
+ * @param {Object|null} offer - Offer with actionId, actionLabel, responseCount and applied, or null to hide it
+ * @param {string} [notice] - Text shown instead of the default status, such as an error
+ */
+const showReplacementOffer = (offer, notice = '') => {
+  replacementOffer = typeof offer?.actionId === 'string' ? offer : null;
+  replaceOffer.hidden = !replacementOffer;
+  replaceOfferActions.replaceChildren();
+  if (!replacementOffer) {
+    return;
+  }
+
+  const { actionLabel, responseCount, applied } = replacementOffer;
+  replaceOfferText.textContent = notice ||
+    (applied ? `${actionLabel} result applied to the page.` : `${actionLabel} result is ready.`);
+
+  const buttons = applied
+    ? [createOfferButton('Undo', 'undo')]
+    : Array.from({ length: responseCount }, (_, index) =>
+      createOfferButton(responseCount > 1 ? `Apply answer ${index + 1}` : 'Apply to page', 'apply', index));
+  buttons.push(createOfferButton('Dismiss', 'dismiss'));
+  replaceOfferActions.append(...buttons);
+};
+
+/**
+ * Applies, undoes or dismisses the offered answer through the service worker
+ * @param {string} command - apply, undo or dismiss
+ * @param {number} responseIndex - Answer to apply
+ * @returns {Promise<void>}
+ */
+const runReplacementCommand = async (command, responseIndex) => {
+  const offer = replacementOffer;
+  if (!offer) {
+    return;
+  }
+
+  if (command === 'dismiss') {
+    showReplacementOffer(null);
+    chrome.runtime.sendMessage({ type: 'DISMISS_REPLACEMENT', actionId: offer.actionId }).catch((error) => {
+      logger.debug('Failed to dismiss the answer', error);
+    });
+    return;
+  }
+
+  for (const button of replaceOfferActions.querySelectorAll('button')) {
+    button.disabled = true;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage(command === 'undo'
+      ? { type: 'UNDO_REPLACEMENT', actionId: offer.actionId }
+      : { type: 'APPLY_REPLACEMENT', actionId: offer.actionId, responseIndex });
+    if (!response?.success) {
+      throw new Error(response?.error || ERROR_MESSAGES.REPLACEMENT_NOT_FOUND);
+    }
+    showReplacementOffer({ ...offer, applied: command === 'apply' });
+  } catch (error) {
+    logger.warn('Failed to apply the answer to the page', error);
+    // Once the text field is gone there is nothing left to retry
+    const isGone = error.message === ERROR_MESSAGES.REPLACE_TARGET_MISSING ||
+      error.message === ERROR_MESSAGES.REPLACEMENT_NOT_FOUND;
+    showReplacementOffer(isGone ? { ...offer, responseCount: 0, applied: false } : offer, error.message);
+  }
+};
+
+/**
+ * Shows an answer that was captured while this panel was closed
+ * @returns {Promise<void>}
+ */
+const loadReplacementOffer = async () => {
+  if (!Number.isInteger(panelWindowId)) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_REPLACEMENT', windowId: panelWindowId });
+    if (response?.success && response.data) {
+      showReplacementOffer(response.data);
+    }
+  } catch (error) {
+    logger.debug('Failed to load the apply-to-page offer', error);
+  }
+};
+
+/**
+ * Initializes the apply-to-page buttons
+ */
+const initializeReplacementOffer = () => {
+  replaceOfferActions.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-replace-command]');
+    if (button) {
+      void runReplacementCommand(button.dataset.replaceCommand, Number(button.dataset.responseIndex));
+    }
+  }, { signal: eventController.signal });
+};
+
+// ============================================================================
+// ACTION QUEUE
+// ============================================================================
+
+/**
+ * Opens or closes the list of queued actions
+ * @param {boolean} open - Whether the list should be visible
+ */
+const toggleQueuePanel = (open) => {
+  queuePanel.hidden = !open;
+  queueIndicator.setAttribute('aria-expanded', String(open));
+};
+
+/**
+ * Creates the list entry for a queued action
+ * @param {Object} item - Queue item from storage
+ * @returns {HTMLLIElement} List entry with a cancel button, or a status once delivered
+ */
+const createQueueItem = (item) => {
+  const entry = document.createElement('li');
+  entry.className = 'queue-panel__item';
+
+  const label = document.createElement('span');
+  label.className = 'queue-panel__label';
+  label.textContent = typeof item.label === 'string' && item.label ? item.label : 'Action';
+  entry.append(label);
+
+  // Delivered actions are already in Arena and can no longer be recalled
+  if (Number.isFinite(item.deliveredAt)) {
+    const status = document.createElement('span');
+    status.className = 'queue-panel__status';
+    status.textContent = 'Sending...';
+    entry.append(status);
+  } else {
+    const cancel = document.createElement('button');
+    cancel.className = 'queue-panel__cancel';
+    cancel.type = 'button';
+    cancel.dataset.actionId = item.id;
+    cancel.textContent = 'Cancel';
+    cancel.setAttribute('aria-label', `Cancel ${label.textContent}`);
+    entry.append(cancel);
+  }
+
+  return entry;
+};
+
+/**
+ * Shows how many actions are waiting for this window and lists them with the one being
+ * sent, which is not counted as queued
+ * @param {*} items - Raw queue items from storage
+ */
+const renderActionQueue = (items) => {
+  const listed = Array.isArray(items)
+    ? items.filter((item) => item && typeof item === 'object' && item.windowId === panelWindowId)
+    : [];
+  const waiting = listed.filter((item) => !Number.isFinite(item.deliveredAt)).length;
+
+  queueIndicator.textContent = waiting > 0 ? `${waiting} queued` : 'Sending...';
+  queueIndicator.setAttribute(
+    'aria-label',
+    waiting > 0 ? `${waiting} queued ${waiting === 1 ? 'action' : 'actions'}` : 'Sending an action'
+  );
+  queueIndicator.hidden = listed.length === 0;
+  queueList.replaceChildren(...listed.map(createQueueItem));
+
+  if (listed.length === 0) {
+    toggleQueuePanel(false);
+  }
+};
+
+/**
+ * Reads the stored action queue and renders it
+ * @returns {Promise<void>}
+ */
+const loadActionQueue = async () => {
+  try {
+    const result = await chrome.storage.local.get(ACTION_STORAGE_KEYS.ACTION_QUEUE);
+    renderActionQueue(result[ACTION_STORAGE_KEYS.ACTION_QUEUE]);
+  } catch (error) {
+    logger.debug('Failed to load action queue', error);
+  }
+};
+
+/**
+ * Asks the service worker to drop a queued action
+ * @param {string} actionId - ID of the queued action
+ * @returns {Promise<void>}
+ */
+const cancelQueuedAction = async (actionId) => {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'CANCEL_QUEUED_ACTION', actionId });
+    if (!response?.success) {
+      logger.warn('Queued action could not be cancelled', response?.error);
+    }
+  } catch (error) {
+    logger.error('Failed to cancel queued action', error);
+  }
+};
+
+/**
+ * Initializes the queue indicator and its list
+ */
+const initializeActionQueue = () => {
+  const { signal } = eventController;
+
+  queueIndicator.addEventListener('click', () => {
+    toggleQueuePanel(queuePanel.hidden);
+  }, { signal });
+
+  queueList.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action-id]');
+    if (button) {
+      button.disabled = true;
+      void cancelQueuedAction(button.dataset.actionId);
+    }
+  }, { signal });
+
+  queuePanel.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      toggleQueuePanel(false);
+      queueIndicator.focus();
+    }
+  }, { signal });
+};
+
+// ============================================================================
+// PROMPT HISTORY
+// ============================================================================
+
+const HISTORY_STATUS_LABELS = Object.freeze({
+  [HISTORY_STATUS.PENDING]: 'Pending',
+  [HISTORY_STATUS.INJECTED]: 'Sent',
+  [HISTORY_STATUS.FAILED]: 'Failed'
+});
+
+/**
+ * Rebuilds the action filter from the actions present in the history, keeping the selection
+ */
+const renderHistoryFilter = () => {
+  const selected = historyFilter.value;
+  const labels = new Map(historyEntries.map((entry) => [entry.action, entry.actionLabel || entry.action]));
+
+  const options = [new Option('All actions', '')];
+  for (const [action, label] of labels) {
+    options.push(new Option(label, action));
+  }
+
+  historyFilter.replaceChildren(...options);
+  historyFilter.value = labels.has(selected) ? selected : '';
+};
+
+/**
+ * Checks a history entry against the search text and the action filter
+ * @param {Object} entry - History entry
+ * @param {string} query - Lower-cased search text
+ * @param {string} action - Action to keep, or empty for all
+ * @returns {boolean} Whether the entry should be listed
+ */
+const matchesHistoryFilters = (entry, query, action) => {
+  if (action && entry.action !== action) {
+    return false;
+  }
+
+  return !query || [entry.prompt, entry.actionLabel, entry.title, entry.url]
+    .some((field) => field.toLowerCase().includes(query));
+};
+
+/**
+ * Creates a small history button
+ * @param {string} text - Button text
+ * @param {string} command - History command handled by the list click listener
+ * @param {string} entryId - History entry ID
+ * @returns {HTMLButtonElement} Button
+ */
+const createHistoryButton = (text, command, entryId) => {
+  const button = document.createElement('button');
+  button.className = 'history-panel__btn';
+  button.type = 'button';
+  button.textContent = text;
+  button.dataset.historyCommand = command;
+  button.dataset.entryId = entryId;
+  return button;
+};
+
+/**
+ * Creates the list entry for a history item
+ * @param {Object} entry - History entry
+ * @returns {HTMLLIElement} List entry
+ */
+const createHistoryItem = (entry) => {
+  const item = document.createElement('li');
+  item.className = 'history-item';
+
+  const meta = document.createElement('div');
+  meta.className = 'history-item__meta';
+
+  const label = document.createElement('span');
+  label.className = 'history-item__label';
+  label.textContent = entry.actionLabel || entry.action;
+
+  const time = document.createElement('time');
+  time.dateTime = new Date(entry.timestamp).toISOString();
+  time.textContent = new Date(entry.timestamp).toLocaleString();
+
+  const status = document.createElement('span');
+  status.className = `history-item__status history-item__status--${entry.status}`;
+  status.textContent = HISTORY_STATUS_LABELS[entry.status] || entry.status;
+  if (entry.error) {
+    status.title = entry.error;
+  }
+
+  meta.append(label, time, status);
+
+  const source = document.createElement('p');
+  source.className = 'history-item__source';
+  source.textContent = entry.title || entry.url;
+  source.title = entry.url;
+
+  const prompt = document.createElement('p');
+  prompt.className = 'history-item__prompt';
+  prompt.textContent = entry.prompt;
+
+  const actions = document.createElement('div');
+  actions.className = 'history-item__actions';
+  actions.append(
+    createHistoryButton('Resend', 'resend', entry.id),
+    createHistoryButton('Delete', 'delete', entry.id)
+  );
+
+  item.append(meta, source, prompt, actions);
+  return item;
+};
+
+/**
+ * Lists the history entries matching the search text and action filter
+ */
+const renderPromptHistory = () => {
+  const query = historySearch.value.trim().toLowerCase();
+  const action = historyFilter.value;
+  const visible = historyEntries.filter((entry) => matchesHistoryFilters(entry, query, action));
+
+  historyList.replaceChildren(...visible.map(createHistoryItem));
+  historyEmpty.hidden = visible.length > 0;
+};
+
+/**
+ * Fetches the prompt history from the service worker and renders it
+ * @returns {Promise<void>}
+ */
+const loadPromptHistory = async () => {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_PROMPT_HISTORY' });
+    historyEntries = response?.success && Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    logger.error('Failed to load prompt history', error);
+    historyEntries = [];
+  }
+
+  renderHistoryFilter();
+  renderPromptHistory();
+};
+
+/**
+ * Opens or closes the prompt history view
+ * @param {boolean} open - Whether the view should be visible
+ */
+const toggleHistoryPanel = (open) => {
+  historyPanel.hidden = !open;
+  historyBtn.setAttribute('aria-expanded', String(open));
+
+  if (open) {
+    void loadPromptHistory();
+    historySearch.focus();
+  } else {
+    historyBtn.focus();
+  }
+};
+
+/**
+ * Resends or deletes a history entry
+ * @param {string} command - "resend" or "delete"
+ * @param {string} entryId - History entry ID
+ * @returns {Promise<void>}
+ */
+const runHistoryCommand = async (command, entryId) => {
+  try {
+    const response = command === 'resend'
+      ? await chrome.runtime.sendMessage({ type: 'RESEND_PROMPT', id: entryId, windowId: panelWindowId })
+      : await chrome.runtime.sendMessage({ type: 'DELETE_PROMPT_HISTORY_ENTRY', id: entryId });
+
+    if (!response?.success) {
+      logger.warn('Prompt history command failed', { command, error: response?.error });
+    }
+  } catch (error) {
+    logger.error('Failed to run prompt history command', error);
+  }
+
+  // A resend goes to the side panel frame, so close the history to show it
+  if (command === 'resend') {
+    toggleHistoryPanel(false);
+  }
+};
+
+/**
+ * Initializes the history button, filters and list
+ */
+const initializePromptHistory = () => {
+  const { signal } = eventController;
+
+  historyBtn.addEventListener('click', () => {
+    toggleHistoryPanel(historyPanel.hidden);
+  }, { signal });
+
+  document.getElementById('historyCloseBtn')?.addEventListener('click', () => {
+    toggleHistoryPanel(false);
+  }, { signal });
+
+  historySearch.addEventListener('input', renderPromptHistory, { signal });
+  historyFilter.addEventListener('change', renderPromptHistory, { signal });
+
+  historyList.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-history-command]');
+    if (button) {
+      button.disabled = true;
+      void runHistoryCommand(button.dataset.historyCommand, button.dataset.entryId);
+    }
+  }, { signal });
+
+  historyPanel.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      toggleHistoryPanel(false);
+    }
+  }, { signal });
+};
+
+// ============================================================================
+// COMPACT LAYOUT
+// ============================================================================
+
+/**
+ * Shows whether the compact layout is on
+ * @param {*} enabled - compactMode setting
+ */
+const renderCompactMode = (enabled) => {
+  compactBtn.setAttribute('aria-pressed', String(enabled === true));
+};
+
+/**
+ * Reads the compact layout setting from the service worker
+ * @returns {Promise<void>}
+ */
+const loadCompactMode = async () => {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    renderCompactMode(response?.success && response.data.compactMode);
+  } catch (error) {
+    logger.error('Failed to load compact layout setting', error);
+  }
+};
+
+/**
+ * Saves the flipped compact layout setting. The frame's content script applies it
+ * through storage.onChanged, and the button follows through handleStorageChange.
+ * @returns {Promise<void>}
+ */
+const toggleCompactMode = async () => {
+  const enabled = compactBtn.getAttribute('aria-pressed') !== 'true';
+  compactBtn.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', data: { compactMode: enabled } });
+    if (!response?.success) {
+      logger.warn('Compact layout setting not saved', response?.error);
+    }
+  } catch (error) {
+    logger.error('Failed to save compact layout setting', error);
+  } finally {
+    compactBtn.disabled = false;
+  }
+};
+
+/**
+ * Initializes the compact layout toggle
+ */
+const initializeCompactToggle = () => {
+  compactBtn.addEventListener('click', () => {
+    void toggleCompactMode();
+  }, { signal: eventController.signal });
+};
+
+// ============================================================================
+// STORAGE CHANGES
+// ============================================================================
+
+/**
+ * Keeps the queue indicator, the compact toggle, the Arena tabs and an open history view in
+ * sync with storage
+ * @param {Object} changes - Storage changes
+ * @param {string} areaName - Storage area
+ */
+const handleStorageChange = (changes, areaName) => {
+  if (areaName !== 'local') {
+    return;
+  }
+
+  if (changes[ACTION_STORAGE_KEYS.ACTION_QUEUE]) {
+    renderActionQueue(changes[ACTION_STORAGE_KEYS.ACTION_QUEUE].newValue);
+  }
+
+  if (changes[CONFIG.STORAGE_KEYS.PROMPT_HISTORY] && !historyPanel.hidden) {
+    void loadPromptHistory();
+  }
+
+  if (changes[CONFIG.STORAGE_KEYS.SETTINGS]) {
+    renderCompactMode(changes[CONFIG.STORAGE_KEYS.SETTINGS].newValue?.compactMode);
+  }
+
+  // Panels in other windows share the tabs; a tab's own panel has none
+  if (changes[CONFIG.STORAGE_KEYS.PANEL_SESSIONS] && sessionState && panelTabId === null) {
+    void loadSessions();
+  }
+};
+
+// ============================================================================
+// MESSAGE HANDLING
+// ============================================================================
+
+/**
+ * Handles messages from the background script
+ */
+const handleMessage = (message, _sender, sendResponse) => {
+  if (message.windowId !== panelWindowId) {
+    return false;
+  }
+
+  // Chrome may keep the panels of background tabs alive; only the one on show answers
+  if (panelTabId !== null && document.hidden) {
+    return false;
+  }
+
+  if (message.type === 'REQUEST_ARENA_READY') {
+    logger.debug('Service worker requested ARENA_READY');
+    introduceFrame().then((success) => sendResponse({ success }));
+    return true;
+  }
+
+  if (message.type === 'CLOSE_SIDE_PANEL') {
+    // The toggle shortcut opens the panel first; a panel that shortcut just opened stays open
+    const closing = performance.timeOrigin < message.openedBefore &&
+      (panelTabId === null || message.tabId === panelTabId);
+    sendResponse({ success: closing });
+    if (closing) {
+      window.close();
+    }
+    return false;
+  }
+
+  if (message.type === 'CHOOSE_INJECTION_TARGET') {
+    showTargetChoice(message);
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (message.type === 'REPLACEMENT_READY') {
+    showReplacementOffer(message);
+    sendResponse({ success: true });
+    return true;
+  }
+
+  return false;
+};
+
+// ============================================================================
+// TOOLBAR
+// ============================================================================
+
+/**
+ * Origin of the page in a session frame, for messages posted to it
+ * @param {Object} entry - Session frame
+ * @returns {string} Origin
+ */
+const getFrameOrigin = (entry) => new URL(entry.location?.url || entry.frame.src || CONFIG.ARENA_URL).origin;
+
+/**
+ * URL of the conversation on show, or the Arena home page before its frame reports
+ * @returns {string} Arena URL
+ */
+const getConversationUrl = () =>
+  getActiveEntry()?.location?.url || sessionUrls.get(sessionState?.activeId) || CONFIG.ARENA_URL;
+
+/**
+ * Enables back and forward to match the history of the frame on show
+ */
+const renderNavigationState = () => {
+  const location = getActiveEntry()?.location;
+  backBtn.disabled = !location?.canGoBack;
+  forwardBtn.disabled = !location?.canGoForward;
+};
+
+/**
+ * Announces the outcome of a toolbar command to screen readers and marks the button briefly
+ * @param {HTMLElement|null} button - Button that ran the command
+ * @param {string} text - Outcome
+ */
+const showToolbarNotice = (button, text) => {
+  if (toolbarNoticeTimer) {
+    clearTimeout(toolbarNoticeTimer);
+  }
+  toolbar.querySelector('.toolbar__btn--done')?.classList.remove('toolbar__btn--done');
+
+  toolbarStatus.textContent = text;
+  button?.classList.add('toolbar__btn--done');
+  toolbarNoticeTimer = setTimeout(() => {
+    toolbarStatus.textContent = '';
+    button?.classList.remove('toolbar__btn--done');
+    toolbarNoticeTimer = null;
+  }, CONFIG.TIMEOUTS.TOOLBAR_NOTICE);
+};
+
+/**
+ * Asks the content script of the frame on show to go back or forward in the frame's own
+ * history, which the panel cannot reach across origins
+ * @param {string} command - "back" or "forward"
+ */
+const navigateFrame = (command) => {
+  const entry = getActiveEntry();
+  if (!entry?.location || !entry.frame.contentWindow) {
+    return;
+  }
+
+  entry.frame.contentWindow.postMessage(
+    { type: 'ARENA_COMPANION_NAVIGATE', command, token: frameToken },
+    getFrameOrigin(entry)
+  );
+};
+
+/**
+ * Opens the conversation shown in the panel in a new tab
+ * @returns {Promise<void>}
+ */
+const openInNewTab = async () => {
+  try {
+    await chrome.tabs.create({ url: getConversationUrl() });
+    logger.info('Opened Arena.AI in new tab');
+  } catch (error) {
+    logger.error('Failed to open Arena.AI in new tab', error);
+  }
+};
+
+/**
+ * Copies the link of the conversation shown in the panel
+ * @returns {Promise<void>}
+ */
+const copyConversationLink = async () => {
+  try {
+    await navigator.clipboard.writeText(getConversationUrl());
+    showToolbarNotice(copyLinkBtn, 'Conversation link copied');
+  } catch (error) {
+    logger.warn('Failed to copy conversation link', error);
+    showToolbarNotice(null, 'Could not copy the conversation link');
+  }
+};
+
+/**
+ * Runs a toolbar command, from a button or a shortcut
+ * @param {string} command - TOOLBAR_SHORTCUTS value
+ */
+const runToolbarCommand = (command) => {
+  switch (command) {
+    case 'back':
+    case 'forward':
+      navigateFrame(command);
+      break;
+    case 'newChat':
+      // Arena starts a new conversation on its home page
+      refreshArenaFrame(CONFIG.ARENA_URL);
+      break;
+    case 'reload':
+      refreshArenaFrame(getConversationUrl());
+      break;
+    case 'openInTab':
+      void openInNewTab();
+      break;
+    case 'copyLink':
+      void copyConversationLink();
+      break;
+    default:
+      logger.warn('Unknown toolbar command', command);
+  }
+};
+
+/**
+ * Checks whether a key event target edits text, where Alt+arrows move the caret
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for text fields and editable content
+ */
+const isTextEntry = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement);
+
+/**
+ * Runs the toolbar command bound to an Alt+key press anywhere in the panel
+ * @param {KeyboardEvent} event - Keydown event
+ */
+const handleShortcutKeydown = (event) => {
+  if (!event.altKey || event.ctrlKey || event.metaKey || event.shiftKey || !Object.hasOwn(TOOLBAR_SHORTCUTS, event.code)) {
+    return;
+  }
+  if (event.code.startsWith('Arrow') && isTextEntry(event.target)) {
+    return;
+  }
+
+  event.preventDefault();
+  runToolbarCommand(TOOLBAR_SHORTCUTS[event.code]);
+};
+
+/**
+ * Moves focus between toolbar buttons with the arrow, Home and End keys
+ * @param {KeyboardEvent} event - Keydown event
+ */
+const handleToolbarKeydown = (event) => {
+  if (event.altKey || event.ctrlKey || event.metaKey) {
+    return;
+  }
+
+  const buttons = Array.from(toolbar.querySelectorAll('button')).filter((button) => !button.disabled && !button.hidden);
+  const index = buttons.indexOf(document.activeElement);
+  const target = { ArrowLeft: index - 1, ArrowRight: index + 1, Home: 0, End: buttons.length - 1 }[event.key];
+  if (index === -1 || target === undefined) {
+    return;
+  }
+
+  event.preventDefault();
+  buttons[(target + buttons.length) % buttons.length].focus();
+};
+
+/**
+ * Handles location reports and forwarded shortcuts from the session frames' content scripts
+ * @param {MessageEvent} event - Message event
+ */
+const handleFrameMessage = (event) => {
+  const entry = Array.from(sessionFrames.values()).find((candidate) => candidate.frame.contentWindow === event.source);
+  if (!entry || !validation.isArenaUrl(`${event.origin}/`)) {
+    return;
+  }
+
+  const { data } = event;
+  if (data?.type === 'ARENA_COMPANION_FRAME_LOCATION') {
+    if (!validation.isArenaUrl(data.url) || new URL(data.url).origin !== event.origin) {
+      logger.warn('Ignoring frame location outside Arena');
+      return;
+    }
+    const firstReport = !entry.location;
+    entry.location = {
+      url: data.url,
+      canGoBack: data.canGoBack === true,
+      canGoForward: data.canGoForward === true
+    };
+    if (firstReport || entry.failure) {
+      settleLoad(entry);
+    }
+    sessionUrls.set(entry.id, data.url);
+    saveConversationUrl(entry.id, data.url);
+    renderNavigationState();
+  } else if (
+    data?.type === 'ARENA_COMPANION_SHORTCUT' &&
+    entry === getActiveEntry() &&
+    Object.hasOwn(TOOLBAR_SHORTCUTS, data.code)
+  ) {
+    runToolbarCommand(TOOLBAR_SHORTCUTS[data.code]);
+  }
+};
+
+/**
+ * Initializes the toolbar buttons, their shortcuts and frame location reports
+ */
+const initializeToolbar = () => {
+  if (!eventController) {
+    eventController = new AbortController();
+  }
+
+  const { signal } = eventController;
+
+  toolbar.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-command]');
+    if (button) {
+      runToolbarCommand(button.dataset.command);
+    }
+  }, { signal });
+
+  toolbar.addEventListener('keydown', handleToolbarKeydown, { signal });
+  document.addEventListener('keydown', handleShortcutKeydown, { signal });
+  window.addEventListener('message', handleFrameMessage, { signal });
+};
+
+// ============================================================================
+// VISIBILITY HANDLING
+// ============================================================================
+
+/**
+ * Handles visibility change to optimize performance
+ */
+const handleVisibilityChange = () => {
+  if (document.hidden) {
+    logger.debug('Side panel hidden');
+  } else {
+    logger.debug('Side panel visible');
+
+    // Tab panels in one window share its frame registration; the one coming into view takes it
+    if (panelTabId !== null) {
+      void introduceFrame();
+    }
+
+    userDetails.updateLastVisit().catch((err) =>
+      logger.debug('Failed to update last visit', err)
+    );
+  }
+};
+
+// ============================================================================
+// CLEANUP
+// ============================================================================
+
+/**
+ * Cleanup function for event listeners and timers
+ */
+const cleanup = () => {
+  if (eventController) {
+    eventController.abort();
+    eventController = null;
+  }
+  if (loadTimeout) {
+    clearTimeout(loadTimeout);
+    loadTimeout = null;
+  }
+  if (refreshDebounceTimer) {
+    clearTimeout(refreshDebounceTimer);
+    refreshDebounceTimer = null;
+  }
+  if (toolbarNoticeTimer) {
+    clearTimeout(toolbarNoticeTimer);
+    toolbarNoticeTimer = null;
   }
-  if (hoverTimer) {
-    clearTimeout(hoverTimer);
-    hoverTimer = null;
+  if (sessionUnloadTimer) {
+    clearTimeout(sessionUnloadTimer);
+    sessionUnloadTimer = null;
   }
-  if (redirectResetTimer) {
-    clearTimeout(redirectResetTimer);
-    redirectResetTimer = null;
+  if (loadRetryTimer) {
+    clearTimeout(loadRetryTimer);
+    loadRetryTimer = null;
   }
   chrome.runtime.onMessage.removeListener(handleMessage);
+  chrome.storage.onChanged.removeListener(handleStorageChange);
 };
 
 // ============================================================================
@@ -438,11 +2049,29 @@ const initialize = async () => {
     logger.info('Initializing side panel v1.7.0');
 
     initializeDOMReferences();
-    initializeIframe();
-    initializeRefreshButton();
+    initializeToolbar();
+    initializeSessions();
+    initializeTargetChooser();
+    initializeReplacementOffer();
+    initializeActionQueue();
+    initializePromptHistory();
+    initializeCompactToggle();
+    initializeLoadFailure();
+
+    await restoreConversations();
+    await loadSessions();
+
+    // The iframes may finish loading first; re-send the context once the window is known
+    await resolvePanelWindowId();
+    void introduceFrame();
+    void loadPendingTargetChoice();
+    void loadReplacementOffer();
+    void loadActionQueue();
+    void loadCompactMode();
 
     // Set up message listener
     chrome.runtime.onMessage.addListener(handleMessage);
+    chrome.storage.onChanged.addListener(handleStorageChange);
 
     // Listen for visibility changes
     document.addEventListener('visibilitychange', handleVisibilityChange, {
@@ -111,7 +111,21 @@ describe('Code Quality', () => {
   });
 
   describe('Object.freeze on utility exports', () => {
-    const UTIL_FILES = ['utils/constants.js', 'utils/logger.js', 'utils/storage.js', 'utils/user-details.js'];
+    const UTIL_FILES = [
+      'utils/constants.js',
+      'utils/logger.js',
+      'utils/storage.js',
+      'utils/user-details.js',
+      'utils/custom-actions.js',
+      'utils/template-engine.js',
+      'utils/validation.js',
+      'utils/settings.js',
+      'utils/prompt-history.js',
+      'utils/page-content.js',
+      'utils/region-capture.js',
+      'utils/replace-selection.js',
+      'utils/panel-sessions.js'
+    ];
 
     for (const utilFile of UTIL_FILES) {
       it(`${utilFile} uses Object.freeze on exports`, () => {
@@ -127,7 +141,11 @@ describe('Code Quality', () => {
   });
 
   describe('JSDoc on exported functions', () => {
-    const MODULE_FILES = ['background/service-worker.js', 'sidepanel/scripts/main.js'];
+    const MODULE_FILES = [
+      'background/service-worker.js',
+      'sidepanel/scripts/main.js',
+      'options/scripts/options.js'
+    ];
 
     for (const moduleFile of MODULE_FILES) {
       it(`${moduleFile} has JSDoc on functions`, () => {
@@ -168,6 +186,7 @@ describe('Code Quality', () => {
       const runtimeLogs = [
         { file: 'background/service-worker.js', pattern: /initialized\s+v[\d.]+/ },
         { file: 'sidepanel/scripts/main.js', pattern: /Initializing.*v[\d.]+/ },
+        { file: 'options/scripts/options.js', pattern: /Initializing.*v[\d.]+/ },
         { file: 'content/content-script.js', pattern: /initializing.*v[\d.]+/i }
       ];
 
@@ -188,9 +207,9 @@ describe('Code Quality', () => {
     it('service-worker.js imports all required symbols from constants', () => {
       const content = read('background/service-worker.js');
       const expectedImports = [
-        'ARENA_HOST_PATTERNS', 'CONFIG', 'ERROR_MESSAGES',
-        'SUCCESS_MESSAGES', 'CONTEXT_MENU_IDS', 'PROMPT_TEMPLATES',
-        'ACTION_STORAGE_KEYS'
+        'CONFIG', 'ERROR_MESSAGES', 'SUCCESS_MESSAGES',
+        'CONTEXT_MENU_IDS', 'COMMAND_IDS', 'PROMPT_TEMPLATES', 'ACTION_STORAGE_KEYS',
+        'ARENA_HOST_PATTERNS', 'INJECTION_TARGETS', 'PORT_NAMES'
       ];
 
       for (const symbol of expectedImports) {
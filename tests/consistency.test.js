@@ -8,6 +8,8 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { readFileSync } from 'node:fs';
 import { join } from 'node:path';
+import { templateEngine } from '../utils/template-engine.js';
+import { validation } from '../utils/validation.js';
 
 const ROOT = new URL('..', import.meta.url).pathname.replace(/^\/([A-Z]:)/, '$1');
 const read = (filePath) => readFileSync(join(ROOT, filePath), 'utf-8');
@@ -25,8 +27,8 @@ describe('Cross-File Consistency', () => {
       const htmlSvgMatch = html.match(/<svg\s+width="(\d+)"\s+height="(\d+)"/);
       assert.ok(htmlSvgMatch, 'No SVG with width/height found in sidepanel.html');
 
-      const cssWidthMatch = css.match(/\.refresh-btn\s+svg\s*\{[^}]*width:\s*(\d+)px/);
-      const cssHeightMatch = css.match(/\.refresh-btn\s+svg\s*\{[^}]*height:\s*(\d+)px/);
+      const cssWidthMatch = css.match(/\.toolbar__btn\s+svg\s*\{[^}]*width:\s*(\d+)px/);
+      const cssHeightMatch = css.match(/\.toolbar__btn\s+svg\s*\{[^}]*height:\s*(\d+)px/);
 
       const jsWidthMatch = js.match(/setAttribute\('width',\s*'(\d+)'\)/);
       const jsHeightMatch = js.match(/setAttribute\('height',\s*'(\d+)'\)/);
@@ -162,6 +164,79 @@ describe('Cross-File Consistency', () => {
     });
   });
 
+  describe('Keyboard commands consistency', () => {
+    it('manifest commands match COMMAND_IDS and are all handled', () => {
+      const constants = read('utils/constants.js');
+      const serviceWorker = read('background/service-worker.js');
+
+      const blockMatch = constants.match(/COMMAND_IDS\s*=\s*Object\.freeze\(\{([\s\S]*?)\}\)/);
+      assert.ok(blockMatch, 'COMMAND_IDS block not found in constants.js');
+
+      const entries = [...blockMatch[1].matchAll(/(\w+):\s*'([^']+)'/g)];
+      assert.deepEqual(
+        Object.keys(manifest.commands || {}).sort(),
+        entries.map((m) => m[2]).sort(),
+        'manifest commands do not match COMMAND_IDS'
+      );
+
+      for (const [, key] of entries) {
+        assert.ok(
+          serviceWorker.includes(`case COMMAND_IDS.${key}:`),
+          `COMMAND_IDS.${key} is not handled in service-worker.js`
+        );
+      }
+    });
+
+    it('manifest suggests at most four shortcuts', () => {
+      const suggested = Object.values(manifest.commands || {}).filter((command) => command.suggested_key);
+      assert.ok(suggested.length <= 4, 'Chrome ignores commands beyond four suggested shortcuts');
+    });
+
+    it('side panel closes itself for the toggle shortcut', () => {
+      const mainScript = read('sidepanel/scripts/main.js');
+      const serviceWorker = read('background/service-worker.js');
+
+      assert.ok(serviceWorker.includes("type: 'CLOSE_SIDE_PANEL'"), 'service-worker.js never sends CLOSE_SIDE_PANEL');
+      assert.ok(mainScript.includes("'CLOSE_SIDE_PANEL'"), 'main.js does not handle CLOSE_SIDE_PANEL');
+    });
+  });
+
+  describe('Custom actions consistency', () => {
+    it('service-worker.js rebuilds context menus when custom actions change', () => {
+      const serviceWorker = read('background/service-worker.js');
+
+      assert.ok(
+        serviceWorker.includes('chrome.storage.onChanged.addListener'),
+        'Service worker does not listen for storage changes'
+      );
+      assert.ok(
+        serviceWorker.includes('CONFIG.STORAGE_KEYS.CUSTOM_ACTIONS'),
+        'Service worker does not watch CONFIG.STORAGE_KEYS.CUSTOM_ACTIONS'
+      );
+    });
+
+    it('service-worker.js handles custom action and settings changes independently', () => {
+      const serviceWorker = read('background/service-worker.js');
+      const start = serviceWorker.indexOf('chrome.storage.onChanged.addListener');
+      const body = serviceWorker.substring(start, serviceWorker.indexOf('\n});\n', start));
+
+      assert.ok(body.includes('if (changes[CONFIG.STORAGE_KEYS.SETTINGS])'), 'Service worker does not watch CONFIG.STORAGE_KEYS.SETTINGS');
+      assert.ok(!body.includes('} else if (changes['), 'A write changing both keys must run both handlers');
+    });
+
+    it('custom action menu items are routed through handleTextAction', () => {
+      const serviceWorker = read('background/service-worker.js');
+      const prefixPos = serviceWorker.indexOf('menuItemId.startsWith(CONTEXT_MENU_IDS.CUSTOM_ACTION_PREFIX)');
+      assert.ok(prefixPos !== -1, 'Context menu handler does not recognize custom action items');
+
+      const branch = serviceWorker.substring(prefixPos, prefixPos + 300);
+      assert.ok(
+        branch.includes('handleTextAction('),
+        'Custom action menu items must run through handleTextAction'
+      );
+    });
+  });
+
   describe('Prompt templates consistency', () => {
     it('all context menu text actions have matching prompt templates', () => {
       const constants = read('utils/constants.js');
@@ -175,9 +250,28 @@ describe('Cross-File Consistency', () => {
       }
     });
 
+    it('every built-in prompt template places the {{selection}} placeholder', () => {
+      const constants = read('utils/constants.js');
+      const blockMatch = constants.match(/PROMPT_TEMPLATES\s*=\s*Object\.freeze\(\{([\s\S]*?)\}\);/);
+      assert.ok(blockMatch, 'PROMPT_TEMPLATES block not found in constants.js');
+
+      const entries = [...blockMatch[1].matchAll(/(\w+):\s*'([^']*)'/g)];
+      assert.ok(entries.length > 0, 'No entries found in PROMPT_TEMPLATES block');
+
+      for (const [, action, template] of entries) {
+        assert.ok(
+          template.includes('{{selection}}'),
+          `Prompt template "${action}" does not reference {{selection}}`
+        );
+      }
+    });
+
     it('service-worker switch cases match prompt template keys', () => {
       const serviceWorker = read('background/service-worker.js');
-      const actions = ['summarize', 'explain', 'rewrite', 'quizMe', 'proofread'];
+      const actions = [
+        'summarize', 'explain', 'rewrite', 'quizMe', 'proofread',
+        'summarizePage', 'askAboutPage', 'explainLink', 'describeImage', 'captureRegion'
+      ];
 
       for (const action of actions) {
         assert.ok(
@@ -188,24 +282,463 @@ describe('Cross-File Consistency', () => {
     });
   });
 
+  describe('Template engine rendering', () => {
+    it('uses the inline fallback when a value is missing', () => {
+      assert.equal(templateEngine.render('Source: {{url|none}}', { url: '' }), 'Source: none');
+      assert.equal(templateEngine.render('Source: {{url|none}}', { url: 'https://example.com' }), 'Source: https://example.com');
+      assert.equal(templateEngine.render('Hi {{name}}!', {}), 'Hi !');
+    });
+
+    it('renders escaped placeholders literally', () => {
+      assert.equal(templateEngine.render('Keep \\{{title}} as is', { title: 'Page' }), 'Keep {{title}} as is');
+    });
+
+    it('leaves unknown placeholders untouched', () => {
+      assert.equal(templateEngine.render('{{unknown}} and {{selection}}', { selection: 'text' }), '{{unknown}} and text');
+    });
+
+    it('substitutes in a single pass', () => {
+      const rendered = templateEngine.render('{{selection}} on {{title}}', { selection: 'about {{title}}', title: 'Page' });
+      assert.equal(rendered, 'about {{title}} on Page');
+    });
+
+    it('template sanitizing keeps the prompt text as written', () => {
+      const template = 'Convert to SQL where x <> 3 and show the data: {{selection}}. Use onload= handlers';
+
+      assert.equal(validation.sanitizeTemplate(`  ${template}\u0007\n`), template);
+      assert.equal(validation.sanitizeTemplate('a'.repeat(5000)).length, 4000);
+    });
+
+    it('counts only unescaped placeholders of a variable', () => {
+      assert.equal(templateEngine.countPlaceholder('{{selection}} \\{{selection}} {{ selection|x }}', 'selection'), 2);
+      assert.equal(templateEngine.withSelection('Explain:'), 'Explain:\n\n{{selection}}');
+    });
+  });
+
   describe('Storage key consistency', () => {
     it('content-script STORAGE_KEY matches constants ACTION_STORAGE_KEYS', () => {
       const constants = read('utils/constants.js');
       const contentScript = read('content/content-script.js');
 
-      const constMatch = constants.match(/PENDING_ACTION:\s*'([^']+)'/);
+      const constMatch = constants.match(/ACTION_QUEUE:\s*'([^']+)'/);
       const scriptMatch = contentScript.match(/STORAGE_KEY\s*=\s*'([^']+)'/);
 
-      assert.ok(constMatch, 'PENDING_ACTION not found in constants');
+      assert.ok(constMatch, 'ACTION_QUEUE not found in constants');
       assert.ok(scriptMatch, 'STORAGE_KEY not found in content-script');
       assert.equal(
         scriptMatch[1],
         constMatch[1],
-        `content-script STORAGE_KEY (${scriptMatch[1]}) does not match constants PENDING_ACTION (${constMatch[1]})`
+        `content-script STORAGE_KEY (${scriptMatch[1]}) does not match constants ACTION_QUEUE (${constMatch[1]})`
+      );
+    });
+  });
+
+  describe('Settings consistency', () => {
+    it('content-script SETTINGS_KEY matches CONFIG.STORAGE_KEYS.SETTINGS', () => {
+      const constants = read('utils/constants.js');
+      const contentScript = read('content/content-script.js');
+
+      const constMatch = constants.match(/SETTINGS:\s*'([^']+)'/);
+      const scriptMatch = contentScript.match(/SETTINGS_KEY\s*=\s*'([^']+)'/);
+
+      assert.ok(constMatch, 'STORAGE_KEYS.SETTINGS not found in constants');
+      assert.ok(scriptMatch, 'SETTINGS_KEY not found in content-script');
+      assert.equal(
+        scriptMatch[1],
+        constMatch[1],
+        `content-script SETTINGS_KEY (${scriptMatch[1]}) does not match constants (${constMatch[1]})`
+      );
+    });
+
+    it('content-script POLL_INTERVAL default matches CONFIG.TIMEOUTS.POLL_INTERVAL', () => {
+      const constants = read('utils/constants.js');
+      const contentScript = read('content/content-script.js');
+
+      const constMatch = constants.match(/TIMEOUTS:\s*Object\.freeze\(\{[^}]*POLL_INTERVAL:\s*(\d+)/);
+      const scriptMatch = contentScript.match(/const POLL_INTERVAL\s*=\s*(\d+)/);
+
+      assert.ok(constMatch, 'CONFIG.TIMEOUTS.POLL_INTERVAL not found in constants');
+      assert.ok(scriptMatch, 'POLL_INTERVAL not found in content-script');
+      assert.equal(scriptMatch[1], constMatch[1], 'content-script POLL_INTERVAL does not match CONFIG.TIMEOUTS');
+    });
+
+    it('options page log level choices match LOG_LEVELS', () => {
+      const constants = read('utils/constants.js');
+      const html = read('options/options.html');
+
+      const blockMatch = constants.match(/LOG_LEVELS\s*=\s*Object\.freeze\(\{([\s\S]*?)\}\)/);
+      assert.ok(blockMatch, 'LOG_LEVELS block not found in constants.js');
+
+      const levels = [...blockMatch[1].matchAll(/\w+:\s*'([^']+)'/g)].map((m) => m[1]);
+      const selectMatch = html.match(/<select[^>]*id="logLevel"[^>]*>([\s\S]*?)<\/select>/);
+      assert.ok(selectMatch, 'logLevel select not found in options.html');
+
+      const options = [...selectMatch[1].matchAll(/value="([^"]+)"/g)].map((m) => m[1]);
+      assert.deepEqual(options, levels, 'options.html log levels do not match LOG_LEVELS');
+    });
+
+    it('options page injection target choices match INJECTION_TARGETS', () => {
+      const constants = read('utils/constants.js');
+      const html = read('options/options.html');
+
+      const blockMatch = constants.match(/INJECTION_TARGETS\s*=\s*Object\.freeze\(\{([\s\S]*?)\}\)/);
+      assert.ok(blockMatch, 'INJECTION_TARGETS block not found in constants.js');
+
+      const targets = [...blockMatch[1].matchAll(/\w+:\s*'([^']+)'/g)].map((m) => m[1]);
+      const selectMatch = html.match(/<select[^>]*id="injectionTarget"[^>]*>([\s\S]*?)<\/select>/);
+      assert.ok(selectMatch, 'injectionTarget select not found in options.html');
+
+      const options = [...selectMatch[1].matchAll(/value="([^"]+)"/g)].map((m) => m[1]);
+      assert.deepEqual(options, targets, 'options.html injection targets do not match INJECTION_TARGETS');
+    });
+
+    it('options page side panel choices match PANEL_MODES', () => {
+      const constants = read('utils/constants.js');
+      const html = read('options/options.html');
+
+      const blockMatch = constants.match(/PANEL_MODES\s*=\s*Object\.freeze\(\{([\s\S]*?)\}\)/);
+      assert.ok(blockMatch, 'PANEL_MODES block not found in constants.js');
+
+      const modes = [...blockMatch[1].matchAll(/\w+:\s*'([^']+)'/g)].map((m) => m[1]);
+      const selectMatch = html.match(/<select[^>]*id="panelMode"[^>]*>([\s\S]*?)<\/select>/);
+      assert.ok(selectMatch, 'panelMode select not found in options.html');
+
+      const options = [...selectMatch[1].matchAll(/value="([^"]+)"/g)].map((m) => m[1]);
+      assert.deepEqual(options, modes, 'options.html side panel modes do not match PANEL_MODES');
+    });
+
+    it('options page send mode choices match SEND_MODES', () => {
+      const constants = read('utils/constants.js');
+      const html = read('options/options.html');
+
+      const blockMatch = constants.match(/SEND_MODES\s*=\s*Object\.freeze\(\{([\s\S]*?)\}\)/);
+      assert.ok(blockMatch, 'SEND_MODES block not found in constants.js');
+
+      const modes = [...blockMatch[1].matchAll(/\w+:\s*'([^']+)'/g)].map((m) => m[1]);
+      const selectMatch = html.match(/<select[^>]*id="sendMode"[^>]*>([\s\S]*?)<\/select>/);
+      assert.ok(selectMatch, 'sendMode select not found in options.html');
+
+      const options = [...selectMatch[1].matchAll(/value="([^"]+)"/g)].map((m) => m[1]);
+      assert.deepEqual(options, modes, 'options.html send modes do not match SEND_MODES');
+    });
+
+    it('manifest options_ui page exists', () => {
+      const optionsPage = manifest.options_ui?.page;
+      assert.ok(optionsPage, 'options_ui.page not defined');
+      assert.doesNotThrow(() => read(optionsPage), `options_ui.page "${optionsPage}" does not exist`);
+    });
+  });
+
+  describe('Pending action handoff consistency', () => {
+    it('content-script FRAME_PORT_NAME matches PORT_NAMES.ARENA_FRAME', () => {
+      const constants = read('utils/constants.js');
+      const contentScript = read('content/content-script.js');
+
+      const constMatch = constants.match(/ARENA_FRAME:\s*'([^']+)'/);
+      const scriptMatch = contentScript.match(/FRAME_PORT_NAME\s*=\s*'([^']+)'/);
+
+      assert.ok(constMatch, 'PORT_NAMES.ARENA_FRAME not found in constants');
+      assert.ok(scriptMatch, 'FRAME_PORT_NAME not found in content-script');
+      assert.equal(scriptMatch[1], constMatch[1], 'content-script FRAME_PORT_NAME does not match PORT_NAMES');
+    });
+
+    it('content-script ACTION_EXPIRY_MS matches CONFIG.TIMEOUTS.ACTION_EXPIRY', () => {
+      const constants = read('utils/constants.js');
+      const contentScript = read('content/content-script.js');
+
+      const constMatch = constants.match(/ACTION_EXPIRY:\s*(\d+)/);
+      const scriptMatch = contentScript.match(/const ACTION_EXPIRY_MS\s*=\s*(\d+)/);
+
+      assert.ok(constMatch, 'CONFIG.TIMEOUTS.ACTION_EXPIRY not found in constants');
+      assert.ok(scriptMatch, 'ACTION_EXPIRY_MS not found in content-script');
+      assert.equal(scriptMatch[1], constMatch[1], 'content-script ACTION_EXPIRY_MS does not match CONFIG.TIMEOUTS');
+    });
+
+    it('frame port message types are handled on both ends', () => {
+      const contentScript = read('content/content-script.js');
+      const serviceWorker = read('background/service-worker.js');
+
+      for (const type of ['ARENA_READY', 'ACTION_RESULT', 'FRAME_IDLE']) {
+        assert.ok(contentScript.includes(`type: '${type}'`), `content-script never posts ${type}`);
+        assert.ok(serviceWorker.includes(`case '${type}':`), `service-worker.js does not handle ${type}`);
+      }
+
+      for (const type of ['DELIVER_ACTION']) {
+        assert.ok(serviceWorker.includes(`type: '${type}'`), `service-worker.js never posts ${type}`);
+        assert.ok(contentScript.includes(`case '${type}':`), `content-script does not handle ${type}`);
+      }
+    });
+
+    it('side panel messages are handled by the service worker', () => {
+      const mainScript = read('sidepanel/scripts/main.js');
+      const serviceWorker = read('background/service-worker.js');
+
+      const types = [
+        'REGISTER_PANEL_FRAME',
+        'GET_TARGET_CHOICE',
+        'INJECTION_TARGET_CHOSEN',
+        'CANCEL_QUEUED_ACTION',
+        'GET_PROMPT_HISTORY',
+        'DELETE_PROMPT_HISTORY_ENTRY',
+        'RESEND_PROMPT'
+      ];
+      for (const type of types) {
+        assert.ok(mainScript.includes(`type: '${type}'`), `main.js never sends ${type}`);
+        assert.ok(serviceWorker.includes(`case '${type}':`), `service-worker.js does not handle ${type}`);
+      }
+    });
+
+    it('side panel answers REQUEST_ARENA_READY with the panel context the content script expects', () => {
+      const mainScript = read('sidepanel/scripts/main.js');
+      const contentScript = read('content/content-script.js');
+
+      assert.ok(mainScript.includes("'REQUEST_ARENA_READY'"), 'main.js does not handle REQUEST_ARENA_READY');
+      assert.ok(mainScript.includes("type: 'ARENA_COMPANION_PANEL_CONTEXT'"), 'main.js never posts panel context');
+      assert.ok(
+        contentScript.includes("'ARENA_COMPANION_PANEL_CONTEXT'"),
+        'content-script does not accept panel context'
+      );
+    });
+
+    it('content-script RESPONSE_WAIT_MS matches CONFIG.TIMEOUTS.RESPONSE_WAIT', () => {
+      const constants = read('utils/constants.js');
+      const contentScript = read('content/content-script.js');
+
+      const constMatch = constants.match(/RESPONSE_WAIT:\s*(\d+)/);
+      const scriptMatch = contentScript.match(/const RESPONSE_WAIT_MS\s*=\s*(\d+)/);
+
+      assert.ok(constMatch, 'CONFIG.TIMEOUTS.RESPONSE_WAIT not found in constants');
+      assert.ok(scriptMatch, 'RESPONSE_WAIT_MS not found in content-script');
+      assert.equal(scriptMatch[1], constMatch[1], 'content-script RESPONSE_WAIT_MS does not match CONFIG.TIMEOUTS');
+    });
+  });
+
+  describe('Prompt length consistency', () => {
+    it('content-script MAX_PROMPT_LENGTH matches CONFIG.VALIDATION.MAX_PROMPT_LENGTH', () => {
+      const constants = read('utils/constants.js');
+      const contentScript = read('content/content-script.js');
+
+      const constMatch = constants.match(/MAX_PROMPT_LENGTH:\s*(\d+)/);
+      const scriptMatch = contentScript.match(/const MAX_PROMPT_LENGTH\s*=\s*(\d+)/);
+
+      assert.ok(constMatch, 'MAX_PROMPT_LENGTH not found in constants');
+      assert.ok(scriptMatch, 'MAX_PROMPT_LENGTH not found in content-script');
+      assert.equal(
+        scriptMatch[1],
+        constMatch[1],
+        `content-script MAX_PROMPT_LENGTH (${scriptMatch[1]}) does not match constants (${constMatch[1]})`
       );
     });
   });
 
+  describe('Attachment consistency', () => {
+    it('content-script MAX_ATTACHMENT_BYTES matches CONFIG.VALIDATION.MAX_ATTACHMENT_BYTES', () => {
+      const constants = read('utils/constants.js');
+      const contentScript = read('content/content-script.js');
+
+      const constMatch = constants.match(/MAX_ATTACHMENT_BYTES:\s*(\d+)/);
+      const scriptMatch = contentScript.match(/const MAX_ATTACHMENT_BYTES\s*=\s*(\d+)/);
+
+      assert.ok(constMatch, 'CONFIG.VALIDATION.MAX_ATTACHMENT_BYTES not found in constants');
+      assert.ok(scriptMatch, 'MAX_ATTACHMENT_BYTES not found in content-script');
+      assert.equal(scriptMatch[1], constMatch[1], 'content-script MAX_ATTACHMENT_BYTES does not match CONFIG.VALIDATION');
+    });
+  });
+
+  describe('Send mode consistency', () => {
+    it('content-script SEND_MODES matches SEND_MODES in constants', () => {
+      const constants = read('utils/constants.js');
+      const contentScript = read('content/content-script.js');
+
+      const constMatch = constants.match(/SEND_MODES\s*=\s*Object\.freeze\(\{([\s\S]*?)\}\)/);
+      const scriptMatch = contentScript.match(/const SEND_MODES\s*=\s*Object\.freeze\(\{([\s\S]*?)\}\)/);
+
+      assert.ok(constMatch, 'SEND_MODES not found in constants');
+      assert.ok(scriptMatch, 'SEND_MODES not found in content-script');
+      assert.equal(
+        scriptMatch[1].replace(/\s+/g, ' ').trim(),
+        constMatch[1].replace(/\s+/g, ' ').trim(),
+        'content-script SEND_MODES does not match constants'
+      );
+    });
+  });
+
+  describe('Response capture consistency', () => {
+    it('content-script MAX_RESPONSE_LENGTH matches CONFIG.VALIDATION.MAX_RESPONSE_LENGTH', () => {
+      const constants = read('utils/constants.js');
+      const contentScript = read('content/content-script.js');
+
+      const constMatch = constants.match(/MAX_RESPONSE_LENGTH:\s*(\d+)/);
+      const scriptMatch = contentScript.match(/const MAX_RESPONSE_LENGTH\s*=\s*(\d+)/);
+
+      assert.ok(constMatch, 'CONFIG.VALIDATION.MAX_RESPONSE_LENGTH not found in constants');
+      assert.ok(scriptMatch, 'MAX_RESPONSE_LENGTH not found in content-script');
+      assert.equal(scriptMatch[1], constMatch[1], 'content-script MAX_RESPONSE_LENGTH does not match CONFIG.VALIDATION');
+    });
+  });
+
+  describe('Site adapter consistency', () => {
+    it('manifest loads site-adapters.js before the content script that uses it', () => {
+      const manifest = JSON.parse(read('manifest.json'));
+      const scripts = manifest.content_scripts?.[0]?.js || [];
+      const adaptersIndex = scripts.indexOf('content/site-adapters.js');
+
+      assert.ok(adaptersIndex !== -1, 'content/site-adapters.js is not a content script');
+      assert.ok(
+        adaptersIndex < scripts.indexOf('content/content-script.js'),
+        'site-adapters.js must load before content-script.js'
+      );
+    });
+
+    it('every selector set declares all roles and a version unique within its adapter', () => {
+      const adapters = read('content/site-adapters.js');
+      const body = adapters.substring(adapters.indexOf('const ADAPTERS'), adapters.indexOf('const ROLE_WEIGHTS'));
+      const chunks = body.split(/\n {6}id: '/).slice(1);
+      assert.ok(chunks.length > 0, 'no adapters found in site-adapters.js');
+
+      for (const chunk of chunks) {
+        const id = chunk.match(/^[^']+/)[0];
+        const versions = [...chunk.matchAll(/version: (\d+)/g)].map((m) => m[1]);
+        assert.equal(new Set(versions).size, versions.length, `${id} repeats a selector set version`);
+
+        for (const role of ['composer', 'sendButton', 'stopButton', 'responses', 'scopedSend']) {
+          const count = chunk.split(`${role}:`).length - 1;
+          assert.equal(count, versions.length, `every ${id} selector set must declare ${role}`);
+        }
+      }
+    });
+  });
+
+  describe('Selector override consistency', () => {
+    it('content-script SELECTOR_OVERRIDE_ROLES matches constants', () => {
+      const constants = read('utils/constants.js');
+      const contentScript = read('content/content-script.js');
+
+      const pattern = /SELECTOR_OVERRIDE_ROLES\s*=\s*Object\.freeze\(\{([\s\S]*?)\}\)/;
+      const constMatch = constants.match(pattern);
+      const scriptMatch = contentScript.match(pattern);
+
+      assert.ok(constMatch, 'SELECTOR_OVERRIDE_ROLES not found in constants');
+      assert.ok(scriptMatch, 'SELECTOR_OVERRIDE_ROLES not found in content-script');
+      assert.equal(
+        scriptMatch[1].replace(/\s+/g, ' ').trim(),
+        constMatch[1].replace(/\s+/g, ' ').trim(),
+        'content-script SELECTOR_OVERRIDE_ROLES does not match constants'
+      );
+    });
+
+    it('content-script DEFAULT_CLEANUP_RULES matches CLEANUP_RULES', () => {
+      const constants = read('utils/constants.js');
+      const contentScript = read('content/content-script.js');
+
+      const constMatch = constants.match(/CLEANUP_RULES\s*=\s*Object\.freeze\(\[([\s\S]*?)\]\);/);
+      const scriptMatch = contentScript.match(/const DEFAULT_CLEANUP_RULES\s*=\s*\[([\s\S]*?)\];/);
+      assert.ok(constMatch, 'CLEANUP_RULES not found in constants');
+      assert.ok(scriptMatch, 'DEFAULT_CLEANUP_RULES not found in content-script');
+
+      const toRules = (block) => [...block.matchAll(/\{ (label: [^}]*) \}/g)].map((m) => m[1]);
+      assert.ok(toRules(constMatch[1]).length > 0, 'no rules found in CLEANUP_RULES');
+      assert.deepEqual(toRules(scriptMatch[1]), toRules(constMatch[1]), 'content-script default cleanup rules differ');
+    });
+
+    it('selector test messages are handled on every hop', () => {
+      const optionsScript = read('options/scripts/options.js');
+      const serviceWorker = read('background/service-worker.js');
+      const contentScript = read('content/content-script.js');
+
+      assert.ok(optionsScript.includes("type: 'TEST_SELECTORS'"), 'options.js never sends TEST_SELECTORS');
+      assert.ok(serviceWorker.includes("case 'TEST_SELECTORS':"), 'service-worker.js does not handle TEST_SELECTORS');
+      assert.ok(serviceWorker.includes("type: 'TEST_SELECTORS'"), 'service-worker.js never forwards TEST_SELECTORS');
+      assert.ok(contentScript.includes("case 'TEST_SELECTORS':"), 'content-script does not handle TEST_SELECTORS');
+      assert.ok(contentScript.includes("type: 'SELECTOR_REPORT'"), 'content-script never posts SELECTOR_REPORT');
+      assert.ok(serviceWorker.includes("case 'SELECTOR_REPORT':"), 'service-worker.js does not handle SELECTOR_REPORT');
+    });
+  });
+
+  describe('Side panel toolbar consistency', () => {
+    it('content-script TOOLBAR_SHORTCUT_CODES matches TOOLBAR_SHORTCUTS', () => {
+      const constants = read('utils/constants.js');
+      const contentScript = read('content/content-script.js');
+
+      const constMatch = constants.match(/TOOLBAR_SHORTCUTS\s*=\s*Object\.freeze\(\{([\s\S]*?)\}\)/);
+      const scriptMatch = contentScript.match(/const TOOLBAR_SHORTCUT_CODES\s*=\s*\[([^\]]*)\]/);
+      assert.ok(constMatch, 'TOOLBAR_SHORTCUTS not found in constants');
+      assert.ok(scriptMatch, 'TOOLBAR_SHORTCUT_CODES not found in content-script');
+
+      const constCodes = [...constMatch[1].matchAll(/(\w+):/g)].map((m) => m[1]);
+      const scriptCodes = [...scriptMatch[1].matchAll(/'(\w+)'/g)].map((m) => m[1]);
+      assert.deepEqual(scriptCodes, constCodes, 'content-script toolbar shortcut codes differ');
+    });
+
+    it('every shortcut command has a toolbar button announcing its keys', () => {
+      const constants = read('utils/constants.js');
+      const html = read('sidepanel/sidepanel.html');
+
+      const block = constants.match(/TOOLBAR_SHORTCUTS\s*=\s*Object\.freeze\(\{([\s\S]*?)\}\)/)[1];
+      for (const [, code, command] of block.matchAll(/(\w+): '(\w+)'/g)) {
+        const button = html.match(new RegExp(`<button[^>]*data-command="${command}"[^>]*>`))?.[0];
+        assert.ok(button, `no toolbar button for ${command}`);
+        assert.ok(/aria-label="[^"]+"/.test(button), `${command} button has no accessible label`);
+        const key = code.replace(/^Key/, '');
+        assert.ok(button.includes(`aria-keyshortcuts="Alt+${key}"`), `${command} button does not announce Alt+${key}`);
+      }
+    });
+  });
+
+  describe('Site rule consistency', () => {
+    it('ARENA_TOOLS_ACTIONS lists the built-in Arena Tools entries by menu item ID', () => {
+      const constants = read('utils/constants.js');
+      const serviceWorker = read('background/service-worker.js');
+
+      const listMatch = constants.match(/ARENA_TOOLS_ACTIONS\s*=\s*Object\.freeze\(\[([\s\S]*?)\]\)/);
+      const idsMatch = constants.match(/CONTEXT_MENU_IDS\s*=\s*Object\.freeze\(\{([\s\S]*?)\}\)/);
+      assert.ok(listMatch, 'ARENA_TOOLS_ACTIONS not found in constants');
+
+      const actions = [...listMatch[1].matchAll(/'(\w+)'/g)].map((m) => m[1]);
+      const menuIds = Object.fromEntries([...idsMatch[1].matchAll(/(\w+):\s*'([^']+)'/g)].map((m) => [m[1], m[2]]));
+      const entries = [...serviceWorker.matchAll(
+        /id: CONTEXT_MENU_IDS\.(\w+),\s*parentId: CONTEXT_MENU_IDS\.ARENA_TOOLS,\s*title: ACTION_LABELS\.(\w+)/g
+      )];
+
+      assert.deepEqual(entries.map((m) => m[2]), actions, 'Arena Tools entries differ from ARENA_TOOLS_ACTIONS');
+      for (const [, idName, action] of entries) {
+        assert.equal(menuIds[idName], action, `CONTEXT_MENU_IDS.${idName} must equal its action for site rules to hide it`);
+      }
+    });
+  });
+
+  describe('Load failure consistency', () => {
+    it('every LOAD_FAILURES reason has error screen text or the sign-in banner', () => {
+      const constants = read('utils/constants.js');
+      const main = read('sidepanel/scripts/main.js');
+
+      const blockMatch = constants.match(/LOAD_FAILURES\s*=\s*Object\.freeze\(\{([\s\S]*?)\}\)/);
+      assert.ok(blockMatch, 'LOAD_FAILURES block not found in constants.js');
+
+      for (const [, name] of blockMatch[1].matchAll(/(\w+):\s*'[^']+'/g)) {
+        if (name === 'SIGNED_OUT') {
+          assert.ok(main.includes('LOAD_FAILURES.SIGNED_OUT'), 'LOAD_FAILURES.SIGNED_OUT does not show the sign-in banner');
+          continue;
+        }
+        assert.ok(main.includes(`[LOAD_FAILURES.${name}]: Object.freeze({`), `LOAD_FAILURES.${name} has no error screen text`);
+      }
+    });
+  });
+
+  describe('Arena session consistency', () => {
+    it('every session command the tab strip creates is handled', () => {
+      const main = read('sidepanel/scripts/main.js');
+      const fnStart = main.indexOf('const runSessionCommand');
+      const fnBody = main.substring(fnStart, main.indexOf('\n};\n', fnStart));
+
+      const created = [...main.matchAll(/createSessionButton\('[^']*', '(\w+)'/g)].map((m) => m[1]);
+      assert.ok(created.length > 0, 'no session buttons found');
+      for (const command of [...created, 'show', 'rename']) {
+        assert.ok(fnBody.includes(`case '${command}':`), `session command ${command} is not handled`);
+      }
+    });
+  });
+
   describe('declarativeNetRequest rules consistency', () => {
     it('rules.json file exists and is valid JSON', () => {
       const rules = JSON.parse(read('rules.json'));
@@ -12,6 +12,35 @@ import { join } from 'node:path';
 const ROOT = new URL('..', import.meta.url).pathname.replace(/^\/([A-Z]:)/, '$1');
 const read = (filePath) => readFileSync(join(ROOT, filePath), 'utf-8');
 
+/**
+ * Installs an in-memory chrome.storage.local as the global chrome, for running utils modules
+ * that only touch chrome when they are called
+ * @returns {Object} Stored items by key
+ */
+const installChromeStorage = () => {
+  const data = {};
+  globalThis.chrome = {
+    runtime: { getManifest: () => ({ version: '0.0.0' }) },
+    storage: {
+      local: {
+        get: async (keys) => Object.fromEntries(
+          [keys].flat().filter((key) => Object.hasOwn(data, key)).map((key) => [key, structuredClone(data[key])])
+        ),
+        set: async (items) => {
+          Object.assign(data, structuredClone(items));
+        },
+        remove: async (keys) => {
+          for (const key of [keys].flat()) {
+            delete data[key];
+          }
+        }
+      },
+      onChanged: { addListener: () => {} }
+    }
+  };
+  return data;
+};
+
 describe('Regression Tests', () => {
   describe('Temporal Dead Zone - logger declaration order', () => {
     it('log is defined before EXTENSION_ORIGIN in content-script.js', () => {
@@ -61,6 +90,17 @@ describe('Regression Tests', () => {
     });
   });
 
+  describe('Logger argument sanitization', () => {
+    it('does not pass sanitizeLogData to Array#map directly (index would become the visited set)', () => {
+      const content = read('utils/logger.js');
+      assert.doesNotMatch(
+        content,
+        /\.map\(sanitizeLogData\)/,
+        'args.map(sanitizeLogData) passes the array index as the visited WeakSet'
+      );
+    });
+  });
+
   describe('waitForDocumentReady - race condition fix', () => {
     it('has readyState check inside the Promise executor', () => {
       const content = read('content/content-script.js');
@@ -174,6 +214,807 @@ describe('Regression Tests', () => {
     });
   });
 
+  describe('Event-driven pending action handoff', () => {
+    it('content script reacts to pending action storage changes', () => {
+      const content = read('content/content-script.js');
+      const fnStart = content.indexOf('const handleStorageChange');
+      assert.ok(fnStart !== -1, 'handleStorageChange not found');
+
+      const fnBody = content.substring(fnStart, content.indexOf('};', fnStart));
+      assert.ok(fnBody.includes('changes[STORAGE_KEY]'), 'handleStorageChange ignores the pending action key');
+    });
+
+    it('fallback polling is bounded by FALLBACK_POLL_DURATION', () => {
+      const content = read('content/content-script.js');
+      const fnStart = content.indexOf('const startFallbackInterval');
+      assert.ok(fnStart !== -1, 'startFallbackInterval not found');
+
+      const fnBody = content.substring(fnStart, content.indexOf('const armFallbackPolling', fnStart));
+      assert.ok(fnBody.includes('fallbackDeadline'), 'fallback polling must stop at its deadline');
+      assert.ok(fnBody.includes('stopFallbackPolling()'), 'fallback polling must stop itself');
+      assert.match(content, /fallbackDeadline = Date\.now\(\) \+ FALLBACK_POLL_DURATION/);
+    });
+
+    it('handleTextAction waits for an acknowledgement instead of timed rebroadcasts', () => {
+      const content = read('background/service-worker.js');
+      const fnStart = content.indexOf('const handleTextAction');
+      assert.ok(fnStart !== -1, 'handleTextAction not found');
+
+      const fnBody = content.substring(fnStart, content.indexOf('const createMenuItem', fnStart));
+      assert.ok(fnBody.includes('await sendPrompt('), 'handleTextAction must await sendPrompt');
+      assert.match(content, /const sendPrompt = [\s\S]*?await deliverAction\(/, 'sendPrompt must await deliverAction');
+      assert.ok(!fnBody.includes('broadcastDelays'), 'timed rebroadcasts must not return');
+      assert.ok(!/setTimeout\(resolve, 1000\)/.test(fnBody), 'fixed 1000ms sleep must not return');
+    });
+
+    it('panel context is only accepted from the parent extension page', () => {
+      const content = read('content/content-script.js');
+      const fnStart = content.indexOf('const handleWindowMessage');
+      assert.ok(fnStart !== -1, 'handleWindowMessage not found');
+
+      const fnBody = content.substring(fnStart, content.indexOf('};', fnStart));
+      assert.ok(fnBody.includes('event.origin !== EXTENSION_ORIGIN'), 'origin check missing');
+      assert.ok(fnBody.includes('event.source !== window.parent'), 'source check missing');
+    });
+
+    it('queued actions only go to the registered side panel frame', () => {
+      const serviceWorker = read('background/service-worker.js');
+      const fnStart = serviceWorker.indexOf('const handleArenaReady');
+      assert.ok(fnStart !== -1, 'handleArenaReady not found');
+
+      const fnBody = serviceWorker.substring(fnStart, serviceWorker.indexOf('readyFrames.set(', fnStart));
+      assert.ok(fnBody.includes('isPanelFrameToken('), 'side panel readiness must require the frame token');
+
+      const content = read('content/content-script.js');
+      const signalStart = content.indexOf('const handlePendingActionSignal');
+      const signalBody = content.substring(signalStart, content.indexOf('};', signalStart));
+      assert.ok(signalBody.includes('isPanelFrame()'), 'regular Arena tabs must ignore the stored queue');
+    });
+
+    it('deliveries are persisted before they are posted and never restored', () => {
+      const serviceWorker = read('background/service-worker.js');
+      const fnStart = serviceWorker.indexOf('const deliverNext');
+      assert.ok(fnStart !== -1, 'deliverNext not found');
+
+      const fnBody = serviceWorker.substring(fnStart, serviceWorker.indexOf('const deliverAction', fnStart));
+      const persistPos = fnBody.indexOf('await persistActionQueue()');
+      assert.ok(persistPos !== -1, 'deliverNext must persist the delivery');
+      assert.ok(persistPos < fnBody.indexOf("type: 'DELIVER_ACTION'"), 'delivery must be persisted before posting');
+      assert.ok(fnBody.includes('busyWindows.has(windowId)'), 'the next action must wait for the previous response');
+
+      const restoreStart = serviceWorker.indexOf('const restoreActionQueue');
+      const restoreBody = serviceWorker.substring(restoreStart, serviceWorker.indexOf('const handleArenaReady', restoreStart));
+      assert.ok(restoreBody.includes('item.deliveredAt'), 'restored queues must skip delivered actions');
+    });
+
+    it('only the port an action was delivered to can settle it', () => {
+      const serviceWorker = read('background/service-worker.js');
+      const fnStart = serviceWorker.indexOf('const settleDelivery');
+      const source = serviceWorker.substring(fnStart, serviceWorker.indexOf('\n};\n', fnStart) + 3);
+      const deliveryPort = { name: 'delivery' };
+      const settled = [];
+      const entries = {
+        delivered: { port: deliveryPort, settle: (result) => settled.push(['delivered', result]) },
+        queued: { port: null, settle: (result) => settled.push(['queued', result]) }
+      };
+      const settleDelivery = new Function(
+        'findDelivery', 'logger', 'ERROR_MESSAGES', `${source}\nreturn settleDelivery;`
+      )((actionId) => entries[actionId] ?? null, { warn: () => {} }, { PROMPT_INJECTION_FAILED: 'failed' });
+
+      settleDelivery({ name: 'foreign' }, 'delivered', true);
+      settleDelivery(deliveryPort, 'queued', true);
+      settleDelivery({ name: 'foreign' }, 'queued', false, 'spoofed');
+      assert.deepEqual(settled, [], 'results from other frames must not settle or release the queue');
+
+      settleDelivery(deliveryPort, 'delivered', true);
+      assert.deepEqual(settled, [['delivered', { success: true }]]);
+
+      const start = serviceWorker.indexOf('chrome.runtime.onMessage.addListener');
+      const body = serviceWorker.substring(start, serviceWorker.indexOf('\n});\n', start));
+      assert.ok(!body.includes('settleDelivery('), 'runtime messages must not settle port deliveries');
+    });
+  });
+
+  describe('Action queue indicator', () => {
+    it('the action being sent is not counted as queued', () => {
+      const main = read('sidepanel/scripts/main.js');
+      const fnStart = main.indexOf('const renderActionQueue');
+      const source = main.substring(fnStart, main.indexOf('\n};\n', fnStart) + 3);
+      const attributes = {};
+      const queueIndicator = { textContent: '', hidden: true, setAttribute: (name, value) => { attributes[name] = value; } };
+      const queueList = { items: [], replaceChildren: (...children) => { queueList.items = children; } };
+      const renderActionQueue = new Function(
+        'panelWindowId', 'queueIndicator', 'queueList', 'createQueueItem', 'toggleQueuePanel',
+        `${source}\nreturn renderActionQueue;`
+      )(1, queueIndicator, queueList, (item) => item.id, () => {});
+
+      renderActionQueue([{ id: 'sent', windowId: 1, deliveredAt: 5 }]);
+      assert.equal(queueIndicator.textContent, 'Sending...');
+      assert.equal(queueIndicator.hidden, false);
+
+      renderActionQueue([{ id: 'sent', windowId: 1, deliveredAt: 5 }, { id: 'next', windowId: 1, deliveredAt: null }]);
+      assert.equal(queueIndicator.textContent, '1 queued');
+      assert.equal(attributes['aria-label'], '1 queued action');
+      assert.deepEqual(queueList.items, ['sent', 'next']);
+
+      renderActionQueue([]);
+      assert.equal(queueIndicator.hidden, true);
+    });
+  });
+
+  describe('Template sanitizing', () => {
+    it('prompt templates never pass through the HTML sanitizer', () => {
+      const files = ['utils/settings.js', 'utils/custom-actions.js', 'options/scripts/options.js'];
+      for (const file of files) {
+        const source = read(file);
+        assert.ok(source.includes('validation.sanitizeTemplate('), `${file} must use validation.sanitizeTemplate`);
+        assert.ok(!/sanitizeInput\([^)]*MAX_TEMPLATE_LENGTH/.test(source), `${file} must not HTML-sanitize templates`);
+      }
+    });
+
+    it('templates, selectors and prompts are stored verbatim through the storage wrapper', async () => {
+      installChromeStorage();
+      const { storage } = await import('../utils/storage.js');
+      const { settings } = await import('../utils/settings.js');
+      const { customActions } = await import('../utils/custom-actions.js');
+      const template = 'Is x <> 3? Keep data: and onload= as typed:\n{{selection}}';
+
+      const action = await customActions.save({ title: 'Check', template });
+      assert.equal((await customActions.get(action.id)).template, template);
+
+      await settings.save({ promptTemplates: { explain: template } });
+      assert.equal((await settings.get()).promptTemplates.explain, template);
+
+      await storage.set({ sample: '<b>bold</b>' });
+      await storage.set({ verbatim: '<b>bold</b>' }, { raw: true });
+      assert.deepEqual(await storage.get(['sample', 'verbatim']), { sample: 'bold', verbatim: '<b>bold</b>' });
+
+      for (const file of ['utils/settings.js', 'utils/custom-actions.js', 'utils/prompt-history.js']) {
+        assert.ok(!read(file).includes('chrome.storage.local.set('), `${file} must write through the storage wrapper`);
+      }
+    });
+  });
+
+  describe('Serialized settings writes', () => {
+    it('overlapping settings and custom action saves keep every update', async () => {
+      installChromeStorage();
+      const { settings } = await import('../utils/settings.js');
+      const { customActions } = await import('../utils/custom-actions.js');
+
+      await Promise.all([
+        settings.save({ compactMode: true }),
+        settings.save({ restoreConversation: false }),
+        settings.save({ promptTemplates: { explain: 'Explain {{selection}}' } })
+      ]);
+      const saved = await settings.get();
+      assert.equal(saved.compactMode, true);
+      assert.equal(saved.restoreConversation, false);
+      assert.equal(saved.promptTemplates.explain, 'Explain {{selection}}');
+
+      const titles = ['One', 'Two', 'Three'];
+      await Promise.all(titles.map((title) => customActions.save({ title, template: `${title} {{selection}}` })));
+      assert.deepEqual((await customActions.list()).map((action) => action.title).sort(), [...titles].sort());
+    });
+  });
+
+  describe('Prompt length', () => {
+    it('createPrompt fits the rendered prompt into MAX_PROMPT_LENGTH', () => {
+      const serviceWorker = read('background/service-worker.js');
+      const fnStart = serviceWorker.indexOf('const createPrompt');
+      const fnBody = serviceWorker.substring(fnStart, serviceWorker.indexOf('\n};\n', fnStart));
+
+      assert.ok(fnBody.includes("templateEngine.countPlaceholder(prepared, 'selection')"), 'every use of the selection must be counted');
+      assert.ok(fnBody.includes('CONFIG.VALIDATION.MAX_PROMPT_LENGTH - overhead'), 'the selection must fit what the template leaves');
+      assert.ok(fnBody.includes('pageContent.truncate(variables.selection, budget)'), 'long selections must be shortened visibly');
+      assert.ok(fnBody.includes('ERROR_MESSAGES.PROMPT_TOO_LONG'), 'a template leaving no room must fail with a clear error');
+    });
+  });
+
+  describe('Prompt history', () => {
+    it('records injection outcomes reported by the content script', () => {
+      const serviceWorker = read('background/service-worker.js');
+
+      for (const [type, status] of [['PROMPT_INJECTED', 'INJECTED'], ['PROMPT_INJECTION_FAILED', 'FAILED']]) {
+        const caseStart = serviceWorker.indexOf(`case '${type}':`);
+        assert.ok(caseStart !== -1, `${type} handler not found`);
+
+        const caseBody = serviceWorker.substring(caseStart, serviceWorker.indexOf('break;', caseStart));
+        assert.ok(
+          caseBody.includes(`promptHistory.updateStatus(message.actionId, HISTORY_STATUS.${status}`),
+          `${type} must record the outcome in the prompt history`
+        );
+      }
+    });
+
+    it('history is bounded by a retention limit and the storage quota', () => {
+      const history = read('utils/prompt-history.js');
+
+      assert.ok(history.includes('CONFIG.VALIDATION.MAX_HISTORY_ENTRIES'), 'history must apply the retention limit');
+      assert.ok(history.includes('storage.getUsage()'), 'history must check usage through storage.getUsage');
+      assert.ok(history.includes('CONFIG.STORAGE.MAX_USAGE_RATIO'), 'history must stay below the usage ratio');
+    });
+
+    it('source URLs are kept as given, query string included', async () => {
+      installChromeStorage();
+      const { promptHistory } = await import('../utils/prompt-history.js');
+      const url = 'https://docs.example.com/guide?session=abc&onload=1#<top>';
+      const base = { prompt: 'Explain this', action: 'explain', actionLabel: 'Explain', title: 'Guide' };
+
+      await promptHistory.record({ ...base, id: 'history-url-1', url });
+      await promptHistory.record({ ...base, id: 'history-url-2', url: 'not a url' });
+      assert.equal((await promptHistory.get('history-url-1')).url, url);
+      assert.equal((await promptHistory.get('history-url-2')).url, '');
+    });
+  });
+
+  describe('Keyboard commands', () => {
+    it('shortcuts start opening the side panel before the first await', () => {
+      const serviceWorker = read('background/service-worker.js');
+
+      for (const name of ['handleTabAction', 'handleImageAction', 'toggleSidePanel']) {
+        const fnStart = serviceWorker.indexOf(`const ${name}`);
+        assert.ok(fnStart !== -1, `${name} not found`);
+
+        const fnBody = serviceWorker.substring(fnStart, serviceWorker.indexOf('\n};\n', fnStart));
+        const openPos = fnBody.indexOf('openSidePanel(tabInfo)');
+        assert.ok(openPos !== -1, `${name} must open the side panel`);
+        assert.ok(
+          !fnBody.substring(0, openPos).replace(/await $/, '').includes('await '),
+          `${name} must not await anything before opening the side panel`
+        );
+      }
+
+      assert.match(
+        serviceWorker,
+        /handleTextAction\(action, input, tabInfo, \{ panelOpening \}\)/,
+        'shortcut actions must reuse the panel opening instead of opening it again'
+      );
+    });
+
+    it('unreadable pages and empty selections are reported on the toolbar icon', () => {
+      const serviceWorker = read('background/service-worker.js');
+      const fnStart = serviceWorker.indexOf('const handleTabAction');
+      const fnBody = serviceWorker.substring(fnStart, serviceWorker.indexOf('const toggleSidePanel', fnStart));
+
+      assert.ok(fnBody.includes('ERROR_MESSAGES.SELECTION_UNAVAILABLE'), 'unreadable pages must be reported');
+      assert.ok(fnBody.includes('ERROR_MESSAGES.NO_SELECTION'), 'empty selections must be reported');
+      assert.ok(fnBody.includes('showBadgeNotice('), 'shortcut problems must be shown on the toolbar icon');
+    });
+  });
+
+  describe('Whole-page actions', () => {
+    it('page text is truncated with a visible marker before the prompt pipeline', () => {
+      const serviceWorker = read('background/service-worker.js');
+      const fnStart = serviceWorker.indexOf('const handleTabAction');
+      assert.ok(fnStart !== -1, 'handleTabAction not found');
+
+      const fnBody = serviceWorker.substring(fnStart, serviceWorker.indexOf('const toggleSidePanel', fnStart));
+      assert.ok(fnBody.includes('pageContent.extractReadableText'), 'page actions must extract the readable text');
+      assert.ok(
+        fnBody.includes('pageContent.truncate(') && fnBody.includes('CONFIG.VALIDATION.MAX_SELECTION_LENGTH'),
+        'page text must be truncated to MAX_SELECTION_LENGTH'
+      );
+      assert.ok(fnBody.includes('handleTextAction('), 'page text must go through handleTextAction');
+
+      const pageContentModule = read('utils/page-content.js');
+      const truncateStart = pageContentModule.indexOf('const truncate');
+      const truncateBody = pageContentModule.substring(truncateStart, pageContentModule.indexOf('};', truncateStart));
+      assert.ok(truncateBody.includes('TRUNCATION_MARKER'), 'truncated text must end with the marker');
+    });
+
+    it('readable text extraction drops navigation and ads', () => {
+      const pageContentModule = read('utils/page-content.js');
+      assert.ok(pageContentModule.includes("'nav'"), 'navigation must be removed');
+      assert.match(pageContentModule, /NOISE_PATTERN = .*\bads\?/, 'ad containers must be removed');
+      assert.ok(pageContentModule.includes('linkDensity(element) > 0.5'), 'link lists must be removed');
+    });
+  });
+
+  describe('Link, image and page actions', () => {
+    it('each context type has its own menu entry', () => {
+      const serviceWorker = read('background/service-worker.js');
+
+      for (const [id, context] of [['EXPLAIN_LINK', 'link'], ['DESCRIBE_IMAGE', 'image'], ['ASK_ABOUT_PAGE', 'page']]) {
+        const itemStart = serviceWorker.indexOf(`id: CONTEXT_MENU_IDS.${id},`);
+        assert.ok(itemStart !== -1, `${id} menu item not found`);
+        const item = serviceWorker.substring(itemStart, serviceWorker.indexOf('});', itemStart));
+        assert.ok(item.includes(`contexts: ['${context}']`), `${id} must appear for the ${context} context`);
+      }
+
+      assert.ok(serviceWorker.includes("handleTextAction('explainLink', info.linkUrl, tabInfo)"), 'links must pass info.linkUrl');
+      assert.ok(serviceWorker.includes('handleImageAction(info, tabInfo)'), 'images must pass the click info');
+    });
+
+    it('image attachments are delivered but never persisted', () => {
+      const serviceWorker = read('background/service-worker.js');
+
+      const itemStart = serviceWorker.indexOf('const toQueueItem');
+      const itemBody = serviceWorker.substring(itemStart, serviceWorker.indexOf('});', itemStart));
+      assert.ok(!itemBody.includes('attachment'), 'attachments must not be written to the stored queue');
+
+      const deliverStart = serviceWorker.indexOf("type: 'DELIVER_ACTION'");
+      const deliverBody = serviceWorker.substring(deliverStart, serviceWorker.indexOf('});', deliverStart));
+      assert.ok(deliverBody.includes('attachment:'), 'DELIVER_ACTION must carry the attachment');
+
+      assert.match(
+        serviceWorker,
+        /promptHistory\.record\(\{ id, prompt, action, actionLabel, url, title \}\)/,
+        'attachments must not be written to the prompt history'
+      );
+
+      const contentScript = read('content/content-script.js');
+      assert.ok(contentScript.includes('isValidAttachment(attachment) && attachImage(attachment, textarea)'), 'content script must attach valid images');
+    });
+  });
+
+  describe('Region capture', () => {
+    it('the cropped screenshot is sent as a required attachment', () => {
+      const serviceWorker = read('background/service-worker.js');
+      const fnStart = serviceWorker.indexOf('const handleCaptureRegion');
+      assert.ok(fnStart !== -1, 'handleCaptureRegion not found');
+
+      const fnBody = serviceWorker.substring(fnStart, serviceWorker.indexOf('\n};\n', fnStart));
+      assert.ok(fnBody.includes('regionCapture.selectRegion'), 'the region must be picked in the page');
+      assert.ok(fnBody.includes('chrome.tabs.captureVisibleTab('), 'the tab must be captured');
+      assert.ok(fnBody.includes('regionCapture.crop('), 'the screenshot must be cropped to the region');
+      assert.ok(fnBody.includes('required: true'), 'the screenshot must be a required attachment');
+    });
+
+    it('the overlay is gone before the tab is captured', () => {
+      const capture = read('utils/region-capture.js');
+      const finishStart = capture.indexOf('const finish');
+      const finishBody = capture.substring(finishStart, capture.indexOf('};', finishStart));
+      assert.ok(
+        finishBody.indexOf('host.remove()') < finishBody.indexOf('requestAnimationFrame'),
+        'the overlay must be removed and painted away before the region resolves'
+      );
+    });
+
+    it('attachments go in by paste or drop and a missing required one fails the action', () => {
+      const contentScript = read('content/content-script.js');
+      assert.ok(contentScript.includes("new ClipboardEvent('paste'"), 'attachments must be offered as a paste');
+      assert.ok(contentScript.includes("new DragEvent('drop'"), 'attachments must be offered as a drop');
+
+      const failStart = contentScript.indexOf('attachment?.required === true && !attached');
+      assert.ok(failStart !== -1, 'required attachments must be checked');
+      const failBody = contentScript.substring(failStart, contentScript.indexOf('return false;', failStart));
+      assert.ok(failBody.includes("notifyBackground('PROMPT_INJECTION_FAILED'"), 'a missing attachment must be reported');
+    });
+  });
+
+  describe('Response capture', () => {
+    it('the answer is captured after Arena goes idle and before the queue is released', () => {
+      const contentScript = read('content/content-script.js');
+      const fnStart = contentScript.indexOf('const handleDeliveredAction');
+      assert.ok(fnStart !== -1, 'handleDeliveredAction not found');
+
+      const fnBody = contentScript.substring(fnStart, contentScript.indexOf('\n  };\n', fnStart));
+      const baselineIndex = fnBody.indexOf('new Set(findResponses())');
+      const injectIndex = fnBody.indexOf('runActionWithLock(');
+      const captureIndex = fnBody.indexOf('captureResponse(');
+      const idleIndex = fnBody.indexOf("type: 'FRAME_IDLE'");
+
+      assert.ok(baselineIndex !== -1 && baselineIndex < injectIndex, 'existing answers must be recorded before injecting');
+      assert.ok(captureIndex > fnBody.indexOf('waitForResponseIdle('), 'the answer must be captured once Arena is idle');
+      assert.ok(captureIndex < idleIndex, 'the answer must be captured before the next action can be delivered');
+      assert.ok(contentScript.includes("type: 'RESPONSE_CAPTURED'"), 'captured answers must be posted to the service worker');
+    });
+
+    it('only the frame answering an action can record its response', () => {
+      const serviceWorker = read('background/service-worker.js');
+      assert.ok(serviceWorker.includes("case 'RESPONSE_CAPTURED':"), 'RESPONSE_CAPTURED must be handled on the frame port');
+
+      const fnStart = serviceWorker.indexOf('const handleResponseCaptured');
+      assert.ok(fnStart !== -1, 'handleResponseCaptured not found');
+      const fnBody = serviceWorker.substring(fnStart, serviceWorker.indexOf('\n};\n', fnStart));
+      assert.ok(
+        fnBody.includes('busy.port === port && busy.actionId === actionId'),
+        'responses must come from the frame the window is waiting on'
+      );
+      assert.ok(fnBody.includes('MAX_RESPONSE_LENGTH'), 'captured responses must be bounded');
+      assert.ok(fnBody.includes('promptHistory.recordResponses('), 'captured responses must be stored with the prompt');
+    });
+  });
+
+  describe('Apply to page', () => {
+    it('Rewrite and Proofread remember the editable selection before the answer can arrive', () => {
+      const serviceWorker = read('background/service-worker.js');
+      assert.match(serviceWorker, /REPLACEABLE_ACTIONS = new Set\(\['rewrite', 'proofread'\]\)/);
+
+      const fnStart = serviceWorker.indexOf('const handleTextAction');
+      const fnBody = serviceWorker.substring(fnStart, serviceWorker.indexOf('\n};\n', fnStart));
+      const rememberIndex = fnBody.indexOf('rememberReplaceTarget(');
+      assert.ok(rememberIndex !== -1, 'handleTextAction must remember the selection');
+      assert.ok(rememberIndex < fnBody.indexOf('sendPrompt('), 'the selection must be remembered before the prompt is sent');
+      const catchBody = fnBody.substring(fnBody.lastIndexOf('} catch (error) {'));
+      assert.ok(
+        catchBody.indexOf('replaceTargets.delete(actionId)') !== -1 &&
+          catchBody.indexOf('replaceTargets.delete(actionId)') < catchBody.indexOf('ERROR_MESSAGES.ACTION_CANCELLED'),
+        'cancelled and failed actions must forget their selection'
+      );
+
+      const handlerStart = serviceWorker.indexOf('const handleResponseCaptured');
+      const handlerBody = serviceWorker.substring(handlerStart, serviceWorker.indexOf('\n};\n', handlerStart));
+      assert.ok(handlerBody.includes('offerReplacement('), 'captured answers must be offered for the remembered selection');
+    });
+
+    it('replacements only touch text that still reads as it was left', () => {
+      const module = read('utils/replace-selection.js');
+      const fnStart = module.indexOf('const applyReplacement');
+      const fnBody = module.substring(fnStart, module.indexOf('\n};\n', fnStart));
+      assert.ok(fnBody.includes("return 'changed'"), 'edited text must not be replaced');
+      assert.ok(
+        fnBody.indexOf("return 'changed'") < fnBody.indexOf("execCommand('insertText'"),
+        'the text must be checked before it is replaced'
+      );
+      assert.ok(fnBody.includes('text ?? target.original'), 'undo must restore the original text');
+    });
+
+    it('apply, undo and dismiss are accepted from extension pages only', () => {
+      const serviceWorker = read('background/service-worker.js');
+      for (const type of ['GET_REPLACEMENT', 'APPLY_REPLACEMENT', 'UNDO_REPLACEMENT', 'DISMISS_REPLACEMENT']) {
+        const caseStart = serviceWorker.indexOf(`case '${type}':`);
+        assert.ok(caseStart !== -1, `${type} must be handled`);
+        const caseBody = serviceWorker.substring(caseStart, serviceWorker.indexOf('break;', caseStart));
+        assert.ok(caseBody.includes('isExtensionPageSender(sender)'), `${type} must check the sender`);
+      }
+    });
+  });
+
+  describe('Send modes', () => {
+    it('only auto-send mode clicks the send button', () => {
+      const contentScript = read('content/content-script.js');
+      const fnStart = contentScript.indexOf('const injectPrompt');
+      const fnBody = contentScript.substring(fnStart, contentScript.indexOf('\n  };\n', fnStart));
+      const sendIndex = fnBody.indexOf('clickSendButton(');
+
+      for (const mode of ['SEND_MODES.FILL_AND_FOCUS', 'SEND_MODES.FILL']) {
+        const modeIndex = fnBody.indexOf(`sendMode === ${mode})`);
+        assert.ok(modeIndex !== -1, `injectPrompt must handle ${mode}`);
+        assert.ok(modeIndex < sendIndex, `${mode} must return before the send button is clicked`);
+      }
+      assert.ok(fnBody.includes('focusAtEnd(textarea)'), 'review mode must put the cursor after the prompt');
+    });
+
+    it('every action is sent with its own send mode', () => {
+      const serviceWorker = read('background/service-worker.js');
+      for (const name of ['const handleTextAction', 'const resendHistoryEntry']) {
+        const fnStart = serviceWorker.indexOf(name);
+        const fnBody = serviceWorker.substring(fnStart, serviceWorker.indexOf('\n};\n', fnStart));
+        assert.ok(fnBody.includes('settings.getSendMode(action)'), `${name} must resolve the action's send mode`);
+      }
+      assert.ok(serviceWorker.includes('sendMode: entry.sendMode'), 'deliveries must carry the send mode');
+    });
+
+    it('settings saved with the old auto-send checkbox keep their behaviour', () => {
+      const settingsModule = read('utils/settings.js');
+      assert.ok(
+        settingsModule.includes('stored.autoSend === false') && settingsModule.includes('SEND_MODES.FILL_AND_FOCUS'),
+        'autoSend: false must map to the review send mode'
+      );
+    });
+  });
+
+  describe('Site adapters', () => {
+    it('no selector depends on build-hashed classes or matches any button with an icon', () => {
+      const adapters = read('content/site-adapters.js');
+      assert.ok(!/svelte-[a-z0-9]{5,}/.test(adapters), 'selectors must not use hashed framework classes');
+      assert.ok(!adapters.includes("'button:has(svg)"), 'a bare icon button is not a send button');
+    });
+
+    it('the content script finds page elements only through the matched adapter', () => {
+      const contentScript = read('content/content-script.js');
+      for (const name of ['TEXTAREA_SELECTORS', 'BUTTON_SELECTORS', 'STOP_BUTTON_SELECTORS', 'RESPONSE_SELECTORS']) {
+        assert.ok(!contentScript.includes(name), `${name} must come from the site adapter`);
+      }
+
+      const fnStart = contentScript.indexOf('const findTextarea');
+      const fnBody = contentScript.substring(fnStart, contentScript.indexOf('\n  };\n', fnStart));
+      assert.ok(fnBody.includes('resetAdapter()'), 'a missing composer must trigger adapter detection again');
+    });
+
+    it('ARENA_READY reports which adapter matched', () => {
+      const contentScript = read('content/content-script.js');
+      const serviceWorker = read('background/service-worker.js');
+      assert.ok(
+        contentScript.includes("type: 'ARENA_READY', adapter") && contentScript.includes('token: panelContext.token,\n          adapter'),
+        'both ARENA_READY variants must carry the adapter'
+      );
+      assert.ok(serviceWorker.includes('adapter: toAdapterName(adapter)'), 'service worker must log the adapter');
+    });
+  });
+
+  describe('Selector overrides', () => {
+    it('composer and send button overrides are tried before the adapter selectors', () => {
+      const contentScript = read('content/content-script.js');
+      assert.ok(
+        contentScript.includes('composer: [...composer, ...selectors.composer]') &&
+          contentScript.includes('sendButton: [...sendButton, ...selectors.sendButton]'),
+        'overrides must come first'
+      );
+    });
+
+    it('a broken override can neither throw nor take other hiding rules down with it', () => {
+      const contentScript = read('content/content-script.js');
+      const settingsModule = read('utils/settings.js');
+
+      assert.ok(contentScript.includes('selectors.filter(isValidSelector)'), 'stored overrides must be re-checked in the frame');
+      assert.ok(
+        contentScript.includes('.map((selector) => `${selector} ${HIDING_DECLARATIONS}`)'),
+        'every hidden selector needs a CSS rule of its own'
+      );
+      assert.ok(settingsModule.includes('validation.isSafeSelector'), 'settings must reject unsafe selectors');
+    });
+
+    it('selector tests are limited to extension pages', () => {
+      const serviceWorker = read('background/service-worker.js');
+      const caseStart = serviceWorker.indexOf("case 'TEST_SELECTORS':");
+      const caseBody = serviceWorker.substring(caseStart, serviceWorker.indexOf('break;', caseStart));
+      assert.ok(caseBody.includes('isExtensionPageSender(sender)'), 'TEST_SELECTORS must check its sender');
+    });
+  });
+
+  describe('Page cleanup rules', () => {
+    it('no static stylesheet hides elements that a switched-off rule should show', () => {
+      const manifest = JSON.parse(read('manifest.json'));
+      for (const script of manifest.content_scripts || []) {
+        assert.ok(!script.css?.length, 'content script CSS cannot be switched off from settings');
+      }
+    });
+
+    it('saved rules are applied to open frames and survive the page removing the style', () => {
+      const contentScript = read('content/content-script.js');
+      const fnStart = contentScript.indexOf('const applySettings');
+      const fnBody = contentScript.substring(fnStart, contentScript.indexOf('\n  };\n', fnStart));
+
+      assert.ok(fnBody.includes('stored.cleanupRules') && fnBody.includes('updateHidingCSS()'), 'rule changes must restyle the frame');
+      assert.ok(contentScript.includes('rule.enabled).map((rule) => rule.selector)'), 'switched-off rules must not be injected');
+      assert.ok(contentScript.includes('observeStyleRemoval();'), 'the style must still be restored when removed');
+    });
+  });
+
+  describe('Compact layout', () => {
+    it('compact CSS is only injected inside the side panel frame', () => {
+      const contentScript = read('content/content-script.js');
+
+      assert.ok(
+        contentScript.includes('const isCompactLayoutWanted = () => isPanelFrame() && contentSettings.compactMode;'),
+        'regular Arena tabs must keep the full layout'
+      );
+      const fnStart = contentScript.indexOf('const handleWindowMessage');
+      const fnBody = contentScript.substring(fnStart, contentScript.indexOf('\n  };\n', fnStart));
+      assert.ok(fnBody.includes('updateCompactCSS()'), 'the panel context must apply the compact layout');
+
+      const settingsStart = contentScript.indexOf('const applySettings');
+      const settingsBody = contentScript.substring(settingsStart, contentScript.indexOf('\n  };\n', settingsStart));
+      assert.ok(settingsBody.includes('updateCompactCSS()'), 'toggling the setting must restyle open frames');
+    });
+
+    it('side panel toggle exposes its state and saves the setting', () => {
+      const html = read('sidepanel/sidepanel.html');
+      const main = read('sidepanel/scripts/main.js');
+      const settingsSource = read('utils/settings.js');
+
+      assert.ok(/id="compactBtn"[^>]*aria-pressed="false"/.test(html), 'toggle must be a pressed/unpressed button');
+      assert.ok(main.includes("data: { compactMode: enabled }"), 'toggle must save through SAVE_SETTINGS');
+      assert.ok(settingsSource.includes("typeof updates.compactMode !== 'boolean'"), 'settings must reject non-boolean values');
+    });
+  });
+
+  describe('Side panel toolbar', () => {
+    it('open in tab is a visible button, not a hover mode of the refresh button', () => {
+      const main = read('sidepanel/scripts/main.js');
+
+      assert.ok(!main.includes('mouseenter'), 'no toolbar command may depend on hovering');
+      assert.ok(!main.includes('redirect-mode'), 'the refresh button must not change what it does');
+      assert.ok(
+        main.includes('chrome.tabs.create({ url: getConversationUrl() })'),
+        'open in tab must open the conversation shown, not the home page'
+      );
+    });
+
+    it('frame locations are only trusted from the Arena frame and for Arena URLs', () => {
+      const main = read('sidepanel/scripts/main.js');
+      const fnStart = main.indexOf('const handleFrameMessage');
+      const fnBody = main.substring(fnStart, main.indexOf('\n};\n', fnStart));
+
+      assert.ok(fnBody.includes('candidate.frame.contentWindow === event.source'), 'messages from other windows must be ignored');
+      assert.ok(fnBody.includes('validation.isArenaUrl(data.url)'), 'reported URLs must match ARENA_HOST_PATTERNS');
+    });
+  });
+
+  describe('Site rules', () => {
+    it('icon clicks open the side panel before reading the site rule', () => {
+      const serviceWorker = read('background/service-worker.js');
+      const start = serviceWorker.indexOf('chrome.action.onClicked.addListener');
+      const body = serviceWorker.substring(start, serviceWorker.indexOf('\n});\n', start));
+
+      const openPos = body.indexOf('openSidePanel(tabInfo)');
+      assert.ok(openPos !== -1, 'icon clicks must open the side panel');
+      assert.ok(!body.substring(0, openPos).includes('await '), 'nothing may be awaited before opening the side panel');
+      assert.ok(body.includes('settings.getSiteRule(tab.url)'), 'icon clicks must honour the site rule');
+      assert.ok(body.includes('handleTabAction(rule.clickAction, tabInfo, { panelOpening })'), 'the click action must reuse the panel opening');
+    });
+
+    it('site rules no longer carry a panel setting the browser cannot honour', async () => {
+      const data = installChromeStorage();
+      const { settings } = await import('../utils/settings.js');
+      const { CONFIG } = await import('../utils/constants.js');
+      const serviceWorker = read('background/service-worker.js');
+      const start = serviceWorker.indexOf('chrome.tabs.onUpdated.addListener');
+      const body = serviceWorker.substring(start, serviceWorker.indexOf('\n});\n', start));
+
+      data[CONFIG.STORAGE_KEYS.SETTINGS] = {
+        siteRules: [{ pattern: 'https://docs.example.com/*', autoOpen: true, hiddenActions: [], clickAction: 'explain' }]
+      };
+      const rule = await settings.getSiteRule('https://docs.example.com/guide?session=1');
+      assert.deepEqual(rule, { pattern: 'https://docs.example.com/*', hiddenActions: [], clickAction: 'explain' });
+      assert.equal(await settings.getSiteRule('https://example.org/'), null);
+
+      await settings.save({ siteRules: [{ pattern: 'https://*.example.com/*', hiddenActions: [], clickAction: null }] });
+      assert.equal((await settings.getSiteRule('https://a.example.com/')).pattern, 'https://*.example.com/*');
+      assert.ok(!body.includes('chrome.sidePanel'), 'page loads cannot open the side panel');
+    });
+
+    it('site rules use the ARENA_HOST_PATTERNS match pattern syntax', () => {
+      const settingsSource = read('utils/settings.js');
+
+      assert.ok(settingsSource.includes('validation.isUrlPattern(rule.pattern'), 'saved patterns must be validated');
+      assert.ok(settingsSource.includes('validation.matchesUrlPattern(url, rule.pattern)'), 'pages must be matched like ARENA_HOST_PATTERNS');
+    });
+  });
+
+  describe('Arena sessions', () => {
+    it('only the session receiving prompts announces ARENA_READY', () => {
+      const main = read('sidepanel/scripts/main.js');
+      const contentScript = read('content/content-script.js');
+      const fnStart = contentScript.indexOf('const announceReady');
+      const fnBody = contentScript.substring(fnStart, contentScript.indexOf('\n  };\n', fnStart));
+
+      assert.ok(main.includes('receivesActions: entry.id === getReceiverId()'), 'panel must tell each frame whether it receives prompts');
+      assert.ok(fnBody.includes('isPanelFrame() && !panelContext.receivesActions'), 'background sessions must not announce ARENA_READY');
+      assert.ok(contentScript.includes('releaseFramePort();'), 'a session losing the prompts must close its port');
+    });
+
+    it('background sessions stay laid out and are unloaded by memory and age', () => {
+      const main = read('sidepanel/scripts/main.js');
+      const css = read('sidepanel/styles/sidepanel.css');
+      const trimStart = main.indexOf('const trimLoadedSessions');
+      const trimBody = main.substring(trimStart, main.indexOf('\n};\n', trimStart));
+
+      assert.ok(main.includes('entry.frame.inert = !visible'), 'background frames must be inert');
+      assert.ok(/\.session-frame\[inert\]\s*\{\s*visibility: hidden;/.test(css), 'background frames must keep their layout');
+      assert.ok(trimBody.includes('getPinnedSessionIds()'), 'the shown and receiving frames must never be unloaded');
+      assert.ok(trimBody.includes('CONFIG.TIMEOUTS.SESSION_UNLOAD'), 'frames hidden too long must be unloaded');
+      assert.ok(main.includes('navigator.deviceMemory'), 'the frame limit must follow device memory');
+    });
+
+    it('session writes run one after another', () => {
+      const sessions = read('utils/panel-sessions.js');
+      const methods = ['add()', 'rename(id, name)', 'remove(id)', 'activate(id)', 'setTarget(id)', 'saveUrl(id, url)'];
+
+      for (const method of methods) {
+        const start = sessions.indexOf(`async ${method} {`);
+        const body = sessions.substring(start, sessions.indexOf('\n  }', start));
+        assert.ok(start !== -1 && body.includes('return await enqueueWrite(async () => {'), `${method} must go through the write queue`);
+      }
+    });
+  });
+
+  describe('Per-tab side panel', () => {
+    it('a tab gets its own panel page without spending the user gesture', () => {
+      const serviceWorker = read('background/service-worker.js');
+      const main = read('sidepanel/scripts/main.js');
+      const fnStart = serviceWorker.indexOf('const openSidePanelByTab');
+      const fnBody = serviceWorker.substring(fnStart, serviceWorker.indexOf('\n};\n', fnStart));
+      const openPos = fnBody.indexOf('await chrome.sidePanel.open({ tabId })');
+
+      assert.ok(serviceWorker.includes('`${SIDE_PANEL_PATH}?tabId=${tabId}`'), 'the tab panel page must carry its tab ID');
+      assert.ok(main.includes("new URLSearchParams(window.location.search).get('tabId')"), 'the panel page must read its tab ID');
+      assert.ok(fnBody.substring(0, openPos).includes('void preparePanelTab(tabId);'), 'the tab panel must be set before it opens');
+      assert.ok(!fnBody.substring(0, openPos).includes('await '), 'nothing may be awaited before opening the side panel');
+    });
+
+    it('closed tabs forget their panel conversation', () => {
+      const serviceWorker = read('background/service-worker.js');
+      const start = serviceWorker.indexOf('chrome.tabs.onRemoved.addListener');
+      const body = serviceWorker.substring(start, serviceWorker.indexOf('\n});\n', start));
+
+      assert.ok(body.includes('panelTabUrls.delete(tabId)'), 'closed tabs must be dropped from panelTabUrls');
+      assert.ok(body.includes('persistPanelTabs()'), 'the session storage copy must follow');
+    });
+  });
+
+  describe('Conversation restore', () => {
+    it('only Arena URLs are stored and loaded again', () => {
+      const main = read('sidepanel/scripts/main.js');
+      const sessions = read('utils/panel-sessions.js');
+      const fnStart = main.indexOf('const restoreConversations');
+      const fnBody = main.substring(fnStart, main.indexOf('\n};\n', fnStart));
+
+      assert.ok(/validation\.isArenaUrl\(url\)\) \{\s*sessionUrls\.set\(id, url\);/.test(fnBody), 'restored URLs must match ARENA_HOST_PATTERNS');
+      assert.ok(sessions.includes('!isValidSessionId(id) || !validation.isArenaUrl(url)'), 'saved URLs must match ARENA_HOST_PATTERNS');
+      assert.ok(main.includes('saveConversationUrl(entry.id, data.url)'), 'reported frame locations must be saved');
+    });
+
+    it('a refused conversation save is logged', async () => {
+      const main = read('sidepanel/scripts/main.js');
+      const fnStart = main.indexOf('const saveConversationUrl');
+      const source = main.substring(fnStart, main.indexOf('\n};\n', fnStart) + 3);
+      const logged = [];
+      const logger = { warn: (...args) => logged.push(['warn', ...args]), error: (...args) => logged.push(['error', ...args]) };
+      const replies = [{ success: false, error: 'No such tab' }, undefined, { success: true }];
+      const chrome = { runtime: { sendMessage: async () => replies.shift() } };
+      const saveConversationUrl = new Function(
+        'panelTabId', 'panelSessions', 'chrome', 'logger', `${source}\nreturn saveConversationUrl;`
+      )(7, {}, chrome, logger);
+
+      await saveConversationUrl('tab', 'https://lmarena.ai/c/1');
+      await saveConversationUrl('tab', 'https://lmarena.ai/c/1');
+      await saveConversationUrl('tab', 'https://lmarena.ai/c/1');
+      assert.deepEqual(logged, [
+        ['warn', 'Conversation could not be saved', 'No such tab'],
+        ['warn', 'Conversation could not be saved', undefined]
+      ]);
+    });
+
+    it('the panel can be set to start fresh', () => {
+      const main = read('sidepanel/scripts/main.js');
+      const html = read('options/options.html');
+      const initStart = main.indexOf('const initialize = async');
+      const initBody = main.substring(initStart, main.indexOf('\n};\n', initStart));
+
+      assert.ok(main.includes('response.data.restoreConversation === false'), 'the restore setting must be honoured');
+      assert.ok(html.includes('id="restoreConversation"'), 'the options page must offer the restore setting');
+      const restorePos = initBody.indexOf('await restoreConversations();');
+      assert.ok(
+        restorePos !== -1 && restorePos < initBody.indexOf('await loadSessions();'),
+        'URLs must be restored before the first frame loads'
+      );
+    });
+  });
+
+  describe('Load failure screen', () => {
+    it('the loading timeout diagnoses the frame instead of hiding the overlay', () => {
+      const main = read('sidepanel/scripts/main.js');
+      const body = (name) => {
+        const start = main.indexOf(`const ${name}`);
+        return main.substring(start, main.indexOf('\n};\n', start));
+      };
+
+      assert.ok(body('scheduleLoadTimeout').includes('setTimeout(checkActiveLoad,'), 'the timeout must check the frame');
+      assert.ok(!body('scheduleLoadTimeout').includes('hideLoadingOverlay'), 'the timeout must not hide the overlay blindly');
+      assert.ok(!body('handleIframeLoad').includes('hideLoadingOverlay'), 'a load event alone does not prove Arena is shown');
+      assert.ok(body('handleIframeError').includes('renderLoadState(entry)'), 'frame errors must show the error screen');
+    });
+
+    it('retries back off and diagnostics show the header ruleset status', () => {
+      const main = read('sidepanel/scripts/main.js');
+
+      assert.ok(main.includes('CONFIG.TIMEOUTS.LOAD_RETRY_BASE * 2 ** entry.retries'), 'automatic reloads must back off');
+      assert.ok(main.includes('entry.retries >= CONFIG.TIMEOUTS.MAX_LOAD_RETRIES'), 'automatic reloads must stop');
+      assert.ok(!main.includes('loadRetryCount'), 'each frame must count its own retries');
+      assert.ok(main.includes('refreshArenaFrame(getConversationUrl(), { immediate: true })'), 'retries must not be debounced');
+      assert.ok(main.includes('chrome.declarativeNetRequest.getEnabledRulesets()'), 'diagnostics must read the enabled rulesets');
+      assert.ok(main.includes("window.addEventListener('online', handleOnline"), 'offline frames must reload when the connection is back');
+    });
+
+    it('signed-out frames stay usable under a banner', () => {
+      const main = read('sidepanel/scripts/main.js');
+      const html = read('sidepanel/sidepanel.html');
+      const start = main.indexOf('const renderLoadState');
+      const body = main.substring(start, main.indexOf('\n};\n', start));
+
+      assert.ok(html.includes('id="signInBanner"'), 'the panel must have a sign-in banner');
+      assert.ok(body.includes('signInBanner.hidden = entry.failure !== LOAD_FAILURES.SIGNED_OUT'), 'signed-out frames must show the banner');
+      assert.ok(
+        body.includes('entry.failure && entry.failure !== LOAD_FAILURES.SIGNED_OUT'),
+        'signed-out frames must not get the error screen'
+      );
+      assert.ok(!/SIGN_IN_PATH_PATTERN = .*\bauth\b/.test(main), 'OAuth callbacks under /auth are not sign-in pages');
+    });
+  });
+
   describe('Manifest integrity', () => {
     it('manifest is valid MV3 with required fields', () => {
       const manifest = JSON.parse(read('manifest.json'));
@@ -256,6 +1097,14 @@ describe('Regression Tests', () => {
       );
     });
 
+    it('CSP in options.html restricts script-src to self', () => {
+      const html = read('options/options.html');
+      assert.ok(
+        html.includes("script-src 'self'"),
+        'Options page CSP must restrict script-src to self'
+      );
+    });
+
     it('iframe has sandbox attribute', () => {
       const html = read('sidepanel/sidepanel.html');
       const iframeMatch = html.match(/<iframe[^>]*>/);
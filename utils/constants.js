@@ -17,21 +17,77 @@ export const CONTEXT_MENU_IDS = Object.freeze({
   EXPLAIN: 'explain',
   REWRITE: 'rewrite',
   QUIZ_ME: 'quizMe',
-  PROOFREAD: 'proofread'
+  PROOFREAD: 'proofread',
+  SUMMARIZE_PAGE: 'summarizePage',
+  EXPLAIN_LINK: 'explainLink',
+  DESCRIBE_IMAGE: 'describeImage',
+  ASK_ABOUT_PAGE: 'askAboutPage',
+  CUSTOM_ACTIONS_SEPARATOR: 'customActionsSeparator',
+  CUSTOM_ACTION_PREFIX: 'customAction-'
 });
 
 /**
- * Prompt templates for text actions
+ * Keyboard command names declared under "commands" in manifest.json
+ * @readonly
+ */
+export const COMMAND_IDS = Object.freeze({
+  TOGGLE_SIDE_PANEL: 'toggle-side-panel',
+  SUMMARIZE: 'summarize-selection',
+  EXPLAIN: 'explain-selection',
+  REWRITE: 'rewrite-selection',
+  QUIZ_ME: 'quiz-me-selection',
+  PROOFREAD: 'proofread-selection',
+  SUMMARIZE_PAGE: 'summarize-page',
+  CAPTURE_REGION: 'capture-region'
+});
+
+/**
+ * Prompt templates for text actions, rendered by the template engine
  * @readonly
  */
 export const PROMPT_TEMPLATES = Object.freeze({
-  summarize: 'Please summarize the selection using precise and concise language. Use headers and bulleted lists in the summary, to make it scannable. Maintain the meaning and factual accuracy.\n\n',
-  explain: 'Explain this concept in simple terms:\n\n',
-  rewrite: 'Rewrite and improve the following text:\n\n',
-  quizMe: 'Please quiz me on this selection. Ask me a variety of types of questions, for example multiple choice, true or false, and short answer. Wait for my response before moving on to the next question.\n\n',
-  proofread: 'Please proofread the selection for spelling and grammar errors. Identify any mistakes and provide a corrected version of the text. Maintain the meaning and factual accuracy and output the list of proposed corrections first, followed by the final, corrected version of the text.\n\n'
+  summarize: 'Please summarize the selection using precise and concise language. Use headers and bulleted lists in the summary, to make it scannable. Maintain the meaning and factual accuracy.\n\n{{selection}}',
+  explain: 'Explain this concept in simple terms:\n\n{{selection}}',
+  rewrite: 'Rewrite and improve the following text:\n\n{{selection}}',
+  quizMe: 'Please quiz me on this selection. Ask me a variety of types of questions, for example multiple choice, true or false, and short answer. Wait for my response before moving on to the next question.\n\n{{selection}}',
+  proofread: 'Please proofread the selection for spelling and grammar errors. Identify any mistakes and provide a corrected version of the text. Maintain the meaning and factual accuracy and output the list of proposed corrections first, followed by the final, corrected version of the text.\n\n{{selection}}',
+  summarizePage: 'Please summarize the following web page using precise and concise language. Use headers and bulleted lists in the summary, to make it scannable. Maintain the meaning and factual accuracy.\n\nTitle: {{title|Untitled}}\nURL: {{url}}\n\n{{selection}}',
+  explainLink: 'Explain this link: what it most likely points to, who runs the site, and what I can expect to find there. It appears on the page "{{title|Untitled}}" ({{url}}).\n\n{{selection}}',
+  describeImage: 'Describe this image in detail: what it shows, any text it contains, and its likely purpose on the page "{{title|Untitled}}" ({{url}}). If the image itself is not attached, say so and work from its address.\n\n{{selection}}',
+  captureRegion: 'Explain what the attached screenshot from the page "{{title|Untitled}}" ({{url}}) shows. If it contains a chart, summarize its key figures; if it contains an error, explain the likely cause and how to fix it.\n\n{{selection}}',
+  askAboutPage: 'I have some questions about the following web page. Read it, tell me in two or three sentences what it covers, then wait for my questions.\n\nTitle: {{title|Untitled}}\nURL: {{url}}\n\n{{selection}}'
+});
+
+/**
+ * Display labels for the built-in text actions, keyed like PROMPT_TEMPLATES
+ * @readonly
+ */
+export const ACTION_LABELS = Object.freeze({
+  summarize: 'Summarize',
+  explain: 'Explain',
+  rewrite: 'Rewrite',
+  quizMe: 'Quiz Me',
+  proofread: 'Proofread',
+  summarizePage: 'Summarize Page',
+  explainLink: 'Explain Link',
+  describeImage: 'Describe Image',
+  askAboutPage: 'Ask About Page',
+  captureRegion: 'Capture Region'
 });
 
+/**
+ * Placeholder names available to prompt templates as {{name}}
+ * @readonly
+ */
+export const TEMPLATE_VARIABLES = Object.freeze([
+  'selection',
+  'url',
+  'title',
+  'name',
+  'date',
+  'language'
+]);
+
 /**
  * Arena domain patterns used by the extension
  * @readonly
@@ -46,7 +102,141 @@ export const ARENA_HOST_PATTERNS = Object.freeze([
  * @readonly
  */
 export const ACTION_STORAGE_KEYS = Object.freeze({
-  PENDING_ACTION: 'arena_companion_pending_action'
+  ACTION_QUEUE: 'arena_companion_action_queue'
+});
+
+/**
+ * Names of long-lived runtime ports between content scripts and the service worker
+ * @readonly
+ */
+export const PORT_NAMES = Object.freeze({
+  ARENA_FRAME: 'arena-companion-frame'
+});
+
+/**
+ * Log levels selectable in settings, ordered from least to most verbose.
+ * DEFAULT keeps the build behaviour: errors only in production, everything in dev builds.
+ * @readonly
+ */
+export const LOG_LEVELS = Object.freeze({
+  DEFAULT: 'default',
+  ERROR: 'error',
+  WARN: 'warn',
+  INFO: 'info',
+  DEBUG: 'debug'
+});
+
+/**
+ * What the content script does after inserting a prompt, selectable per action in settings
+ * @readonly
+ */
+export const SEND_MODES = Object.freeze({
+  AUTO_SEND: 'autoSend',
+  FILL: 'fill',
+  FILL_AND_FOCUS: 'fillAndFocus'
+});
+
+/**
+ * Where text actions are injected, selectable in settings
+ * @readonly
+ */
+export const INJECTION_TARGETS = Object.freeze({
+  SIDE_PANEL: 'sidePanel',
+  ARENA_TAB: 'arenaTab',
+  ASK: 'ask'
+});
+
+/**
+ * How the side panel is shared between the tabs of a window, selectable in settings.
+ * TAB gives every tab its own panel, which keeps that tab's Arena conversation.
+ * @readonly
+ */
+export const PANEL_MODES = Object.freeze({
+  WINDOW: 'window',
+  TAB: 'tab'
+});
+
+/**
+ * Why the Arena frame in the side panel did not load, shown on its error screen, or for
+ * SIGNED_OUT on a banner above the frame, which stays usable for signing in
+ * @readonly
+ */
+export const LOAD_FAILURES = Object.freeze({
+  OFFLINE: 'offline',
+  BLOCKED: 'blocked',
+  SIGNED_OUT: 'signedOut',
+  TIMEOUT: 'timeout'
+});
+
+/**
+ * Side panel toolbar commands, keyed by the KeyboardEvent.code that runs each one with Alt.
+ * Codes rather than keys, because Alt+letter types a different character on some layouts.
+ * @readonly
+ */
+export const TOOLBAR_SHORTCUTS = Object.freeze({
+  ArrowLeft: 'back',
+  ArrowRight: 'forward',
+  KeyN: 'newChat',
+  KeyR: 'reload',
+  KeyO: 'openInTab',
+  KeyL: 'copyLink'
+});
+
+/**
+ * Built-in entries of the Arena Tools menu, keyed like PROMPT_TEMPLATES. Site rules can
+ * hide them, along with custom actions, on the sites they match.
+ * @readonly
+ */
+export const ARENA_TOOLS_ACTIONS = Object.freeze([
+  'summarize',
+  'explain',
+  'rewrite',
+  'quizMe',
+  'proofread'
+]);
+
+/**
+ * Built-in actions a site rule can run when the toolbar icon is clicked, besides custom
+ * actions: those that work on the selection or on the whole page
+ * @readonly
+ */
+export const SITE_CLICK_ACTIONS = Object.freeze([
+  ...ARENA_TOOLS_ACTIONS,
+  'summarizePage',
+  'askAboutPage'
+]);
+
+/**
+ * Page elements whose CSS selectors can be overridden in settings, tried before the
+ * site adapter's own selectors or, for hidden elements, hidden along with the built-in banners
+ * @readonly
+ */
+export const SELECTOR_OVERRIDE_ROLES = Object.freeze({
+  COMPOSER: 'composer',
+  SEND_BUTTON: 'sendButton',
+  HIDDEN: 'hidden'
+});
+
+/**
+ * Arena page elements hidden by default. The list is editable on the options page, where
+ * each rule can also be switched off.
+ * @readonly
+ */
+export const CLEANUP_RULES = Object.freeze([
+  Object.freeze({ label: 'Floating announcement banner', selector: 'div.bg-surface-floating:has(p)', enabled: true }),
+  Object.freeze({ label: 'Floating banner with icon', selector: 'div[class*="bg-surface-floating"]:has(svg)', enabled: true }),
+  Object.freeze({ label: 'LMArena promotion', selector: 'div.pointer-events-auto:has(a[href*="lmarena"])', enabled: true }),
+  Object.freeze({ label: 'Floating overlay', selector: 'div[class*="surface-floating"][class*="pointer-events"]', enabled: true })
+]);
+
+/**
+ * Injection outcomes recorded in the prompt history
+ * @readonly
+ */
+export const HISTORY_STATUS = Object.freeze({
+  PENDING: 'pending',
+  INJECTED: 'injected',
+  FAILED: 'failed'
 });
 
 /**
@@ -57,32 +247,112 @@ export const CONFIG = Object.freeze({
   ARENA_URL: 'https://arena.ai/',
   STORAGE_KEYS: Object.freeze({
     USER_DETAILS: 'arena_companion_user_details',
-    LAST_VISIT: 'arena_companion_last_visit'
+    LAST_VISIT: 'arena_companion_last_visit',
+    CUSTOM_ACTIONS: 'arena_companion_custom_actions',
+    SETTINGS: 'arena_companion_settings',
+    PROMPT_HISTORY: 'arena_companion_prompt_history',
+    PANEL_SESSIONS: 'arena_companion_panel_sessions',
+    // Last Arena conversation of each panel session, keyed by session ID
+    PANEL_SESSION_URLS: 'arena_companion_panel_session_urls',
+    // chrome.storage.session: side panel frame tokens, keyed by window ID
+    PANEL_FRAMES: 'arena_companion_panel_frames',
+    // chrome.storage.session: Arena URL of each tab's side panel in PANEL_MODES.TAB, keyed by tab ID
+    PANEL_TABS: 'arena_companion_panel_tabs'
   }),
   DEFAULTS: Object.freeze({
     USER_DETAILS: Object.freeze({
       name: '',
       email: '',
       lastActive: null
+    }),
+    SETTINGS: Object.freeze({
+      sendMode: SEND_MODES.AUTO_SEND,
+      sendModes: Object.freeze({}),
+      injectionTarget: INJECTION_TARGETS.SIDE_PANEL,
+      panelMode: PANEL_MODES.WINDOW,
+      restoreConversation: true,
+      logLevel: LOG_LEVELS.DEFAULT,
+      promptTemplates: Object.freeze({}),
+      selectorOverrides: Object.freeze({
+        composer: Object.freeze([]),
+        sendButton: Object.freeze([]),
+        hidden: Object.freeze([])
+      }),
+      cleanupRules: CLEANUP_RULES,
+      compactMode: false,
+      siteRules: Object.freeze([])
     })
   }),
   TIMEOUTS: Object.freeze({
     LOADING_OVERLAY: 5000,
     OVERLAY_TRANSITION: 200,
     RETRY_DELAY: 500,
-    MAX_RETRY_ATTEMPTS: 5
+    MAX_RETRY_ATTEMPTS: 5,
+    POLL_INTERVAL: 300,
+    ACTION_EXPIRY: 60000,
+    ACTION_ACK: 30000,
+    BADGE_NOTICE: 4000,
+    TOOLBAR_NOTICE: 2000,
+    REGION_SELECT: 60000,
+    QUEUE_EXPIRY: 600000,
+    RESPONSE_WAIT: 180000,
+    SELECTOR_TEST: 3000,
+    // Background Arena tabs in the side panel are unloaded after this long out of view
+    SESSION_UNLOAD: 600000,
+    // First automatic reload after the side panel frame failed to load; each further one waits twice as long
+    LOAD_RETRY_BASE: 2000,
+    LOAD_RETRY_MAX: 60000,
+    MAX_LOAD_RETRIES: 5
   }),
   STORAGE: Object.freeze({
-    MAX_SIZE_BYTES: 5242880
+    MAX_SIZE_BYTES: 5242880,
+    // Prompt history is trimmed so total usage stays below this share of the quota
+    MAX_USAGE_RATIO: 0.8
+  }),
+  SESSIONS: Object.freeze({
+    // Arena frames kept loaded in the side panel, the visible one included
+    MAX_LOADED: 3,
+    // Fewer on devices whose navigator.deviceMemory is at or below LOW_MEMORY_GB
+    LOW_MEMORY_MAX_LOADED: 2,
+    LOW_MEMORY_GB: 4
   }),
   VALIDATION: Object.freeze({
     MAX_STRING_LENGTH: 10000,
     MAX_SELECTION_LENGTH: 50000,
+    MAX_PROMPT_LENGTH: 60000,
+    MAX_PAGE_TITLE_LENGTH: 300,
+    MAX_PAGE_URL_LENGTH: 2048,
     MAX_DOWNLOAD_FILENAME_LENGTH: 240,
+    MAX_ATTACHMENT_BYTES: 5242880,
+    MAX_RESPONSE_LENGTH: 100000,
+    // Battle mode shows two answers side by side
+    MAX_CAPTURED_RESPONSES: 4,
+    // Selections remembered for "Apply to page", in the service worker and in each frame
+    MAX_REPLACE_TARGETS: 20,
     // RFC 5322 compliant email regex (simplified but robust)
     EMAIL_REGEX: /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/,
     MAX_NAME_LENGTH: 255,
-    MAX_EMAIL_LENGTH: 320
+    MAX_EMAIL_LENGTH: 320,
+    MAX_CUSTOM_ACTIONS: 25,
+    MAX_ACTION_TITLE_LENGTH: 60,
+    MAX_TEMPLATE_LENGTH: 4000,
+    MAX_QUEUED_ACTIONS: 10,
+    MAX_HISTORY_ENTRIES: 200,
+    // Per SELECTOR_OVERRIDE_ROLES entry
+    MAX_SELECTOR_OVERRIDES: 10,
+    MAX_SELECTOR_LENGTH: 300,
+    MAX_CLEANUP_RULES: 30,
+    MAX_CLEANUP_LABEL_LENGTH: 60,
+    MAX_SITE_RULES: 20,
+    MAX_URL_PATTERN_LENGTH: 200,
+    MAX_PANEL_SESSIONS: 8,
+    MAX_SESSION_NAME_LENGTH: 40,
+    // CONFIG.TIMEOUTS entries that can be overridden from the options page
+    TIMEOUT_RANGES: Object.freeze({
+      POLL_INTERVAL: Object.freeze({ min: 100, max: 5000 }),
+      RETRY_DELAY: Object.freeze({ min: 100, max: 10000 }),
+      MAX_RETRY_ATTEMPTS: Object.freeze({ min: 0, max: 10 })
+    })
   })
 });
 
@@ -103,7 +373,37 @@ export const ERROR_MESSAGES = Object.freeze({
   STORAGE_QUOTA_EXCEEDED: 'Storage quota exceeded',
   INVALID_USER_DETAILS: 'Invalid user details format',
   PROMPT_INJECTION_FAILED: 'Failed to inject prompt',
-  INVALID_SELECTION: 'Invalid text selection'
+  PROMPT_TOO_LONG: 'The prompt template leaves no room for the selection',
+  INVALID_SELECTION: 'Invalid text selection',
+  INVALID_CUSTOM_ACTION: 'Invalid custom action',
+  CUSTOM_ACTION_LIMIT: 'Custom action limit reached',
+  CUSTOM_ACTION_NOT_FOUND: 'Custom action not found',
+  INVALID_PANEL_SESSION: 'Arena tab names must not be empty',
+  PANEL_SESSION_LIMIT: 'Arena tab limit reached',
+  PANEL_SESSION_NOT_FOUND: 'Arena tab not found',
+  INVALID_CONVERSATION_URL: 'Only Arena conversations can be restored',
+  UNAUTHORIZED_SENDER: 'Message sender is not allowed',
+  INVALID_SETTINGS: 'Invalid settings',
+  ACTION_TIMEOUT: 'Timed out waiting for Arena to accept the prompt',
+  FRAME_DISCONNECTED: 'Arena frame closed before confirming the prompt',
+  NO_ARENA_TAB: 'No Arena tab is open in this window',
+  ACTION_CANCELLED: 'Action cancelled',
+  ACTION_QUEUE_FULL: 'Too many actions are waiting in this window',
+  ACTION_NOT_QUEUED: 'Action is no longer waiting in the queue',
+  HISTORY_ENTRY_NOT_FOUND: 'Prompt history entry not found',
+  NO_SELECTION: 'Select some text on the page first',
+  SELECTION_UNAVAILABLE: 'Text on this page cannot be read',
+  NO_PAGE_TEXT: 'No readable text found on this page',
+  CAPTURE_UNAVAILABLE: 'This page cannot be captured',
+  CAPTURE_FAILED: 'Failed to capture the selected region',
+  REPLACEMENT_NOT_FOUND: 'This result can no longer be applied',
+  REPLACE_TARGET_MISSING: 'The original text field is no longer on the page',
+  REPLACE_TARGET_CHANGED: 'The text on the page has been edited in the meantime',
+  INVALID_SELECTOR_OVERRIDES: 'Selector overrides must list CSS selectors under composer, sendButton or hidden',
+  NO_ARENA_FRAME: 'Open Arena in the side panel or in a tab of this window first',
+  SELECTOR_TEST_TIMEOUT: 'The Arena frame did not answer the selector test',
+  INVALID_CLEANUP_RULES: 'Every cleanup rule needs a label and a valid CSS selector',
+  INVALID_SITE_RULES: 'Site rules need a pattern like https://docs.example.com/* and known actions'
 });
 
 /**
@@ -113,5 +413,6 @@ export const ERROR_MESSAGES = Object.freeze({
 export const SUCCESS_MESSAGES = Object.freeze({
   PANEL_OPENED: 'Side panel opened successfully',
   PROMPT_INJECTED: 'Prompt injected successfully',
-  ACTION_STORED: 'Pending action stored'
+  RESPONSE_CAPTURED: 'Arena response captured',
+  ACTION_QUEUED: 'Action queued'
 });
@@ -0,0 +1,236 @@
+/**
+ * Custom Actions Module
+ * Manages user-defined text actions shown alongside the built-in prompt templates
+ * @module custom-actions
+ * @author Mohammad Faiz
+ * @version 1.7.0
+ */
+
+import { storage } from './storage.js';
+import { CONFIG, ERROR_MESSAGES } from './constants.js';
+import { logger } from './logger.js';
+import { validation } from './validation.js';
+
+const ACTION_ID_PATTERN = /^[a-z0-9-]{8,64}$/i;
+
+// Saves, deletions and reorders run one at a time so none of them is lost
+let actionsLock = Promise.resolve();
+
+/**
+ * Runs a custom action update after the previous one has finished
+ * @param {Function} task - Async read-modify-write
+ * @returns {Promise<*>} Result of the task
+ */
+const withActionsLock = (task) => {
+  const run = actionsLock.then(task);
+  actionsLock = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Validates a custom action ID
+ * @param {*} id - Value to validate
+ * @returns {boolean} Validation result
+ */
+const isValidActionId = (id) => typeof id === 'string' && ACTION_ID_PATTERN.test(id);
+
+/**
+ * Validates a stored custom action structure
+ * @param {*} action - Custom action object
+ * @returns {boolean} Validation result
+ */
+const validateCustomAction = (action) => {
+  if (!action || typeof action !== 'object') {
+    return false;
+  }
+
+  const hasValidTitle = typeof action.title === 'string' &&
+                        action.title.length > 0 &&
+                        action.title.length <= CONFIG.VALIDATION.MAX_ACTION_TITLE_LENGTH;
+  const hasValidTemplate = typeof action.template === 'string' &&
+                           action.template.length > 0 &&
+                           action.template.length <= CONFIG.VALIDATION.MAX_TEMPLATE_LENGTH;
+
+  return isValidActionId(action.id) && hasValidTitle && hasValidTemplate;
+};
+
+/**
+ * Normalizes user input into a custom action record
+ * @param {Object} input - Raw action data (title, template, optional id)
+ * @param {string} id - ID to assign to the action
+ * @returns {Object} Normalized custom action
+ * @throws {Error} If the input is not a usable action
+ */
+const normalizeCustomAction = (input, id) => {
+  if (!input || typeof input !== 'object') {
+    throw new Error(ERROR_MESSAGES.INVALID_CUSTOM_ACTION);
+  }
+
+  const action = {
+    id,
+    title: validation.sanitizeInput(input.title, CONFIG.VALIDATION.MAX_ACTION_TITLE_LENGTH),
+    template: validation.sanitizeTemplate(input.template)
+  };
+
+  if (!validateCustomAction(action)) {
+    throw new Error(ERROR_MESSAGES.INVALID_CUSTOM_ACTION);
+  }
+
+  return action;
+};
+
+/**
+ * Reads the stored custom action list, dropping malformed entries
+ * @returns {Promise<Object[]>} Custom actions in display order
+ */
+const readActions = async () => {
+  const result = await storage.get(CONFIG.STORAGE_KEYS.CUSTOM_ACTIONS);
+  const actions = result[CONFIG.STORAGE_KEYS.CUSTOM_ACTIONS];
+
+  if (!Array.isArray(actions)) {
+    return [];
+  }
+
+  const valid = actions.filter(validateCustomAction);
+  if (valid.length !== actions.length) {
+    logger.warn('Dropping malformed custom actions', { dropped: actions.length - valid.length });
+  }
+
+  return valid;
+};
+
+/**
+ * Persists the custom action list verbatim; every action went through normalizeCustomAction
+ * @param {Object[]} actions - Custom actions in display order
+ * @returns {Promise<void>}
+ */
+const writeActions = async (actions) => {
+  await storage.set({
+    [CONFIG.STORAGE_KEYS.CUSTOM_ACTIONS]: actions
+  }, { raw: true });
+};
+
+export const customActions = Object.freeze({
+  /**
+   * Retrieves all custom actions in display order
+   * @returns {Promise<Object[]>} Custom actions
+   */
+  async list() {
+    try {
+      return await readActions();
+    } catch (error) {
+      logger.error('Failed to list custom actions', error);
+      return [];
+    }
+  },
+
+  /**
+   * Retrieves a single custom action by ID
+   * @param {string} id - Custom action ID
+   * @returns {Promise<Object|null>} Custom action or null if not found
+   */
+  async get(id) {
+    if (!isValidActionId(id)) {
+      return null;
+    }
+
+    const actions = await this.list();
+    return actions.find((action) => action.id === id) || null;
+  },
+
+  /**
+   * Creates a new custom action, or updates an existing one when `id` matches
+   * @param {Object} input - Action data with title, template and optional id
+   * @returns {Promise<Object>} The saved custom action
+   * @throws {Error} If the action is invalid or the limit is reached
+   */
+  async save(input) {
+    try {
+      return await withActionsLock(async () => {
+        const actions = await readActions();
+        const index = isValidActionId(input?.id)
+          ? actions.findIndex((action) => action.id === input.id)
+          : -1;
+
+        if (index === -1 && actions.length >= CONFIG.VALIDATION.MAX_CUSTOM_ACTIONS) {
+          throw new Error(ERROR_MESSAGES.CUSTOM_ACTION_LIMIT);
+        }
+
+        const action = normalizeCustomAction(input, index === -1 ? crypto.randomUUID() : input.id);
+
+        if (index === -1) {
+          actions.push(action);
+        } else {
+          actions[index] = action;
+        }
+
+        await writeActions(actions);
+        logger.info('Custom action saved', { id: action.id });
+        return action;
+      });
+    } catch (error) {
+      logger.error('Failed to save custom action', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes a custom action
+   * @param {string} id - Custom action ID
+   * @returns {Promise<void>}
+   * @throws {Error} If the action does not exist
+   */
+  async remove(id) {
+    try {
+      await withActionsLock(async () => {
+        const actions = await readActions();
+        const remaining = actions.filter((action) => action.id !== id);
+
+        if (remaining.length === actions.length) {
+          throw new Error(ERROR_MESSAGES.CUSTOM_ACTION_NOT_FOUND);
+        }
+
+        await writeActions(remaining);
+        logger.info('Custom action removed', { id });
+      });
+    } catch (error) {
+      logger.error('Failed to remove custom action', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Reorders custom actions
+   * @param {string[]} ids - Every existing custom action ID in the new order
+   * @returns {Promise<void>}
+   * @throws {Error} If the IDs do not match the stored actions exactly
+   */
+  async reorder(ids) {
+    try {
+      await withActionsLock(async () => {
+        const actions = await readActions();
+
+        if (
+          !Array.isArray(ids) ||
+          ids.length !== actions.length ||
+          new Set(ids).size !== ids.length
+        ) {
+          throw new Error(ERROR_MESSAGES.INVALID_CUSTOM_ACTION);
+        }
+
+        const byId = new Map(actions.map((action) => [action.id, action]));
+        const reordered = ids.map((id) => byId.get(id));
+
+        if (reordered.some((action) => !action)) {
+          throw new Error(ERROR_MESSAGES.CUSTOM_ACTION_NOT_FOUND);
+        }
+
+        await writeActions(reordered);
+        logger.info('Custom actions reordered');
+      });
+    } catch (error) {
+      logger.error('Failed to reorder custom actions', error);
+      throw error;
+    }
+  }
+});
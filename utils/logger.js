@@ -6,6 +6,8 @@
  * @version 1.7.0
  */
 
+import { CONFIG, LOG_LEVELS } from './constants.js';
+
 const IS_PRODUCTION = (() => {
   try {
     const manifest = chrome.runtime.getManifest();
@@ -15,6 +17,50 @@ const IS_PRODUCTION = (() => {
   }
 })();
 
+const LEVEL_RANK = Object.freeze({
+  [LOG_LEVELS.ERROR]: 0,
+  [LOG_LEVELS.WARN]: 1,
+  [LOG_LEVELS.INFO]: 2,
+  [LOG_LEVELS.DEBUG]: 3
+});
+
+let activeLevel = LOG_LEVELS.DEFAULT;
+
+/**
+ * Applies the log level from a stored settings object
+ * @param {*} storedSettings - Raw settings value from storage
+ */
+const applyStoredLevel = (storedSettings) => {
+  const level = storedSettings?.logLevel;
+  activeLevel = Object.values(LOG_LEVELS).includes(level) ? level : LOG_LEVELS.DEFAULT;
+};
+
+// Read storage directly: the storage wrapper depends on this module
+try {
+  chrome.storage.local.get(CONFIG.STORAGE_KEYS.SETTINGS)
+    .then((result) => applyStoredLevel(result[CONFIG.STORAGE_KEYS.SETTINGS]))
+    .catch(() => {});
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[CONFIG.STORAGE_KEYS.SETTINGS]) {
+      applyStoredLevel(changes[CONFIG.STORAGE_KEYS.SETTINGS].newValue);
+    }
+  });
+} catch {
+  // Storage unavailable - keep the build default
+}
+
+/**
+ * Checks whether messages at a level should be written
+ * @param {string} level - LOG_LEVELS value of the message
+ * @returns {boolean} Whether to log
+ */
+const shouldLog = (level) => {
+  if (activeLevel === LOG_LEVELS.DEFAULT) {
+    return level === LOG_LEVELS.ERROR || !IS_PRODUCTION;
+  }
+  return LEVEL_RANK[level] <= LEVEL_RANK[activeLevel];
+};
+
 /**
  * Formats log arguments for consistent output
  * @param {string} level - Log level
@@ -71,22 +117,22 @@ const sanitizeLogData = (data, visited = new WeakSet()) => {
 
 export const logger = Object.freeze({
   /**
-   * Logs informational messages (development only)
+   * Logs informational messages (development only unless the log level allows it)
    * @param {...*} args - Arguments to log
    */
   info: (...args) => {
-    if (!IS_PRODUCTION) {
-      console.log(...formatLogArgs('INFO', ...args.map(sanitizeLogData)));
+    if (shouldLog(LOG_LEVELS.INFO)) {
+      console.log(...formatLogArgs('INFO', ...args.map((arg) => sanitizeLogData(arg))));
     }
   },
   
   /**
-   * Logs warning messages (development only)
+   * Logs warning messages (development only unless the log level allows it)
    * @param {...*} args - Arguments to log
    */
   warn: (...args) => {
-    if (!IS_PRODUCTION) {
-      console.warn(...formatLogArgs('WARN', ...args.map(sanitizeLogData)));
+    if (shouldLog(LOG_LEVELS.WARN)) {
+      console.warn(...formatLogArgs('WARN', ...args.map((arg) => sanitizeLogData(arg))));
     }
   },
   
@@ -95,16 +141,16 @@ export const logger = Object.freeze({
    * @param {...*} args - Arguments to log
    */
   error: (...args) => {
-    console.error(...formatLogArgs('ERROR', ...args.map(sanitizeLogData)));
+    console.error(...formatLogArgs('ERROR', ...args.map((arg) => sanitizeLogData(arg))));
   },
   
   /**
-   * Logs debug messages (development only, verbose)
+   * Logs debug messages (development only unless the log level allows it, verbose)
    * @param {...*} args - Arguments to log
    */
   debug: (...args) => {
-    if (!IS_PRODUCTION) {
-      console.debug(...formatLogArgs('DEBUG', ...args.map(sanitizeLogData)));
+    if (shouldLog(LOG_LEVELS.DEBUG)) {
+      console.debug(...formatLogArgs('DEBUG', ...args.map((arg) => sanitizeLogData(arg))));
     }
   }
 });
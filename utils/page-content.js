@@ -0,0 +1,153 @@
+/**
+ * Page Content Module
+ * Extracts the main readable text of a page for whole-page actions
+ * @module page-content
+ * @author Mohammad Faiz
+ * @version 1.7.0
+ */
+
+/**
+ * Appended to page text that was cut to fit the selection limit
+ */
+const TRUNCATION_MARKER = '[Truncated: the page continues beyond this point]';
+
+/**
+ * Extracts the main readable content of the current page, readability-style:
+ * paragraphs score their parent containers, the best container wins, and navigation,
+ * ads, link lists and hidden elements are dropped from a copy of it.
+ * Runs in the page through chrome.scripting, so it must not reference anything outside itself.
+ * @returns {string|null} Readable text, or null for the PDF viewer, whose text is not in the DOM
+ */
+const extractReadableText = () => {
+  if (document.contentType === 'application/pdf') {
+    return null;
+  }
+  if (!document.body) {
+    return '';
+  }
+
+  const CONTENT_SELECTOR = 'article, main, [role="main"]';
+  const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, figcaption, dt, dd, th, td';
+  const NOISE_SELECTOR = [
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed',
+    'nav', 'aside', 'footer', 'form', 'button', 'select', 'input', 'textarea', 'dialog',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+    '[role="dialog"]', '[hidden]', '[aria-hidden="true"]',
+    '[style*="display: none"]', '[style*="display:none"]', '[style*="visibility: hidden"]'
+  ].join(', ');
+  const CONTENT_PATTERN = /\b(article|body|content|entry|main|post|story|text)\b/i;
+  const NOISE_PATTERN = /\b(ads?|advert\w*|banner|breadcrumbs?|comments?|cookies?|consent|menu|masthead|newsletter|outbrain|popup|promo\w*|related|share|sharing|sidebar|social|sponsor\w*|subscribe|taboola|widget)\b/i;
+
+  const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+  const textLength = (element) => collapse(element.textContent).length;
+  const linkDensity = (element) => {
+    const total = textLength(element);
+    if (!total) {
+      return 1;
+    }
+    let links = 0;
+    for (const link of element.querySelectorAll('a')) {
+      links += textLength(link);
+    }
+    return links / total;
+  };
+
+  // Every paragraph-like block scores its parent fully and its grandparent by half
+  const scores = new Map();
+  for (const block of document.body.querySelectorAll('p, pre, blockquote, td')) {
+    const length = textLength(block);
+    if (length < 25) {
+      continue;
+    }
+    const score = 1 + (block.textContent.match(/,/g) || []).length + Math.min(3, Math.floor(length / 100));
+    const parent = block.parentElement;
+    const grandparent = parent?.parentElement;
+    if (parent) {
+      scores.set(parent, (scores.get(parent) || 0) + score);
+    }
+    if (grandparent) {
+      scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    }
+  }
+
+  let root = null;
+  let bestScore = 0;
+  for (const [element, score] of scores) {
+    const adjusted = score * (1 - linkDensity(element));
+    if (adjusted > bestScore) {
+      root = element;
+      bestScore = adjusted;
+    }
+  }
+
+  // An article split into several sections is kept whole
+  root = root?.closest(CONTENT_SELECTOR) || root || document.querySelector(CONTENT_SELECTOR) || document.body;
+
+  const copy = root.cloneNode(true);
+  for (const element of copy.querySelectorAll(NOISE_SELECTOR)) {
+    element.remove();
+  }
+  for (const element of copy.querySelectorAll('[id], [class]')) {
+    const names = `${element.id} ${element.getAttribute('class') || ''}`;
+    if (copy.contains(element) && NOISE_PATTERN.test(names) && !CONTENT_PATTERN.test(names)) {
+      element.remove();
+    }
+  }
+  for (const element of copy.querySelectorAll('div, section, ul, ol, table')) {
+    if (copy.contains(element) && linkDensity(element) > 0.5) {
+      element.remove();
+    }
+  }
+
+  const lines = [];
+  for (const block of copy.querySelectorAll(BLOCK_SELECTOR)) {
+    // Nested blocks are already part of their outer block's text
+    if (block.parentElement?.closest(BLOCK_SELECTOR)) {
+      continue;
+    }
+
+    const tag = block.tagName.toLowerCase();
+    const text = tag === 'pre' ? block.textContent.trim() : collapse(block.textContent);
+    if (!text) {
+      continue;
+    }
+
+    if (/^h[1-6]$/.test(tag)) {
+      lines.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+    } else if (tag === 'li') {
+      lines.push(`- ${text}`);
+    } else {
+      lines.push(text);
+    }
+  }
+
+  return lines.length > 0 ? lines.join('\n\n') : collapse(copy.textContent);
+};
+
+/**
+ * Cuts text to a maximum length, ending with a visible marker when anything was dropped.
+ * The cut prefers a word boundary so the last word is not split.
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length of the result, marker included
+ * @returns {string} Text that fits maxLength
+ */
+const truncate = (text, maxLength) => {
+  if (typeof text !== 'string') {
+    return '';
+  }
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const marker = `\n\n${TRUNCATION_MARKER}`;
+  const cut = text.slice(0, Math.max(0, maxLength - marker.length));
+  const lastSpace = cut.search(/\s\S*$/);
+  const kept = lastSpace > cut.length / 2 ? cut.slice(0, lastSpace) : cut;
+  return `${kept.trimEnd()}${marker}`;
+};
+
+export const pageContent = Object.freeze({
+  TRUNCATION_MARKER,
+  extractReadableText,
+  truncate
+});
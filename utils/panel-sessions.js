@@ -0,0 +1,353 @@
+/**
+ * Panel Sessions Module
+ * Persists the Arena tabs of the side panel: their names and order, the tab on show,
+ * the tab that receives prompts, and the conversation each tab showed last
+ * @module panel-sessions
+ * @author Mohammad Faiz
+ * @version 1.7.0
+ */
+
+import { storage } from './storage.js';
+import { CONFIG, ERROR_MESSAGES } from './constants.js';
+import { logger } from './logger.js';
+import { validation } from './validation.js';
+
+const SESSION_ID_PATTERN = /^[a-z0-9-]{8,64}$/i;
+const DEFAULT_NAME_PREFIX = 'Chat';
+
+/**
+ * Validates a session ID
+ * @param {*} id - Value to validate
+ * @returns {boolean} Validation result
+ */
+const isValidSessionId = (id) => typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+
+/**
+ * Validates a stored session
+ * @param {*} session - Session with id and name
+ * @returns {boolean} Validation result
+ */
+const isValidSession = (session) =>
+  Boolean(session) &&
+  typeof session === 'object' &&
+  isValidSessionId(session.id) &&
+  typeof session.name === 'string' &&
+  session.name.length > 0 &&
+  session.name.length <= CONFIG.VALIDATION.MAX_SESSION_NAME_LENGTH;
+
+/**
+ * Cleans up a session name typed by the user
+ * @param {*} name - Raw name
+ * @returns {string} Sanitized name
+ * @throws {Error} If nothing is left of the name
+ */
+const normalizeName = (name) => {
+  const sanitized = validation.sanitizeInput(name, CONFIG.VALIDATION.MAX_SESSION_NAME_LENGTH);
+  if (!sanitized) {
+    throw new Error(ERROR_MESSAGES.INVALID_PANEL_SESSION);
+  }
+  return sanitized;
+};
+
+/**
+ * Picks the lowest "Chat N" name no session uses yet
+ * @param {Object[]} sessions - Existing sessions
+ * @returns {string} Default name
+ */
+const nextDefaultName = (sessions) => {
+  const names = new Set(sessions.map((session) => session.name));
+  let number = 1;
+  while (names.has(`${DEFAULT_NAME_PREFIX} ${number}`)) {
+    number++;
+  }
+  return `${DEFAULT_NAME_PREFIX} ${number}`;
+};
+
+/**
+ * Creates a session with a fresh ID
+ * @param {string} name - Session name
+ * @returns {{id: string, name: string}} New session
+ */
+const createSession = (name) => ({ id: crypto.randomUUID(), name });
+
+/**
+ * Repairs stored state: drops malformed and duplicate sessions, keeps at least one, and
+ * points the active and target IDs at sessions that exist
+ * @param {*} stored - Raw stored state
+ * @returns {{sessions: Object[], activeId: string, targetId: string|null}} Usable state
+ */
+const normalizeState = (stored) => {
+  const seen = new Set();
+  const sessions = (Array.isArray(stored?.sessions) ? stored.sessions : [])
+    .filter((session) => isValidSession(session) && !seen.has(session.id) && seen.add(session.id))
+    .slice(0, CONFIG.VALIDATION.MAX_PANEL_SESSIONS)
+    .map(({ id, name }) => ({ id, name }));
+
+  if (sessions.length === 0) {
+    sessions.push(createSession(nextDefaultName(sessions)));
+  }
+
+  const exists = (id) => sessions.some((session) => session.id === id);
+  return {
+    sessions,
+    activeId: exists(stored?.activeId) ? stored.activeId : sessions[0].id,
+    targetId: exists(stored?.targetId) ? stored.targetId : null
+  };
+};
+
+/**
+ * Reads the stored session state
+ * @returns {Promise<Object>} Normalized state
+ */
+const readState = async () => {
+  const result = await storage.get(CONFIG.STORAGE_KEYS.PANEL_SESSIONS);
+  return normalizeState(result[CONFIG.STORAGE_KEYS.PANEL_SESSIONS]);
+};
+
+/**
+ * Persists the session state
+ * @param {Object} state - Normalized state
+ * @returns {Promise<Object>} The same state
+ */
+const writeState = async (state) => {
+  await storage.set({
+    [CONFIG.STORAGE_KEYS.PANEL_SESSIONS]: state
+  });
+  return state;
+};
+
+/**
+ * Reads the stored conversation URLs, dropping any that are not Arena pages
+ * @returns {Promise<Object<string, string>>} Arena URLs by session ID
+ */
+const readUrls = async () => {
+  const result = await storage.get(CONFIG.STORAGE_KEYS.PANEL_SESSION_URLS);
+  const stored = result[CONFIG.STORAGE_KEYS.PANEL_SESSION_URLS];
+  return Object.fromEntries(
+    Object.entries(stored && typeof stored === 'object' ? stored : {})
+      .filter(([id, url]) => isValidSessionId(id) && validation.isArenaUrl(url))
+  );
+};
+
+/**
+ * Persists the conversation URLs
+ * @param {Object<string, string>} urls - Arena URLs by session ID
+ * @returns {Promise<void>}
+ */
+const writeUrls = async (urls) => {
+  await storage.set({
+    [CONFIG.STORAGE_KEYS.PANEL_SESSION_URLS]: urls
+  });
+};
+
+let writeQueue = Promise.resolve();
+
+/**
+ * Runs a read-modify-write after the ones already queued, so overlapping calls (a rename
+ * while a conversation URL is being saved) cannot overwrite each other's changes
+ * @param {Function} task - Async function doing the read and the write
+ * @returns {Promise<*>} Result of the task
+ */
+const enqueueWrite = (task) => {
+  const run = writeQueue.then(task, task);
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Finds a session by ID
+ * @param {Object} state - Normalized state
+ * @param {*} id - Session ID
+ * @returns {Object} Session
+ * @throws {Error} If there is no such session
+ */
+const requireSession = (state, id) => {
+  const session = state.sessions.find((candidate) => candidate.id === id);
+  if (!session) {
+    throw new Error(ERROR_MESSAGES.PANEL_SESSION_NOT_FOUND);
+  }
+  return session;
+};
+
+export const panelSessions = Object.freeze({
+  /**
+   * Retrieves the sessions, with one default session when none are stored
+   * @returns {Promise<{sessions: Object[], activeId: string, targetId: string|null}>} State
+   */
+  async get() {
+    try {
+      return await readState();
+    } catch (error) {
+      logger.error('Failed to read panel sessions', error);
+      return normalizeState(null);
+    }
+  },
+
+  /**
+   * Adds a session after the others and shows it
+   * @returns {Promise<Object>} New state
+   * @throws {Error} If the session limit is reached
+   */
+  async add() {
+    try {
+      return await enqueueWrite(async () => {
+        const state = await readState();
+        if (state.sessions.length >= CONFIG.VALIDATION.MAX_PANEL_SESSIONS) {
+          throw new Error(ERROR_MESSAGES.PANEL_SESSION_LIMIT);
+        }
+
+        const session = createSession(nextDefaultName(state.sessions));
+        logger.info('Panel session added', { id: session.id });
+        return await writeState({ ...state, sessions: [...state.sessions, session], activeId: session.id });
+      });
+    } catch (error) {
+      logger.error('Failed to add panel session', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Renames a session
+   * @param {string} id - Session ID
+   * @param {string} name - New name
+   * @returns {Promise<Object>} New state
+   * @throws {Error} If the session does not exist or the name is empty
+   */
+  async rename(id, name) {
+    try {
+      return await enqueueWrite(async () => {
+        const state = await readState();
+        requireSession(state, id);
+        const normalized = normalizeName(name);
+
+        return await writeState({
+          ...state,
+          sessions: state.sessions.map((session) => (session.id === id ? { ...session, name: normalized } : session))
+        });
+      });
+    } catch (error) {
+      logger.error('Failed to rename panel session', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Closes a session. The last one cannot be closed; closing the shown session shows its
+   * neighbour, and closing the prompt target sends prompts to the shown session again.
+   * @param {string} id - Session ID
+   * @returns {Promise<Object>} New state
+   * @throws {Error} If the session does not exist
+   */
+  async remove(id) {
+    try {
+      return await enqueueWrite(async () => {
+        const state = await readState();
+        requireSession(state, id);
+        if (state.sessions.length === 1) {
+          return state;
+        }
+
+        const index = state.sessions.findIndex((session) => session.id === id);
+        const sessions = state.sessions.filter((session) => session.id !== id);
+        const activeId = state.activeId === id ? sessions[Math.min(index, sessions.length - 1)].id : state.activeId;
+
+        const urls = await readUrls();
+        if (Object.hasOwn(urls, id)) {
+          delete urls[id];
+          await writeUrls(urls);
+        }
+
+        logger.info('Panel session removed', { id });
+        return await writeState({
+          sessions,
+          activeId,
+          targetId: state.targetId === id ? null : state.targetId
+        });
+      });
+    } catch (error) {
+      logger.error('Failed to remove panel session', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remembers which session is on show
+   * @param {string} id - Session ID
+   * @returns {Promise<Object>} New state
+   * @throws {Error} If the session does not exist
+   */
+  async activate(id) {
+    try {
+      return await enqueueWrite(async () => {
+        const state = await readState();
+        requireSession(state, id);
+        return await writeState({ ...state, activeId: id });
+      });
+    } catch (error) {
+      logger.error('Failed to activate panel session', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Pins prompts to a session, or with null lets them follow the session on show
+   * @param {string|null} id - Session ID or null
+   * @returns {Promise<Object>} New state
+   * @throws {Error} If the session does not exist
+   */
+  async setTarget(id) {
+    try {
+      return await enqueueWrite(async () => {
+        const state = await readState();
+        if (id !== null) {
+          requireSession(state, id);
+        }
+        return await writeState({ ...state, targetId: id });
+      });
+    } catch (error) {
+      logger.error('Failed to set panel session target', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Retrieves the conversation each session showed last, for sessions that still exist
+   * @returns {Promise<Object<string, string>>} Arena URLs by session ID
+   */
+  async getUrls() {
+    try {
+      const [state, urls] = await Promise.all([readState(), readUrls()]);
+      return Object.fromEntries(
+        state.sessions.filter((session) => Object.hasOwn(urls, session.id)).map((session) => [session.id, urls[session.id]])
+      );
+    } catch (error) {
+      logger.error('Failed to read panel session URLs', error);
+      return {};
+    }
+  },
+
+  /**
+   * Remembers the conversation a session shows, so it reopens there
+   * @param {string} id - Session ID
+   * @param {string} url - Arena URL matching ARENA_HOST_PATTERNS
+   * @returns {Promise<void>}
+   * @throws {Error} If the session ID or the URL is invalid
+   */
+  async saveUrl(id, url) {
+    try {
+      return await enqueueWrite(async () => {
+        if (!isValidSessionId(id) || !validation.isArenaUrl(url)) {
+          throw new Error(ERROR_MESSAGES.INVALID_CONVERSATION_URL);
+        }
+
+        const urls = await readUrls();
+        if (urls[id] !== url) {
+          await writeUrls({ ...urls, [id]: url });
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to save panel session URL', error);
+      throw error;
+    }
+  }
+});
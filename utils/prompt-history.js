@@ -0,0 +1,303 @@
+/**
+ * Prompt History Module
+ * Keeps the prompts sent to Arena with their source page and injection outcome
+ * @module prompt-history
+ * @author Mohammad Faiz
+ * @version 1.7.0
+ */
+
+import { storage } from './storage.js';
+import { CONFIG, ERROR_MESSAGES, HISTORY_STATUS } from './constants.js';
+import { logger } from './logger.js';
+import { validation } from './validation.js';
+
+const ENTRY_ID_PATTERN = /^[a-z0-9-]{8,128}$/i;
+
+// Read-modify-write operations run one at a time so concurrent outcomes are not lost
+let historyLock = Promise.resolve();
+
+/**
+ * Runs a history update after the previous one has finished
+ * @param {Function} task - Async update
+ * @returns {Promise<*>} Result of the task
+ */
+const withHistoryLock = (task) => {
+  const run = historyLock.then(task);
+  historyLock = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Validates a history entry ID
+ * @param {*} id - Value to validate
+ * @returns {boolean} Validation result
+ */
+const isValidEntryId = (id) => typeof id === 'string' && ENTRY_ID_PATTERN.test(id);
+
+/**
+ * Validates the answers captured for a prompt
+ * @param {*} responses - Value to validate
+ * @returns {boolean} Validation result
+ */
+const isValidResponses = (responses) =>
+  Array.isArray(responses) &&
+  responses.length > 0 &&
+  responses.length <= CONFIG.VALIDATION.MAX_CAPTURED_RESPONSES &&
+  responses.every((response) =>
+    typeof response === 'string' &&
+    response.length > 0 &&
+    response.length <= CONFIG.VALIDATION.MAX_RESPONSE_LENGTH);
+
+/**
+ * Validates a stored history entry structure
+ * @param {*} entry - History entry object
+ * @returns {boolean} Validation result
+ */
+const validateEntry = (entry) =>
+  Boolean(entry) &&
+  typeof entry === 'object' &&
+  isValidEntryId(entry.id) &&
+  typeof entry.prompt === 'string' &&
+  entry.prompt.length > 0 &&
+  entry.prompt.length <= CONFIG.VALIDATION.MAX_PROMPT_LENGTH &&
+  typeof entry.action === 'string' &&
+  typeof entry.actionLabel === 'string' &&
+  typeof entry.url === 'string' &&
+  typeof entry.title === 'string' &&
+  Number.isFinite(entry.timestamp) &&
+  Object.values(HISTORY_STATUS).includes(entry.status) &&
+  (entry.responses === undefined || isValidResponses(entry.responses));
+
+/**
+ * Measures the stored size of a value in bytes
+ * @param {*} value - JSON-serializable value
+ * @returns {number} Size in bytes
+ */
+const byteSize = (value) => new TextEncoder().encode(JSON.stringify(value)).length;
+
+/**
+ * Reads the stored history, newest first, dropping malformed entries
+ * @returns {Promise<Object[]>} History entries
+ */
+const readEntries = async () => {
+  const result = await storage.get(CONFIG.STORAGE_KEYS.PROMPT_HISTORY);
+  const entries = result[CONFIG.STORAGE_KEYS.PROMPT_HISTORY];
+
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  const valid = entries.filter(validateEntry);
+  if (valid.length !== entries.length) {
+    logger.warn('Dropping malformed prompt history entries', { dropped: entries.length - valid.length });
+  }
+
+  return valid;
+};
+
+/**
+ * Drops the oldest entries until the history fits the storage budget:
+ * total usage must stay below CONFIG.STORAGE.MAX_USAGE_RATIO of the quota
+ * @param {Object[]} entries - History entries, newest first
+ * @param {number} storedBytes - Size of the history currently in storage
+ * @returns {Promise<Object[]>} Entries that fit
+ */
+const trimToQuota = async (entries, storedBytes) => {
+  const { usage, quota } = await storage.getUsage();
+  if (!quota) {
+    return entries;
+  }
+
+  const budget = quota * CONFIG.STORAGE.MAX_USAGE_RATIO - Math.max(0, usage - storedBytes);
+  const sizes = entries.map(byteSize);
+  let total = sizes.reduce((sum, size) => sum + size, 0);
+  let kept = entries.length;
+
+  while (kept > 1 && total > budget) {
+    kept -= 1;
+    total -= sizes[kept];
+  }
+
+  if (kept < entries.length) {
+    logger.warn('Prompt history trimmed to stay within the storage quota', { dropped: entries.length - kept });
+  }
+
+  return entries.slice(0, kept);
+};
+
+/**
+ * Persists the history verbatim, so a resent prompt is exactly the one that was sent
+ * @param {Object[]} entries - History entries, newest first
+ * @returns {Promise<void>}
+ * @throws {Error} If storage stays full after dropping the older half of the history
+ */
+const writeEntries = async (entries) => {
+  try {
+    await storage.set({ [CONFIG.STORAGE_KEYS.PROMPT_HISTORY]: entries }, { raw: true });
+  } catch (error) {
+    if (error.message !== ERROR_MESSAGES.STORAGE_QUOTA_EXCEEDED || entries.length <= 1) {
+      throw error;
+    }
+
+    logger.warn(ERROR_MESSAGES.STORAGE_QUOTA_EXCEEDED, { entries: entries.length });
+    await storage.set({
+      [CONFIG.STORAGE_KEYS.PROMPT_HISTORY]: entries.slice(0, Math.ceil(entries.length / 2))
+    }, { raw: true });
+  }
+};
+
+export const promptHistory = Object.freeze({
+  /**
+   * Retrieves the prompt history, newest first
+   * @returns {Promise<Object[]>} History entries
+   */
+  async list() {
+    try {
+      return await readEntries();
+    } catch (error) {
+      logger.error('Failed to list prompt history', error);
+      return [];
+    }
+  },
+
+  /**
+   * Retrieves a single history entry by ID
+   * @param {string} id - Entry ID (the action ID it was sent with)
+   * @returns {Promise<Object|null>} History entry or null if not found
+   */
+  async get(id) {
+    if (!isValidEntryId(id)) {
+      return null;
+    }
+
+    const entries = await this.list();
+    return entries.find((entry) => entry.id === id) || null;
+  },
+
+  /**
+   * Records a prompt as pending, applying the retention limit and the storage budget
+   * @param {Object} input - Entry data with id, prompt, action, actionLabel, url and title
+   * @returns {Promise<Object>} The recorded entry
+   * @throws {Error} If the entry is invalid or cannot be stored
+   */
+  async record(input) {
+    try {
+      const entry = {
+        id: input?.id,
+        prompt: input?.prompt,
+        action: validation.sanitizeInput(input?.action, CONFIG.VALIDATION.MAX_STRING_LENGTH),
+        actionLabel: validation.sanitizeInput(input?.actionLabel, CONFIG.VALIDATION.MAX_ACTION_TITLE_LENGTH),
+        url: validation.isUrl(input?.url, CONFIG.VALIDATION.MAX_PAGE_URL_LENGTH) ? input.url : '',
+        title: validation.sanitizeInput(input?.title, CONFIG.VALIDATION.MAX_PAGE_TITLE_LENGTH),
+        timestamp: Date.now(),
+        status: HISTORY_STATUS.PENDING,
+        error: null
+      };
+
+      if (!validateEntry(entry)) {
+        throw new Error(ERROR_MESSAGES.INVALID_DATA);
+      }
+
+      await withHistoryLock(async () => {
+        const entries = await readEntries();
+        const next = [entry, ...entries.filter((existing) => existing.id !== entry.id)]
+          .slice(0, CONFIG.VALIDATION.MAX_HISTORY_ENTRIES);
+        await writeEntries(await trimToQuota(next, byteSize(entries)));
+      });
+
+      logger.debug('Prompt recorded in history', { id: entry.id });
+      return entry;
+    } catch (error) {
+      logger.error('Failed to record prompt history', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Records the injection outcome of a prompt
+   * @param {string} id - Entry ID
+   * @param {string} status - HISTORY_STATUS value
+   * @param {string} [error] - Failure reason
+   * @returns {Promise<void>}
+   */
+  async updateStatus(id, status, error = null) {
+    if (!isValidEntryId(id) || !Object.values(HISTORY_STATUS).includes(status)) {
+      return;
+    }
+
+    try {
+      await withHistoryLock(async () => {
+        const entries = await readEntries();
+        const entry = entries.find((existing) => existing.id === id);
+        if (!entry) {
+          return;
+        }
+
+        entry.status = status;
+        entry.error = status === HISTORY_STATUS.FAILED
+          ? validation.sanitizeInput(error || ERROR_MESSAGES.PROMPT_INJECTION_FAILED, CONFIG.VALIDATION.MAX_STRING_LENGTH)
+          : null;
+        await writeEntries(entries);
+      });
+    } catch (updateError) {
+      logger.error('Failed to update prompt history', updateError);
+    }
+  },
+
+  /**
+   * Stores the Markdown answers Arena gave to a prompt, replacing earlier captures.
+   * Like prompts, they are kept verbatim so they can be copied back out unchanged.
+   * @param {string} id - Entry ID
+   * @param {string[]} responses - One Markdown answer per model
+   * @returns {Promise<boolean>} Whether an entry was updated
+   */
+  async recordResponses(id, responses) {
+    if (!isValidEntryId(id) || !isValidResponses(responses)) {
+      return false;
+    }
+
+    try {
+      return await withHistoryLock(async () => {
+        const entries = await readEntries();
+        const entry = entries.find((existing) => existing.id === id);
+        if (!entry) {
+          return false;
+        }
+
+        const storedBytes = byteSize(entries);
+        entry.responses = [...responses];
+        entry.respondedAt = Date.now();
+        await writeEntries(await trimToQuota(entries, storedBytes));
+        return true;
+      });
+    } catch (error) {
+      logger.error('Failed to record captured response', error);
+      return false;
+    }
+  },
+
+  /**
+   * Deletes a history entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<void>}
+   * @throws {Error} If the entry does not exist
+   */
+  async remove(id) {
+    try {
+      await withHistoryLock(async () => {
+        const entries = await readEntries();
+        const remaining = entries.filter((entry) => entry.id !== id);
+
+        if (remaining.length === entries.length) {
+          throw new Error(ERROR_MESSAGES.HISTORY_ENTRY_NOT_FOUND);
+        }
+
+        await writeEntries(remaining);
+      });
+      logger.info('Prompt history entry removed', { id });
+    } catch (error) {
+      logger.error('Failed to remove prompt history entry', error);
+      throw error;
+    }
+  }
+});
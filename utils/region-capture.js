@@ -0,0 +1,184 @@
+/**
+ * Region Capture Module
+ * Lets the user pick a region of the visible page and crops a screenshot to it
+ * @module region-capture
+ * @author Mohammad Faiz
+ * @version 1.7.0
+ */
+
+/**
+ * Shows a crop overlay over the page and waits for the user to drag out a region.
+ * Escape, a click without dragging or the timeout cancel it. The overlay is removed and
+ * painted away before the promise resolves, so it never shows up in the screenshot.
+ * Runs in the page through chrome.scripting, so it must not reference anything outside itself.
+ * @param {number} timeoutMs - Time after which the overlay cancels itself
+ * @returns {Promise<{x: number, y: number, width: number, height: number, viewportWidth: number}|null>}
+ *   Region in CSS pixels relative to the viewport, or null if cancelled
+ */
+const selectRegion = (timeoutMs) => new Promise((resolve) => {
+  const HOST_ID = 'arena-companion-region-capture';
+  const MIN_SIZE = 4;
+
+  document.getElementById(HOST_ID)?.remove();
+
+  // Styles are set through CSSOM so page CSP rules against inline styles do not apply
+  const host = document.createElement('div');
+  host.id = HOST_ID;
+  Object.assign(host.style, { position: 'fixed', inset: '0', zIndex: '2147483647', cursor: 'crosshair' });
+
+  const root = host.attachShadow({ mode: 'closed' });
+
+  const shade = document.createElement('div');
+  Object.assign(shade.style, { position: 'absolute', inset: '0', background: 'rgba(0, 0, 0, 0.35)' });
+
+  const box = document.createElement('div');
+  Object.assign(box.style, {
+    position: 'absolute',
+    display: 'none',
+    border: '2px dashed #ffffff',
+    boxShadow: '0 0 0 100vmax rgba(0, 0, 0, 0.35)',
+    boxSizing: 'border-box'
+  });
+
+  const hint = document.createElement('div');
+  hint.textContent = 'Drag to capture a region for Arena · Esc to cancel';
+  Object.assign(hint.style, {
+    position: 'absolute',
+    top: '16px',
+    left: '50%',
+    transform: 'translateX(-50%)',
+    padding: '6px 12px',
+    borderRadius: '6px',
+    background: '#202124',
+    color: '#ffffff',
+    font: '13px system-ui, sans-serif',
+    pointerEvents: 'none'
+  });
+
+  root.append(shade, box, hint);
+
+  let start = null;
+  let region = null;
+  let timeoutId = null;
+
+  const finish = (result) => {
+    clearTimeout(timeoutId);
+    window.removeEventListener('keydown', handleKeydown, true);
+    host.remove();
+    // Two frames so the removed overlay is no longer on screen when the tab is captured
+    requestAnimationFrame(() => requestAnimationFrame(() => resolve(result)));
+  };
+
+  const handleKeydown = (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      finish(null);
+    }
+  };
+
+  host.addEventListener('pointerdown', (event) => {
+    event.preventDefault();
+    host.setPointerCapture(event.pointerId);
+    start = { x: event.clientX, y: event.clientY };
+    region = null;
+    shade.style.display = 'none';
+    box.style.display = 'block';
+  });
+
+  host.addEventListener('pointermove', (event) => {
+    if (!start) {
+      return;
+    }
+    region = {
+      x: Math.min(start.x, event.clientX),
+      y: Math.min(start.y, event.clientY),
+      width: Math.abs(event.clientX - start.x),
+      height: Math.abs(event.clientY - start.y)
+    };
+    Object.assign(box.style, {
+      left: `${region.x}px`,
+      top: `${region.y}px`,
+      width: `${region.width}px`,
+      height: `${region.height}px`
+    });
+  });
+
+  host.addEventListener('pointerup', () => {
+    start = null;
+    if (region && region.width >= MIN_SIZE && region.height >= MIN_SIZE) {
+      finish({ ...region, viewportWidth: window.innerWidth });
+    } else {
+      finish(null);
+    }
+  });
+
+  window.addEventListener('keydown', handleKeydown, true);
+  timeoutId = setTimeout(() => finish(null), timeoutMs);
+  document.documentElement.append(host);
+});
+
+/**
+ * Checks that a region reported by the page is a usable rectangle
+ * @param {*} region - Value resolved by selectRegion
+ * @returns {boolean} Validation result
+ */
+const isValidRegion = (region) =>
+  Boolean(region) &&
+  typeof region === 'object' &&
+  ['x', 'y', 'width', 'height', 'viewportWidth'].every((key) => Number.isFinite(region[key])) &&
+  region.width > 0 &&
+  region.height > 0 &&
+  region.viewportWidth > 0;
+
+/**
+ * Encodes a blob as a base64 data URL without FileReader
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<string>} Data URL
+ */
+const toDataUrl = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  // Chunked so String.fromCharCode never receives more arguments than the engine allows
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return `data:${blob.type};base64,${btoa(binary)}`;
+};
+
+/**
+ * Crops a visible-tab screenshot to a region picked in the page.
+ * The screenshot is scaled by the device pixel ratio, which is derived from the viewport width.
+ * @param {string} screenshotUrl - PNG data URL from chrome.tabs.captureVisibleTab
+ * @param {Object} region - Region resolved by selectRegion
+ * @returns {Promise<string>} Cropped PNG as a data URL
+ * @throws {Error} If the region is malformed or lies outside the screenshot
+ */
+const crop = async (screenshotUrl, region) => {
+  if (!isValidRegion(region)) {
+    throw new Error('Invalid capture region');
+  }
+
+  const bitmap = await createImageBitmap(await (await fetch(screenshotUrl)).blob());
+  try {
+    const scale = bitmap.width / region.viewportWidth;
+    const left = Math.max(0, Math.round(region.x * scale));
+    const top = Math.max(0, Math.round(region.y * scale));
+    const width = Math.min(bitmap.width - left, Math.round(region.width * scale));
+    const height = Math.min(bitmap.height - top, Math.round(region.height * scale));
+    if (width <= 0 || height <= 0) {
+      throw new Error('Capture region is outside the visible page');
+    }
+
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').drawImage(bitmap, left, top, width, height, 0, 0, width, height);
+    return toDataUrl(await canvas.convertToBlob({ type: 'image/png' }));
+  } finally {
+    bitmap.close();
+  }
+};
+
+export const regionCapture = Object.freeze({
+  selectRegion,
+  crop
+});
@@ -0,0 +1,128 @@
+/**
+ * Replace Selection Module
+ * Remembers where an editable selection came from and swaps Arena's answer in for it
+ * @module replace-selection
+ * @author Mohammad Faiz
+ * @version 1.7.0
+ */
+
+/**
+ * Remembers the selection in the focused text field or contenteditable element under a token,
+ * so applyReplacement can find it again once the answer arrives. Targets live in the
+ * extension's isolated world of the frame, out of reach of page scripts, and the oldest
+ * are forgotten beyond the limit.
+ * Runs in the page through chrome.scripting, so it must not reference anything outside itself.
+ * @param {string} token - Action ID the selection belongs to
+ * @param {number} limit - Most targets kept per frame
+ * @returns {boolean} Whether an editable selection was found
+ */
+const rememberSelection = (token, limit) => {
+  const targets = (globalThis.arenaCompanionReplaceTargets ||= new Map());
+  const field = document.activeElement;
+  let target = null;
+
+  const isTextField = field instanceof HTMLTextAreaElement ||
+    (field instanceof HTMLInputElement && field.type !== 'password');
+  // selectionStart is null for input types without a text selection
+  if (isTextField && !field.readOnly && !field.disabled && field.selectionEnd > field.selectionStart) {
+    const original = field.value.slice(field.selectionStart, field.selectionEnd);
+    target = { element: field, start: field.selectionStart, original, current: original };
+  } else {
+    const selection = window.getSelection();
+    const range = selection?.rangeCount ? selection.getRangeAt(0) : null;
+    const container = range?.commonAncestorContainer;
+    let element = container?.nodeType === Node.ELEMENT_NODE ? container : container?.parentElement;
+    if (range && !range.collapsed && element?.isContentEditable) {
+      // The editing host is the element that takes focus
+      while (element.parentElement?.isContentEditable) {
+        element = element.parentElement;
+      }
+      const original = range.toString();
+      target = { element, range: range.cloneRange(), original, current: original };
+    }
+  }
+
+  if (!target) {
+    return false;
+  }
+
+  targets.delete(token);
+  targets.set(token, target);
+  for (const key of targets.keys()) {
+    if (targets.size <= limit) {
+      break;
+    }
+    targets.delete(key);
+  }
+  return true;
+};
+
+/**
+ * Replaces the text remembered under a token, or puts the original back when text is null.
+ * Edits go through the insertText command so page frameworks see normal input and Ctrl+Z
+ * undoes them too; the text must still read as it was left, or nothing is touched.
+ * Runs in the page through chrome.scripting, so it must not reference anything outside itself.
+ * @param {string} token - Action ID the selection was remembered under
+ * @param {string|null} text - Replacement text, or null to restore the original
+ * @returns {'applied'|'missing'|'changed'} Outcome
+ */
+const applyReplacement = (token, text) => {
+  const target = globalThis.arenaCompanionReplaceTargets?.get(token);
+  if (!target?.element.isConnected) {
+    return 'missing';
+  }
+
+  const { element, current } = target;
+  // Fields report line breaks as \n, and single-line inputs drop them
+  const lineBreaks = element instanceof HTMLInputElement ? '' : '\n';
+  const next = (text ?? target.original).replace(/\r\n?|\n/g, target.range ? '\n' : lineBreaks);
+  const comparable = (value) => value.replace(/\s+/g, '');
+
+  if (target.range) {
+    // Line breaks in contenteditable become elements, which Range#toString drops
+    if (comparable(target.range.toString()) !== comparable(current)) {
+      return 'changed';
+    }
+
+    element.focus();
+    const marker = target.range.cloneRange();
+    marker.collapse(true);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    // A copy, because Chrome keeps a range added to the selection in step with later edits
+    selection.addRange(target.range.cloneRange());
+
+    if (document.execCommand('insertText', false, next)) {
+      marker.setEnd(selection.focusNode, selection.focusOffset);
+    } else {
+      const range = selection.getRangeAt(0);
+      const node = document.createTextNode(next);
+      range.deleteContents();
+      range.insertNode(node);
+      marker.setStartBefore(node);
+      marker.setEndAfter(node);
+      element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: next }));
+    }
+    target.range = marker;
+  } else {
+    const end = target.start + current.length;
+    if (element.value.slice(target.start, end) !== current) {
+      return 'changed';
+    }
+
+    element.focus();
+    element.setSelectionRange(target.start, end);
+    if (!document.execCommand('insertText', false, next)) {
+      element.setRangeText(next, target.start, end, 'end');
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+  }
+
+  target.current = next;
+  return 'applied';
+};
+
+export const replaceSelection = Object.freeze({
+  rememberSelection,
+  applyReplacement
+});
@@ -0,0 +1,507 @@
+/**
+ * Settings Module
+ * Persists user preferences edited on the options page
+ * @module settings
+ * @author Mohammad Faiz
+ * @version 1.7.0
+ */
+
+import { storage } from './storage.js';
+import { validation } from './validation.js';
+import { logger } from './logger.js';
+import {
+  ARENA_TOOLS_ACTIONS,
+  CLEANUP_RULES,
+  CONFIG,
+  ERROR_MESSAGES,
+  INJECTION_TARGETS,
+  LOG_LEVELS,
+  PANEL_MODES,
+  PROMPT_TEMPLATES,
+  SELECTOR_OVERRIDE_ROLES,
+  SEND_MODES,
+  SITE_CLICK_ACTIONS
+} from './constants.js';
+
+const TIMEOUT_KEYS = Object.keys(CONFIG.VALIDATION.TIMEOUT_RANGES);
+const SELECTOR_ROLES = Object.values(SELECTOR_OVERRIDE_ROLES);
+
+// Custom action IDs, as generated by custom-actions.js
+const CUSTOM_ACTION_ID_PATTERN = /^[a-z0-9-]{8,64}$/i;
+
+// Saves run one at a time so a partial update cannot overwrite another one made meanwhile
+let settingsLock = Promise.resolve();
+
+/**
+ * Runs a settings save after the previous one has finished
+ * @param {Function} task - Async read-modify-write
+ * @returns {Promise<*>} Result of the task
+ */
+const withSettingsLock = (task) => {
+  const run = settingsLock.then(task);
+  settingsLock = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Builds the default settings object, including the editable CONFIG.TIMEOUTS entries
+ * @returns {Object} Fresh default settings
+ */
+const createDefaults = () => ({
+  ...CONFIG.DEFAULTS.SETTINGS,
+  sendModes: {},
+  promptTemplates: {},
+  selectorOverrides: Object.fromEntries(SELECTOR_ROLES.map((role) => [role, []])),
+  cleanupRules: CLEANUP_RULES.map((rule) => ({ ...rule })),
+  siteRules: [],
+  timeouts: Object.fromEntries(TIMEOUT_KEYS.map((key) => [key, CONFIG.TIMEOUTS[key]]))
+});
+
+/**
+ * Validates and sanitizes built-in prompt template overrides.
+ * Empty strings clear an override so the built-in template applies again.
+ * @param {*} templates - Overrides keyed by PROMPT_TEMPLATES action
+ * @returns {Object<string, string|null>} Sanitized overrides, null marks a cleared entry
+ * @throws {Error} If an override targets an unknown action
+ */
+const sanitizePromptTemplates = (templates) => {
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+  }
+
+  const sanitized = {};
+  for (const [action, template] of Object.entries(templates)) {
+    if (!Object.hasOwn(PROMPT_TEMPLATES, action) || typeof template !== 'string') {
+      throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+    }
+    const value = validation.sanitizeTemplate(template);
+    sanitized[action] = value && value !== PROMPT_TEMPLATES[action] ? value : null;
+  }
+  return sanitized;
+};
+
+/**
+ * Checks that a per-action send mode targets a built-in or custom action
+ * @param {string} action - PROMPT_TEMPLATES key or custom action ID
+ * @param {*} mode - Value to validate
+ * @returns {boolean} Validation result
+ */
+const isValidSendMode = (action, mode) =>
+  (Object.hasOwn(PROMPT_TEMPLATES, action) || CUSTOM_ACTION_ID_PATTERN.test(action)) &&
+  Object.values(SEND_MODES).includes(mode);
+
+/**
+ * Validates per-action send mode overrides. A null mode clears an override so the
+ * default send mode applies again.
+ * @param {*} sendModes - Modes keyed by built-in action or custom action ID
+ * @returns {Object<string, string|null>} Validated overrides, null marks a cleared entry
+ * @throws {Error} If an override is malformed
+ */
+const validateSendModes = (sendModes) => {
+  if (!sendModes || typeof sendModes !== 'object' || Array.isArray(sendModes)) {
+    throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+  }
+
+  for (const [action, mode] of Object.entries(sendModes)) {
+    if (mode !== null && !isValidSendMode(action, mode)) {
+      throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+    }
+  }
+  return { ...sendModes };
+};
+
+/**
+ * Validates timeout overrides against CONFIG.VALIDATION.TIMEOUT_RANGES
+ * @param {*} timeouts - Timeout values keyed by CONFIG.TIMEOUTS name
+ * @returns {Object<string, number>} Validated timeouts
+ * @throws {Error} If a value is unknown or out of range
+ */
+const validateTimeouts = (timeouts) => {
+  if (!timeouts || typeof timeouts !== 'object' || Array.isArray(timeouts)) {
+    throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+  }
+
+  for (const [key, value] of Object.entries(timeouts)) {
+    const range = CONFIG.VALIDATION.TIMEOUT_RANGES[key];
+    if (!Object.hasOwn(CONFIG.VALIDATION.TIMEOUT_RANGES, key) || !validation.isIntegerInRange(value, range)) {
+      throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+    }
+  }
+  return { ...timeouts };
+};
+
+/**
+ * Validates selector overrides. Each role given replaces its whole list; an empty list
+ * clears it. Selectors are trimmed and duplicates dropped.
+ * @param {*} overrides - Selector lists keyed by SELECTOR_OVERRIDE_ROLES value
+ * @returns {Object<string, string[]>} Validated lists for the roles given
+ * @throws {Error} If a role is unknown, a list is too long or a selector is unsafe
+ */
+const validateSelectorOverrides = (overrides) => {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error(ERROR_MESSAGES.INVALID_SELECTOR_OVERRIDES);
+  }
+
+  const validated = {};
+  for (const [role, selectors] of Object.entries(overrides)) {
+    if (
+      !SELECTOR_ROLES.includes(role) ||
+      !Array.isArray(selectors) ||
+      selectors.length > CONFIG.VALIDATION.MAX_SELECTOR_OVERRIDES ||
+      !selectors.every((selector) => validation.isSafeSelector(selector, CONFIG.VALIDATION.MAX_SELECTOR_LENGTH))
+    ) {
+      throw new Error(ERROR_MESSAGES.INVALID_SELECTOR_OVERRIDES);
+    }
+    validated[role] = [...new Set(selectors.map((selector) => selector.trim()))];
+  }
+  return validated;
+};
+
+/**
+ * Checks one page cleanup rule
+ * @param {*} rule - Rule with label, selector and enabled flag
+ * @returns {boolean} Validation result
+ */
+const isValidCleanupRule = (rule) =>
+  Boolean(rule) &&
+  typeof rule === 'object' &&
+  typeof rule.label === 'string' &&
+  rule.label.trim().length > 0 &&
+  rule.label.length <= CONFIG.VALIDATION.MAX_CLEANUP_LABEL_LENGTH &&
+  validation.isSafeSelector(rule.selector, CONFIG.VALIDATION.MAX_SELECTOR_LENGTH) &&
+  typeof rule.enabled === 'boolean';
+
+/**
+ * Validates the page cleanup rule list, which replaces the saved one as a whole
+ * @param {*} rules - Rules in display order
+ * @returns {Array<{label: string, selector: string, enabled: boolean}>} Sanitized rules
+ * @throws {Error} If the list is too long or a rule is invalid
+ */
+const validateCleanupRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length > CONFIG.VALIDATION.MAX_CLEANUP_RULES || !rules.every(isValidCleanupRule)) {
+    throw new Error(ERROR_MESSAGES.INVALID_CLEANUP_RULES);
+  }
+
+  return rules.map(({ label, selector, enabled }) => ({
+    label: validation.sanitizeInput(label, CONFIG.VALIDATION.MAX_CLEANUP_LABEL_LENGTH) || selector.trim(),
+    selector: selector.trim(),
+    enabled
+  }));
+};
+
+/**
+ * Checks one site rule: a match pattern, the Arena Tools entries hidden on matching tabs
+ * and the action the toolbar icon runs there
+ * @param {*} rule - Rule with pattern, hiddenActions and clickAction
+ * @returns {boolean} Validation result
+ */
+const isValidSiteRule = (rule) =>
+  Boolean(rule) &&
+  typeof rule === 'object' &&
+  validation.isUrlPattern(rule.pattern, CONFIG.VALIDATION.MAX_URL_PATTERN_LENGTH) &&
+  Array.isArray(rule.hiddenActions) &&
+  rule.hiddenActions.length <= ARENA_TOOLS_ACTIONS.length + CONFIG.VALIDATION.MAX_CUSTOM_ACTIONS &&
+  rule.hiddenActions.every((action) => ARENA_TOOLS_ACTIONS.includes(action) || CUSTOM_ACTION_ID_PATTERN.test(action)) &&
+  (rule.clickAction === null || SITE_CLICK_ACTIONS.includes(rule.clickAction) || CUSTOM_ACTION_ID_PATTERN.test(rule.clickAction));
+
+/**
+ * Copies the known fields of a valid site rule, without duplicate hidden entries. Rules saved
+ * with the removed autoOpen field lose it here.
+ * @param {Object} rule - Valid site rule
+ * @returns {{pattern: string, hiddenActions: string[], clickAction: string|null}} Rule
+ */
+const copySiteRule = ({ pattern, hiddenActions, clickAction }) => ({
+  pattern,
+  hiddenActions: [...new Set(hiddenActions)],
+  clickAction
+});
+
+/**
+ * Validates the site rule list, which replaces the saved one as a whole
+ * @param {*} rules - Rules in the order they are tried
+ * @returns {Object[]} Validated rules
+ * @throws {Error} If the list is too long or a rule is invalid
+ */
+const validateSiteRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length > CONFIG.VALIDATION.MAX_SITE_RULES || !rules.every(isValidSiteRule)) {
+    throw new Error(ERROR_MESSAGES.INVALID_SITE_RULES);
+  }
+
+  return rules.map(copySiteRule);
+};
+
+/**
+ * Merges stored settings over the defaults, dropping anything that no longer validates
+ * @param {*} stored - Raw stored settings
+ * @returns {Object} Complete settings object
+ */
+const mergeWithDefaults = (stored) => {
+  const merged = createDefaults();
+  if (!stored || typeof stored !== 'object') {
+    return merged;
+  }
+
+  if (Object.values(SEND_MODES).includes(stored.sendMode)) {
+    merged.sendMode = stored.sendMode;
+  } else if (stored.autoSend === false) {
+    // Saved before send modes replaced the auto-send checkbox, which also focused the composer
+    merged.sendMode = SEND_MODES.FILL_AND_FOCUS;
+  }
+
+  if (stored.sendModes && typeof stored.sendModes === 'object') {
+    for (const [action, mode] of Object.entries(stored.sendModes)) {
+      if (isValidSendMode(action, mode)) {
+        merged.sendModes[action] = mode;
+      }
+    }
+  }
+
+  if (Object.values(INJECTION_TARGETS).includes(stored.injectionTarget)) {
+    merged.injectionTarget = stored.injectionTarget;
+  }
+
+  if (Object.values(PANEL_MODES).includes(stored.panelMode)) {
+    merged.panelMode = stored.panelMode;
+  }
+
+  if (Object.values(LOG_LEVELS).includes(stored.logLevel)) {
+    merged.logLevel = stored.logLevel;
+  }
+
+  if (stored.timeouts && typeof stored.timeouts === 'object') {
+    for (const key of TIMEOUT_KEYS) {
+      if (validation.isIntegerInRange(stored.timeouts[key], CONFIG.VALIDATION.TIMEOUT_RANGES[key])) {
+        merged.timeouts[key] = stored.timeouts[key];
+      }
+    }
+  }
+
+  if (stored.promptTemplates && typeof stored.promptTemplates === 'object') {
+    for (const [action, template] of Object.entries(stored.promptTemplates)) {
+      if (Object.hasOwn(PROMPT_TEMPLATES, action) && typeof template === 'string' && template) {
+        merged.promptTemplates[action] = template;
+      }
+    }
+  }
+
+  if (stored.selectorOverrides && typeof stored.selectorOverrides === 'object') {
+    for (const role of SELECTOR_ROLES) {
+      const selectors = stored.selectorOverrides[role];
+      if (Array.isArray(selectors)) {
+        merged.selectorOverrides[role] = selectors
+          .filter((selector) => validation.isSafeSelector(selector, CONFIG.VALIDATION.MAX_SELECTOR_LENGTH))
+          .slice(0, CONFIG.VALIDATION.MAX_SELECTOR_OVERRIDES);
+      }
+    }
+  }
+
+  // A stored list replaces the defaults, even when empty: the user removed every rule
+  if (Array.isArray(stored.cleanupRules)) {
+    merged.cleanupRules = stored.cleanupRules
+      .filter(isValidCleanupRule)
+      .slice(0, CONFIG.VALIDATION.MAX_CLEANUP_RULES)
+      .map(({ label, selector, enabled }) => ({ label, selector, enabled }));
+  }
+
+  if (typeof stored.compactMode === 'boolean') {
+    merged.compactMode = stored.compactMode;
+  }
+
+  if (typeof stored.restoreConversation === 'boolean') {
+    merged.restoreConversation = stored.restoreConversation;
+  }
+
+  if (Array.isArray(stored.siteRules)) {
+    merged.siteRules = stored.siteRules
+      .filter(isValidSiteRule)
+      .slice(0, CONFIG.VALIDATION.MAX_SITE_RULES)
+      .map(copySiteRule);
+  }
+
+  return merged;
+};
+
+export const settings = Object.freeze({
+  /**
+   * Retrieves settings merged with defaults
+   * @returns {Promise<Object>} Settings object
+   */
+  async get() {
+    try {
+      const result = await storage.get(CONFIG.STORAGE_KEYS.SETTINGS);
+      return mergeWithDefaults(result[CONFIG.STORAGE_KEYS.SETTINGS]);
+    } catch (error) {
+      logger.error('Failed to get settings', error);
+      return createDefaults();
+    }
+  },
+
+  /**
+   * Validates and saves a partial settings update
+   * @param {Object} updates - Settings fields to change
+   * @returns {Promise<Object>} The complete saved settings
+   * @throws {Error} If any field is invalid
+   */
+  async save(updates) {
+    try {
+      if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+        throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+      }
+
+      return await withSettingsLock(async () => {
+        const current = await this.get();
+        const next = { ...current };
+
+        if (Object.hasOwn(updates, 'sendMode')) {
+          if (!Object.values(SEND_MODES).includes(updates.sendMode)) {
+            throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+          }
+          next.sendMode = updates.sendMode;
+        }
+
+        if (Object.hasOwn(updates, 'sendModes')) {
+          const sendModes = { ...current.sendModes };
+          for (const [action, mode] of Object.entries(validateSendModes(updates.sendModes))) {
+            if (mode === null) {
+              delete sendModes[action];
+            } else {
+              sendModes[action] = mode;
+            }
+          }
+          if (Object.keys(sendModes).length > Object.keys(PROMPT_TEMPLATES).length + CONFIG.VALIDATION.MAX_CUSTOM_ACTIONS) {
+            throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+          }
+          next.sendModes = sendModes;
+        }
+
+        if (Object.hasOwn(updates, 'injectionTarget')) {
+          if (!Object.values(INJECTION_TARGETS).includes(updates.injectionTarget)) {
+            throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+          }
+          next.injectionTarget = updates.injectionTarget;
+        }
+
+        if (Object.hasOwn(updates, 'panelMode')) {
+          if (!Object.values(PANEL_MODES).includes(updates.panelMode)) {
+            throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+          }
+          next.panelMode = updates.panelMode;
+        }
+
+        if (Object.hasOwn(updates, 'logLevel')) {
+          if (!Object.values(LOG_LEVELS).includes(updates.logLevel)) {
+            throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+          }
+          next.logLevel = updates.logLevel;
+        }
+
+        if (Object.hasOwn(updates, 'timeouts')) {
+          next.timeouts = { ...current.timeouts, ...validateTimeouts(updates.timeouts) };
+        }
+
+        if (Object.hasOwn(updates, 'promptTemplates')) {
+          const promptTemplates = { ...current.promptTemplates };
+          for (const [action, template] of Object.entries(sanitizePromptTemplates(updates.promptTemplates))) {
+            if (template === null) {
+              delete promptTemplates[action];
+            } else {
+              promptTemplates[action] = template;
+            }
+          }
+          next.promptTemplates = promptTemplates;
+        }
+
+        if (Object.hasOwn(updates, 'selectorOverrides')) {
+          next.selectorOverrides = { ...current.selectorOverrides, ...validateSelectorOverrides(updates.selectorOverrides) };
+        }
+
+        if (Object.hasOwn(updates, 'cleanupRules')) {
+          next.cleanupRules = validateCleanupRules(updates.cleanupRules);
+        }
+
+        if (Object.hasOwn(updates, 'compactMode')) {
+          if (typeof updates.compactMode !== 'boolean') {
+            throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+          }
+          next.compactMode = updates.compactMode;
+        }
+
+        if (Object.hasOwn(updates, 'restoreConversation')) {
+          if (typeof updates.restoreConversation !== 'boolean') {
+            throw new Error(ERROR_MESSAGES.INVALID_SETTINGS);
+          }
+          next.restoreConversation = updates.restoreConversation;
+        }
+
+        if (Object.hasOwn(updates, 'siteRules')) {
+          next.siteRules = validateSiteRules(updates.siteRules);
+        }
+
+        // Verbatim: every value was validated above, and sanitizing would rewrite selectors such as "ul > li"
+        await storage.set({
+          [CONFIG.STORAGE_KEYS.SETTINGS]: next
+        }, { raw: true });
+
+        logger.info('Settings saved successfully');
+        return next;
+      });
+    } catch (error) {
+      logger.error('Failed to save settings', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Validates selector overrides without saving them, e.g. before they are tested in a frame
+   * @param {*} overrides - Selector lists keyed by SELECTOR_OVERRIDE_ROLES value
+   * @returns {Object<string, string[]>} Validated lists for the roles given
+   * @throws {Error} If a role is unknown, a list is too long or a selector is unsafe
+   */
+  validateSelectorOverrides(overrides) {
+    return validateSelectorOverrides(overrides);
+  },
+
+  /**
+   * Retrieves the effective timing values (CONFIG.TIMEOUTS with user overrides)
+   * @returns {Promise<Object<string, number>>} Timeouts keyed by CONFIG.TIMEOUTS name
+   */
+  async getTimeouts() {
+    const { timeouts } = await this.get();
+    return { ...CONFIG.TIMEOUTS, ...timeouts };
+  },
+
+  /**
+   * Resolves what happens after an action's prompt is inserted: its own send mode,
+   * otherwise the default one
+   * @param {string} action - Built-in action or custom action ID
+   * @returns {Promise<string>} SEND_MODES value
+   */
+  async getSendMode(action) {
+    const { sendMode, sendModes } = await this.get();
+    return Object.hasOwn(sendModes, action) ? sendModes[action] : sendMode;
+  },
+
+  /**
+   * Finds the site rule for a page: the first one, in list order, whose pattern matches
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} Site rule, or null if none matches
+   */
+  async getSiteRule(url) {
+    const { siteRules } = await this.get();
+    return siteRules.find((rule) => validation.matchesUrlPattern(url, rule.pattern)) ?? null;
+  },
+
+  /**
+   * Resolves the template for a built-in action, honouring user overrides
+   * @param {string} action - PROMPT_TEMPLATES key
+   * @returns {Promise<string|null>} Template text, or null for unknown actions
+   */
+  async getPromptTemplate(action) {
+    if (!Object.hasOwn(PROMPT_TEMPLATES, action)) {
+      return null;
+    }
+
+    const { promptTemplates } = await this.get();
+    return promptTemplates[action] || PROMPT_TEMPLATES[action];
+  }
+});
@@ -133,9 +133,10 @@ const sanitizeData = (data, depth = 0, visited = new WeakSet()) => {
 /**
  * Validates data structure for storage
  * @param {*} data - Data to validate
+ * @param {number} [maxBytes=CONFIG.STORAGE.MAX_SIZE_BYTES] - Largest accepted serialized size
  * @returns {boolean} Validation result
  */
-const validateData = (data) => {
+const validateData = (data, maxBytes = CONFIG.STORAGE.MAX_SIZE_BYTES) => {
   if (data === null || data === undefined) {
     return false;
   }
@@ -146,7 +147,7 @@ const validateData = (data) => {
       ? new TextEncoder().encode(stringified).length
       : stringified.length;
 
-    if (sizeInBytes > CONFIG.STORAGE.MAX_SIZE_BYTES) {
+    if (sizeInBytes > maxBytes) {
       logger.warn('Data exceeds recommended storage size');
       return false;
     }
@@ -157,11 +158,18 @@ const validateData = (data) => {
 };
 
 /**
- * Checks available storage quota
+ * Checks available storage quota.
+ * Prefers chrome.storage.local's own byte count; navigator.storage only covers web storage.
  * @returns {Promise<{usage: number, quota: number}>} Storage usage info
  */
 const checkStorageQuota = async () => {
   try {
+    if (typeof chrome.storage.local.getBytesInUse === 'function' && chrome.storage.local.QUOTA_BYTES) {
+      return {
+        usage: await chrome.storage.local.getBytesInUse(null),
+        quota: chrome.storage.local.QUOTA_BYTES
+      };
+    }
     if (navigator.storage && navigator.storage.estimate) {
       const estimate = await navigator.storage.estimate();
       return {
@@ -199,25 +207,29 @@ export const storage = Object.freeze({
   /**
    * Stores data in chrome.storage.local with sanitization
    * @param {Object} items - Key-value pairs to store
+   * @param {Object} [options] - Write options
+   * @param {boolean} [options.raw=false] - Store the values verbatim, for data its module has
+   *   validated already and the HTML sanitizer would corrupt (templates, selectors, prompts).
+   *   The size is then bounded by the storage quota only.
    * @returns {Promise<void>}
    */
-  async set(items) {
+  async set(items, { raw = false } = {}) {
     try {
       if (!items || typeof items !== 'object' || Array.isArray(items)) {
         throw new Error(ERROR_MESSAGES.INVALID_DATA);
       }
       
-      if (!validateData(items)) {
+      if (!validateData(items, raw ? Infinity : CONFIG.STORAGE.MAX_SIZE_BYTES)) {
         throw new Error(ERROR_MESSAGES.INVALID_DATA);
       }
       
-      const sanitizedItems = sanitizeData(items);
-      if (!sanitizedItems || typeof sanitizedItems !== 'object' || Array.isArray(sanitizedItems)) {
+      const storedItems = raw ? items : sanitizeData(items);
+      if (!storedItems || typeof storedItems !== 'object' || Array.isArray(storedItems)) {
         throw new Error(ERROR_MESSAGES.INVALID_DATA);
       }
 
-      await chrome.storage.local.set(sanitizedItems);
-      logger.debug('Storage write:', Object.keys(sanitizedItems));
+      await chrome.storage.local.set(storedItems);
+      logger.debug('Storage write:', Object.keys(storedItems));
     } catch (error) {
       if (error.message && error.message.includes('QUOTA_BYTES')) {
         logger.error(ERROR_MESSAGES.STORAGE_QUOTA_EXCEEDED, error);
@@ -0,0 +1,116 @@
+/**
+ * Template Engine Module
+ * Renders prompt templates with named {{placeholders}}
+ * @module template-engine
+ * @author Mohammad Faiz
+ * @version 1.7.0
+ */
+
+import { CONFIG, TEMPLATE_VARIABLES } from './constants.js';
+
+/**
+ * Matches `{{name}}` and `{{name|fallback}}`, optionally preceded by a backslash escape
+ */
+const PLACEHOLDER_PATTERN = /(\\)?\{\{\s*([a-z]+)\s*(?:\|([^{}]*))?\}\}/gi;
+
+/**
+ * Normalizes a variable value before it is substituted into a template
+ * @param {*} value - Raw variable value
+ * @returns {string} Normalized value, or an empty string if missing
+ */
+const normalizeValue = (value) => {
+  if (typeof value !== 'string') {
+    return '';
+  }
+
+  return value
+    .normalize('NFKC')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+    .trim();
+};
+
+/**
+ * Checks whether a template references a variable (escaped placeholders do not count)
+ * @param {string} template - Template text
+ * @param {string} name - Variable name
+ * @returns {boolean} Whether the placeholder is present
+ */
+const hasPlaceholder = (template, name) => countPlaceholder(template, name) > 0;
+
+/**
+ * Counts how often a template substitutes a variable (escaped placeholders do not count)
+ * @param {string} template - Template text
+ * @param {string} name - Variable name
+ * @returns {number} Number of placeholders for the variable
+ */
+const countPlaceholder = (template, name) => {
+  if (typeof template !== 'string') {
+    return 0;
+  }
+
+  let count = 0;
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!match[1] && match[2].toLowerCase() === name) {
+      count++;
+    }
+  }
+  return count;
+};
+
+/**
+ * Renders a template in a single pass so substituted values are never re-expanded.
+ * Missing values use the inline fallback (`{{title|this page}}`) or render empty,
+ * unknown names are left untouched, and `\{{name}}` renders a literal `{{name}}`.
+ * @param {string} template - Template text
+ * @param {Object<string, string>} variables - Values keyed by TEMPLATE_VARIABLES name
+ * @returns {string} Rendered text, capped at MAX_PROMPT_LENGTH
+ */
+const render = (template, variables = {}) => {
+  if (typeof template !== 'string') {
+    return '';
+  }
+
+  const rendered = template.replace(PLACEHOLDER_PATTERN, (match, escaped, name, fallback) => {
+    if (escaped) {
+      return match.slice(1);
+    }
+
+    const key = name.toLowerCase();
+    if (!TEMPLATE_VARIABLES.includes(key)) {
+      return match;
+    }
+
+    const value = Object.hasOwn(variables, key) ? normalizeValue(variables[key]) : '';
+    if (value) {
+      return value;
+    }
+
+    return fallback === undefined ? '' : fallback.trim();
+  });
+
+  return rendered.trim().substring(0, CONFIG.VALIDATION.MAX_PROMPT_LENGTH);
+};
+
+/**
+ * Appends a `{{selection}}` placeholder to templates written in the older prefix style
+ * @param {string} template - Template text
+ * @returns {string} Template guaranteed to reference the selection
+ */
+const withSelection = (template) => {
+  if (typeof template !== 'string' || !template.trim()) {
+    return '{{selection}}';
+  }
+
+  if (hasPlaceholder(template, 'selection')) {
+    return template;
+  }
+
+  return `${template.trimEnd()}\n\n{{selection}}`;
+};
+
+export const templateEngine = Object.freeze({
+  render,
+  hasPlaceholder,
+  countPlaceholder,
+  withSelection
+});
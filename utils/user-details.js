@@ -9,18 +9,9 @@
 import { storage } from './storage.js';
 import { CONFIG, ERROR_MESSAGES } from './constants.js';
 import { logger } from './logger.js';
+import { validation } from './validation.js';
 
-const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
-
-/**
- * Validates email format
- * @param {string} email - Email address to validate
- * @returns {boolean} Validation result
- */
-const validateEmail = (email) => {
-  if (!email || typeof email !== 'string') return true; // Empty is valid
-  return CONFIG.VALIDATION.EMAIL_REGEX.test(email);
-};
+const { validateEmail, isValidISODate, sanitizeInput } = validation;
 
 /**
  * Validates user details structure
@@ -43,70 +34,6 @@ const validateUserDetails = (details) => {
   return hasValidName && hasValidEmail && hasValidLastActive;
 };
 
-/**
- * Validates ISO date string
- * @param {string} dateString - Date string to validate
- * @returns {boolean} Validation result
- */
-const isValidISODate = (dateString) => {
-  if (typeof dateString !== 'string' || !ISO_DATE_PATTERN.test(dateString)) {
-    return false;
-  }
-
-  const date = new Date(dateString);
-  return date instanceof Date && !Number.isNaN(date.getTime()) && date.toISOString() === dateString;
-};
-
-/**
- * Sanitizes user input with enhanced XSS prevention using allowlist approach
- * @param {string} input - Input to sanitize
- * @param {number} maxLength - Maximum allowed length
- * @returns {string} Sanitized input
- */
-const sanitizeInput = (input, maxLength) => {
-  if (typeof input !== 'string') return '';
-  
-  // Normalize unicode to prevent unicode-based XSS attacks
-  let sanitized = input.normalize('NFKC').trim();
-  
-  // Limit length first
-  sanitized = sanitized.substring(0, maxLength);
-  
-  // Remove control characters (except newline, carriage return, tab) but preserve Unicode
-  // This supports internationalization while blocking dangerous control chars
-  sanitized = sanitized.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-  
-  // Remove HTML tags
-  let previous;
-  do {
-    previous = sanitized;
-    sanitized = sanitized.replace(/<[^>]*>/g, '');
-  } while (sanitized !== previous);
-  
-  // Remove dangerous patterns via stable do/while loops
-  do {
-    previous = sanitized;
-    sanitized = sanitized.replace(/javascript:/gi, '');
-  } while (sanitized !== previous);
-  do {
-    previous = sanitized;
-    sanitized = sanitized.replace(/vbscript:/gi, '');
-  } while (sanitized !== previous);
-  do {
-    previous = sanitized;
-    sanitized = sanitized.replace(/data:/gi, '');
-  } while (sanitized !== previous);
-  do {
-    previous = sanitized;
-    sanitized = sanitized.replace(/on\w+=/gi, '');
-  } while (sanitized !== previous);
-  
-  // Remove remaining angle brackets
-  sanitized = sanitized.replace(/[<>]/g, '');
-  
-  return sanitized;
-};
-
 export const userDetails = Object.freeze({
   /**
    * Initializes user details with default values
@@ -0,0 +1,218 @@
+/**
+ * Validation Module
+ * Shared input sanitization and validation rules for user-editable data
+ * @module validation
+ * @author Mohammad Faiz
+ * @version 1.7.0
+ */
+
+import { ARENA_HOST_PATTERNS, CONFIG } from './constants.js';
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+// Chrome match pattern for web pages: scheme, host with an optional "*." prefix, and path
+const URL_PATTERN = /^(\*|https?):\/\/(\*|(?:\*\.)?[^/*]+)(\/.*)$/;
+
+/**
+ * Validates email format
+ * @param {string} email - Email address to validate
+ * @returns {boolean} Validation result
+ */
+const validateEmail = (email) => {
+  if (!email || typeof email !== 'string') return true; // Empty is valid
+  return CONFIG.VALIDATION.EMAIL_REGEX.test(email);
+};
+
+/**
+ * Validates ISO date string
+ * @param {string} dateString - Date string to validate
+ * @returns {boolean} Validation result
+ */
+const isValidISODate = (dateString) => {
+  if (typeof dateString !== 'string' || !ISO_DATE_PATTERN.test(dateString)) {
+    return false;
+  }
+
+  const date = new Date(dateString);
+  return date instanceof Date && !Number.isNaN(date.getTime()) && date.toISOString() === dateString;
+};
+
+/**
+ * Validates that a value is an integer within an inclusive range
+ * @param {*} value - Value to validate
+ * @param {{min: number, max: number}} range - Allowed range
+ * @returns {boolean} Validation result
+ */
+const isIntegerInRange = (value, range) =>
+  Number.isInteger(value) && value >= range.min && value <= range.max;
+
+/**
+ * Checks that a CSS selector is a short single line that cannot close the style rule it is
+ * placed in. Syntax needs a DOM to check, so pages that have one also try querySelector.
+ * @param {*} selector - Selector to validate
+ * @param {number} maxLength - Maximum allowed length
+ * @returns {boolean} Validation result
+ */
+const isSafeSelector = (selector, maxLength) =>
+  typeof selector === 'string' &&
+  selector.trim().length > 0 &&
+  selector.length <= maxLength &&
+  !/[{}<\x00-\x1F\x7F]|\/\*/.test(selector);
+
+/**
+ * Checks a URL against a Chrome match pattern such as those in ARENA_HOST_PATTERNS.
+ * "*." before the host also matches the bare domain, and "*" in the path matches anything,
+ * including the query string, as in manifest patterns. Only http and https URLs match.
+ * @param {*} url - URL to check
+ * @param {*} pattern - Match pattern, e.g. "https://*.arena.ai/*"
+ * @returns {boolean} Whether the URL matches
+ */
+const matchesUrlPattern = (url, pattern) => {
+  const parts = typeof pattern === 'string' ? URL_PATTERN.exec(pattern) : null;
+  if (!parts || typeof url !== 'string') {
+    return false;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  const [, scheme, host, path] = parts;
+  const protocol = parsed.protocol.slice(0, -1);
+  if (scheme === '*' ? !['http', 'https'].includes(protocol) : protocol !== scheme) {
+    return false;
+  }
+
+  const hostname = host.toLowerCase();
+  if (hostname.startsWith('*.')) {
+    const domain = hostname.slice(2);
+    if (parsed.hostname !== domain && !parsed.hostname.endsWith(`.${domain}`)) {
+      return false;
+    }
+  } else if (hostname !== '*' && parsed.hostname !== hostname) {
+    return false;
+  }
+
+  const pathPattern = path.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${pathPattern}$`).test(parsed.pathname + parsed.search);
+};
+
+/**
+ * Checks that a value is a match pattern matchesUrlPattern understands
+ * @param {*} pattern - Pattern to validate
+ * @param {number} maxLength - Maximum allowed length
+ * @returns {boolean} Validation result
+ */
+const isUrlPattern = (pattern, maxLength) =>
+  typeof pattern === 'string' &&
+  pattern.length <= maxLength &&
+  !/\s/.test(pattern) &&
+  URL_PATTERN.test(pattern);
+
+/**
+ * Checks that a value is an absolute URL of reasonable length. The URL is kept as given,
+ * so query strings such as "?session=1&onload=x" survive.
+ * @param {*} url - URL to check
+ * @param {number} maxLength - Maximum allowed length
+ * @returns {boolean} Validation result
+ */
+const isUrl = (url, maxLength) => {
+  if (typeof url !== 'string' || url.length > maxLength) {
+    return false;
+  }
+
+  try {
+    new URL(url);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Checks that a URL points at Arena, i.e. matches one of ARENA_HOST_PATTERNS
+ * @param {*} url - URL to check
+ * @returns {boolean} Validation result
+ */
+const isArenaUrl = (url) => ARENA_HOST_PATTERNS.some((pattern) => matchesUrlPattern(url, pattern));
+
+/**
+ * Sanitizes user input with enhanced XSS prevention using allowlist approach
+ * @param {string} input - Input to sanitize
+ * @param {number} maxLength - Maximum allowed length
+ * @returns {string} Sanitized input
+ */
+const sanitizeInput = (input, maxLength) => {
+  if (typeof input !== 'string') return '';
+
+  // Normalize unicode to prevent unicode-based XSS attacks
+  let sanitized = input.normalize('NFKC').trim();
+
+  // Limit length first
+  sanitized = sanitized.substring(0, maxLength);
+
+  // Remove control characters (except newline, carriage return, tab) but preserve Unicode
+  // This supports internationalization while blocking dangerous control chars
+  sanitized = sanitized.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+
+  // Remove HTML tags
+  let previous;
+  do {
+    previous = sanitized;
+    sanitized = sanitized.replace(/<[^>]*>/g, '');
+  } while (sanitized !== previous);
+
+  // Remove dangerous patterns via stable do/while loops
+  do {
+    previous = sanitized;
+    sanitized = sanitized.replace(/javascript:/gi, '');
+  } while (sanitized !== previous);
+  do {
+    previous = sanitized;
+    sanitized = sanitized.replace(/vbscript:/gi, '');
+  } while (sanitized !== previous);
+  do {
+    previous = sanitized;
+    sanitized = sanitized.replace(/data:/gi, '');
+  } while (sanitized !== previous);
+  do {
+    previous = sanitized;
+    sanitized = sanitized.replace(/on\w+=/gi, '');
+  } while (sanitized !== previous);
+
+  // Remove remaining angle brackets
+  sanitized = sanitized.replace(/[<>]/g, '');
+
+  return sanitized;
+};
+
+/**
+ * Cleans up a prompt template. Templates are plain text that is never inserted as HTML,
+ * so markup, angle brackets and words like "onload=" are kept as the user wrote them.
+ * @param {*} input - Template text
+ * @returns {string} Trimmed template without control characters, at most MAX_TEMPLATE_LENGTH long
+ */
+const sanitizeTemplate = (input) => {
+  if (typeof input !== 'string') return '';
+
+  return input
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+    .trim()
+    .substring(0, CONFIG.VALIDATION.MAX_TEMPLATE_LENGTH);
+};
+
+export const validation = Object.freeze({
+  validateEmail,
+  isValidISODate,
+  isIntegerInRange,
+  isSafeSelector,
+  matchesUrlPattern,
+  isUrlPattern,
+  isUrl,
+  isArenaUrl,
+  sanitizeInput,
+  sanitizeTemplate
+});